@@ -1,33 +1,15 @@
 // src/app/api/competitors/suggest/route.js
 import { NextResponse } from "next/server";
 import { getDomain } from "tldts";
+import { createRouteCache, wantsRefresh, cacheInfo } from "@/lib/seo/cache";
+import { extractPage } from "@/lib/seo/extraction";
 
 export const runtime = "nodejs";
 
 /**
- * In-memory cache (per Node process)
+ * Competitor suggestions cache (per root host, shared cache contract)
  */
-const g = globalThis;
-if (!g.__competitorSuggestCache) {
-  g.__competitorSuggestCache = {
-    suggest: new Map(), // key -> { expiresAt, value }
-    inflight: new Map(), // key -> Promise
-  };
-}
-const CCACHE = g.__competitorSuggestCache;
-
-function cacheGet(map, key) {
-  const hit = map.get(key);
-  if (!hit) return null;
-  if (Date.now() > hit.expiresAt) {
-    map.delete(key);
-    return null;
-  }
-  return hit.value;
-}
-function cacheSet(map, key, value, ttlMs) {
-  map.set(key, { value, expiresAt: Date.now() + ttlMs });
-}
+const CCACHE = createRouteCache("competitors", { ttlMs: 10 * 60 * 1000 });
 
 function normalizeHost(input) {
   if (!input || typeof input !== "string") return null;
@@ -306,24 +288,10 @@ async function fetchWithTimeout(url, ms = 6500) {
   }
 }
 
-function stripTags(html) {
-  return String(html || "")
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<!--[\s\S]*?-->/g, " ")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-}
-
 function extractTitleAndDesc(html) {
-  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || "";
-  const desc =
-    /<meta[^>]+name=["']description["'][^>]*content=["']([\s\S]*?)["'][^>]*>/i.exec(
-      html
-    )?.[1] || "";
-  const h1 = /<h1[^>]*>([\s\S]*?)<\/h1>/i.exec(html)?.[1] || "";
-  return stripTags(`${title} ${desc} ${h1}`);
+  const page = extractPage(html);
+  const h1 = page.headings.find((h) => h.level === 1)?.text || "";
+  return `${page.title} ${page.description} ${h1}`.replace(/\s+/g, " ").trim();
 }
 
 function classifyRole(text) {
@@ -571,15 +539,17 @@ export async function POST(req) {
     }
 
     const cacheKey = rootHost;
-    const TTL_MS = 10 * 60 * 1000;
-
-    const cached = cacheGet(CCACHE.suggest, cacheKey);
-    if (cached) return NextResponse.json(cached);
+    const refresh = wantsRefresh(req, body);
 
-    const inflight = CCACHE.inflight.get(cacheKey);
-    if (inflight) return NextResponse.json(await inflight);
+    const cached = refresh ? null : CCACHE.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached.value,
+        cache: cacheInfo({ hit: true, storedAt: cached.storedAt, ttlMs: CCACHE.ttlMs }),
+      });
+    }
 
-    const p = (async () => {
+    const compute = async () => {
       const origin = new URL(req.url).origin;
 
       const dfsLogin = process.env.DATAFORSEO_LOGIN || "";
@@ -589,13 +559,13 @@ export async function POST(req) {
       const { location_name, language_code } = inferLocationAndLanguage(rootHost);
 
       // 1) Site profile (crawler)
-      const profile = await postJson(origin, "/api/site/profile", { domain: rootHost }).catch(() => null);
+      const profile = await postJson(origin, "/api/site/profile", { domain: rootHost, refresh }).catch(() => null);
       const siteType = profile?.siteType || "Website";
       const seeds = Array.isArray(profile?.seeds) ? profile.seeds : [];
       const primaryIntent = detectPrimaryIntent(profile);
 
       // 2) Keyword chips from step-4 (useful only for non-search-engine sites)
-      const kwPayload = await postJson(origin, "/api/keywords/suggest", { domain: rootHost }).catch(() => null);
+      const kwPayload = await postJson(origin, "/api/keywords/suggest", { domain: rootHost, refresh }).catch(() => null);
       const keywordChips = Array.isArray(kwPayload?.keywords) ? kwPayload.keywords : [];
 
       // 3) Platform (“business”) queries
@@ -692,14 +662,14 @@ export async function POST(req) {
         },
       };
 
-      cacheSet(CCACHE.suggest, cacheKey, value, TTL_MS);
-      return value;
-    })().finally(() => {
-      CCACHE.inflight.delete(cacheKey);
-    });
+      const entry = CCACHE.set(cacheKey, value);
+      return {
+        ...value,
+        cache: cacheInfo({ refreshed: refresh, storedAt: entry.storedAt, ttlMs: CCACHE.ttlMs }),
+      };
+    };
 
-    CCACHE.inflight.set(cacheKey, p);
-    return NextResponse.json(await p);
+    return NextResponse.json(await CCACHE.load(cacheKey, compute, { refresh }));
   } catch (err) {
     console.error("/api/competitors/suggest error:", err);
     return NextResponse.json(
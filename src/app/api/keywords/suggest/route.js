@@ -1,32 +1,13 @@
 // src/app/api/keywords/suggest/route.js
 import { NextResponse } from "next/server";
+import { createRouteCache, wantsRefresh, cacheInfo } from "@/lib/seo/cache";
 
 export const runtime = "nodejs";
 
 /**
- * In-memory cache for keyword suggestions
+ * Keyword suggestions cache (per root host, shared cache contract)
  */
-const g = globalThis;
-if (!g.__keywordSuggestCache) {
-  g.__keywordSuggestCache = {
-    suggest: new Map(),
-    inflight: new Map(),
-  };
-}
-const KCACHE = g.__keywordSuggestCache;
-
-function cacheGet(map, key) {
-  const hit = map.get(key);
-  if (!hit) return null;
-  if (Date.now() > hit.expiresAt) {
-    map.delete(key);
-    return null;
-  }
-  return hit.value;
-}
-function cacheSet(map, key, value, ttlMs) {
-  map.set(key, { value, expiresAt: Date.now() + ttlMs });
-}
+const KCACHE = createRouteCache("keywords", { ttlMs: 10 * 60 * 1000 });
 
 function normalizeHost(input) {
   if (!input || typeof input !== "string") return null;
@@ -400,14 +381,14 @@ async function keywordMetrics({
 /**
  * Site profile fetch (your internal route)
  */
-async function getSiteProfile(domain) {
+async function getSiteProfile(domain, { refresh = false } = {}) {
   const base = (process.env.NEXT_PUBLIC_APP_URL || "").trim().replace(/\/$/, "");
 
   if (base) {
     const res = await fetch(`${base}/api/site/profile`, {
       method: "POST",
       headers: { "Content-Type": "application/json" },
-      body: JSON.stringify({ domain }),
+      body: JSON.stringify({ domain, refresh }),
     }).catch(() => null);
 
     if (res && res.ok) return res.json();
@@ -417,7 +398,7 @@ async function getSiteProfile(domain) {
   const res2 = await fetch("http://localhost:3000/api/site/profile", {
     method: "POST",
     headers: { "Content-Type": "application/json" },
-    body: JSON.stringify({ domain }),
+    body: JSON.stringify({ domain, refresh }),
   }).catch(() => null);
 
   if (res2 && res2.ok) return res2.json();
@@ -578,16 +559,18 @@ export async function POST(req) {
     }
 
     const cacheKey = rootHost;
-    const TTL_MS = 10 * 60 * 1000;
+    const refresh = wantsRefresh(req, body);
 
-    const cached = cacheGet(KCACHE.suggest, cacheKey);
-    if (cached) return NextResponse.json(cached);
-
-    const inflight = KCACHE.inflight.get(cacheKey);
-    if (inflight) return NextResponse.json(await inflight);
+    const cached = refresh ? null : KCACHE.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached.value,
+        cache: cacheInfo({ hit: true, storedAt: cached.storedAt, ttlMs: KCACHE.ttlMs }),
+      });
+    }
 
-    const p = (async () => {
-      const profile = await getSiteProfile(rootHost).catch(() => null);
+    const compute = async () => {
+      const profile = await getSiteProfile(rootHost, { refresh }).catch(() => null);
       const siteType = profile?.siteType || "Website";
 
       const { location_name, language_code } = inferLocationAndLanguage(rootHost);
@@ -799,14 +782,14 @@ export async function POST(req) {
         },
       };
 
-      cacheSet(KCACHE.suggest, cacheKey, value, TTL_MS);
-      return value;
-    })().finally(() => {
-      KCACHE.inflight.delete(cacheKey);
-    });
+      const entry = KCACHE.set(cacheKey, value);
+      return {
+        ...value,
+        cache: cacheInfo({ refreshed: refresh, storedAt: entry.storedAt, ttlMs: KCACHE.ttlMs }),
+      };
+    };
 
-    KCACHE.inflight.set(cacheKey, p);
-    return NextResponse.json(await p);
+    return NextResponse.json(await KCACHE.load(cacheKey, compute, { refresh }));
   } catch (err) {
     console.error("/api/keywords/suggest error:", err);
     return NextResponse.json({ keywords: [] }, { status: 200 });
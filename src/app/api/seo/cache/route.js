@@ -0,0 +1,27 @@
+// src/app/api/seo/cache/route.js
+import { NextResponse } from "next/server";
+import { purgeHost } from "@/lib/seo/cache";
+
+export const runtime = "nodejs";
+
+/**
+ * DELETE /api/seo/cache?hostname=example.com
+ *
+ * Purges everything cached for the host (keywords, competitors, site profile,
+ * opportunities snapshots, PSI results). The next request recomputes.
+ * Scan history and opportunity versions are kept.
+ */
+export async function DELETE(req) {
+  const { searchParams } = new URL(req.url);
+  const hostname = searchParams.get("hostname") || searchParams.get("websiteUrl");
+
+  if (!hostname) {
+    return NextResponse.json({ error: "hostname is required" }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json(purgeHost(hostname));
+  } catch (e) {
+    return NextResponse.json({ error: e?.message || "Invalid hostname" }, { status: 400 });
+  }
+}
@@ -0,0 +1,121 @@
+// src/app/api/seo/crawls/compare/route.js
+import { NextResponse } from "next/server";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  listSiteAudits,
+  getSiteAudit,
+  listOpportunitiesVersions,
+  getOpportunitiesVersion,
+} from "@/lib/seo/snapshots.store";
+import {
+  compareCrawls,
+  crawlFromSiteAudit,
+  crawlFromOpportunitiesVersion,
+} from "@/lib/seo/crawl-compare";
+
+export const runtime = "nodejs";
+
+const SOURCES = ["site-health", "opportunities"];
+
+/**
+ * GET /api/seo/crawls/compare?hostname=example.com
+ *
+ * Compares two stored crawls of a site: added / removed URLs, status code,
+ * title, meta description, H1, canonical and noindex changes, word-count swings.
+ *
+ * Query:
+ * - hostname | websiteUrl (required)
+ * - source=site-health|opportunities (default site-health: Site Health audits;
+ *   opportunities: discovery versions, titles / descriptions / word counts only)
+ * - allowSubdomains=true|false
+ * - mode=published|draft (opportunities only)
+ * - from, to: scanIds (site-health) or version numbers (opportunities)
+ *   (default: the two most recent crawls, when available; with only `to`,
+ *   the crawl before it)
+ *
+ * Returns { hostname, source, crawls: [...newest first], comparison }
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+
+  const hostname =
+    getHostname(normalizeToHttps(searchParams.get("hostname"))) ||
+    getHostname(normalizeToHttps(searchParams.get("websiteUrl")));
+
+  if (!hostname) {
+    return NextResponse.json(
+      { error: "hostname or websiteUrl is required" },
+      { status: 400 }
+    );
+  }
+
+  const source = searchParams.get("source") || "site-health";
+  if (!SOURCES.includes(source)) {
+    return NextResponse.json(
+      { error: `source must be one of: ${SOURCES.join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  const allowSubdomains = searchParams.get("allowSubdomains") === "true";
+  const mode = searchParams.get("mode") === "draft" ? "draft" : "published";
+
+  let crawls;
+  let load;
+  if (source === "site-health") {
+    crawls = listSiteAudits(hostname, { allowSubdomains }).map((a) => ({
+      id: a.scanId,
+      createdAt: a.createdAt,
+      pages: a.pagesAudited,
+      score: a.score,
+    }));
+    load = (id) => {
+      // only this host's audits
+      const audit = crawls.some((c) => c.id === id) ? getSiteAudit(id) : null;
+      return audit ? crawlFromSiteAudit(audit) : null;
+    };
+  } else {
+    const opts = { mode, allowSubdomains };
+    crawls = listOpportunitiesVersions(hostname, opts)
+      .map((v) => ({
+        id: v.version,
+        createdAt: v.createdAt,
+        pages: v.blogCount + v.pageCount,
+      }))
+      .reverse();
+    load = (id) => {
+      if (id == null) return null;
+      const version = getOpportunitiesVersion(hostname, id, opts);
+      return version ? crawlFromOpportunitiesVersion(version) : null;
+    };
+  }
+
+  const fromParam = searchParams.get("from");
+  const toParam = searchParams.get("to");
+
+  let comparison = null;
+
+  if (fromParam || toParam) {
+    // by default `from` is the crawl just before `to`
+    const toIndex = toParam ? crawls.findIndex((c) => String(c.id) === toParam) : 0;
+    const from = load(fromParam || (toIndex === -1 ? null : crawls[toIndex + 1]?.id));
+    const to = load(toParam || crawls[0]?.id);
+
+    if (!from || !to) {
+      return NextResponse.json({ error: "crawl not found" }, { status: 404 });
+    }
+
+    comparison = compareCrawls(from, to);
+  } else if (crawls.length >= 2) {
+    comparison = compareCrawls(load(crawls[1].id), load(crawls[0].id));
+  }
+
+  return NextResponse.json({
+    hostname,
+    source,
+    allowSubdomains,
+    ...(source === "opportunities" ? { mode } : {}),
+    crawls,
+    comparison,
+  });
+}
@@ -1,12 +1,42 @@
 // src/app/api/seo/draft-scan/route.js
 import { NextResponse } from "next/server";
 import { enqueueDraftScan } from "@/lib/seo/jobs/scan-draft";
+import { expandDraftPayload, draftTargetId } from "@/lib/seo/providers";
 import { getLatestOpportunities } from "@/lib/seo/snapshots.store";
+import { snapshotTtlMs } from "@/lib/seo/jobs/scheduler";
+import { wantsRefresh, cacheInfo } from "@/lib/seo/cache";
+import { checkCredentials } from "@/lib/seo/providers/credentials";
 
 export const runtime = "nodejs";
 
 const TTL_MS = 24 * 60 * 60 * 1000; // 24h
 
+function toDraftItem({
+  url,
+  draftId,
+  title,
+  description,
+  wordCount,
+  readability,
+  structuredData,
+  headings,
+  links,
+  isDraft,
+}) {
+  return {
+    url,
+    draftId: draftId || null,
+    title,
+    description,
+    wordCount,
+    readability: readability || null,
+    structuredData: structuredData || null,
+    headings: headings || null,
+    links: links?.counts || null,
+    isDraft: Boolean(isDraft),
+  };
+}
+
 /**
  * POST body examples:
  *
@@ -18,8 +48,20 @@ const TTL_MS = 24 * 60 * 60 * 1000; // 24h
  *     "siteUrl": "https://aviaenterprises.net",
  *     "postId": 6195,
  *     "authBasic": "<base64(username:app_password)>"
- *   }
+ *   },
+ *   "refresh": false   // true -> re-render even if a fresh draft snapshot exists
  * }
+ *
+ * Batches: one scan can render several drafts
+ *   WordPress: "postIds": [6195, 6201], "pageIds": [42]
+ *   Shopify:   "articleIds": [...] (+ "blogId"), "pageIds": [...]
+ *   Webflow:   "itemIds": [...]
+ * Each draft lands in `blogs` or `pages` based on the provider's metadata
+ * (WP post type, Shopify article vs page, Webflow collection).
+ *
+ * Credentials: inline secrets (authBasic / accessToken / token) are kept in
+ * memory for the job only, never stored. "credentialsEnv": "ACME_WP" reads
+ * the secret from SEO_CREDENTIAL_ACME_WP instead (see providers/credentials.js).
  */
 export async function POST(req) {
   try {
@@ -33,25 +75,43 @@ export async function POST(req) {
     if (!provider) return NextResponse.json({ error: "provider is required" }, { status: 400 });
     if (!payload) return NextResponse.json({ error: "payload is required" }, { status: 400 });
 
+    const refresh = wantsRefresh(req, body);
+    const ttlMs = snapshotTtlMs(hostname, "draft", TTL_MS);
+
+    let targets;
+    try {
+      targets = expandDraftPayload(provider, payload);
+      checkCredentials(provider, payload);
+    } catch (e) {
+      return NextResponse.json({ error: e?.message || "Invalid provider" }, { status: 400 });
+    }
+
     // If we already have a fresh draft snapshot, return it (200)
-    const cached = getLatestOpportunities(hostname, { ttlMs: TTL_MS, mode: "draft" });
-    if (cached) {
+    const cached = refresh
+      ? null
+      : getLatestOpportunities(hostname, { ttlMs, mode: "draft" });
+
+    // the draft snapshot is per host -> only reuse it if it covers every requested
+    // draft (rendered, or failed to render in that scan)
+    const cachedIds = new Set(
+      [
+        ...(cached?.blogs || []).map((i) => i?.draftId),
+        ...(cached?.pages || []).map((i) => i?.draftId),
+        ...(cached?.scan?.diagnostics?.errors || []).map((e) => e?.id),
+      ]
+        .filter(Boolean)
+        .map(String)
+    );
+    const coversRequest = targets.every((t) => {
+      const id = draftTargetId(provider, t);
+      return !id || cachedIds.has(id);
+    });
+
+    if (cached && coversRequest) {
       return NextResponse.json({
         hostname,
-        blogs: (cached.blogs || []).map(({ url, title, description, wordCount, isDraft }) => ({
-          url,
-          title,
-          description,
-          wordCount,
-          isDraft: Boolean(isDraft),
-        })),
-        pages: (cached.pages || []).map(({ url, title, description, wordCount, isDraft }) => ({
-          url,
-          title,
-          description,
-          wordCount,
-          isDraft: Boolean(isDraft),
-        })),
+        blogs: (cached.blogs || []).map(toDraftItem),
+        pages: (cached.pages || []).map(toDraftItem),
         source: {
           scanId: cached.scan?.scanId,
           status: cached.scan?.status,
@@ -60,6 +120,11 @@ export async function POST(req) {
           diagnostics: cached.scan?.diagnostics || {},
           fromCache: true,
         },
+        cache: cacheInfo({
+          hit: true,
+          storedAt: cached.updatedAt || Date.now(),
+          ttlMs,
+        }),
       });
     }
 
@@ -76,8 +141,10 @@ export async function POST(req) {
           status: scan.status, // queued
           mode: "draft",
           provider,
+          items: scan.items,
           fromCache: false,
         },
+        cache: cacheInfo({ hit: false, refreshed: refresh, ttlMs }),
       },
       { status: 202 }
     );
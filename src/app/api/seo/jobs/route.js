@@ -0,0 +1,56 @@
+// src/app/api/seo/jobs/route.js
+import { NextResponse } from "next/server";
+import { listJobs, retryJob } from "@/lib/seo/jobs/queue";
+
+// make sure all job handlers are registered (re-queues recovered jobs)
+import "@/lib/seo/jobs/scan-opportunities";
+import "@/lib/seo/jobs/scan-draft";
+import "@/lib/seo/jobs/scan-psi";
+
+export const runtime = "nodejs";
+
+// payloads can carry provider credentials -> never return them
+function publicJob({ payload, ...job }) {
+  return { ...job, scanId: payload?.scanId || null };
+}
+
+/**
+ * GET /api/seo/jobs?status=dead&type=opportunities-scan
+ * (types: opportunities-scan | draft-scan | psi-check | webhook-delivery)
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const status = searchParams.get("status") || undefined;
+  const type = searchParams.get("type") || undefined;
+
+  return NextResponse.json({
+    jobs: listJobs({ status, type }).map(publicJob),
+  });
+}
+
+/**
+ * POST { jobId, action: "retry" }
+ * Re-queues a dead-lettered job with a fresh set of attempts.
+ */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+  const jobId = String(body?.jobId || "").trim();
+  const action = String(body?.action || "retry");
+
+  if (!jobId) {
+    return NextResponse.json({ error: "jobId is required" }, { status: 400 });
+  }
+  if (action !== "retry") {
+    return NextResponse.json({ error: `Unsupported action: ${action}` }, { status: 400 });
+  }
+
+  const job = retryJob(jobId);
+  if (!job) {
+    return NextResponse.json(
+      { error: "job not found or not in dead state" },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ job: publicJob(job) });
+}
@@ -0,0 +1,80 @@
+// src/app/api/seo/link-graph/route.js
+import { NextResponse } from "next/server";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import { getLinkGraph } from "@/lib/seo/snapshots.store";
+import { suggestInternalLinks, linkStatsFor } from "@/lib/seo/link-graph";
+import { paginate } from "@/lib/seo/ranking";
+import { urlKey } from "@/lib/seo/canonical";
+
+export const runtime = "nodejs";
+
+// inbound links listed for one URL
+const MAX_INBOUND = 100;
+
+/**
+ * GET ?hostname=…[&limit=50&offset=0]
+ *   The site's latest internal link graph (from a Site Health audit, else from
+ *   the opportunities crawl fallback): summary, pages by internal PageRank
+ *   ({ url, inlinks, linkingPages, outlinks, depth, pageRank, rankScore,
+ *   topAnchors, orphan }) and orphan URLs.
+ *
+ * GET ?hostname=…&url=…
+ *   One page: its graph facts, the links pointing at it
+ *   ({ source, anchor, nofollow, placement }) and internal link suggestions.
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const hostname = getHostname(normalizeToHttps(searchParams.get("hostname") || ""));
+  if (!hostname) {
+    return NextResponse.json({ error: "hostname is required" }, { status: 400 });
+  }
+
+  const graph = getLinkGraph(hostname);
+  if (!graph) {
+    return NextResponse.json(
+      { error: "No link graph yet; run a Site Health audit first" },
+      { status: 404 }
+    );
+  }
+
+  const meta = {
+    hostname,
+    source: graph.source,
+    scanId: graph.scanId,
+    createdAt: graph.createdAt,
+    summary: graph.summary,
+  };
+
+  const url = searchParams.get("url");
+  if (url) {
+    const key = urlKey(url);
+    const inbound = (graph.edges || [])
+      .filter((e) => urlKey(e.target) === key && e.source !== e.target)
+      .slice(0, MAX_INBOUND)
+      .map(({ source, anchor, nofollow, placement }) => ({ source, anchor, nofollow, placement }));
+
+    return NextResponse.json({
+      ...meta,
+      page: linkStatsFor(graph, url),
+      inbound,
+      suggestions: suggestInternalLinks(graph, url),
+    });
+  }
+
+  const page = paginate(graph.pages, {
+    offset: searchParams.get("offset"),
+    limit: searchParams.get("limit") || 50,
+  });
+
+  return NextResponse.json({
+    ...meta,
+    pages: page.items,
+    pagination: {
+      offset: page.offset,
+      limit: page.limit,
+      total: page.total,
+      hasMore: page.hasMore,
+    },
+    orphans: graph.orphans,
+  });
+}
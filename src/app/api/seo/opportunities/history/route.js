@@ -0,0 +1,71 @@
+// src/app/api/seo/opportunities/history/route.js
+import { NextResponse } from "next/server";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  listOpportunitiesVersions,
+  getOpportunitiesVersion,
+} from "@/lib/seo/snapshots.store";
+import { diffOpportunitiesSnapshots } from "@/lib/seo/snapshots.diff";
+
+export const runtime = "nodejs";
+
+/**
+ * GET /api/seo/opportunities/history?hostname=example.com
+ *
+ * Query:
+ * - hostname | websiteUrl (required)
+ * - mode=published|draft (default published)
+ * - allowSubdomains=true|false
+ * - from, to: version numbers to diff
+ *   (default: the two most recent versions, when available)
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+
+  const hostname =
+    getHostname(normalizeToHttps(searchParams.get("hostname"))) ||
+    getHostname(normalizeToHttps(searchParams.get("websiteUrl")));
+
+  if (!hostname) {
+    return NextResponse.json(
+      { error: "hostname or websiteUrl is required" },
+      { status: 400 }
+    );
+  }
+
+  const mode = searchParams.get("mode") === "draft" ? "draft" : "published";
+  const allowSubdomains = searchParams.get("allowSubdomains") === "true";
+  const opts = { mode, allowSubdomains };
+
+  const versions = listOpportunitiesVersions(hostname, opts);
+
+  const fromParam = searchParams.get("from");
+  const toParam = searchParams.get("to");
+
+  let diff = null;
+
+  if (fromParam || toParam) {
+    const from = getOpportunitiesVersion(hostname, fromParam || null, opts);
+    const to = getOpportunitiesVersion(hostname, toParam || null, opts);
+
+    if (!from || !to) {
+      return NextResponse.json({ error: "version not found" }, { status: 404 });
+    }
+
+    diff = diffOpportunitiesSnapshots(from, to);
+  } else if (versions.length >= 2) {
+    const prev = versions[versions.length - 2].version;
+    diff = diffOpportunitiesSnapshots(
+      getOpportunitiesVersion(hostname, prev, opts),
+      getOpportunitiesVersion(hostname, null, opts)
+    );
+  }
+
+  return NextResponse.json({
+    hostname,
+    mode,
+    allowSubdomains,
+    versions,
+    diff,
+  });
+}
@@ -1,18 +1,105 @@
 // src/app/api/seo/opportunities/route.js
 import { NextResponse } from "next/server";
-import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  normalizeToHttps,
+  getHostname,
+  clampDiscoveryDepth,
+  DEFAULT_DISCOVERY_DEPTH,
+} from "@/lib/seo/discovery";
 import { getLatestOpportunities } from "@/lib/seo/snapshots.store";
 import { enqueueOpportunitiesScan } from "@/lib/seo/jobs/scan-opportunities";
+import { snapshotTtlMs } from "@/lib/seo/jobs/scheduler";
+import { wantsRefresh, cacheInfo } from "@/lib/seo/cache";
+import { rankOpportunities, paginate, RANK_BY } from "@/lib/seo/ranking";
 
 export const runtime = "nodejs";
 
 const TTL_MS = 24 * 60 * 60 * 1000; // 24h
 
+// snapshots written before discovery depth was configurable held 2 + 2 URLs
+const LEGACY_DEPTH = 2;
+
+// ranked + paginated cards of one kind
+function toCards(items, kind, { sort, offset, limit }) {
+  const ranked = rankOpportunities(items, { by: sort, kind });
+  const page = paginate(ranked.items, { offset, limit });
+
+  return {
+    items: page.items.map(
+      ({
+        url,
+        title,
+        description,
+        wordCount,
+        modifiedAt,
+        isDraft,
+        rank,
+        pageType,
+        classification,
+        variants,
+        hreflang,
+      }) => ({
+        url,
+        title,
+        description,
+        wordCount,
+        modifiedAt: modifiedAt || null,
+        isDraft: Boolean(isDraft),
+        rank,
+        // "article" | "product" | "local-business" | "page", from on-page signals
+        pageType: pageType || null,
+        classification: classification || null,
+        // other URLs of the same page, collapsed during discovery
+        variants: variants || [],
+        hreflang: hreflang || [],
+      })
+    ),
+    pagination: {
+      offset: page.offset,
+      limit: page.limit,
+      total: page.total,
+      hasMore: page.hasMore,
+      sort: ranked.by,
+    },
+  };
+}
+
+/**
+ * POST {
+ *   websiteUrl, allowSubdomains?, refresh?,
+ *   maxUrls?,                 // discovery depth: URLs per kind a scan collects (default 20, max 200)
+ *   sort?,                    // "auto" | "freshness" | "depth" | "wordCount"
+ *   blogLimit?, blogOffset?,  // page over discovered blogs (limit default 2, max 50)
+ *   pageLimit?, pageOffset?   // page over discovered pages
+ * }
+ *
+ * Returns the latest published snapshot while fresh (200), or enqueues a scan
+ * and returns 202. refresh=true (body or query) starts a new scan even when a
+ * fresh snapshot exists, unless one is already queued/running. A snapshot
+ * discovered with a smaller maxUrls than requested is rescanned deeper.
+ *
+ * blogs/pages are ranked by `sort` (each card says why in rank.reason) and
+ * paginated server-side; see `pagination.blogs` / `pagination.pages`.
+ * Each card is one page: duplicate URLs of it are listed in `variants`
+ * ({ url, relation: "normalized" | "redirect" | "canonical" | "hreflang" })
+ * and its language versions in `hreflang`. `pageType` and `classification`
+ * ({ confidence, level, source }) say how the blog/page split was decided.
+ */
 export async function POST(req) {
   try {
     const body = await req.json().catch(() => ({}));
     const websiteUrl = normalizeToHttps(body?.websiteUrl);
     const allowSubdomains = Boolean(body?.allowSubdomains);
+    const refresh = wantsRefresh(req, body);
+    const maxUrls = clampDiscoveryDepth(body?.maxUrls ?? DEFAULT_DISCOVERY_DEPTH);
+    const sort = body?.sort || "auto";
+
+    if (!RANK_BY.includes(sort)) {
+      return NextResponse.json(
+        { error: `sort must be one of: ${RANK_BY.join(", ")}` },
+        { status: 400 }
+      );
+    }
 
     if (!websiteUrl) {
       return NextResponse.json(
@@ -26,43 +113,50 @@ export async function POST(req) {
       return NextResponse.json({ error: "Invalid websiteUrl" }, { status: 400 });
     }
 
-    // ✅ include allowSubdomains in the cache key (prevents mixing modes)
-    const cacheKey = allowSubdomains ? `${hostname}::subdomains` : hostname;
+    // scheduled sites keep their snapshot until the next scheduled rescan
+    const ttlMs = snapshotTtlMs(hostname, "opportunities", TTL_MS);
 
-    // 1) SnapshotStore first (published only)
-    const cached = getLatestOpportunities(cacheKey, {
-      ttlMs: TTL_MS,
+    // 1) SnapshotStore first (published only), keyed like the scan job writes it
+    const cached = getLatestOpportunities(hostname, {
+      ttlMs,
       mode: "published",
+      allowSubdomains,
     });
 
-    if (cached) {
-      const blogs = Array.isArray(cached.blogs) ? cached.blogs : [];
-      const pages = Array.isArray(cached.pages) ? cached.pages : [];
+    // ✅ If a scan is still running, return 202 so UI can poll instead of re-enqueueing
+    const scanStatus = cached?.scan?.status;
+    const isInProgress =
+      scanStatus === "queued" ||
+      scanStatus === "running" ||
+      scanStatus === "pending";
+
+    // a finished snapshot discovered with less depth than asked for -> scan deeper
+    const cachedDepth = cached?.scan?.diagnostics?.maxUrls?.blogs ?? LEGACY_DEPTH;
+    const tooShallow = scanStatus === "complete" && cachedDepth < maxUrls;
 
-      // ✅ If a scan is still running, return 202 so UI can poll instead of re-enqueueing
-      const scanStatus = cached.scan?.status;
-      const isInProgress =
-        scanStatus === "queued" ||
-        scanStatus === "running" ||
-        scanStatus === "pending";
+    // a cancelled scan leaves no usable snapshot -> start a fresh one
+    if (
+      cached &&
+      scanStatus !== "cancelled" &&
+      ((!refresh && !tooShallow) || isInProgress)
+    ) {
+      const blogs = toCards(cached.blogs, "blog", {
+        sort,
+        offset: body?.blogOffset,
+        limit: body?.blogLimit,
+      });
+      const pages = toCards(cached.pages, "page", {
+        sort,
+        offset: body?.pageOffset,
+        limit: body?.pageLimit,
+      });
 
       const payload = {
         websiteUrl,
         hostname,
-        blogs: blogs.map(({ url, title, description, wordCount, isDraft }) => ({
-          url,
-          title,
-          description,
-          wordCount,
-          isDraft: Boolean(isDraft),
-        })),
-        pages: pages.map(({ url, title, description, wordCount, isDraft }) => ({
-          url,
-          title,
-          description,
-          wordCount,
-          isDraft: Boolean(isDraft),
-        })),
+        blogs: blogs.items,
+        pages: pages.items,
+        pagination: { blogs: blogs.pagination, pages: pages.pagination },
         source: {
           scanId: cached.scan?.scanId,
           status: cached.scan?.status,
@@ -72,6 +166,11 @@ export async function POST(req) {
           fromCache: true,
           allowSubdomains,
         },
+        cache: cacheInfo({
+          hit: true,
+          storedAt: cached.updatedAt || Date.now(),
+          ttlMs,
+        }),
       };
 
       return NextResponse.json(payload, { status: isInProgress ? 202 : 200 });
@@ -82,8 +181,7 @@ export async function POST(req) {
     const scan = await enqueueOpportunitiesScan({
       websiteUrl,
       allowSubdomains,
-      // optional: pass cacheKey if your job wants it
-      cacheKey,
+      maxUrls,
     });
 
     return NextResponse.json(
@@ -92,6 +190,7 @@ export async function POST(req) {
         hostname,
         blogs: [],
         pages: [],
+        pagination: null,
         source: {
           scanId: scan?.scanId || null,
           status: scan?.status || "queued",
@@ -99,6 +198,7 @@ export async function POST(req) {
           mode: "published",
           allowSubdomains,
         },
+        cache: cacheInfo({ hit: false, refreshed: refresh, ttlMs }),
       },
       { status: 202 }
     );
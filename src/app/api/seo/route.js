@@ -1,17 +1,26 @@
 // src/app/api/seo/route.js
 import { NextResponse } from "next/server";
 
-import { fetchPsiForStrategy } from "@/lib/seo/psi";
+import { fetchTechnicalSeo } from "@/lib/seo/psi";
+import { getLatestPsi, savePsiSnapshot, getLinkGraph } from "@/lib/seo/snapshots.store";
+import { snapshotTtlMs } from "@/lib/seo/jobs/scheduler";
+import { wantsRefresh, cacheInfo } from "@/lib/seo/cache";
 import { fetchOpenPageRank } from "@/lib/seo/openpagerank";
 import { fetchSerp } from "@/lib/seo/serper";
 import { fetchDataForSeo } from "@/lib/seo/dataforseo";
-import { extractPageText } from "@/lib/seo/apyhub";
+import { extractPageContent } from "@/lib/seo/main-content";
+import { suggestInternalLinks, linkStatsFor } from "@/lib/seo/link-graph";
+import { validateStructuredData } from "@/lib/seo/structured-data";
+import { parseHtml } from "@/lib/seo/html-parser";
+import { auditImages } from "@/lib/seo/image-audit";
 
-// ✅ used to fetch rendered HTML + extract title
-import { fetchHtml, extractTitle } from "@/lib/seo/extraction";
+// ✅ used to fetch rendered HTML + extract title / on-page signals
+import { fetchHtml, extractPage } from "@/lib/seo/extraction";
 
 export const runtime = "nodejs";
 
+const PSI_TTL_MS = 24 * 60 * 60 * 1000; // 24h
+
 /**
  * Normalize any user input into a valid absolute URL string.
  * - "example.com"        -> "https://example.com"
@@ -193,40 +202,68 @@ function sanitizeHtmlForEditor(inputHtml) {
   return html;
 }
 
+// on-page signals for the response: link lists are summarized, body text dropped
+function toOnPage({ text, links, ...page }) {
+  return {
+    ...page,
+    links: {
+      internal: links.filter((l) => l.internal).length,
+      external: links.filter((l) => !l.internal).length,
+      nofollow: links.filter((l) => l.nofollow).length,
+    },
+  };
+}
+
+// below this the main-content extractor's pick is a guess: hydrate from the whole body
+const MIN_EDITOR_CONFIDENCE = 0.4;
+
 /**
- * Prefer rendered HTML for editor hydration (keeps headings/paragraphs).
- * Always skip images.
- * Use ApyHub text for rawText and fallback HTML if rendered HTML is empty.
+ * Editor hydration from the page's main content (local boilerplate removal,
+ * or ApyHub text when SEO_CONTENT_PROVIDER=apyhub), image-free.
+ * Falls back to the sanitized rendered body when the extractor isn't
+ * confident, and to HTML built from the text when there's no HTML at all.
  */
 async function buildContentPayload(url) {
   let title = null;
   let rawText = "";
   let htmlForEditor = "";
+  let onPage = null;
+  let structuredData = null;
+  let fullHtml = "";
+  let main = null;
+  let parsed = null;
 
-  // 1) Rendered HTML -> sanitize
+  // 1) Rendered HTML -> on-page signals + JSON-LD / microdata validation
   try {
     const fetched = await fetchHtml(url);
-    const fullHtml = fetched?.html || "";
-    title = extractTitle(fullHtml) || null;
-
-    const bodyInner = extractBodyInnerHtml(fullHtml);
-    const safeHtml = sanitizeHtmlForEditor(bodyInner);
-
-    if (safeHtml && safeHtml.trim()) {
-      htmlForEditor = safeHtml.trim();
+    fullHtml = fetched?.html || "";
+    if (fullHtml) {
+      const baseUrl = fetched.finalUrl || url;
+      const doc = parseHtml(fullHtml);
+      parsed = { doc, baseUrl };
+      const page = extractPage(doc, { baseUrl });
+      onPage = toOnPage(page);
+      structuredData = validateStructuredData(doc, { jsonLd: page.jsonLd, baseUrl });
     }
+    title = onPage?.title || null;
   } catch {
     // ignore
   }
 
-  // 2) ApyHub text for rawText
+  // 2) Main content: rawText + editor HTML
   try {
-    const apyResult = await extractPageText(url);
-    rawText = (apyResult?.apyhub?.text || "").trim();
+    main = await extractPageContent(url, { html: fullHtml || null, images: false });
+    rawText = (main.text || "").trim();
   } catch {
     // ignore
   }
 
+  const fromMain = main?.html && main.confidence >= MIN_EDITOR_CONFIDENCE;
+  const safeHtml = sanitizeHtmlForEditor(fromMain ? main.html : extractBodyInnerHtml(fullHtml));
+  if (safeHtml && safeHtml.trim()) {
+    htmlForEditor = safeHtml.trim();
+  }
+
   // 3) Fallback HTML from text only
   if (!htmlForEditor && rawText) {
     htmlForEditor = textToHtml(rawText);
@@ -242,9 +279,37 @@ async function buildContentPayload(url) {
     title: title || null,
     rawText: rawText || "",
     html: htmlForEditor || "",
+    onPage,
+    structuredData,
+    extraction: main
+      ? {
+          provider: main.provider,
+          method: main.method,
+          confidence: main.confidence,
+          wordCount: main.wordCount,
+          editorHtml: fromMain ? "main_content" : "body",
+          ...(main.fallbackReason ? { fallbackReason: main.fallbackReason } : {}),
+        }
+      : null,
+    // parsed page, reused by the image audit (not part of the response)
+    parsed,
   };
 }
 
+/**
+ * Image audit of the page (alt text, formats, sizes, lazy loading, byte sizes
+ * via HEAD). Reuses the page parsed by the content pipeline when it ran.
+ */
+async function buildImagePayload(url, parsed = null) {
+  let page = parsed;
+  if (!page) {
+    const fetched = await fetchHtml(url);
+    if (!fetched?.html) throw new Error("Could not fetch page HTML for the image audit");
+    page = { doc: parseHtml(fetched.html), baseUrl: fetched.finalUrl || url };
+  }
+  return auditImages(page.doc, { baseUrl: page.baseUrl });
+}
+
 // Simple helper to compute % difference vs a baseline value
 function computePercentGrowth(current, baseline) {
   const cur = typeof current === "number" ? current : 0;
@@ -544,6 +609,38 @@ function ensureSeoRows(unified) {
   }
 }
 
+/**
+ * PSI (mobile + desktop) for `url`.
+ * Reuses a stored result while fresh (PSI_TTL_MS, or until the next scheduled
+ * check for scheduled sites), otherwise calls PSI and stores the result.
+ * `cache` follows the shared contract in lib/seo/cache.js (PSI is the only
+ * cached provider here; the others are always fetched live).
+ */
+async function loadTechnicalSeo(url, { refresh = false } = {}) {
+  const ttlMs = snapshotTtlMs(getDomainFromUrl(url), "psi", PSI_TTL_MS);
+  const stored = refresh ? null : getLatestPsi(url, { ttlMs });
+  if (stored) {
+    return {
+      technicalSeo: {
+        ...stored.technicalSeo,
+        checkedAt: new Date(stored.checkedAt).toISOString(),
+      },
+      cache: cacheInfo({ hit: true, storedAt: stored.checkedAt, ttlMs }),
+    };
+  }
+
+  const technicalSeo = await fetchTechnicalSeo(url);
+  const snap = savePsiSnapshot(url, technicalSeo);
+
+  return {
+    technicalSeo: {
+      ...technicalSeo,
+      checkedAt: new Date(snap.checkedAt).toISOString(),
+    },
+    cache: cacheInfo({ hit: false, refreshed: refresh, storedAt: snap.checkedAt, ttlMs }),
+  };
+}
+
 // ✅ merge helper for provider output that might be nested
 function mergeProviderResult(unified, providerKey, providerResult) {
   if (!providerResult) return;
@@ -598,6 +695,34 @@ function normalizeForUi(unified) {
   return unified;
 }
 
+/**
+ * Internal links from the site's stored link graph (Site Health / crawl):
+ * - `internalLinks`: this page's graph facts + pages it could link to
+ * - `dataForSeo.internalLinks`: the same suggestions for the Links tab
+ * Nothing is added before the site has been crawled.
+ */
+function attachInternalLinks(unified, url, domain) {
+  const graph = domain ? getLinkGraph(domain) : null;
+  if (!graph) return;
+
+  const suggestions = suggestInternalLinks(graph, url);
+  unified.internalLinks = {
+    source: graph.source,
+    crawledAt: graph.createdAt,
+    page: linkStatsFor(graph, url),
+    suggestions,
+  };
+
+  unified.dataForSeo = unified.dataForSeo || {};
+  unified.dataForSeo.internalLinks = suggestions.map((p) => ({
+    url: p.url,
+    count: p.inlinks,
+    rankScore: p.rankScore,
+    depth: p.depth,
+    orphan: p.orphan,
+  }));
+}
+
 function needsBacklinkFallback(unified) {
   const bfs = unified?.dataForSeo?.backlinksSummary;
   if (!bfs) return true;
@@ -628,7 +753,7 @@ export async function POST(request) {
       // If true, force DataForSEO into "keywordsOnly" mode
       keywordsOnly = false,
 
-      // Providers
+      // Providers ("images" is opt-in: it sends HEAD / ranged requests per image)
       providers = ["psi", "authority", "serper", "dataforseo", "content"],
     } = body || {};
 
@@ -649,6 +774,9 @@ export async function POST(request) {
 
     const domain = getDomainFromUrl(url);
 
+    // refresh=true -> skip stored PSI results (see lib/seo/cache.js)
+    const refresh = wantsRefresh(request, body);
+
     const accept = request.headers.get("accept") || "";
     const wantsSSE = accept.includes("text/event-stream");
 
@@ -662,37 +790,8 @@ export async function POST(request) {
         tasks.push(
           (async () => {
             try {
-              const [mobile, desktop] = await Promise.all([
-                fetchPsiForStrategy(url, "mobile"),
-                fetchPsiForStrategy(url, "desktop"),
-              ]);
-
-              const technicalSeo = {
-                performanceScoreMobile:
-                  typeof mobile.performanceScore === "number"
-                    ? mobile.performanceScore
-                    : null,
-                performanceScoreDesktop:
-                  typeof desktop.performanceScore === "number"
-                    ? desktop.performanceScore
-                    : null,
-                coreWebVitals:
-                  mobile.coreWebVitalsLab || desktop.coreWebVitalsLab || {},
-                coreWebVitalsField:
-                  mobile.coreWebVitalsField ||
-                  desktop.coreWebVitalsField ||
-                  {},
-                issueCounts: {
-                  critical:
-                    (mobile.issueCounts?.critical ?? 0) +
-                    (desktop.issueCounts?.critical ?? 0),
-                  warning:
-                    (mobile.issueCounts?.warning ?? 0) +
-                    (desktop.issueCounts?.warning ?? 0),
-                },
-              };
-
-              return { key: "psi", ok: true, result: { technicalSeo } };
+              const result = await loadTechnicalSeo(url, { refresh });
+              return { key: "psi", ok: true, result };
             } catch (error) {
               return {
                 key: "psi",
@@ -794,9 +893,11 @@ export async function POST(request) {
       // -----------------------------------------
       // 2. CONTENT PIPELINE
       // -----------------------------------------
+      let parsedPage = null;
       if (providers.includes("content") && !keywordsOnly) {
         try {
           const content = await buildContentPayload(url);
+          parsedPage = content?.parsed || null;
 
           if (content?.html || content?.title || content?.rawText) {
             unified.content = {
@@ -804,6 +905,9 @@ export async function POST(request) {
               html: content.html || "",
               title: content.title || null,
               source: content.html ? "rendered_html" : "text_fallback",
+              onPage: content.onPage || null,
+              structuredData: content.structuredData || null,
+              extraction: content.extraction || null,
             };
           } else {
             unified._warnings = unified._warnings || [];
@@ -816,8 +920,21 @@ export async function POST(request) {
         }
       }
 
+      // -----------------------------------------
+      // 2b. IMAGE AUDIT
+      // -----------------------------------------
+      if (providers.includes("images") && !keywordsOnly) {
+        try {
+          unified.images = await buildImagePayload(url, parsedPage);
+        } catch (err) {
+          unified._errors = unified._errors || {};
+          unified._errors.images = err?.message || "Image audit failed";
+        }
+      }
+
       // ✅ normalize shapes for UI consumers
       normalizeForUi(unified);
+      attachInternalLinks(unified, url, domain);
 
       // -----------------------------------------
       // 3. NORMALIZED ISSUE COUNTS FOR DASHBOARD
@@ -938,39 +1055,7 @@ export async function POST(request) {
               runProvider(
                 "psi",
                 "Fetching PageSpeed Insights (mobile + desktop)…",
-                async () => {
-                  const [mobile, desktop] = await Promise.all([
-                    fetchPsiForStrategy(url, "mobile"),
-                    fetchPsiForStrategy(url, "desktop"),
-                  ]);
-
-                  const technicalSeo = {
-                    performanceScoreMobile:
-                      typeof mobile.performanceScore === "number"
-                        ? mobile.performanceScore
-                        : null,
-                    performanceScoreDesktop:
-                      typeof desktop.performanceScore === "number"
-                        ? desktop.performanceScore
-                        : null,
-                    coreWebVitals:
-                      mobile.coreWebVitalsLab || desktop.coreWebVitalsLab || {},
-                    coreWebVitalsField:
-                      mobile.coreWebVitalsField ||
-                      desktop.coreWebVitalsField ||
-                      {},
-                    issueCounts: {
-                      critical:
-                        (mobile.issueCounts?.critical ?? 0) +
-                        (desktop.issueCounts?.critical ?? 0),
-                      warning:
-                        (mobile.issueCounts?.warning ?? 0) +
-                        (desktop.issueCounts?.warning ?? 0),
-                    },
-                  };
-
-                  return { technicalSeo };
-                }
+                async () => loadTechnicalSeo(url, { refresh })
               )
             );
           }
@@ -1073,16 +1158,18 @@ export async function POST(request) {
           }
 
           // 2) Content pipeline
+          let parsedPage = null;
           if (providers.includes("content") && !keywordsOnly) {
             send("status", {
               stage: "content",
               state: "start",
               message:
-                "Extracting page content (title + rendered HTML, image-free)…",
+                "Extracting page content (title + main content, image-free)…",
             });
 
             try {
               const content = await buildContentPayload(url);
+              parsedPage = content?.parsed || null;
 
               if (content?.html || content?.title || content?.rawText) {
                 unified.content = {
@@ -1090,6 +1177,9 @@ export async function POST(request) {
                   html: content.html || "",
                   title: content.title || null,
                   source: content.html ? "rendered_html" : "text_fallback",
+                  onPage: content.onPage || null,
+                  structuredData: content.structuredData || null,
+                  extraction: content.extraction || null,
                 };
 
                 send("status", {
@@ -1120,8 +1210,35 @@ export async function POST(request) {
             }
           }
 
+          // 3) Image audit
+          if (providers.includes("images") && !keywordsOnly) {
+            send("status", {
+              stage: "images",
+              state: "start",
+              message: "Auditing images (alt text, formats, sizes)…",
+            });
+
+            try {
+              unified.images = await buildImagePayload(url, parsedPage);
+              send("status", {
+                stage: "images",
+                state: "done",
+                message: `${unified.images.summary.images} images audited`,
+              });
+            } catch (err) {
+              unified._errors = unified._errors || {};
+              unified._errors.images = err?.message || "Image audit failed";
+              send("status", {
+                stage: "images",
+                state: "error",
+                message: unified._errors.images,
+              });
+            }
+          }
+
           // ✅ normalize shapes for UI consumers
           normalizeForUi(unified);
+          attachInternalLinks(unified, url, domain);
 
           send("status", {
             stage: "finalize",
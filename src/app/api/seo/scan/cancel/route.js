@@ -0,0 +1,51 @@
+// src/app/api/seo/scan/cancel/route.js
+import { NextResponse } from "next/server";
+import { getScan } from "@/lib/seo/snapshots.store";
+import { cancelOpportunitiesScan } from "@/lib/seo/jobs/scan-opportunities";
+import { cancelDraftScan } from "@/lib/seo/jobs/scan-draft";
+import { cancelSiteHealthAudit } from "@/lib/seo/jobs/scan-site-health";
+
+export const runtime = "nodejs";
+
+/**
+ * POST { scanId }  (or ?scanId=…)
+ *
+ * Aborts a queued/running scan and marks it "cancelled".
+ * - 404 if the scan is unknown
+ * - 409 if the scan already finished (complete/failed/cancelled)
+ */
+export async function POST(req) {
+  const { searchParams } = new URL(req.url);
+  const body = await req.json().catch(() => ({}));
+  const scanId = String(body?.scanId || searchParams.get("scanId") || "").trim();
+
+  if (!scanId) {
+    return NextResponse.json({ error: "scanId is required" }, { status: 400 });
+  }
+
+  const scan = getScan(scanId);
+  if (!scan) {
+    return NextResponse.json({ error: "scan not found" }, { status: 404 });
+  }
+
+  if (scan.status !== "queued" && scan.status !== "running") {
+    return NextResponse.json(
+      { error: `scan already ${scan.status}`, scanId, status: scan.status },
+      { status: 409 }
+    );
+  }
+
+  const cancelled =
+    scan.mode === "draft"
+      ? cancelDraftScan(scanId)
+      : scan.kind === "site-health"
+      ? cancelSiteHealthAudit(scanId)
+      : cancelOpportunitiesScan(scanId);
+
+  return NextResponse.json({
+    scanId,
+    status: cancelled?.status || "cancelled",
+    hostname: scan.hostname,
+    cancelledAt: cancelled?.cancelledAt || null,
+  });
+}
@@ -1,9 +1,46 @@
 // src/app/api/seo/scan/status/route.js
 import { NextResponse } from "next/server";
-import { getScan } from "@/lib/seo/snapshots.store";
+import { getScan, subscribeToScan } from "@/lib/seo/snapshots.store";
+
+// registering the job handlers resumes scans interrupted by a restart
+import "@/lib/seo/jobs/scan-opportunities";
+import "@/lib/seo/jobs/scan-draft";
+import "@/lib/seo/jobs/scan-site-health";
 
 export const runtime = "nodejs";
 
+const TERMINAL = new Set(["complete", "failed", "cancelled"]);
+const HEARTBEAT_MS = 15_000;
+
+function toStatusPayload(scan) {
+  return {
+    scanId: scan.scanId,
+    status: scan.status,
+    hostname: scan.hostname,
+    createdAt: scan.createdAt,
+    attempts: scan.attempts || 0,
+    retry: scan.retry || null,
+    error: scan.error || null,
+    progress: scan.progress || null,
+    diagnostics: scan.diagnostics || {},
+  };
+}
+
+function sseFormat(event, data) {
+  const payload =
+    typeof data === "string" ? data : JSON.stringify(data ?? {}, null, 0);
+  return `event: ${event}\ndata: ${payload}\n\n`;
+}
+
+/**
+ * GET /api/seo/scan/status?scanId=…
+ *
+ * - JSON (default): current status snapshot
+ * - SSE (Accept: text/event-stream):
+ *     event: status   -> full status payload on every transition (sent once on connect)
+ *     event: progress -> { stage, step?, message?, done?, total?, url?, at }
+ *     event: done     -> final status payload, then the stream closes
+ */
 export async function GET(req) {
   const { searchParams } = new URL(req.url);
   const scanId = searchParams.get("scanId");
@@ -17,11 +54,87 @@ export async function GET(req) {
     return NextResponse.json({ error: "scan not found" }, { status: 404 });
   }
 
-  return NextResponse.json({
-    scanId: scan.scanId,
-    status: scan.status,
-    hostname: scan.hostname,
-    createdAt: scan.createdAt,
-    diagnostics: scan.diagnostics || {},
+  const accept = req.headers.get("accept") || "";
+  const wantsSSE = accept.includes("text/event-stream");
+
+  if (!wantsSSE) {
+    return NextResponse.json(toStatusPayload(scan));
+  }
+
+  // -------------------------
+  // SSE STREAMING MODE
+  // -------------------------
+  const encoder = new TextEncoder();
+  let cleanup = () => {};
+
+  const stream = new ReadableStream({
+    start(controller) {
+      let closed = false;
+
+      const send = (event, data) => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(sseFormat(event, data)));
+        } catch {
+          cleanup();
+        }
+      };
+
+      const heartbeat = setInterval(() => {
+        if (closed) return;
+        try {
+          controller.enqueue(encoder.encode(": ping\n\n"));
+        } catch {
+          cleanup();
+        }
+      }, HEARTBEAT_MS);
+
+      let unsubscribe = () => {};
+
+      cleanup = () => {
+        if (closed) return;
+        closed = true;
+        clearInterval(heartbeat);
+        unsubscribe();
+        try {
+          controller.close();
+        } catch {}
+      };
+
+      const finishIfTerminal = (s) => {
+        if (!TERMINAL.has(s?.status)) return false;
+        send("done", toStatusPayload(s));
+        cleanup();
+        return true;
+      };
+
+      send("status", toStatusPayload(scan));
+      if (finishIfTerminal(scan)) return;
+
+      unsubscribe = subscribeToScan(scanId, (evt) => {
+        if (evt.type === "progress") {
+          send("progress", evt.progress);
+          return;
+        }
+        send("status", toStatusPayload(evt.scan));
+        finishIfTerminal(evt.scan);
+      });
+
+      // client went away
+      req.signal?.addEventListener("abort", () => cleanup(), { once: true });
+    },
+
+    cancel() {
+      cleanup();
+    },
+  });
+
+  return new Response(stream, {
+    status: 200,
+    headers: {
+      "Content-Type": "text/event-stream; charset=utf-8",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+    },
   });
 }
@@ -0,0 +1,111 @@
+// src/app/api/seo/scans/route.js
+import { NextResponse } from "next/server";
+import { getHostname, normalizeToHttps } from "@/lib/seo/discovery";
+import { getScan, getScanResults, listScans } from "@/lib/seo/snapshots.store";
+
+export const runtime = "nodejs";
+
+const SCAN_KINDS = ["opportunities", "draft", "site-health"];
+
+function toScanSummary(scan) {
+  return {
+    scanId: scan.scanId,
+    kind: scan.mode === "draft" ? "draft" : scan.kind || "opportunities",
+    hostname: scan.hostname,
+    websiteUrl: scan.websiteUrl || "",
+    mode: scan.mode,
+    provider: scan.provider || null,
+    allowSubdomains: Boolean(scan.allowSubdomains),
+    status: scan.status,
+    createdAt: scan.createdAt,
+    error: scan.error || null,
+  };
+}
+
+/**
+ * GET /api/seo/scans
+ *
+ * List (newest first):
+ *   ?hostname=&kind=opportunities|draft|site-health&mode=published|draft&provider=
+ *   &status=queued|running|complete|failed|cancelled&from=&to=&page=1&pageSize=20
+ *
+ * Single scan with its stored results:
+ *   ?scanId=…
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const scanId = searchParams.get("scanId");
+
+  if (scanId) {
+    const scan = getScan(scanId);
+    if (!scan) {
+      return NextResponse.json({ error: "scan not found" }, { status: 404 });
+    }
+
+    const results = getScanResults(scanId);
+    const pick = ({ url, title, description, wordCount, isDraft }) => ({
+      url,
+      title,
+      description,
+      wordCount,
+      isDraft: Boolean(isDraft),
+    });
+
+    return NextResponse.json({
+      scan: {
+        ...toScanSummary(scan),
+        diagnostics: scan.diagnostics || {},
+      },
+      results: results
+        ? {
+            version: results.version,
+            createdAt: results.createdAt,
+            blogs: results.blogs.map(pick),
+            pages: results.pages.map(pick),
+          }
+        : null,
+    });
+  }
+
+  const hostInput = searchParams.get("hostname");
+  const hostname = hostInput ? getHostname(normalizeToHttps(hostInput)) : "";
+  if (hostInput && !hostname) {
+    return NextResponse.json({ error: "Invalid hostname" }, { status: 400 });
+  }
+
+  const kind = searchParams.get("kind");
+  if (kind && !SCAN_KINDS.includes(kind)) {
+    return NextResponse.json(
+      { error: `kind must be one of: ${SCAN_KINDS.join(", ")}` },
+      { status: 400 }
+    );
+  }
+
+  const from = searchParams.get("from");
+  const to = searchParams.get("to");
+  for (const [name, value] of [["from", from], ["to", to]]) {
+    if (value && !Number.isFinite(new Date(value).getTime())) {
+      return NextResponse.json({ error: `Invalid '${name}' date` }, { status: 400 });
+    }
+  }
+
+  const { items, total, page, pageSize } = listScans({
+    hostname,
+    kind,
+    mode: searchParams.get("mode") || undefined,
+    provider: searchParams.get("provider") || undefined,
+    status: searchParams.get("status") || undefined,
+    from,
+    to,
+    page: searchParams.get("page"),
+    pageSize: searchParams.get("pageSize"),
+  });
+
+  return NextResponse.json({
+    scans: items.map(toScanSummary),
+    total,
+    page,
+    pageSize,
+    hasMore: page * pageSize < total,
+  });
+}
@@ -0,0 +1,105 @@
+// src/app/api/seo/schedules/route.js
+import { NextResponse } from "next/server";
+import {
+  startScheduler,
+  upsertSchedule,
+  getSchedule,
+  listSchedules,
+  deleteSchedule,
+  runScheduleNow,
+} from "@/lib/seo/jobs/scheduler";
+
+export const runtime = "nodejs";
+
+startScheduler();
+
+// draft payloads carry provider details (site, ids, credential refs) -> never return them
+function publicSchedule({ draft, ...schedule }) {
+  return {
+    ...schedule,
+    nextRunAt: schedule.nextRunAt ? new Date(schedule.nextRunAt).toISOString() : null,
+    draft: draft ? { provider: draft.provider } : null,
+  };
+}
+
+/**
+ * GET /api/seo/schedules            -> all scheduled sites
+ * GET /api/seo/schedules?hostname=… -> one schedule
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const hostname = searchParams.get("hostname");
+
+  if (hostname) {
+    const schedule = getSchedule(hostname);
+    if (!schedule) {
+      return NextResponse.json({ error: "schedule not found" }, { status: 404 });
+    }
+    return NextResponse.json({ schedule: publicSchedule(schedule) });
+  }
+
+  return NextResponse.json({ schedules: listSchedules().map(publicSchedule) });
+}
+
+/**
+ * POST body:
+ * {
+ *   "websiteUrl": "https://example.com",
+ *   "cadence": "daily",                 // hourly | daily | weekly, or intervalHours
+ *   "tasks": ["opportunities", "psi", "draft"],
+ *   "allowSubdomains": false,
+ *   "draft": { "provider": "wordpress", "payload": { …, "credentialsEnv": "ACME_WP" } },   // for "draft"
+ *   "enabled": true,
+ *   "runNow": false
+ * }
+ *
+ * POST { hostname, action: "run" } enqueues the site's tasks immediately.
+ */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+
+  if (body?.action === "run") {
+    const schedule = runScheduleNow(String(body?.hostname || ""));
+    if (!schedule) {
+      return NextResponse.json({ error: "schedule not found" }, { status: 404 });
+    }
+    return NextResponse.json({ schedule: publicSchedule(schedule) });
+  }
+  if (body?.action) {
+    return NextResponse.json({ error: `Unsupported action: ${body.action}` }, { status: 400 });
+  }
+
+  if (!body?.websiteUrl) {
+    return NextResponse.json({ error: "websiteUrl is required" }, { status: 400 });
+  }
+
+  let schedule;
+  try {
+    schedule = upsertSchedule(body);
+  } catch (e) {
+    return NextResponse.json({ error: e?.message || "Invalid schedule" }, { status: 400 });
+  }
+
+  if (body.runNow) schedule = runScheduleNow(schedule.hostname);
+
+  return NextResponse.json({ schedule: publicSchedule(schedule) });
+}
+
+/**
+ * DELETE /api/seo/schedules?hostname=example.com
+ */
+export async function DELETE(req) {
+  const { searchParams } = new URL(req.url);
+  const hostname = searchParams.get("hostname");
+
+  if (!hostname) {
+    return NextResponse.json({ error: "hostname is required" }, { status: 400 });
+  }
+
+  const removed = deleteSchedule(hostname);
+  if (!removed) {
+    return NextResponse.json({ error: "schedule not found" }, { status: 404 });
+  }
+
+  return NextResponse.json({ deleted: removed.hostname });
+}
@@ -0,0 +1,146 @@
+// src/app/api/seo/site-health/route.js
+import { NextResponse } from "next/server";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  getScan,
+  getSiteAudit,
+  getLatestSiteAudit,
+  listSiteAudits,
+} from "@/lib/seo/snapshots.store";
+import { enqueueSiteHealthAudit, clampAuditPages } from "@/lib/seo/jobs/scan-site-health";
+import { wantsRefresh, cacheInfo } from "@/lib/seo/cache";
+import { SEVERITIES } from "@/lib/seo/site-health";
+
+export const runtime = "nodejs";
+
+const TTL_MS = 24 * 60 * 60 * 1000; // 24h
+
+function toAuditPayload(audit, { withPages = false } = {}) {
+  return {
+    scanId: audit.scanId,
+    hostname: audit.hostname,
+    websiteUrl: audit.websiteUrl,
+    allowSubdomains: audit.allowSubdomains,
+    createdAt: audit.createdAt,
+    score: audit.score,
+    counts: audit.counts,
+    pagesAudited: audit.pagesAudited,
+    issues: audit.issues,
+    linkGraph: audit.linkGraph || null,
+    ...(withPages ? { pages: audit.pages } : {}),
+    diagnostics: audit.diagnostics || {},
+  };
+}
+
+/**
+ * POST { websiteUrl, allowSubdomains?, maxPages?, refresh? }
+ *
+ * Returns the latest Site Health audit while fresh (200), or queues a new one
+ * (crawl of up to maxPages pages, default 200, max 1000) and returns 202 with
+ * its scanId; follow it with /api/seo/scan/status.
+ *
+ * audit: { scanId, score (0-100), counts: { error, warning, notice }, pagesAudited,
+ *          issues: [{ type, severity, title, count, affected: [{ url, note, sources? }] }],
+ *          linkGraph: { pages, edges, orphans, avgDepth, maxDepth, depths, topPages, … } }
+ * The full link graph is served by /api/seo/link-graph.
+ */
+export async function POST(req) {
+  try {
+    const body = await req.json().catch(() => ({}));
+    const websiteUrl = normalizeToHttps(body?.websiteUrl);
+    const hostname = getHostname(websiteUrl);
+    if (!hostname) {
+      return NextResponse.json({ error: "websiteUrl is required" }, { status: 400 });
+    }
+
+    const allowSubdomains = Boolean(body?.allowSubdomains);
+    const refresh = wantsRefresh(req, body);
+
+    const latest = refresh
+      ? null
+      : getLatestSiteAudit(hostname, { allowSubdomains, ttlMs: TTL_MS });
+    if (latest) {
+      return NextResponse.json({
+        ...toAuditPayload(latest),
+        status: "complete",
+        cache: cacheInfo({
+          hit: true,
+          storedAt: new Date(latest.createdAt).getTime(),
+          ttlMs: TTL_MS,
+        }),
+      });
+    }
+
+    const scan = enqueueSiteHealthAudit({
+      websiteUrl,
+      allowSubdomains,
+      maxPages: clampAuditPages(body?.maxPages),
+    });
+
+    return NextResponse.json(
+      {
+        scanId: scan.scanId,
+        hostname,
+        status: scan.status,
+        cache: cacheInfo({ hit: false, refreshed: refresh, ttlMs: TTL_MS }),
+      },
+      { status: 202 }
+    );
+  } catch (e) {
+    return NextResponse.json(
+      { error: e?.message || "Failed to start site audit" },
+      { status: 500 }
+    );
+  }
+}
+
+/**
+ * GET ?scanId=…[&severity=error|warning|notice]
+ *   One audit with its issues and per-page facts.
+ *
+ * GET ?hostname=…[&allowSubdomains=true]
+ *   Stored audits of a host (newest first, scores + counts only).
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const scanId = searchParams.get("scanId");
+
+  if (scanId) {
+    const audit = getSiteAudit(scanId);
+    if (!audit) {
+      const scan = getScan(scanId);
+      if (scan?.kind === "site-health") {
+        // not finished yet (or failed / cancelled)
+        return NextResponse.json(
+          { scanId, status: scan.status, error: scan.error || null },
+          { status: 202 }
+        );
+      }
+      return NextResponse.json({ error: "audit not found" }, { status: 404 });
+    }
+
+    const severity = searchParams.get("severity");
+    if (severity && !SEVERITIES.includes(severity)) {
+      return NextResponse.json(
+        { error: `severity must be one of: ${SEVERITIES.join(", ")}` },
+        { status: 400 }
+      );
+    }
+
+    const payload = toAuditPayload(audit, { withPages: true });
+    if (severity) payload.issues = payload.issues.filter((i) => i.severity === severity);
+    return NextResponse.json({ ...payload, status: "complete" });
+  }
+
+  const hostname = getHostname(normalizeToHttps(searchParams.get("hostname")));
+  if (!hostname) {
+    return NextResponse.json({ error: "scanId or hostname is required" }, { status: 400 });
+  }
+
+  const allowSubdomains = searchParams.get("allowSubdomains") === "true";
+  return NextResponse.json({
+    hostname,
+    allowSubdomains,
+    audits: listSiteAudits(hostname, { allowSubdomains }),
+  });
+}
@@ -0,0 +1,119 @@
+// src/app/api/seo/url-rules/route.js
+import { NextResponse } from "next/server";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  DEFAULT_EXCLUDES,
+  QUERY_PARAM_MODES,
+  createUrlRulesGate,
+  getUrlRules,
+  listUrlRules,
+  saveUrlRules,
+  deleteUrlRules,
+} from "@/lib/seo/url-rules";
+
+export const runtime = "nodejs";
+
+const MAX_TEST_URLS = 200;
+
+function hostFrom(value) {
+  return getHostname(normalizeToHttps(value || ""));
+}
+
+/**
+ * GET /api/seo/url-rules            -> all sites with rules
+ * GET /api/seo/url-rules?hostname=… -> one site's rules (the defaults when none are stored)
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const raw = searchParams.get("hostname");
+
+  if (raw) {
+    const hostname = hostFrom(raw);
+    if (!hostname) return NextResponse.json({ error: "invalid hostname" }, { status: 400 });
+
+    const stored = getUrlRules(hostname);
+    return NextResponse.json({
+      rules: stored || { hostname, ...createUrlRulesGate(null).rules },
+      stored: Boolean(stored),
+      defaultExcludes: DEFAULT_EXCLUDES,
+      queryParamModes: QUERY_PARAM_MODES,
+    });
+  }
+
+  return NextResponse.json({ rules: listUrlRules() });
+}
+
+/**
+ * POST body:
+ * {
+ *   "websiteUrl": "https://example.com",     // or "hostname"
+ *   "include": ["/guides/**"],               // globs, or "re:<regex>"
+ *   "exclude": ["/tag/**", "re:/page/\\d+"],
+ *   "defaultExcludes": true,                 // assets, cart, login, feed, amp, …
+ *   "maxDepth": 4,                           // path segments, null = no limit
+ *   "queryParams": "strip-tracking",         // strip-tracking | strip-all | keep
+ *   "keepParams": ["lang"],
+ *   "stripParams": ["sessionid"]
+ * }
+ * Replaces the site's rules; they apply to scans and audits started afterwards
+ * (pass refresh to the opportunities / site-health routes to rescan now).
+ *
+ * POST { websiteUrl, action: "test", urls: [...], rules? } checks URLs (or paths) against
+ * the stored rules (or the given unsaved ones) without saving anything.
+ */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+  const hostname = hostFrom(body?.websiteUrl || body?.hostname);
+  if (!hostname) {
+    return NextResponse.json({ error: "websiteUrl is required" }, { status: 400 });
+  }
+
+  if (body?.action === "test") {
+    const urls = Array.isArray(body?.urls) ? body.urls.slice(0, MAX_TEST_URLS) : [];
+    let gate;
+    try {
+      gate = createUrlRulesGate(body?.rules || getUrlRules(hostname));
+    } catch (e) {
+      return NextResponse.json({ error: e?.message || "Invalid rules" }, { status: 400 });
+    }
+    return NextResponse.json({
+      hostname,
+      // paths ("/blog/x") are resolved against the site
+      results: urls.map((raw) => {
+        let url = "";
+        try {
+          url = gate.normalize(new URL(String(raw || ""), `https://${hostname}/`).toString());
+        } catch {}
+        return { input: raw, url, ...(url ? gate.test(url) : { allowed: false, reason: "invalid" }) };
+      }),
+    });
+  }
+  if (body?.action) {
+    return NextResponse.json({ error: `Unsupported action: ${body.action}` }, { status: 400 });
+  }
+
+  try {
+    return NextResponse.json({ rules: saveUrlRules(hostname, body) });
+  } catch (e) {
+    return NextResponse.json({ error: e?.message || "Invalid rules" }, { status: 400 });
+  }
+}
+
+/**
+ * DELETE /api/seo/url-rules?hostname=example.com  (back to the defaults)
+ */
+export async function DELETE(req) {
+  const { searchParams } = new URL(req.url);
+  const hostname = hostFrom(searchParams.get("hostname"));
+
+  if (!hostname) {
+    return NextResponse.json({ error: "hostname is required" }, { status: 400 });
+  }
+
+  const removed = deleteUrlRules(hostname);
+  if (!removed) {
+    return NextResponse.json({ error: "url rules not found" }, { status: 404 });
+  }
+
+  return NextResponse.json({ deleted: removed.hostname });
+}
@@ -0,0 +1,52 @@
+// src/app/api/seo/webhooks/deliveries/route.js
+import { NextResponse } from "next/server";
+import { listWebhookDeliveries, redeliverWebhook } from "@/lib/seo/webhooks";
+
+export const runtime = "nodejs";
+
+/**
+ * GET /api/seo/webhooks/deliveries?webhookId=…&hostname=…&scanId=…&status=failed&limit=50
+ *
+ * Delivery log, newest first. Each entry lists its attempts
+ * ({ at, attempt, responseStatus, responseBody, error, durationMs }).
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+
+  return NextResponse.json({
+    deliveries: listWebhookDeliveries({
+      webhookId: searchParams.get("webhookId") || undefined,
+      hostname: searchParams.get("hostname") || undefined,
+      scanId: searchParams.get("scanId") || undefined,
+      status: searchParams.get("status") || undefined,
+      limit: searchParams.get("limit") || undefined,
+    }),
+  });
+}
+
+/**
+ * POST { deliveryId, action: "redeliver" }
+ * Re-queues a failed delivery with a fresh set of attempts.
+ */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+  const deliveryId = String(body?.deliveryId || "").trim();
+  const action = String(body?.action || "redeliver");
+
+  if (!deliveryId) {
+    return NextResponse.json({ error: "deliveryId is required" }, { status: 400 });
+  }
+  if (action !== "redeliver") {
+    return NextResponse.json({ error: `Unsupported action: ${action}` }, { status: 400 });
+  }
+
+  const delivery = redeliverWebhook(deliveryId);
+  if (!delivery) {
+    return NextResponse.json(
+      { error: "delivery not found or not in failed state" },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({ delivery });
+}
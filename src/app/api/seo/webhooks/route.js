@@ -0,0 +1,86 @@
+// src/app/api/seo/webhooks/route.js
+import { NextResponse } from "next/server";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  createWebhook,
+  listWebhooks,
+  updateWebhook,
+  deleteWebhook,
+} from "@/lib/seo/webhooks";
+
+export const runtime = "nodejs";
+
+// the signing secret is only returned once, on creation
+function publicWebhook({ secret, ...hook }) {
+  return { ...hook, secretPreview: secret ? `…${String(secret).slice(-4)}` : null };
+}
+
+/**
+ * GET /api/seo/webhooks?hostname=example.com
+ */
+export async function GET(req) {
+  const { searchParams } = new URL(req.url);
+  const hostname = searchParams.get("hostname") || undefined;
+
+  return NextResponse.json({
+    webhooks: listWebhooks({ hostname }).map(publicWebhook),
+  });
+}
+
+/**
+ * POST (subscribe):
+ * {
+ *   "hostname": "example.com",          // or websiteUrl
+ *   "url": "https://cms.example.com/hooks/drfizz",
+ *   "events": ["scan.completed", "scan.failed"],   // optional, default: both
+ *   "secret": "…"                        // optional, generated when omitted
+ * }
+ * -> { webhook: { …, secret } }
+ *
+ * POST { id, enabled: false } pauses/resumes a subscription.
+ */
+export async function POST(req) {
+  const body = await req.json().catch(() => ({}));
+
+  if (body?.id) {
+    const hook = updateWebhook(String(body.id), { enabled: body.enabled });
+    if (!hook) {
+      return NextResponse.json({ error: "webhook not found" }, { status: 404 });
+    }
+    return NextResponse.json({ webhook: publicWebhook(hook) });
+  }
+
+  const hostname =
+    String(body?.hostname || "").trim() || getHostname(normalizeToHttps(body?.websiteUrl));
+
+  try {
+    const hook = await createWebhook({
+      hostname,
+      url: body?.url,
+      events: body?.events,
+      secret: body?.secret,
+    });
+    return NextResponse.json({ webhook: hook }, { status: 201 });
+  } catch (e) {
+    return NextResponse.json({ error: e?.message || "Invalid webhook" }, { status: 400 });
+  }
+}
+
+/**
+ * DELETE /api/seo/webhooks?id=…
+ */
+export async function DELETE(req) {
+  const { searchParams } = new URL(req.url);
+  const id = searchParams.get("id");
+
+  if (!id) {
+    return NextResponse.json({ error: "id is required" }, { status: 400 });
+  }
+
+  const removed = deleteWebhook(id);
+  if (!removed) {
+    return NextResponse.json({ error: "webhook not found" }, { status: 404 });
+  }
+
+  return NextResponse.json({ deleted: removed.id });
+}
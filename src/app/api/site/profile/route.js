@@ -1,33 +1,14 @@
 // src/app/api/site/profile/route.js
 import { NextResponse } from "next/server";
+import { createRouteCache, wantsRefresh, cacheInfo } from "@/lib/seo/cache";
+import { extractPage } from "@/lib/seo/extraction";
 
 export const runtime = "nodejs";
 
 /**
- * In-memory cache (per Node process)
+ * Site profile cache (per host, shared cache contract)
  */
-const g = globalThis;
-if (!g.__siteProfileCache) {
-  g.__siteProfileCache = {
-    profile: new Map(), // domain -> { expiresAt, value }
-    inflight: new Map(), // domain -> Promise
-  };
-}
-const CACHE = g.__siteProfileCache;
-
-function cacheGet(map, key) {
-  const hit = map.get(key);
-  if (!hit) return null;
-  if (Date.now() > hit.expiresAt) {
-    map.delete(key);
-    return null;
-  }
-  return hit.value;
-}
-
-function cacheSet(map, key, value, ttlMs) {
-  map.set(key, { value, expiresAt: Date.now() + ttlMs });
-}
+const CACHE = createRouteCache("site-profile", { ttlMs: 30 * 60 * 1000 });
 
 function normalizeHost(input) {
   if (!input || typeof input !== "string") return null;
@@ -67,11 +48,6 @@ function stripTags(html) {
   return safeText(String(html || "").replace(/<[^>]+>/g, " "));
 }
 
-function firstMatch(html, re) {
-  const m = re.exec(html);
-  return m ? m[1] : "";
-}
-
 function allMatches(html, re, limit = 50) {
   const out = [];
   let m;
@@ -119,65 +95,12 @@ function slugToPhrase(urlStr, origin) {
   }
 }
 
-/**
- * Extract visible-ish body text sample:
- * - remove scripts/styles
- * - remove tags
- * - keep first N chars (enough for topics)
- */
-function extractBodyTextSample(html, maxChars = 3000) {
-  const withoutScripts = String(html || "")
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<noscript[\s\S]*?<\/noscript>/gi, " ")
-    .replace(/<!--[\s\S]*?-->/g, " ");
-
-  const text = stripTags(withoutScripts);
-  if (!text) return "";
-  return text.slice(0, maxChars);
-}
-
-/**
- * Extract OG tags (often better than meta description)
- */
-function extractOpenGraph(html) {
-  const ogTitle =
-    firstMatch(
-      html,
-      /<meta[^>]+property=["']og:title["'][^>]*content=["']([\s\S]*?)["'][^>]*>/i
-    ) ||
-    firstMatch(
-      html,
-      /<meta[^>]+content=["']([\s\S]*?)["'][^>]*property=["']og:title["'][^>]*>/i
-    );
-
-  const ogDesc =
-    firstMatch(
-      html,
-      /<meta[^>]+property=["']og:description["'][^>]*content=["']([\s\S]*?)["'][^>]*>/i
-    ) ||
-    firstMatch(
-      html,
-      /<meta[^>]+content=["']([\s\S]*?)["'][^>]*property=["']og:description["'][^>]*>/i
-    );
-
-  return {
-    ogTitle: stripTags(ogTitle),
-    ogDescription: stripTags(ogDesc),
-  };
-}
-
 /**
  * Extract JSON-LD entities:
  * - Organization/Product/Service name, description, offers, sameAs
  * This boosts “what the site is about” a LOT for modern sites.
  */
-function extractJsonLdEntities(html) {
-  const scripts = allMatches(
-    html,
-    /<script[^>]+type=["']application\/ld\+json["'][^>]*>([\s\S]*?)<\/script>/gi,
-    20
-  );
+function extractJsonLdEntities(blocks) {
 
   const entities = [];
 
@@ -225,24 +148,16 @@ function extractJsonLdEntities(html) {
     }
   };
 
-  for (const raw of scripts) {
-    const txt = String(raw || "").trim();
-    if (!txt) continue;
-    try {
-      const parsed = JSON.parse(txt);
-
-      // JSON-LD can be: object | array | { @graph: [] }
-      if (Array.isArray(parsed)) {
-        for (const item of parsed) pushEntity(item);
-      } else if (parsed && typeof parsed === "object") {
-        if (Array.isArray(parsed["@graph"])) {
-          for (const item of parsed["@graph"]) pushEntity(item);
-        } else {
-          pushEntity(parsed);
-        }
+  for (const { data } of blocks.slice(0, 20)) {
+    // JSON-LD can be: object | array | { @graph: [] }
+    if (Array.isArray(data)) {
+      for (const item of data) pushEntity(item);
+    } else if (data && typeof data === "object") {
+      if (Array.isArray(data["@graph"])) {
+        for (const item of data["@graph"]) pushEntity(item);
+      } else {
+        pushEntity(data);
       }
-    } catch {
-      // ignore invalid JSON-LD blocks
     }
   }
 
@@ -262,38 +177,24 @@ function extractJsonLdEntities(html) {
  * - slug phrases
  */
 function extractSignalsFromHtml(html, origin) {
-  const title = stripTags(firstMatch(html, /<title[^>]*>([\s\S]*?)<\/title>/i));
-  const metaDesc =
-    firstMatch(
-      html,
-      /<meta[^>]+name=["']description["'][^>]*content=["']([\s\S]*?)["'][^>]*>/i
-    ) ||
-    firstMatch(
-      html,
-      /<meta[^>]+content=["']([\s\S]*?)["'][^>]*name=["']description["'][^>]*>/i
-    );
-
-  const { ogTitle, ogDescription } = extractOpenGraph(html);
+  const page = extractPage(html, { baseUrl: origin });
+  const headings = (level, limit) =>
+    page.headings.filter((h) => h.level === level).slice(0, limit).map((h) => h.text);
 
-  const h1s = allMatches(html, /<h1[^>]*>([\s\S]*?)<\/h1>/gi, 12).map(stripTags);
-  const h2s = allMatches(html, /<h2[^>]*>([\s\S]*?)<\/h2>/gi, 30).map(stripTags);
-  const h3s = allMatches(html, /<h3[^>]*>([\s\S]*?)<\/h3>/gi, 35).map(stripTags);
+  const h1s = headings(1, 12);
+  const h2s = headings(2, 30);
+  const h3s = headings(3, 35);
 
-  const anchorTexts = allMatches(html, /<a[^>]*>([\s\S]*?)<\/a>/gi, 200)
-    .map(stripTags)
-    .map((t) => t.replace(/\s+/g, " ").trim())
+  const anchorTexts = page.links
+    .slice(0, 200)
+    .map((l) => l.text)
     .filter((t) => t.length >= 2 && t.length <= 70);
 
-  const hrefs = allMatches(html, /<a[^>]+href=["']([^"']+)["']/gi, 400);
+  const hrefs = page.links.slice(0, 400).map((l) => l.href);
 
   const internalUrls = [];
   for (const href of hrefs) {
     try {
-      if (!href) continue;
-      if (href.startsWith("#")) continue;
-      if (href.startsWith("mailto:") || href.startsWith("tel:")) continue;
-      if (href.startsWith("javascript:")) continue;
-
       const u = new URL(href, origin);
       if (u.origin !== origin) continue;
 
@@ -317,18 +218,18 @@ function extractSignalsFromHtml(html, origin) {
     .slice(0, 60);
 
   return {
-    title,
-    description: stripTags(metaDesc),
-    ogTitle,
-    ogDescription,
+    title: page.title,
+    description: page.description,
+    ogTitle: page.openGraph.title || "",
+    ogDescription: page.openGraph.description || "",
     h1s,
     h2s,
     h3s,
     anchors: anchorTexts,
     internalUrls: uniqInternal.slice(0, 120),
     slugPhrases,
-    bodyTextSample: extractBodyTextSample(html, 3000),
-    jsonLdEntities: extractJsonLdEntities(html),
+    bodyTextSample: page.text.slice(0, 3000),
+    jsonLdEntities: extractJsonLdEntities(page.jsonLd),
   };
 }
 
@@ -719,7 +620,8 @@ async function computeSiteProfile(domain) {
 
 export async function POST(req) {
   try {
-    const { domain } = await req.json();
+    const body = await req.json();
+    const domain = body?.domain;
     if (!domain) {
       return NextResponse.json({ error: "domain is required" }, { status: 400 });
     }
@@ -730,27 +632,28 @@ export async function POST(req) {
     }
 
     const cacheKey = host;
-    const TTL_MS = 30 * 60 * 1000;
-
-    const cached = cacheGet(CACHE.profile, cacheKey);
-    if (cached) return NextResponse.json(cached);
+    const refresh = wantsRefresh(req, body);
 
-    const inflight = CACHE.inflight.get(cacheKey);
-    if (inflight) {
-      const value = await inflight;
-      return NextResponse.json(value);
-    }
-
-    const p = computeSiteProfile(host)
-      .then((value) => {
-        cacheSet(CACHE.profile, cacheKey, value, TTL_MS);
-        return value;
-      })
-      .finally(() => {
-        CACHE.inflight.delete(cacheKey);
+    const cached = refresh ? null : CACHE.get(cacheKey);
+    if (cached) {
+      return NextResponse.json({
+        ...cached.value,
+        cache: cacheInfo({ hit: true, storedAt: cached.storedAt, ttlMs: CACHE.ttlMs }),
       });
+    }
 
-    CACHE.inflight.set(cacheKey, p);
+    const p = CACHE.load(
+      cacheKey,
+      () =>
+        computeSiteProfile(host).then((value) => {
+          const entry = CACHE.set(cacheKey, value);
+          return {
+            ...value,
+            cache: cacheInfo({ refreshed: refresh, storedAt: entry.storedAt, ttlMs: CACHE.ttlMs }),
+          };
+        }),
+      { refresh }
+    );
 
     const value = await p;
     return NextResponse.json(value);
@@ -204,6 +204,7 @@ export default function ContentEditor({ data, onBackToDashboard }) {
     wordCount: 0,
     wordTarget: WORD_TARGET_FROM_DATA,
     lsiKeywords: 0,
+    readability: null,
   }));
 
   // Unified SEO data from /api/seo for this document
@@ -412,6 +413,7 @@ export default function ContentEditor({ data, onBackToDashboard }) {
           primaryKeyword: 0,
           wordCount: 0,
           lsiKeywords: 0,
+          readability: null,
           wordTarget: WORD_TARGET_FROM_DATA,
         }));
         newDocRef.current = true;
@@ -485,6 +487,7 @@ export default function ContentEditor({ data, onBackToDashboard }) {
         primaryKeyword: 0,
         wordCount: 0,
         lsiKeywords: 0,
+        readability: null,
         wordTarget:
           data?.metrics?.wordTarget ??
           data?.wordTarget ??
@@ -6,6 +6,7 @@ import { useSearchParams } from "next/navigation";
 import {
   BookOpen,
   FileText,
+  ChevronLeft,
   ChevronRight,
   Eye,
   Check,
@@ -26,6 +27,9 @@ const GENERIC_CARD_TITLES = [
   "Beginner’s Guide to SEO",
 ];
 
+// cards shown per kind; the API paginates over everything the scan discovered
+const CARDS_PER_KIND = 2;
+
 const STORAGE_DOMAIN_KEYS = [
   "websiteData",
   "site",
@@ -135,6 +139,14 @@ const scoreFromWordCount = (wordCount) => {
   return s;
 };
 
+// seconds -> "5m" / "3h" / "2d"
+const formatAge = (seconds) => {
+  const s = Math.max(0, Number(seconds) || 0);
+  if (s < 3600) return `${Math.max(1, Math.round(s / 60))}m`;
+  if (s < 86400) return `${Math.round(s / 3600)}h`;
+  return `${Math.round(s / 86400)}d`;
+};
+
 /**
  * Convert API result item -> the slot object your existing UI expects.
  * (Keep fields that your Start flow uses: title, content, primaryKeyword, lsiKeywords, etc.)
@@ -166,23 +178,54 @@ function mapApiItemToSlot(item, fallbackTitle, domain) {
     // ✅ important for "Edit existing page": gives the editor a real crawlable URL
     url,
     description: item?.description || "",
+
+    // why the API ranked this card here (e.g. "Last updated 14 months ago")
+    rankReason: item?.rank?.reason || "",
   };
 }
 
+// items arrive ranked by the API -> keep its order
 function pickTopPublishedAndDraft(items = []) {
-  const published = items
-    .filter((i) => !i?.isDraft)
-    .sort((a, b) => (b.wordCount || 0) - (a.wordCount || 0));
-
-  const drafts = items
-    .filter((i) => i?.isDraft)
-    .sort((a, b) => (b.wordCount || 0) - (a.wordCount || 0));
+  const published = items.filter((i) => !i?.isDraft);
+  const drafts = items.filter((i) => i?.isDraft);
 
   if (drafts.length > 0) {
     return [published[0] || null, drafts[0] || null].filter(Boolean);
   }
 
-  return published.slice(0, 2);
+  return published.slice(0, CARDS_PER_KIND);
+}
+
+// "3–4 of 37" + prev/next over one kind's discovered items
+function CardPager({ paging, onPrev, onNext }) {
+  if (!paging || paging.total <= paging.limit) return null;
+
+  const from = paging.total ? paging.offset + 1 : 0;
+  const to = Math.min(paging.total, paging.offset + paging.limit);
+
+  return (
+    <div className="ml-auto flex items-center gap-1 text-[12px] text-[var(--muted)] tabular-nums">
+      <button
+        type="button"
+        onClick={onPrev}
+        disabled={paging.offset === 0}
+        aria-label="Previous opportunities"
+        className="rounded-md p-1 hover:text-[var(--text)] disabled:opacity-40"
+      >
+        <ChevronLeft size={14} />
+      </button>
+      {from}–{to} of {paging.total}
+      <button
+        type="button"
+        onClick={onNext}
+        disabled={!paging.hasMore}
+        aria-label="Next opportunities"
+        className="rounded-md p-1 hover:text-[var(--text)] disabled:opacity-40"
+      >
+        <ChevronRight size={14} />
+      </button>
+    </div>
+  );
 }
 
 /* ============================================================
@@ -394,7 +437,18 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
 
   // NEW: scan/poll state (for 202 Accepted flow)
   const [scanId, setScanId] = useState("");
+  const [scanProgress, setScanProgress] = useState(null);
   const pollTimerRef = useRef(null);
+  const streamRef = useRef(null); // EventSource for live scan progress
+
+  // cache metadata of the last response + "Rescan" (refresh=true) trigger
+  const [oppsCache, setOppsCache] = useState(null);
+  const [rescanNonce, setRescanNonce] = useState(0);
+  const refreshNextRef = useRef(false);
+
+  // server-side pagination over the discovered blogs / pages
+  const [offsets, setOffsets] = useState({ blog: 0, page: 0 });
+  const [oppsPaging, setOppsPaging] = useState(null);
 
   // Modal state
   const [startOpen, setStartOpen] = useState(false);
@@ -403,15 +457,20 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
   useEffect(() => {
     const d = getSiteFromStorageOrQuery(searchParams);
     setDomain(d);
+    setOffsets({ blog: 0, page: 0 });
   }, [searchParams]);
 
-  // Cleanup polling on unmount
+  // Cleanup polling / stream on unmount
   useEffect(() => {
     return () => {
       if (pollTimerRef.current) {
         clearInterval(pollTimerRef.current);
         pollTimerRef.current = null;
       }
+      if (streamRef.current) {
+        streamRef.current.close();
+        streamRef.current = null;
+      }
     };
   }, []);
 
@@ -420,41 +479,112 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
       clearInterval(pollTimerRef.current);
       pollTimerRef.current = null;
     }
+    if (streamRef.current) {
+      streamRef.current.close();
+      streamRef.current = null;
+    }
   }, []);
 
+  /**
+   * Watch a scan until it finishes:
+   * - prefers the SSE stream of /api/seo/scan/status (live progress)
+   * - falls back to polling every 2.5s if EventSource is unavailable or errors
+   */
   const startPolling = useCallback(
     (id, { onComplete }) => {
       stopPolling();
+      setScanProgress(null);
       if (!id) return;
 
-      pollTimerRef.current = setInterval(async () => {
-        try {
-          const res = await fetch(
-            `/api/seo/scan/status?scanId=${encodeURIComponent(id)}`,
-            { method: "GET" }
+      const statusUrl = `/api/seo/scan/status?scanId=${encodeURIComponent(id)}`;
+
+      const handleStatus = (json) => {
+        if (json?.progress) setScanProgress(json.progress);
+
+        const status = json?.status;
+        if (status === "complete") {
+          stopPolling();
+          onComplete?.();
+        } else if (status === "failed") {
+          stopPolling();
+          setOppsError(
+            json?.error ||
+              json?.diagnostics?.error ||
+              "SEO scan failed. Please retry."
           );
-          const json = await res.json().catch(() => ({}));
-          if (!res.ok) return;
-
-          const status = json?.status;
-          if (status === "complete") {
-            stopPolling();
-            onComplete?.();
-          } else if (status === "failed") {
-            stopPolling();
-            setOppsError(
-              json?.diagnostics?.error || "SEO scan failed. Please retry."
-            );
-            setLoadingOpps(false);
+          setLoadingOpps(false);
+        } else if (status === "cancelled") {
+          stopPolling();
+          setOppsError("Scan cancelled.");
+          setLoadingOpps(false);
+        }
+      };
+
+      const poll = () => {
+        pollTimerRef.current = setInterval(async () => {
+          try {
+            const res = await fetch(statusUrl, { method: "GET" });
+            const json = await res.json().catch(() => ({}));
+            if (!res.ok) return;
+            handleStatus(json);
+          } catch {
+            // ignore transient poll errors
           }
+        }, 2500);
+      };
+
+      if (typeof window === "undefined" || !("EventSource" in window)) {
+        poll();
+        return;
+      }
+
+      const es = new EventSource(statusUrl);
+      streamRef.current = es;
+
+      const parse = (e) => {
+        try {
+          return JSON.parse(e.data);
         } catch {
-          // ignore transient poll errors
+          return null;
         }
-      }, 2500);
+      };
+
+      es.addEventListener("status", (e) => handleStatus(parse(e)));
+      es.addEventListener("done", (e) => handleStatus(parse(e)));
+      es.addEventListener("progress", (e) => {
+        const p = parse(e);
+        if (p) setScanProgress(p);
+      });
+
+      es.onerror = () => {
+        // stream closed after "done", or replaced/stopped meanwhile
+        if (streamRef.current !== es) return;
+        es.close();
+        streamRef.current = null;
+        poll();
+      };
     },
     [stopPolling]
   );
 
+  const cancelScan = useCallback(async () => {
+    if (!scanId) return;
+    stopPolling();
+    try {
+      await fetch("/api/seo/scan/cancel", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ scanId }),
+      });
+    } catch {
+      // ignore: the scan may have finished in the meantime
+    }
+    setScanId("");
+    setScanProgress(null);
+    setLoadingOpps(false);
+    setOppsError("Scan cancelled.");
+  }, [scanId, stopPolling]);
+
   /**
    * Load opportunities:
    * - If 200: use data
@@ -484,6 +614,9 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
       const d = normalizeDomain(domain);
       if (!d || d === "example.com") return;
 
+      const refresh = refreshNextRef.current;
+      refreshNextRef.current = false;
+
       setLoadingOpps(true);
       setOppsError("");
 
@@ -493,10 +626,21 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
         const res = await fetch("/api/seo/opportunities", {
           method: "POST",
           headers: { "Content-Type": "application/json" },
-          body: JSON.stringify({ websiteUrl }),
+          body: JSON.stringify({
+            websiteUrl,
+            refresh,
+            blogLimit: CARDS_PER_KIND,
+            blogOffset: offsets.blog,
+            pageLimit: CARDS_PER_KIND,
+            pageOffset: offsets.page,
+          }),
         });
 
         const json = await res.json().catch(() => ({}));
+        if (alive) {
+          setOppsCache(json?.cache || null);
+          setOppsPaging(json?.pagination || null);
+        }
 
         // 202: scan queued/running
         if (res.status === 202) {
@@ -551,7 +695,17 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
       alive = false;
     };
     // eslint-disable-next-line react-hooks/exhaustive-deps
-  }, [domain, startPolling, stopPolling]);
+  }, [domain, rescanNonce, offsets, startPolling, stopPolling]);
+
+  const rescan = useCallback(() => {
+    refreshNextRef.current = true;
+    setOffsets({ blog: 0, page: 0 });
+    setRescanNonce((n) => n + 1);
+  }, []);
+
+  const pageBy = useCallback((kind, dir) => {
+    setOffsets((o) => ({ ...o, [kind]: Math.max(0, o[kind] + dir * CARDS_PER_KIND) }));
+  }, []);
 
   const selectedSeo = useMemo(() => {
     if (!seoRows?.length) return null;
@@ -648,7 +802,7 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
     const seo = selectedSeo?.content?.blog ?? [];
     const multi = selectedMulti?.content?.blog ?? [];
     const out = [];
-    for (let i = 0; i < 2; i += 1) {
+    for (let i = 0; i < CARDS_PER_KIND; i += 1) {
       const merged = mergeSlot(seo[i], multi[i], `Blog Opportunity ${i + 1}`);
       out.push(merged);
     }
@@ -659,7 +813,7 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
     const seo = selectedSeo?.content?.pages ?? [];
     const multi = selectedMulti?.content?.pages ?? [];
     const out = [];
-    for (let i = 0; i < 2; i += 1) {
+    for (let i = 0; i < CARDS_PER_KIND; i += 1) {
       const merged = mergeSlot(seo[i], multi[i], `Page Opportunity ${i + 1}`);
       out.push(merged);
     }
@@ -838,6 +992,11 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
           <h3 className="text-[20px] font-semibold leading-snug text-[var(--text)]">
             {displayTitle}
           </h3>
+          {data?.rankReason ? (
+            <div className="mt-1 text-[12px] text-[var(--muted)]">
+              {data.rankReason}
+            </div>
+          ) : null}
         </div>
 
         <hr className="mt-3 border-t border-[var(--border)]" />
@@ -924,9 +1083,17 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
   ============================================================ */
 
   const loadingMsg = scanId
-    ? "Scanning site… (building opportunities)"
+    ? scanProgress?.message ||
+      (scanProgress?.stage === "fetch-meta"
+        ? "Fetching page details…"
+        : "Scanning site… (building opportunities)")
     : "Loading opportunities from sitemap / crawl…";
 
+  const progressPct =
+    scanProgress?.total > 0
+      ? Math.min(100, Math.round((scanProgress.done / scanProgress.total) * 100))
+      : null;
+
   return (
     <>
       <h2 className="mb-3 ml-1 text-[16px] font-bold text-[var(--text)]">
@@ -937,11 +1104,40 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
       {loadingOpps ? (
         <div className="mb-3 ml-1 text-[12px] text-[var(--muted)]">
           {loadingMsg}
+          {scanId ? (
+            <button
+              type="button"
+              onClick={cancelScan}
+              className="ml-2 underline hover:text-[var(--text)]"
+            >
+              Cancel
+            </button>
+          ) : null}
+          {progressPct != null ? (
+            <div className="mt-2 h-1.5 w-full max-w-[320px] overflow-hidden rounded-full bg-[var(--border)]">
+              <div
+                className="h-full rounded-full bg-[image:var(--infoHighlight-gradient)] transition-all duration-300"
+                style={{ width: `${progressPct}%` }}
+              />
+            </div>
+          ) : null}
         </div>
       ) : null}
       {oppsError ? (
         <div className="mb-3 ml-1 text-[12px] text-red-500">{oppsError}</div>
       ) : null}
+      {!loadingOpps && oppsCache?.hit ? (
+        <div className="mb-3 ml-1 text-[12px] text-[var(--muted)]">
+          Last scanned {formatAge(oppsCache.age)} ago
+          <button
+            type="button"
+            onClick={rescan}
+            className="ml-2 underline hover:text-[var(--text)]"
+          >
+            Rescan
+          </button>
+        </div>
+      ) : null}
 
       <section className="mb-10 grid grid-cols-1 gap-5 lg:grid-cols-2">
         <div className="rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
@@ -950,9 +1146,14 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
               <BookOpen size={14} />
             </span>
             <span className="text-[13px] font-semibold">BLOG</span>
+            <CardPager
+              paging={oppsPaging?.blogs}
+              onPrev={() => pageBy("blog", -1)}
+              onNext={() => pageBy("blog", 1)}
+            />
           </div>
           <div className="grid gap-4 sm:grid-cols-2">
-            {(blogCards.length ? blogCards.slice(0, 2) : [{}, {}]).map((b, i) => (
+            {(blogCards.length ? blogCards.slice(0, CARDS_PER_KIND) : [{}, {}]).map((b, i) => (
               <OpportunityCard key={`b-${i}`} type="blog" index={i} data={b} />
             ))}
           </div>
@@ -964,9 +1165,14 @@ export default function OpportunitiesSection({ onOpenContentEditor }) {
               <FileText size={14} />
             </span>
             <span className="text-[13px] font-semibold">PAGES</span>
+            <CardPager
+              paging={oppsPaging?.pages}
+              onPrev={() => pageBy("page", -1)}
+              onNext={() => pageBy("page", 1)}
+            />
           </div>
           <div className="grid gap-4 sm:grid-cols-2">
-            {(pageCards.length ? pageCards.slice(0, 2) : [{}, {}]).map((p, i) => (
+            {(pageCards.length ? pageCards.slice(0, CARDS_PER_KIND) : [{}, {}]).map((p, i) => (
               <OpportunityCard key={`p-${i}`} type="page" index={i} data={p} />
             ))}
           </div>
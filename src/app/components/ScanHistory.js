@@ -0,0 +1,437 @@
+// src/app/components/ScanHistory.js
+"use client";
+
+import { useCallback, useEffect, useState } from "react";
+import {
+  BookOpen,
+  FileText,
+  ChevronLeft,
+  ChevronRight,
+  RefreshCw,
+  ExternalLink,
+} from "lucide-react";
+
+/* ============================================================
+   Helpers
+============================================================ */
+
+const PAGE_SIZE = 15;
+
+const STATUS_STYLES = {
+  complete: "bg-[#EAF8F1] text-[#178A5D] border-[#D1FAE5]",
+  running: "bg-[#EEF2FF] text-[#4F46E5] border-[#E0E7FF]",
+  queued: "bg-[#F3F4F6] text-[#6B7280] border-[#E5E7EB]",
+  failed: "bg-[#FEF2F2] text-[#DC2626] border-[#FECACA]",
+  cancelled: "bg-[#FFF5D9] text-[#B98500] border-[#FDE7B8]",
+};
+
+const formatDate = (iso) => {
+  try {
+    return new Date(iso).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  } catch {
+    return iso || "";
+  }
+};
+
+function StatusBadge({ status }) {
+  return (
+    <span
+      className={`inline-flex items-center rounded-[8px] border px-2 py-0.5 text-[11px] font-medium capitalize ${
+        STATUS_STYLES[status] || STATUS_STYLES.queued
+      }`}
+    >
+      {status}
+    </span>
+  );
+}
+
+function openInEditor(item, kind, hostname) {
+  const payload = {
+    title: item.title || "Untitled",
+    kind,
+    content: "", // ContentEditor hydrates from /api/seo using the url
+    domain: hostname,
+    url: item.url,
+  };
+  try {
+    window.dispatchEvent(
+      new CustomEvent("content-editor:open", { detail: payload })
+    );
+  } catch {}
+}
+
+function openDashboard(hostname) {
+  if (hostname) {
+    try {
+      localStorage.setItem("websiteData", JSON.stringify({ site: hostname }));
+    } catch {
+      // ignore storage errors
+    }
+  }
+  try {
+    window.dispatchEvent(
+      new CustomEvent("wizard:navigate", { detail: { step: "dashboard" } })
+    );
+  } catch {}
+}
+
+function openSiteHealth(hostname) {
+  if (hostname) {
+    try {
+      localStorage.setItem("websiteData", JSON.stringify({ site: hostname }));
+    } catch {
+      // ignore storage errors
+    }
+  }
+  try {
+    window.dispatchEvent(
+      new CustomEvent("wizard:navigate", { detail: { step: "siteHealth" } })
+    );
+  } catch {}
+}
+
+/* ============================================================
+   Scan detail (results of one past scan)
+============================================================ */
+
+const canOpenUrl = (u) => /^https?:\/\//.test(u || "");
+
+function ResultSection({ label, Icon, items, kind, hostname }) {
+  return (
+    <div className="rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+      <div className="mb-3 flex items-center gap-2">
+        <Icon size={14} />
+        <span className="text-[13px] font-semibold">{label}</span>
+        <span className="text-[12px] text-[var(--muted)]">({items.length})</span>
+      </div>
+
+      {items.length ? (
+        <ul className="divide-y divide-[var(--border)]">
+          {items.map((item) => (
+            <li key={item.url} className="flex items-start justify-between gap-3 py-2.5">
+              <div className="min-w-0">
+                <div className="truncate text-[13px] font-medium text-[var(--text)]">
+                  {item.title || item.url}
+                </div>
+                <div className="truncate text-[11px] text-[var(--muted)]">{item.url}</div>
+                {item.description ? (
+                  <div className="mt-0.5 line-clamp-2 text-[12px] text-[var(--muted)]">
+                    {item.description}
+                  </div>
+                ) : null}
+              </div>
+              <div className="flex shrink-0 items-center gap-3">
+                <span className="text-[12px] tabular-nums text-[var(--muted)]">
+                  {item.wordCount} words
+                </span>
+                {canOpenUrl(item.url) ? (
+                  <button
+                    type="button"
+                    onClick={() => openInEditor(item, kind, hostname)}
+                    className="inline-flex items-center gap-1 rounded-[10px] border border-[var(--border)] px-2.5 py-1 text-[12px] font-medium text-[var(--text)] hover:bg-[var(--bg-panel)]"
+                  >
+                    Edit <ChevronRight size={14} />
+                  </button>
+                ) : null}
+              </div>
+            </li>
+          ))}
+        </ul>
+      ) : (
+        <div className="text-[12px] text-[var(--muted)]">No {label.toLowerCase()} in this scan.</div>
+      )}
+    </div>
+  );
+}
+
+function ScanResults({ detail, onBack }) {
+  const { scan, results } = detail;
+
+  return (
+    <div>
+      <button
+        type="button"
+        onClick={onBack}
+        className="mb-4 inline-flex items-center gap-1 text-[12px] font-medium text-[var(--muted)] hover:text-[var(--text)]"
+      >
+        <ChevronLeft size={14} /> All scans
+      </button>
+
+      <div className="mb-4 flex flex-wrap items-center justify-between gap-3">
+        <div>
+          <h2 className="text-[18px] font-bold text-[var(--text)]">{scan.hostname}</h2>
+          <div className="mt-1 flex flex-wrap items-center gap-2 text-[12px] text-[var(--muted)]">
+            <StatusBadge status={scan.status} />
+            <span className="capitalize">{scan.kind}</span>
+            {scan.provider ? <span>· {scan.provider}</span> : null}
+            <span>· {formatDate(scan.createdAt)}</span>
+          </div>
+        </div>
+
+        {scan.kind === "site-health" && scan.status === "complete" ? (
+          <button
+            type="button"
+            onClick={() => openSiteHealth(scan.hostname)}
+            className="inline-flex items-center gap-2 rounded-[14px] px-4 py-2 text-[13px] font-semibold text-white shadow-sm bg-[image:var(--infoHighlight-gradient)] hover:opacity-90 transition"
+          >
+            Open Site Health <ExternalLink size={14} />
+          </button>
+        ) : null}
+
+        {scan.kind === "opportunities" ? (
+          <button
+            type="button"
+            onClick={() => openDashboard(scan.hostname)}
+            className="inline-flex items-center gap-2 rounded-[14px] px-4 py-2 text-[13px] font-semibold text-white shadow-sm bg-[image:var(--infoHighlight-gradient)] hover:opacity-90 transition"
+          >
+            Open dashboard <ExternalLink size={14} />
+          </button>
+        ) : null}
+      </div>
+
+      {scan.error ? (
+        <div className="mb-4 text-[12px] text-red-500">{scan.error}</div>
+      ) : null}
+
+      {results ? (
+        <div className="grid grid-cols-1 gap-5 lg:grid-cols-2">
+          <ResultSection
+            label="Blogs"
+            Icon={BookOpen}
+            items={results.blogs}
+            kind="blog"
+            hostname={scan.hostname}
+          />
+          <ResultSection
+            label="Pages"
+            Icon={FileText}
+            items={results.pages}
+            kind="page"
+            hostname={scan.hostname}
+          />
+        </div>
+      ) : (
+        <div className="text-[12px] text-[var(--muted)]">
+          This scan has no stored results.
+        </div>
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+   Scan History
+============================================================ */
+
+export default function ScanHistory() {
+  const [filters, setFilters] = useState({
+    hostname: "",
+    kind: "",
+    status: "",
+    from: "",
+    to: "",
+  });
+  const [page, setPage] = useState(1);
+  const [data, setData] = useState({ scans: [], total: 0, hasMore: false });
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [detail, setDetail] = useState(null);
+
+  const load = useCallback(async () => {
+    const qs = new URLSearchParams({ page: String(page), pageSize: String(PAGE_SIZE) });
+    for (const [k, v] of Object.entries(filters)) {
+      if (v) qs.set(k, v);
+    }
+
+    setLoading(true);
+    setError("");
+    try {
+      const res = await fetch(`/api/seo/scans?${qs.toString()}`);
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || "Failed to load scan history");
+      setData({
+        scans: Array.isArray(json.scans) ? json.scans : [],
+        total: json.total || 0,
+        hasMore: Boolean(json.hasMore),
+      });
+    } catch (e) {
+      setError(e?.message || "Failed to load scan history");
+    } finally {
+      setLoading(false);
+    }
+  }, [filters, page]);
+
+  useEffect(() => {
+    const t = setTimeout(() => {
+      load();
+    }, 250); // debounce filter typing
+    return () => clearTimeout(t);
+  }, [load]);
+
+  const openScan = async (scanId) => {
+    setError("");
+    try {
+      const res = await fetch(`/api/seo/scans?scanId=${encodeURIComponent(scanId)}`);
+      const json = await res.json().catch(() => ({}));
+      if (!res.ok) throw new Error(json?.error || "Failed to load scan");
+      setDetail(json);
+    } catch (e) {
+      setError(e?.message || "Failed to load scan");
+    }
+  };
+
+  const setFilter = (key) => (e) => {
+    setPage(1);
+    setFilters((f) => ({ ...f, [key]: e.target.value }));
+  };
+
+  const inputCls =
+    "h-9 rounded-[10px] border border-[var(--border)] bg-[var(--input)] px-3 text-[12px] text-[var(--text)] outline-none";
+
+  if (detail) {
+    return (
+      <div className="p-4 sm:p-6">
+        <ScanResults detail={detail} onBack={() => setDetail(null)} />
+      </div>
+    );
+  }
+
+  const pageCount = Math.max(1, Math.ceil(data.total / PAGE_SIZE));
+
+  return (
+    <div className="p-4 sm:p-6">
+      <div className="mb-4 flex items-center justify-between gap-3">
+        <h1 className="text-[22px] sm:text-[24px] font-extrabold leading-tight text-[var(--text)]">
+          History
+        </h1>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            onClick={() => openDashboard()}
+            className="inline-flex items-center gap-1.5 rounded-[10px] border border-[var(--border)] px-3 py-1.5 text-[12px] font-medium text-[var(--muted)] hover:text-[var(--text)]"
+          >
+            <ChevronLeft size={14} /> Dashboard
+          </button>
+          <button
+            type="button"
+            onClick={load}
+            className="inline-flex items-center gap-1.5 rounded-[10px] border border-[var(--border)] px-3 py-1.5 text-[12px] font-medium text-[var(--muted)] hover:text-[var(--text)]"
+          >
+            <RefreshCw size={14} className={loading ? "animate-spin" : ""} /> Refresh
+          </button>
+        </div>
+      </div>
+
+      {/* Filters */}
+      <div className="mb-4 flex flex-wrap items-center gap-2">
+        <input
+          className={`${inputCls} w-[200px]`}
+          placeholder="Filter by site (example.com)"
+          value={filters.hostname}
+          onChange={setFilter("hostname")}
+        />
+        <select className={inputCls} value={filters.kind} onChange={setFilter("kind")}>
+          <option value="">All kinds</option>
+          <option value="opportunities">Opportunities</option>
+          <option value="draft">Draft</option>
+          <option value="site-health">Site Health</option>
+        </select>
+        <select className={inputCls} value={filters.status} onChange={setFilter("status")}>
+          <option value="">All statuses</option>
+          <option value="complete">Complete</option>
+          <option value="running">Running</option>
+          <option value="queued">Queued</option>
+          <option value="failed">Failed</option>
+          <option value="cancelled">Cancelled</option>
+        </select>
+        <input
+          type="date"
+          className={inputCls}
+          value={filters.from}
+          onChange={setFilter("from")}
+          aria-label="From date"
+        />
+        <input
+          type="date"
+          className={inputCls}
+          value={filters.to}
+          onChange={setFilter("to")}
+          aria-label="To date"
+        />
+      </div>
+
+      {error ? <div className="mb-3 text-[12px] text-red-500">{error}</div> : null}
+
+      <div className="overflow-x-auto rounded-[16px] border border-[var(--border)] bg-[var(--input)]">
+        <table className="w-full text-left text-[12px]">
+          <thead className="text-[var(--muted)]">
+            <tr className="border-b border-[var(--border)]">
+              <th className="px-4 py-3 font-medium">Site</th>
+              <th className="px-4 py-3 font-medium">Kind</th>
+              <th className="px-4 py-3 font-medium">Provider</th>
+              <th className="px-4 py-3 font-medium">Status</th>
+              <th className="px-4 py-3 font-medium">Started</th>
+              <th className="px-4 py-3" />
+            </tr>
+          </thead>
+          <tbody>
+            {data.scans.map((scan) => (
+              <tr
+                key={scan.scanId}
+                className="cursor-pointer border-b border-[var(--border)] last:border-0 hover:bg-[var(--bg-panel)]"
+                onClick={() => openScan(scan.scanId)}
+              >
+                <td className="px-4 py-3 font-medium text-[var(--text)]">{scan.hostname}</td>
+                <td className="px-4 py-3 capitalize">{scan.kind}</td>
+                <td className="px-4 py-3">{scan.provider || "—"}</td>
+                <td className="px-4 py-3">
+                  <StatusBadge status={scan.status} />
+                </td>
+                <td className="px-4 py-3 tabular-nums">{formatDate(scan.createdAt)}</td>
+                <td className="px-4 py-3 text-right">
+                  <ChevronRight size={14} className="inline text-[var(--muted)]" />
+                </td>
+              </tr>
+            ))}
+
+            {!data.scans.length && !loading ? (
+              <tr>
+                <td colSpan={6} className="px-4 py-6 text-center text-[var(--muted)]">
+                  No scans found.
+                </td>
+              </tr>
+            ) : null}
+          </tbody>
+        </table>
+      </div>
+
+      {/* Pagination */}
+      <div className="mt-3 flex items-center justify-between text-[12px] text-[var(--muted)]">
+        <span>
+          {data.total} scan{data.total === 1 ? "" : "s"} · page {page} of {pageCount}
+        </span>
+        <div className="flex items-center gap-2">
+          <button
+            type="button"
+            disabled={page <= 1}
+            onClick={() => setPage((p) => Math.max(1, p - 1))}
+            className="inline-flex items-center rounded-[10px] border border-[var(--border)] px-2 py-1 disabled:opacity-40"
+          >
+            <ChevronLeft size={14} /> Prev
+          </button>
+          <button
+            type="button"
+            disabled={!data.hasMore}
+            onClick={() => setPage((p) => p + 1)}
+            className="inline-flex items-center rounded-[10px] border border-[var(--border)] px-2 py-1 disabled:opacity-40"
+          >
+            Next <ChevronRight size={14} />
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -49,6 +49,10 @@ function NavItem({ id, label, Icon, onClick, active = false, disabled = false })
 export default function Sidebar({
   onInfoClick,
   infoActive = false,
+  onHistoryClick,
+  historyActive = false,
+  onSiteHealthClick,
+  siteHealthActive = false,
   variant = "default", // "default" | "editor"
 }) {
   return (
@@ -77,7 +81,18 @@ export default function Sidebar({
               active={infoActive}
             />
             <NavItem label="New" Icon={PlusSquare} />
-            <NavItem label="History" Icon={Clock} />
+            <NavItem
+              label="History"
+              Icon={Clock}
+              onClick={onHistoryClick}
+              active={historyActive}
+            />
+            <NavItem
+              label="Site Health"
+              Icon={Activity}
+              onClick={onSiteHealthClick}
+              active={siteHealthActive}
+            />
 
             {/* divider */}
             <div className="mx-2 md:mx-3 my-5 md:my-6 h-px bg-[#e6e9ec] dark:bg-[#374151]" />
@@ -96,7 +111,7 @@ export default function Sidebar({
                 try { window.dispatchEvent(new Event("content-editor:back")); } catch {}
               }}
             />
-            <NavItem label="Site Health" Icon={Activity} disabled />
+            <NavItem label="Site Health" Icon={Activity} onClick={onSiteHealthClick} />
             <NavItem label="Backlinks" Icon={Link2} disabled />
             <NavItem label="Comp analysis" Icon={LineChart} disabled />
             <NavItem label="Reports" Icon={BarChart2} disabled />
@@ -12,6 +12,10 @@ const SidebarInfoPanel = forwardRef(function SidebarInfoPanel(
     // sidebar
     onInfoClick,
     infoActive,
+    onHistoryClick,
+    historyActive,
+    onSiteHealthClick,
+    siteHealthActive,
     variant = "default", // <-- NEW: accept variant from parent ("default" | "editor")
 
     // info panel
@@ -31,7 +35,15 @@ const SidebarInfoPanel = forwardRef(function SidebarInfoPanel(
   return (
     <>
       {/* Forward the variant to the actual Sidebar so it can switch menus */}
-      <Sidebar onInfoClick={onInfoClick} infoActive={infoActive} variant={variant} />
+      <Sidebar
+        onInfoClick={onInfoClick}
+        infoActive={infoActive}
+        onHistoryClick={onHistoryClick}
+        historyActive={historyActive}
+        onSiteHealthClick={onSiteHealthClick}
+        siteHealthActive={siteHealthActive}
+        variant={variant}
+      />
 
       {/* Info panel stays the same */}
       <InfoPanel
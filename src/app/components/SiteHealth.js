@@ -0,0 +1,524 @@
+// src/app/components/SiteHealth.js
+"use client";
+
+import { useCallback, useEffect, useRef, useState } from "react";
+import { ChevronDown, ChevronLeft, ChevronRight, RefreshCw, X } from "lucide-react";
+
+/* ============================================================
+   Helpers
+============================================================ */
+
+// affected URLs listed per expanded issue
+const AFFECTED_SHOWN = 50;
+
+const SEVERITY_STYLES = {
+  error: "bg-[#FEF2F2] text-[#DC2626] border-[#FECACA]",
+  warning: "bg-[#FFF5D9] text-[#B98500] border-[#FDE7B8]",
+  notice: "bg-[#EEF2FF] text-[#4F46E5] border-[#E0E7FF]",
+};
+
+const scoreColor = (score) =>
+  score == null ? "text-[var(--muted)]" : score >= 80 ? "text-[#178A5D]" : score >= 50 ? "text-[#B98500]" : "text-[#DC2626]";
+
+const formatDate = (iso) => {
+  try {
+    return new Date(iso).toLocaleString(undefined, {
+      dateStyle: "medium",
+      timeStyle: "short",
+    });
+  } catch {
+    return iso || "";
+  }
+};
+
+// the site the wizard / dashboard last worked on
+function currentSite() {
+  try {
+    const raw = localStorage.getItem("websiteData");
+    if (!raw) return "";
+    const o = JSON.parse(raw);
+    return String(o?.site || o?.website || o?.url || o?.domain || "");
+  } catch {
+    return "";
+  }
+}
+
+function openDashboard() {
+  try {
+    window.dispatchEvent(
+      new CustomEvent("wizard:navigate", { detail: { step: "dashboard" } })
+    );
+  } catch {}
+}
+
+function SeverityBadge({ severity }) {
+  return (
+    <span
+      className={`inline-flex items-center rounded-[8px] border px-2 py-0.5 text-[11px] font-medium capitalize ${
+        SEVERITY_STYLES[severity] || SEVERITY_STYLES.notice
+      }`}
+    >
+      {severity}
+    </span>
+  );
+}
+
+/* ============================================================
+   Issue row (expands to the affected URLs)
+============================================================ */
+
+function IssueRow({ issue }) {
+  const [open, setOpen] = useState(false);
+  const shown = issue.affected.slice(0, AFFECTED_SHOWN);
+
+  return (
+    <li className="py-2.5">
+      <button
+        type="button"
+        onClick={() => setOpen((o) => !o)}
+        className="flex w-full items-center justify-between gap-3 text-left"
+      >
+        <span className="flex min-w-0 items-center gap-2">
+          {open ? <ChevronDown size={14} /> : <ChevronRight size={14} />}
+          <SeverityBadge severity={issue.severity} />
+          <span className="truncate text-[13px] font-medium text-[var(--text)]">{issue.title}</span>
+        </span>
+        <span className="shrink-0 text-[12px] tabular-nums text-[var(--muted)]">
+          {issue.count} URL{issue.count === 1 ? "" : "s"}
+        </span>
+      </button>
+
+      {open ? (
+        <ul className="mt-2 ml-6 space-y-1.5">
+          {shown.map((a) => (
+            <li key={a.url} className="text-[12px]">
+              <div className="truncate text-[var(--text)]">{a.url}</div>
+              <div className="text-[11px] text-[var(--muted)]">
+                {a.note}
+                {a.sources?.length ? ` — e.g. ${a.sources.slice(0, 3).join(", ")}` : ""}
+              </div>
+            </li>
+          ))}
+          {issue.count > shown.length ? (
+            <li className="text-[11px] text-[var(--muted)]">
+              …and {issue.count - shown.length} more
+            </li>
+          ) : null}
+        </ul>
+      ) : null}
+    </li>
+  );
+}
+
+/* ============================================================
+   Internal links (the audit crawl's link graph)
+============================================================ */
+
+function LinkGraphPanel({ graph }) {
+  const depthKeys = Object.keys(graph.depths || {}).sort((a, b) =>
+    a === "unreachable" ? 1 : b === "unreachable" ? -1 : a.localeCompare(b)
+  );
+  const maxCount = Math.max(1, ...depthKeys.map((k) => graph.depths[k]));
+
+  return (
+    <div className="mt-4 rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+      <div className="mb-3 flex items-center justify-between">
+        <span className="text-[13px] font-semibold">Internal links</span>
+        <span className="text-[11px] text-[var(--muted)]">
+          {graph.edges} links · {graph.orphans} orphan{graph.orphans === 1 ? "" : "s"}
+          {graph.complete ? "" : " (crawl hit the page limit)"}
+        </span>
+      </div>
+
+      <div className="grid grid-cols-1 gap-4 sm:grid-cols-2">
+        <div>
+          <div className="mb-1.5 text-[11px] text-[var(--muted)]">
+            Click depth from the home page (avg {graph.avgDepth ?? "—"})
+          </div>
+          <ul className="space-y-1">
+            {depthKeys.map((k) => (
+              <li key={k} className="flex items-center gap-2 text-[11px]">
+                <span className="w-[72px] shrink-0 text-[var(--muted)]">
+                  {k === "unreachable" ? "Unreachable" : `${k} click${k === "1" ? "" : "s"}`}
+                </span>
+                <span
+                  className="h-2 rounded-full bg-[var(--border)]"
+                  style={{ width: `${Math.max(4, (graph.depths[k] / maxCount) * 100)}%` }}
+                />
+                <span className="tabular-nums text-[var(--text)]">{graph.depths[k]}</span>
+              </li>
+            ))}
+          </ul>
+        </div>
+
+        <div>
+          <div className="mb-1.5 text-[11px] text-[var(--muted)]">Strongest pages (internal PageRank)</div>
+          <ul className="space-y-1">
+            {(graph.topPages || []).slice(0, 8).map((p) => (
+              <li key={p.url} className="flex items-center justify-between gap-2 text-[12px]">
+                <span className="truncate text-[var(--text)]">{p.url}</span>
+                <span className="shrink-0 text-[11px] tabular-nums text-[var(--muted)]">
+                  {p.rankScore} · {p.inlinks} in
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ============================================================
+   Changes since an earlier audit (crawl comparison)
+============================================================ */
+
+// URLs listed per comparison tab
+const CHANGES_SHOWN = 100;
+
+const FIELD_LABELS = {
+  status: "Status",
+  title: "Title",
+  description: "Meta description",
+  h1: "H1",
+  canonical: "Canonical",
+  noindex: "Indexing",
+  wordCount: "Word count",
+};
+
+const signed = (n) => `${n > 0 ? "+" : ""}${n}`;
+
+function formatChange(field, c) {
+  if (field === "wordCount") {
+    return `${c.from} → ${c.to} (${signed(c.delta)}${c.pct != null ? `, ${signed(c.pct)}%` : ""})`;
+  }
+  if (field === "status") {
+    const target = (t) => (t ? ` → ${t}` : "");
+    return `${c.from || "—"}${target(c.fromTarget)}  ⇒  ${c.to || "—"}${target(c.toTarget)}`;
+  }
+  if (field === "noindex") {
+    return `${c.from ? "noindex" : "indexable"} → ${c.to ? "noindex" : "indexable"}`;
+  }
+  return `“${c.from || "—"}” → “${c.to || "—"}”`;
+}
+
+function CrawlComparePanel({ hostname, allowSubdomains, scanId }) {
+  const [data, setData] = useState(null);
+  const [from, setFrom] = useState("");
+  const [tab, setTab] = useState("changed");
+  const [field, setField] = useState("");
+
+  useEffect(() => {
+    let cancelled = false;
+    const qs = new URLSearchParams({
+      hostname,
+      allowSubdomains: String(Boolean(allowSubdomains)),
+      to: scanId,
+    });
+    if (from) qs.set("from", from);
+
+    fetch(`/api/seo/crawls/compare?${qs}`)
+      .then((res) => (res.ok ? res.json() : null))
+      .then((json) => {
+        if (!cancelled) setData(json);
+      })
+      .catch(() => {});
+    return () => {
+      cancelled = true;
+    };
+  }, [hostname, allowSubdomains, scanId, from]);
+
+  const comparison = data?.comparison;
+  if (!comparison) return null;
+
+  const earlier = (data.crawls || []).filter(
+    (c) => c.id !== scanId && String(c.createdAt) < String(comparison.to.createdAt)
+  );
+  const { summary } = comparison;
+  const changed = field
+    ? comparison.changed.filter((c) => c.changes[field])
+    : comparison.changed;
+  const rows = tab === "changed" ? changed : comparison[tab];
+  const shown = rows.slice(0, CHANGES_SHOWN);
+
+  const tabCls = (active) =>
+    `rounded-[8px] px-2.5 py-1 text-[12px] font-medium ${
+      active ? "bg-[var(--border)] text-[var(--text)]" : "text-[var(--muted)] hover:text-[var(--text)]"
+    }`;
+
+  return (
+    <div className="mt-4 rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+      <div className="mb-3 flex flex-wrap items-center justify-between gap-2">
+        <span className="text-[13px] font-semibold">Changes since</span>
+        <select
+          value={from || comparison.from.id}
+          onChange={(e) => setFrom(e.target.value)}
+          className="rounded-[8px] border border-[var(--border)] bg-transparent px-2 py-1 text-[12px] text-[var(--text)]"
+        >
+          {earlier.map((c) => (
+            <option key={c.id} value={c.id}>
+              {formatDate(c.createdAt)} · {c.pages} pages{c.score != null ? ` · score ${c.score}` : ""}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      <div className="mb-3 flex flex-wrap items-center gap-1">
+        <button type="button" onClick={() => setTab("changed")} className={tabCls(tab === "changed")}>
+          Changed {summary.changed}
+        </button>
+        <button type="button" onClick={() => setTab("added")} className={tabCls(tab === "added")}>
+          New {summary.added}
+        </button>
+        <button type="button" onClick={() => setTab("removed")} className={tabCls(tab === "removed")}>
+          Removed {summary.removed}
+        </button>
+        <span className="ml-auto text-[11px] text-[var(--muted)]">{summary.unchanged} unchanged</span>
+      </div>
+
+      {tab === "changed" ? (
+        <div className="mb-2 flex flex-wrap gap-1">
+          {Object.entries(summary.fields)
+            .filter(([, n]) => n > 0)
+            .map(([f, n]) => (
+              <button
+                key={f}
+                type="button"
+                onClick={() => setField(field === f ? "" : f)}
+                className={`rounded-[8px] border border-[var(--border)] px-2 py-0.5 text-[11px] ${
+                  field === f ? "text-[var(--text)]" : "text-[var(--muted)]"
+                }`}
+              >
+                {FIELD_LABELS[f]} {n}
+              </button>
+            ))}
+        </div>
+      ) : null}
+
+      {shown.length ? (
+        <ul className="space-y-2">
+          {shown.map((row) => (
+            <li key={row.url} className="text-[12px]">
+              <div className="truncate text-[var(--text)]">{row.url}</div>
+              {tab === "changed" ? (
+                Object.entries(row.changes)
+                  .filter(([f]) => !field || f === field)
+                  .map(([f, c]) => (
+                    <div key={f} className="truncate text-[11px] text-[var(--muted)]">
+                      {FIELD_LABELS[f]}: {formatChange(f, c)}
+                    </div>
+                  ))
+              ) : (
+                <div className="truncate text-[11px] text-[var(--muted)]">
+                  {row.status ? `${row.status}${row.redirectsTo ? ` → ${row.redirectsTo}` : ""} · ` : ""}
+                  {row.title || "No title"} · {row.wordCount} words
+                </div>
+              )}
+            </li>
+          ))}
+          {rows.length > shown.length ? (
+            <li className="text-[11px] text-[var(--muted)]">…and {rows.length - shown.length} more</li>
+          ) : null}
+        </ul>
+      ) : (
+        <div className="py-2 text-[12px] text-[var(--muted)]">Nothing here.</div>
+      )}
+    </div>
+  );
+}
+
+/* ============================================================
+   Site Health
+============================================================ */
+
+export default function SiteHealth() {
+  const [site, setSite] = useState("");
+  const [audit, setAudit] = useState(null);
+  const [scanId, setScanId] = useState(null);
+  const [progress, setProgress] = useState(null);
+  const [error, setError] = useState("");
+  const pollRef = useRef(null);
+
+  const stopPolling = useCallback(() => {
+    if (pollRef.current) clearInterval(pollRef.current);
+    pollRef.current = null;
+  }, []);
+
+  const loadAudit = useCallback(async (id) => {
+    const res = await fetch(`/api/seo/site-health?scanId=${encodeURIComponent(id)}`);
+    const json = await res.json().catch(() => ({}));
+    if (!res.ok) throw new Error(json?.error || "Failed to load audit");
+    setAudit(json);
+  }, []);
+
+  // follow a queued/running audit until it finishes
+  const watch = useCallback(
+    (id) => {
+      stopPolling();
+      setScanId(id);
+      setProgress(null);
+
+      pollRef.current = setInterval(async () => {
+        try {
+          const res = await fetch(`/api/seo/scan/status?scanId=${encodeURIComponent(id)}`);
+          const json = await res.json().catch(() => ({}));
+          if (!res.ok) return;
+          if (json.progress) setProgress(json.progress);
+
+          if (json.status === "complete") {
+            stopPolling();
+            setScanId(null);
+            await loadAudit(id);
+          } else if (json.status === "failed" || json.status === "cancelled") {
+            stopPolling();
+            setScanId(null);
+            setError(json.status === "cancelled" ? "Audit cancelled." : json.error || "Audit failed.");
+          }
+        } catch {
+          // ignore transient poll errors
+        }
+      }, 2500);
+    },
+    [stopPolling, loadAudit]
+  );
+
+  const start = useCallback(
+    async ({ refresh = false } = {}) => {
+      const s = currentSite();
+      setSite(s);
+      setError("");
+      if (!s) {
+        setError("Pick a website in the wizard first.");
+        return;
+      }
+
+      try {
+        const res = await fetch("/api/seo/site-health", {
+          method: "POST",
+          headers: { "Content-Type": "application/json" },
+          body: JSON.stringify({ websiteUrl: s, refresh }),
+        });
+        const json = await res.json().catch(() => ({}));
+        if (!res.ok && res.status !== 202) throw new Error(json?.error || "Failed to start audit");
+
+        if (res.status === 202) watch(json.scanId);
+        else setAudit(json);
+      } catch (e) {
+        setError(e?.message || "Failed to start audit");
+      }
+    },
+    [watch]
+  );
+
+  useEffect(() => {
+    start();
+    return stopPolling;
+  }, [start, stopPolling]);
+
+  const cancel = async () => {
+    if (!scanId) return;
+    stopPolling();
+    try {
+      await fetch("/api/seo/scan/cancel", {
+        method: "POST",
+        headers: { "Content-Type": "application/json" },
+        body: JSON.stringify({ scanId }),
+      });
+    } catch {
+      // the audit may have finished in the meantime
+    }
+    setScanId(null);
+  };
+
+  const btnCls =
+    "inline-flex items-center gap-1.5 rounded-[10px] border border-[var(--border)] px-3 py-1.5 text-[12px] font-medium text-[var(--muted)] hover:text-[var(--text)] disabled:opacity-40";
+
+  return (
+    <div className="p-4 sm:p-6">
+      <div className="mb-4 flex items-center justify-between gap-3">
+        <div>
+          <h1 className="text-[22px] sm:text-[24px] font-extrabold leading-tight text-[var(--text)]">
+            Site Health
+          </h1>
+          {site ? <div className="text-[12px] text-[var(--muted)]">{site}</div> : null}
+        </div>
+        <div className="flex items-center gap-2">
+          <button type="button" onClick={openDashboard} className={btnCls}>
+            <ChevronLeft size={14} /> Dashboard
+          </button>
+          {scanId ? (
+            <button type="button" onClick={cancel} className={btnCls}>
+              <X size={14} /> Cancel
+            </button>
+          ) : (
+            <button type="button" onClick={() => start({ refresh: true })} className={btnCls}>
+              <RefreshCw size={14} /> Re-run audit
+            </button>
+          )}
+        </div>
+      </div>
+
+      {error ? <div className="mb-3 text-[12px] text-red-500">{error}</div> : null}
+
+      {scanId ? (
+        <div className="mb-4 flex items-center gap-2 rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4 text-[12px] text-[var(--muted)]">
+          <RefreshCw size={14} className="animate-spin" />
+          {progress?.message || "Auditing site…"}
+        </div>
+      ) : null}
+
+      {audit ? (
+        <>
+          <div className="mb-4 grid grid-cols-2 gap-3 sm:grid-cols-5">
+            <div className="rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+              <div className="text-[11px] text-[var(--muted)]">Health score</div>
+              <div className={`text-[28px] font-extrabold tabular-nums ${scoreColor(audit.score)}`}>
+                {audit.score ?? "—"}
+              </div>
+            </div>
+            <div className="rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+              <div className="text-[11px] text-[var(--muted)]">Pages audited</div>
+              <div className="text-[28px] font-extrabold tabular-nums text-[var(--text)]">
+                {audit.pagesAudited}
+              </div>
+            </div>
+            {["error", "warning", "notice"].map((s) => (
+              <div key={s} className="rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+                <div className="text-[11px] capitalize text-[var(--muted)]">{s}s</div>
+                <div className="text-[28px] font-extrabold tabular-nums text-[var(--text)]">
+                  {audit.counts?.[s] ?? 0}
+                </div>
+              </div>
+            ))}
+          </div>
+
+          <div className="rounded-[16px] border border-[var(--border)] bg-[var(--input)] p-4">
+            <div className="mb-1 flex items-center justify-between">
+              <span className="text-[13px] font-semibold">Issues</span>
+              <span className="text-[11px] text-[var(--muted)]">
+                Crawled {formatDate(audit.createdAt)}
+              </span>
+            </div>
+            {audit.issues?.length ? (
+              <ul className="divide-y divide-[var(--border)]">
+                {audit.issues.map((issue) => (
+                  <IssueRow key={issue.type} issue={issue} />
+                ))}
+              </ul>
+            ) : (
+              <div className="py-4 text-[12px] text-[var(--muted)]">No issues found.</div>
+            )}
+          </div>
+
+          {audit.linkGraph?.pages ? <LinkGraphPanel graph={audit.linkGraph} /> : null}
+
+          <CrawlComparePanel
+            hostname={audit.hostname}
+            allowSubdomains={audit.allowSubdomains}
+            scanId={audit.scanId}
+          />
+        </>
+      ) : null}
+    </div>
+  );
+}
@@ -12,6 +12,79 @@ import { FileText, Sparkles, ScrollText, Link2, Shapes } from "lucide-react";
 
 const HL_ATTR = "data-ce-hl"; // marker attribute for our highlights
 
+// blocks a sentence never crosses (readabilityBlocks() splits on these)
+const SENTENCE_BLOCKS =
+  "p, li, blockquote, dd, dt, td, th, figcaption, div, section, article, h1, h2, h3, h4, h5, h6";
+
+const escapeRx = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+function createMark(rule, text) {
+  const mark = document.createElement("mark");
+  mark.setAttribute(HL_ATTR, "1");
+  mark.setAttribute("data-status", rule.status || "");
+  if (rule.title) mark.title = rule.title;
+  mark.className = `${rule.className} ${HL_ATTR} ${rule.text ? "inline" : "inline-block"}`;
+  mark.textContent = text;
+  return mark;
+}
+
+/**
+ * Sentence highlights: each block's text nodes are joined (with an offset map)
+ * so a sentence containing a link or <strong>/<em> still matches; the match is
+ * then wrapped piecewise, one <mark> per text node it covers.
+ */
+function highlightSentences(textNodes, rules) {
+  const groups = [];
+  for (const node of textNodes) {
+    const block = node.parentElement.closest(SENTENCE_BLOCKS);
+    const last = groups[groups.length - 1];
+    if (last && last.block === block) last.nodes.push(node);
+    else groups.push({ block, nodes: [node] });
+  }
+
+  for (const { nodes } of groups) {
+    const starts = [];
+    let text = "";
+    for (const node of nodes) {
+      starts.push(text.length);
+      text += node.nodeValue;
+    }
+
+    // earliest match wins; a later rule can't overlap an earlier match
+    const matches = [];
+    for (const rule of rules) {
+      rule.rx.lastIndex = 0;
+      let m;
+      while ((m = rule.rx.exec(text))) {
+        const start = m.index;
+        const end = start + m[0].length;
+        if (end === start) {
+          rule.rx.lastIndex++;
+          continue;
+        }
+        if (!matches.some((x) => start < x.end && end > x.start)) {
+          matches.push({ rule, start, end });
+        }
+      }
+    }
+
+    // last match first: splitText keeps the head in the original node, so the
+    // offsets of earlier matches stay valid
+    matches.sort((a, b) => b.start - a.start);
+    for (const { rule, start, end } of matches) {
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        const from = Math.max(start, starts[i]) - starts[i];
+        const to = Math.min(end, starts[i] + nodes[i].nodeValue.length) - starts[i];
+        if (to <= from) continue;
+        let piece = nodes[i];
+        if (from > 0) piece = piece.splitText(from);
+        if (to - from < piece.nodeValue.length) piece.splitText(to - from);
+        piece.parentNode.replaceChild(createMark(rule, piece.nodeValue), piece);
+      }
+    }
+  }
+}
+
 const CECanvas = forwardRef(function CECanvas(
   {
     docId, // 👈 unique per page/document (slug/id)
@@ -33,6 +106,8 @@ const CECanvas = forwardRef(function CECanvas(
 
   // highlight rules sent from Optimize
   const highlightRulesRef = useRef([]);
+  // whole sentences sent from the metrics strip (readability), matched first
+  const sentenceRulesRef = useRef([]);
 
   // RAF guard for highlights (prevents flicker / overlapping passes)
   const runHighlightsRafRef = useRef(null);
@@ -128,24 +203,29 @@ const CECanvas = forwardRef(function CECanvas(
       parent.removeChild(el);
     });
 
-    const rules = highlightRulesRef.current;
-    if (!Array.isArray(rules) || rules.length === 0) return;
-
-    const prepared = rules
+    const sentenceRules = sentenceRulesRef.current
+      .filter((r) => r?.text)
+      .map((r) => {
+        // exact text, any whitespace (or none, across a <br>), no word boundaries
+        const parts = String(r.text).trim().split(/\s+/).filter(Boolean).map(escapeRx);
+        return parts.length ? { ...r, rx: new RegExp(parts.join("\\s*"), "g") } : null;
+      })
+      .filter(Boolean);
+    const prepared = highlightRulesRef.current
       .filter((r) => r?.phrase)
       .map((r) => {
-        const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
         const tokens = String(r.phrase)
           .toLowerCase()
           .trim()
           .split(/\s+/)
           .filter(Boolean)
-          .map(esc);
+          .map(escapeRx);
         if (tokens.length === 0) return null;
         const rx = new RegExp(`\\b${tokens.join("[\\s\\-–—]+")}\\b`, "gi");
         return { ...r, rx };
       })
       .filter(Boolean);
+    if (sentenceRules.length === 0 && prepared.length === 0) return;
 
     const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
       acceptNode(node) {
@@ -159,8 +239,16 @@ const CECanvas = forwardRef(function CECanvas(
       },
     });
 
-    const textNodes = [];
-    while (walker.nextNode()) textNodes.push(walker.currentNode);
+    const collectTextNodes = () => {
+      walker.currentNode = root;
+      const nodes = [];
+      while (walker.nextNode()) nodes.push(walker.currentNode);
+      return nodes;
+    };
+
+    if (sentenceRules.length) highlightSentences(collectTextNodes(), sentenceRules);
+    if (prepared.length === 0) return;
+    const textNodes = collectTextNodes();
 
     for (const textNode of textNodes) {
       let text = textNode.nodeValue;
@@ -180,12 +268,7 @@ const CECanvas = forwardRef(function CECanvas(
           if (start > lastIdx)
             pieces.push(document.createTextNode(text.slice(lastIdx, start)));
 
-          const mark = document.createElement("mark");
-          mark.setAttribute(HL_ATTR, "1");
-          mark.setAttribute("data-status", rule.status || "");
-          mark.className = `${rule.className} ${HL_ATTR} inline-block`;
-          mark.textContent = text.slice(start, end);
-          pieces.push(mark);
+          pieces.push(createMark(rule, text.slice(start, end)));
 
           lastIdx = end;
         }
@@ -223,9 +306,15 @@ const CECanvas = forwardRef(function CECanvas(
       highlightRulesRef.current = Array.isArray(e.detail) ? e.detail : [];
       scheduleHighlights();
     }
+    function onSentences(e) {
+      sentenceRulesRef.current = Array.isArray(e.detail) ? e.detail : [];
+      scheduleHighlights();
+    }
     window.addEventListener("ce:highlightRules", onRules);
+    window.addEventListener("ce:sentenceHighlights", onSentences);
     return () => {
       window.removeEventListener("ce:highlightRules", onRules);
+      window.removeEventListener("ce:sentenceHighlights", onSentences);
       if (runHighlightsRafRef.current) {
         cancelAnimationFrame(runHighlightsRafRef.current);
       }
@@ -12,6 +12,7 @@ import { Menu, SquareStack, ChevronsUp, ChevronsDown } from "lucide-react";
 import CEToolbar from "./CE.Toolbar";
 import CECanvas from "./CE.Canvas";
 import CEResearchPanel from "./CE.ResearchPanel";
+import { analyzeReadability, readabilityBlocks } from "@/lib/seo/readability";
 
 /** Escape for regex */
 const esc = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
@@ -307,6 +308,7 @@ export default function CEContentArea({
     wordCount: 0,
     wordTarget: metricsProp?.wordTarget ?? 1250,
     lsiKeywords: 0,
+    readability: null,
     statuses: {
       wordCount: { label: "—", color: "text-[var(--muted)]" },
       primaryKeyword: { label: "—", color: "text-[var(--muted)]" },
@@ -372,6 +374,7 @@ export default function CEContentArea({
           primaryKeyword: 0,
           wordCount: 0,
           lsiKeywords: 0,
+          readability: null,
           wordTarget: metricsInternal.wordTarget,
         };
         setMetricsInternal((m) => ({
@@ -420,11 +423,15 @@ export default function CEContentArea({
         return { label: "Needs Review", color: "text-red-600" };
       };
 
+      // Flesch, sentence / paragraph lengths, passive voice, transitions + worst sentences
+      const readability = analyzeReadability(readabilityBlocks(html));
+
       const next = {
         plagiarism,
         wordCount,
         primaryKeyword: pkScore,
         lsiKeywords: lsiPct,
+        readability,
         wordTarget: metricsInternal.wordTarget,
       };
 
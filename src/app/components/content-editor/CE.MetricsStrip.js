@@ -2,7 +2,8 @@
 "use client";
 
 import React, { useEffect, useRef, useState } from "react";
-import { HelpCircle, MinusCircle, PlusCircle, ListChecks } from "lucide-react";
+import { HelpCircle, MinusCircle, PlusCircle, ListChecks, Highlighter } from "lucide-react";
+import { rateReadability } from "@/lib/seo/readability";
 
 /** Smooth animation hook for number transitions */
 function useSpringNumber(target = 0, ms = 700) {
@@ -137,6 +138,123 @@ function WordcountCard({ count = 0, target = 1200 }) {
   );
 }
 
+/* ------------------------------ READABILITY ------------------------------ */
+
+const RATING_STATUS = {
+  good: { label: "Good", color: "text-green-600", tone: "good" },
+  ok: { label: "Moderate", color: "text-yellow-600", tone: "warn" },
+  poor: { label: "Needs Review", color: "text-red-600", tone: "bad" },
+};
+
+/** Canvas highlight per sentence issue (worst first) */
+const SENTENCE_ISSUES = {
+  "very-long": {
+    label: "Very long sentence",
+    className: "bg-rose-200/60 text-rose-900 rounded-[2px]",
+  },
+  long: {
+    label: "Long sentence",
+    className: "bg-amber-200/60 text-amber-900 rounded-[2px]",
+  },
+  hard: {
+    label: "Hard to read",
+    className: "bg-violet-200/60 text-violet-900 rounded-[2px]",
+  },
+  passive: {
+    label: "Passive voice",
+    className: "bg-sky-200/60 text-sky-900 rounded-[2px]",
+  },
+};
+
+/** Tiny histogram of a length distribution ({ "1-10": n, … }) */
+function DistributionBars({ distribution = {}, unit = "words" }) {
+  const entries = Object.entries(distribution);
+  const max = Math.max(1, ...entries.map(([, n]) => n));
+  return (
+    <div
+      className="mt-1 flex h-2.5 items-end gap-[2px]"
+      title={entries.map(([k, n]) => `${k} ${unit}: ${n}`).join("\n")}
+    >
+      {entries.map(([k, n], i) => (
+        <div
+          key={k}
+          className={`flex-1 rounded-[1px] ${i === entries.length - 1 ? "bg-rose-300" : "bg-slate-300"}`}
+          style={{ height: `${Math.max(8, (n / max) * 100)}%` }}
+        />
+      ))}
+    </div>
+  );
+}
+
+/** Readability metric card (desktop); `metric` rates the value (READABILITY_TARGETS) */
+function ReadabilityCard({ label, value, unit = "", metric, sub, distribution, pct }) {
+  const rating = metric ? rateReadability(metric, value) : null;
+  const status = RATING_STATUS[rating];
+  const anim = useSpringNumber(value ?? 0, 400);
+
+  return (
+    <div className="min-w-0 h-[74px] rounded-[12px] border border-[var(--border)] bg-white px-3 py-2 transition-colors">
+      <div className="flex h-full flex-col justify-end">
+        <div className="mb-1 flex items-center gap-1 text-[11px] font-semibold tracking-wide text-[var(--text-primary)]">
+          <span className="truncate">{label}</span>
+          <HelpCircle size={13} className="text-[var(--muted)] shrink-0" />
+        </div>
+
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-[14px] font-bold text-[var(--text-primary)] tabular-nums">
+            {value == null ? "—" : `${Math.round(anim)}${unit}`}
+          </div>
+          {status ? (
+            <div className={`text-[11px] ${status.color} font-medium truncate`}>{status.label}</div>
+          ) : sub ? (
+            <div className="text-[11px] text-[var(--muted)] truncate">{sub}</div>
+          ) : null}
+        </div>
+
+        {distribution ? (
+          <DistributionBars distribution={distribution} />
+        ) : (
+          <Bar pct={pct ?? anim} tone={status?.tone} />
+        )}
+      </div>
+    </div>
+  );
+}
+
+/** Toggles the worst-sentence highlights in the canvas */
+function SentenceHighlightPill({ count = 0, active, onClick }) {
+  return (
+    <button
+      onClick={count ? onClick : undefined}
+      disabled={!count}
+      title={count ? "Highlight the hardest sentences in the editor" : "No sentences to flag"}
+      className={`min-w-0 h-[74px] rounded-[12px] border px-3 text-left transition-all ${
+        active
+          ? "border-[1.5px] border-orange-600 bg-orange-50"
+          : "border-[var(--border)] bg-white hover:bg-gray-50"
+      } ${count ? "" : "opacity-50 cursor-not-allowed hover:bg-white"}`}
+    >
+      <div className="flex items-center gap-2">
+        <span
+          className={`grid place-items-center h-6 w-6 rounded-full border ${
+            active ? "border-orange-300 bg-orange-100" : "border-gray-300 bg-gray-100"
+          }`}
+        >
+          <Highlighter size={14} className={active ? "text-orange-600" : "text-gray-500"} />
+        </span>
+        <div className="leading-tight min-w-0">
+          <div className={`text-[10px] font-medium ${active ? "text-orange-700/80" : "text-[var(--muted)]"}`}>
+            {count} SENTENCE{count === 1 ? "" : "S"}
+          </div>
+          <div className={`text-[12.5px] font-bold truncate ${active ? "text-orange-700" : "text-[var(--muted)]"}`}>
+            {active ? "Hide highlights" : "Highlight"}
+          </div>
+        </div>
+      </div>
+    </button>
+  );
+}
+
 /** SEO pill (desktop) */
 function SeoPill({ active, title, Icon, onClick, disabled }) {
   const base =
@@ -377,6 +495,37 @@ export default function CEMetricsStrip({
   const wcBadge = Math.round(wcPct);
   const lsiBadge = Math.round(lsiPct);
 
+  const rd = metrics?.readability || null;
+  const hasReadability = Boolean(rd?.sentences);
+  const fleschPct = rd?.fleschReadingEase ?? 0;
+  const passivePct = rd?.passive?.pct ?? 0;
+  const transitionPct = rd?.transitions?.pct ?? 0;
+  const longPct = rd?.sentenceLength?.longPct ?? 0;
+
+  // worst sentences -> canvas highlights (CE.Canvas "ce:sentenceHighlights")
+  const [showSentences, setShowSentences] = useState(false);
+  const highlights = rd?.highlights;
+  useEffect(() => {
+    if (typeof window === "undefined") return;
+    const rules = showSentences
+      ? (highlights || []).map((h) => ({
+          text: h.text,
+          status: h.issues[0],
+          title: h.issues.map((i) => SENTENCE_ISSUES[i]?.label || i).join(" · "),
+          className: SENTENCE_ISSUES[h.issues[0]]?.className || "",
+        }))
+      : [];
+    window.dispatchEvent(new CustomEvent("ce:sentenceHighlights", { detail: rules }));
+  }, [showSentences, highlights]);
+
+  useEffect(
+    () => () => {
+      if (typeof window === "undefined") return;
+      window.dispatchEvent(new CustomEvent("ce:sentenceHighlights", { detail: [] }));
+    },
+    []
+  );
+
   return (
     <div className="mb-4">
       {/* --------------------- DESKTOP (unchanged) --------------------- */}
@@ -409,6 +558,56 @@ export default function CEMetricsStrip({
         />
       </div>
 
+      {/* --------------------- DESKTOP: readability row --------------------- */}
+      {hasReadability ? (
+        <div className="hidden md:grid mt-2.5 grid-cols-[1fr_1fr_1fr_1fr_1fr_.9fr] gap-2.5 items-stretch">
+          <ReadabilityCard
+            label="READABILITY"
+            value={rd.fleschReadingEase}
+            metric="fleschReadingEase"
+          />
+          <ReadabilityCard
+            label="GRADE LEVEL"
+            value={rd.fleschKincaidGrade}
+            sub={rd.level}
+            pct={Math.min(100, (rd.fleschKincaidGrade / 16) * 100)}
+          />
+          <ReadabilityCard
+            label={`SENTENCES · AVG ${rd.sentenceLength.avg}`}
+            value={longPct}
+            unit="% long"
+            metric="longSentencePct"
+            distribution={rd.sentenceLength.distribution}
+          />
+          <ReadabilityCard
+            label={`PARAGRAPHS · AVG ${rd.paragraphLength.avg}`}
+            value={rd.paragraphLength.long}
+            unit=" long"
+            sub={`max ${rd.paragraphLength.max} words`}
+            distribution={rd.paragraphLength.distribution}
+          />
+          <div className="grid grid-cols-2 gap-2.5 min-w-0">
+            <ReadabilityCard
+              label="PASSIVE"
+              value={rd.passive ? passivePct : null}
+              unit="%"
+              metric="passivePct"
+            />
+            <ReadabilityCard
+              label="TRANSITIONS"
+              value={rd.transitions ? transitionPct : null}
+              unit="%"
+              metric="transitionPct"
+            />
+          </div>
+          <SentenceHighlightPill
+            count={rd.highlights.length}
+            active={showSentences}
+            onClick={() => setShowSentences((v) => !v)}
+          />
+        </div>
+      ) : null}
+
       {/* --------- MOBILE: collapsed summary strip (shown on collapse) --------- */}
       <div
         id="ce-metrics-mobile-summary"
@@ -439,6 +638,14 @@ export default function CEMetricsStrip({
             colorClass="text-gray-800"
             bgClass="bg-amber-500"
           />
+          {hasReadability ? (
+            <MiniMetricBadge
+              value={Math.round(fleschPct)}
+              label="READABILITY"
+              colorClass="text-gray-800"
+              bgClass="bg-sky-500"
+            />
+          ) : null}
         </div>
       </div>
 
@@ -481,6 +688,16 @@ export default function CEMetricsStrip({
             target={wcTarget}
           />
         </div>
+
+        {/* Readability row */}
+        {hasReadability ? (
+          <div className="grid grid-cols-4 gap-2">
+            <CircularStat pct={fleschPct} label="READABILITY" ring="#0EA5E9" />
+            <CircularStat pct={longPct} label="LONG SENTENCES" ring="#E11D48" alt />
+            <CircularStat pct={passivePct} label="PASSIVE VOICE" ring="#6366F1" alt />
+            <CircularStat pct={transitionPct} label="TRANSITIONS" ring="#14B8A6" />
+          </div>
+        ) : null}
       </div>
     </div>
   );
@@ -4,7 +4,7 @@ import React from "react";
 import { LayoutDashboard, Activity, Link2, LineChart, BarChart2, ArrowUpCircle, User } from "lucide-react";
 
 export default function CESidebar() {
-  const Item = ({ icon: Icon, label, active=false, disabled=false }) => {
+  const Item = ({ icon: Icon, label, active=false, disabled=false, onClick }) => {
     const base = "flex flex-col items-center gap-1 w-full py-3 text-[11px]";
     const state = disabled
       ? "text-gray-400 cursor-not-allowed"
@@ -12,7 +12,7 @@ export default function CESidebar() {
       ? "text-[var(--text-primary)] font-semibold"
       : "text-[var(--muted)] hover:bg-[var(--input)]";
     return (
-      <button className={`${base} ${state}`} disabled={disabled} title={label}>
+      <button className={`${base} ${state}`} disabled={disabled} title={label} onClick={onClick}>
         <Icon size={18} />
         <span className="leading-none">{label}</span>
       </button>
@@ -25,7 +25,13 @@ export default function CESidebar() {
         <div className="h-12 w-12 rounded-full bg-[#0f172a] text-white grid place-items-center text-xs font-semibold mb-1">Logo</div>
 
         <Item icon={LayoutDashboard} label="Dashboard" active />
-        <Item icon={Activity} label="Site Health" disabled />
+        <Item
+          icon={Activity}
+          label="Site Health"
+          onClick={() => {
+            try { window.dispatchEvent(new CustomEvent("wizard:navigate", { detail: { step: "siteHealth" } })); } catch {}
+          }}
+        />
         <Item icon={Link2} label="Backlinks" disabled />
         <Item icon={LineChart} label={"Comp\nanalysis"} disabled />
         <Item icon={BarChart2} label="Reports" disabled />
@@ -259,8 +259,7 @@ function deriveLinksFromSeoData(seoData) {
       ? dfs.totalDomains
       : rows.length;
 
-  // Internal links are usually page-level; if you later add them to /api/seo,
-  // you can map them here.
+  // Internal link suggestions from the site's crawled link graph (/api/seo)
   result.internalRows = Array.isArray(dfs.internalLinks)
     ? dfs.internalLinks.map((r) => ({
         domain: r.url || r.path || "",
@@ -317,6 +316,9 @@ export default function SeoAdvancedLinks({
 
   const rowsRaw = linkTab === "external" ? externalRowsRaw : internalRowsRaw;
 
+  // this page in the site's link graph (present once the site was crawled)
+  const internalPage = seoData?.internalLinks?.page || null;
+
   // Normalize to the shape LinkRow expects
   const rows = rowsRaw.map((r) => ({
     rankScore:
@@ -379,20 +381,46 @@ export default function SeoAdvancedLinks({
         </button>
       </div>
 
-      <div className="mt-3 rounded-2xl border border-[var(--border)] bg-gray-100/80 px-4 py-3 text-gray-800 shadow-inner dark:bg-[var(--bg-hover)] dark:text-[var(--text-primary)]">
-        <div className="text-[28px] leading-7 font-extrabold">
-          {externalTotal}
-        </div>
-        <div className="text-[12px] mt-0.5 text-gray-600 dark:text-[var(--muted)]">
-          Number of External Links
+      {linkTab === "external" ? (
+        <div className="mt-3 rounded-2xl border border-[var(--border)] bg-gray-100/80 px-4 py-3 text-gray-800 shadow-inner dark:bg-[var(--bg-hover)] dark:text-[var(--text-primary)]">
+          <div className="text-[28px] leading-7 font-extrabold">
+            {externalTotal}
+          </div>
+          <div className="text-[12px] mt-0.5 text-gray-600 dark:text-[var(--muted)]">
+            Number of External Links
+          </div>
+          <div className="text-[12px] mt-1 text-gray-600 dark:text-[var(--muted)]">
+            Top search results link to pages from{" "}
+            <span className="font-semibold text-gray-900 dark:text-[var(--text-primary)]">
+              {totalDomains} domains
+            </span>
+          </div>
         </div>
-        <div className="text-[12px] mt-1 text-gray-600 dark:text-[var(--muted)]">
-          Top search results link to pages from{" "}
-          <span className="font-semibold text-gray-900 dark:text-[var(--text-primary)]">
-            {totalDomains} domains
-          </span>
+      ) : (
+        <div className="mt-3 rounded-2xl border border-[var(--border)] bg-gray-100/80 px-4 py-3 text-gray-800 shadow-inner dark:bg-[var(--bg-hover)] dark:text-[var(--text-primary)]">
+          <div className="text-[28px] leading-7 font-extrabold">
+            {internalPage ? internalPage.inlinks : "—"}
+          </div>
+          <div className="text-[12px] mt-0.5 text-gray-600 dark:text-[var(--muted)]">
+            Internal links to this page
+          </div>
+          <div className="text-[12px] mt-1 text-gray-600 dark:text-[var(--muted)]">
+            {internalPage ? (
+              <>
+                Click depth{" "}
+                <span className="font-semibold text-gray-900 dark:text-[var(--text-primary)]">
+                  {internalPage.depth ?? "unreachable"}
+                </span>
+                {internalPage.orphan ? " · orphan page" : ""}. Suggested pages to link to:
+              </>
+            ) : internalRowsRaw.length ? (
+              "This page wasn't in the last crawl. Suggested pages to link to:"
+            ) : (
+              "Run a Site Health audit to get internal link suggestions."
+            )}
+          </div>
         </div>
-      </div>
+      )}
 
       <div className="relative mt-3">
         <input
@@ -13,6 +13,8 @@ import ThemeToggle from "./components/ThemeToggle";
 import SidebarInfoPanel from "./components/SidebarInfoPanel";
 import Dashboard from "./components/Dashboard";
 import ContentEditor from "./components/ContentEditor";
+import ScanHistory from "./components/ScanHistory";
+import SiteHealth from "./components/SiteHealth";
 
 /* ---------- Mobile-only compact steps: 3 / 2 with dotted connectors ---------- */
 function MobileStepsThreeTwo({ currentStep }) {
@@ -369,6 +371,10 @@ export default function Home() {
             }}
           />
         );
+      case "history":
+        return <ScanHistory />;
+      case "siteHealth":
+        return <SiteHealth />;
       case "contentEditor":
         return (
           <ContentEditor
@@ -402,6 +408,10 @@ export default function Home() {
           setIsInfoOpen((prev) => !prev);
         }}
         infoActive={isInfoOpen || isPinned}
+        onHistoryClick={() => setCurrentStep("history")}
+        historyActive={currentStep === "history"}
+        onSiteHealthClick={() => setCurrentStep("siteHealth")}
+        siteHealthActive={currentStep === "siteHealth"}
         isOpen={isInfoOpen}
         isPinned={isPinned}
         setIsPinned={setIsPinned}
@@ -421,9 +431,11 @@ export default function Home() {
       <main
         className={`flex-1 min-w-0 flex flex-col min-h-0 transition-all duration-300 ${mainOffsetClass}`}
       >
-        {/* Steps header (hidden on 5b & dashboard & editor) */}
+        {/* Steps header (hidden on 5b & dashboard & history & site health & editor) */}
         {currentStep !== "5b" &&
           currentStep !== "dashboard" &&
+          currentStep !== "history" &&
+          currentStep !== "siteHealth" &&
           currentStep !== "contentEditor" && (
             <>
               {/* Mobile: 3 / 2 steps – centered, dotted connectors, lowered */}
@@ -464,6 +476,8 @@ export default function Home() {
             className={`relative flex-1 min-w-0 h-full bg-[var(--bg-panel)] shadow-sm 
               ${
                 currentStep === "dashboard" ||
+                currentStep === "history" ||
+                currentStep === "siteHealth" ||
                 currentStep === "contentEditor" ||
                 currentStep === "5b"
                   ? "rounded-2xl"
@@ -0,0 +1,13 @@
+// src/instrumentation.js
+
+/**
+ * Next.js calls register() once when the server starts.
+ * Boot the scan job queue (recovers interrupted jobs) and the rescan scheduler
+ * without waiting for the first API request.
+ */
+export async function register() {
+  if (process.env.NEXT_RUNTIME !== "nodejs") return;
+
+  const { startScheduler } = await import("@/lib/seo/jobs/scheduler");
+  startScheduler();
+}
@@ -1,29 +1,9 @@
 // src/lib/seo/apyhub.js
 
-import { fetchHtml } from "@/lib/seo/extraction";
-
 const APYHUB_API_KEY = process.env.APYHUB_API_KEY;
 
-if (!APYHUB_API_KEY) {
-  console.warn("APYHUB_API_KEY is not set in .env.local");
-}
-
-function stripHtmlToText(html) {
-  const safe = String(html || "");
-  if (!safe) return "";
-
-  // remove scripts/styles
-  const noScripts = safe
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ");
-
-  // remove tags
-  const text = noScripts
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-
-  return text;
+export function hasApyHubKey() {
+  return Boolean(APYHUB_API_KEY);
 }
 
 async function postJson(url, body, { timeoutMs = 20000, headers = {} } = {}) {
@@ -55,25 +35,16 @@ async function postJson(url, body, { timeoutMs = 20000, headers = {} } = {}) {
 }
 
 /**
- * Extract clean text from a webpage using ApyHub (best-effort),
- * but ALWAYS fallback to local extraction if ApyHub fails.
+ * Clean text of a webpage from ApyHub's text extraction API. Optional content
+ * provider (SEO_CONTENT_PROVIDER=apyhub, see main-content.js).
  *
  * @param {string} url - absolute page URL
+ * Returns { text, endpoint, response } or null when ApyHub isn't configured,
+ * fails or returns no text.
  */
-export async function extractPageText(url) {
-  if (!url) throw new Error("extractPageText: url is required");
-
-  // If no key, skip ApyHub and fallback locally.
-  if (!APYHUB_API_KEY) {
-    const fetched = await fetchHtml(url);
-    const localText = stripHtmlToText(fetched?.html || "");
-    return {
-      apyhub: {
-        text: localText,
-        raw: { provider: "local-fallback", reason: "missing APYHUB_API_KEY" },
-      },
-    };
-  }
+export async function fetchApyHubText(url) {
+  if (!url) throw new Error("fetchApyHubText: url is required");
+  if (!APYHUB_API_KEY) return null;
 
   // ApyHub endpoints are sometimes renamed. Try a small set safely.
   const endpointsToTry = [
@@ -95,17 +66,8 @@ export async function extractPageText(url) {
         (data?.data && typeof data.data === "string" ? data.data : "") ||
         (data?.text && typeof data.text === "string" ? data.text : "");
 
-      // If API succeeded but returned empty, still fallback locally.
-      if (text && text.trim()) {
-        return {
-          apyhub: {
-            text: text.trim(),
-            raw: { endpoint, response: data },
-          },
-        };
-      }
-
-      break; // endpoint exists but text empty → don't spam other endpoints
+      // endpoint exists but text empty → don't spam other endpoints
+      return text && text.trim() ? { text: text.trim(), endpoint, response: data } : null;
     }
 
     // If 404 route not found, try next endpoint
@@ -115,14 +77,5 @@ export async function extractPageText(url) {
     break;
   }
 
-  // Local fallback (always succeeds if your fetchHtml works)
-  const fetched = await fetchHtml(url);
-  const localText = stripHtmlToText(fetched?.html || "");
-
-  return {
-    apyhub: {
-      text: localText,
-      raw: { provider: "local-fallback", reason: "apyhub_failed_or_empty" },
-    },
-  };
+  return null;
 }
@@ -0,0 +1,195 @@
+// src/lib/seo/cache.js
+import { parse as parseDomain } from "tldts";
+import { getStorage } from "@/lib/seo/storage";
+import { purgeHostSnapshots } from "@/lib/seo/snapshots.store";
+
+/**
+ * Cache contract shared by every SEO route.
+ *
+ * - `refresh=true` (query string or JSON body) skips the cached value and
+ *   recomputes it; the fresh result replaces the cache entry.
+ * - purgeHost(hostname) drops everything cached for a host: route caches,
+ *   opportunities snapshots and PSI results (DELETE /api/seo/cache?hostname=…).
+ * - Responses carry `cache: { hit, refreshed, age, ttl, storedAt, expiresAt }`
+ *   (age/ttl in seconds) via cacheInfo().
+ *
+ * Route caches live in the storage backend ("cache_<name>" collections), so
+ * they follow SEO_STORAGE_BACKEND like the snapshots do. In-flight loads
+ * (cache.load()) are per process.
+ */
+
+const g = globalThis;
+
+// Keep registered caches + in-flight promises across hot reloads in dev
+if (!g.__drfizzRouteCaches) {
+  g.__drfizzRouteCaches = new Map(); // name -> { ttlMs, inflight }
+}
+
+const registry = g.__drfizzRouteCaches;
+
+export function normalizeCacheHost(input = "") {
+  let s = String(input || "").trim().toLowerCase();
+  if (!s) return "";
+  try {
+    s = new URL(s.includes("://") ? s : `https://${s}`).hostname;
+  } catch {
+    s = s.replace(/^https?:\/\//, "").split("/")[0];
+  }
+  return s.replace(/^www\./, "");
+}
+
+// registrable domain of a host ("blog.example.co.uk" -> "example.co.uk");
+// null for IPs, "localhost" and bare public suffixes ("com", "co.uk")
+function siteOf(host) {
+  return parseDomain(host, { allowPrivateDomains: true }).domain || null;
+}
+
+// a purge target must be one site: a registrable domain or a host below it
+function isPurgeableHost(host) {
+  const p = parseDomain(host, { allowPrivateDomains: true });
+  return Boolean(p.domain || p.isIp || host === "localhost");
+}
+
+// "blog.example.com" and "example.com" share cached data (root-host caches);
+// beyond the exact host, matches stay on label boundaries within one site
+function sameSite(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  const site = siteOf(a);
+  if (!site || site !== siteOf(b)) return false;
+  return a.endsWith(`.${b}`) || b.endsWith(`.${a}`);
+}
+
+/**
+ * A named, host-keyed cache for route results.
+ *
+ *   const cache = createRouteCache("keywords", { ttlMs: 10 * 60 * 1000 });
+ *   const hit = refresh ? null : cache.get(host);
+ *   const value = await cache.load(host, () => compute(host), { refresh });
+ *
+ * compute() stores its result with cache.set(host, value).
+ */
+export function createRouteCache(name, { ttlMs } = {}) {
+  if (!name) throw new Error("createRouteCache: name is required");
+
+  let state = registry.get(name);
+  if (!state) {
+    state = { ttlMs, inflight: new Map() };
+    registry.set(name, state);
+  }
+  state.ttlMs = Number(ttlMs) || state.ttlMs || 0;
+
+  // remembered in storage so purgeHost() also reaches caches persisted by an
+  // earlier process whose route has not been loaded yet
+  getStorage().collection("caches").set(name, { ttlMs: state.ttlMs });
+
+  const entries = () => getStorage().collection(`cache_${name}`);
+
+  return {
+    name,
+    get ttlMs() {
+      return state.ttlMs;
+    },
+
+    /** -> { value, host, storedAt, expiresAt } | null */
+    get(key) {
+      const k = normalizeCacheHost(key) || String(key);
+      const hit = entries().get(k);
+      if (!hit) return null;
+      if (Date.now() > hit.expiresAt) {
+        entries().delete(k);
+        return null;
+      }
+      return hit;
+    },
+
+    set(key, value) {
+      const k = normalizeCacheHost(key) || String(key);
+      const storedAt = Date.now();
+      const entry = { value, host: k, storedAt, expiresAt: storedAt + state.ttlMs };
+      entries().set(k, entry);
+      return entry;
+    },
+
+    /**
+     * Run compute() once per key at a time: concurrent callers share the
+     * pending promise. A refresh never reuses a load already in progress (it
+     * may have read data from before the change being refreshed for): it runs
+     * a new one after it, which later callers share instead.
+     */
+    load(key, compute, { refresh = false } = {}) {
+      const k = normalizeCacheHost(key) || String(key);
+      const pending = state.inflight.get(k);
+      if (pending && !refresh) return pending;
+
+      // chained, so the older load can't overwrite the fresh entry when it ends
+      const p = (pending ? pending.catch(() => {}) : Promise.resolve())
+        .then(compute)
+        .finally(() => {
+          if (state.inflight.get(k) === p) state.inflight.delete(k);
+        });
+      state.inflight.set(k, p);
+      return p;
+    },
+
+    purgeHost(hostname) {
+      return purgeCollection(name, hostname);
+    },
+  };
+}
+
+function purgeCollection(name, hostname) {
+  const h = normalizeCacheHost(hostname);
+  const col = getStorage().collection(`cache_${name}`);
+  let removed = 0;
+  for (const [key, entry] of Array.from(col.entries())) {
+    if (sameSite(entry?.host || key, h)) {
+      col.delete(key);
+      removed++;
+    }
+  }
+  return removed;
+}
+
+/**
+ * Drop every cached result for `hostname` across all SEO caches.
+ * Returns the number of entries removed per cache.
+ */
+export function purgeHost(hostname) {
+  const h = normalizeCacheHost(hostname);
+  if (!h) throw new Error("hostname is required");
+  if (!isPurgeableHost(h)) {
+    throw new Error(`"${h}" is not a site hostname (use e.g. example.com, not a bare suffix)`);
+  }
+
+  const removed = {};
+  const names = new Set([...registry.keys(), ...getStorage().collection("caches").keys()]);
+  for (const name of names) {
+    removed[name] = purgeCollection(name, h);
+  }
+  return { hostname: h, removed: { ...removed, ...purgeHostSnapshots(h) } };
+}
+
+/**
+ * `refresh=true|1` in the query string, or `refresh: true` in the JSON body.
+ */
+export function wantsRefresh(req, body) {
+  const v = body?.refresh ?? new URL(req.url).searchParams.get("refresh");
+  return v === true || v === 1 || v === "true" || v === "1";
+}
+
+/**
+ * Response metadata for a cache entry (or a fresh value when `hit` is false).
+ * storedAt/expiresAt: epoch ms.
+ */
+export function cacheInfo({ hit = false, storedAt = Date.now(), ttlMs = 0, refreshed = false } = {}) {
+  const age = Math.max(0, Math.round((Date.now() - storedAt) / 1000));
+  return {
+    hit: Boolean(hit),
+    refreshed: Boolean(refreshed),
+    age,
+    ttl: Math.round(ttlMs / 1000),
+    storedAt: new Date(storedAt).toISOString(),
+    expiresAt: new Date(storedAt + ttlMs).toISOString(),
+  };
+}
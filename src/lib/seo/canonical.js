@@ -0,0 +1,198 @@
+// src/lib/seo/canonical.js
+import { extractPage } from "@/lib/seo/extraction";
+
+/**
+ * Duplicate-URL resolution for discovery.
+ *
+ * Candidates that are the same content collapse into one entity:
+ * - "normalized": same urlKey (http/https, www, trailing slash, ?page=, param order)
+ * - "redirect":   the fetched URL ended up somewhere else
+ * - "canonical":  <link rel="canonical"> points at another URL
+ * - "hreflang":   members of one <link rel="alternate" hreflang> cluster
+ *
+ * The entity URL is the copy worth optimising: the canonical target most
+ * members point to, else the x-default alternate, else the first discovered
+ * member that loaded (after redirects), preferring URLs without ?page=.
+ */
+
+// pagination params never identify a distinct page
+const PAGINATION_PARAMS = new Set(["page", "paged", "pg"]);
+
+export function hasPaginationParam(url) {
+  try {
+    return Array.from(new URL(url).searchParams.keys()).some((k) =>
+      PAGINATION_PARAMS.has(k.toLowerCase())
+    );
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Comparison key: scheme-less, lowercase host without www, no default port,
+ * no trailing slash / fragment / pagination params, sorted query.
+ */
+export function urlKey(url) {
+  try {
+    const u = new URL(url);
+    const host = u.hostname.replace(/^www\./, "").toLowerCase();
+    const port = u.port && u.port !== "80" && u.port !== "443" ? `:${u.port}` : "";
+
+    let path = u.pathname.replace(/\/index\.(html?|php)$/i, "/");
+    if (path.length > 1) path = path.replace(/\/+$/, "");
+
+    const params = Array.from(u.searchParams.entries())
+      .filter(([k]) => !PAGINATION_PARAMS.has(k.toLowerCase()))
+      .sort(([a], [b]) => a.localeCompare(b));
+    const query = params.length ? `?${new URLSearchParams(params).toString()}` : "";
+
+    return `${host}${port}${path || "/"}${query}`;
+  } catch {
+    return String(url || "");
+  }
+}
+
+/**
+ * <link rel="canonical"> and hreflang alternates of a page (absolute URLs).
+ * Returns { canonical, alternates: [{ hreflang, href }] }
+ */
+export function extractLinkSignals(html = "", baseUrl) {
+  const { canonical, hreflang } = extractPage(html, { baseUrl });
+  return { canonical, alternates: hreflang };
+}
+
+/**
+ * Collapse fetched candidates into entities.
+ *
+ * pages: [{ url, finalUrl?, ok, text?, kind? }] in discovery order
+ * accept: async (url) => boolean, whether a URL may represent an entity (host/robots rules)
+ *
+ * Returns [{ url, kind, canonical, hreflang: [{ hreflang, href }],
+ *            variants: [{ url, relation }] }] in discovery order
+ */
+export async function clusterCandidates(pages = [], { accept = async () => true } = {}) {
+  const parent = new Map(); // urlKey -> urlKey (union-find)
+  const find = (k) => {
+    if (!parent.has(k)) parent.set(k, k);
+    let root = k;
+    while (parent.get(root) !== root) root = parent.get(root);
+    parent.set(k, root);
+    return root;
+  };
+  const union = (a, b) => {
+    const ra = find(a);
+    const rb = find(b);
+    if (ra !== rb) parent.set(rb, ra);
+  };
+
+  const info = pages.map((page) => {
+    const finalUrl = page.finalUrl || page.url;
+    const signals =
+      page.ok && page.text
+        ? extractLinkSignals(page.text, finalUrl)
+        : { canonical: null, alternates: [] };
+    return { ...page, finalUrl, ...signals };
+  });
+
+  // why a URL is a copy; stronger reasons overwrite weaker ones
+  const STRENGTH = { canonical: 1, hreflang: 2, redirect: 3 };
+  const relation = new Map();
+  const relate = (url, rel) => {
+    if ((STRENGTH[rel] || 0) > (STRENGTH[relation.get(url)] || 0)) relation.set(url, rel);
+  };
+
+  for (const p of info) {
+    const k = urlKey(p.url);
+    find(k);
+
+    if (p.finalUrl !== p.url) {
+      union(k, urlKey(p.finalUrl));
+      relate(p.url, "redirect");
+    }
+    if (p.canonical) {
+      union(k, urlKey(p.canonical));
+      // the page points elsewhere; the target is only a candidate entity URL
+      if (urlKey(p.canonical) !== urlKey(p.finalUrl)) {
+        relate(p.url, "canonical");
+        relate(p.finalUrl, "canonical");
+        relate(p.canonical, "canonical");
+      }
+    }
+    for (const alt of p.alternates) {
+      union(k, urlKey(alt.href));
+      relate(alt.href, "hreflang");
+    }
+  }
+
+  const clusters = new Map(); // root -> members (info) in discovery order
+  for (const p of info) {
+    const root = find(urlKey(p.url));
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(p);
+  }
+
+  const entities = [];
+  for (const members of clusters.values()) {
+    const first = members[0];
+
+    // canonical votes from members whose canonical isn't themselves
+    const votes = new Map();
+    for (const m of members) {
+      if (!m.canonical || urlKey(m.canonical) === urlKey(m.finalUrl)) continue;
+      if (votes.has(m.canonical) || (await accept(m.canonical))) {
+        votes.set(m.canonical, (votes.get(m.canonical) || 0) + 1);
+      }
+    }
+    const voted = Array.from(votes.entries()).sort((a, b) => b[1] - a[1])[0]?.[0];
+
+    const hreflang = [];
+    const seenAlt = new Set();
+    for (const m of members) {
+      for (const alt of m.alternates) {
+        const key = `${alt.hreflang}|${alt.href}`;
+        if (seenAlt.has(key)) continue;
+        seenAlt.add(key);
+        hreflang.push(alt);
+      }
+    }
+    const xDefault = hreflang.find((a) => a.hreflang === "x-default")?.href;
+
+    let url = voted;
+    if (!url && xDefault && (await accept(xDefault))) url = xDefault;
+    // un-paginated copies first (/post over /post?page=2)
+    const byCleanliness = [...members].sort(
+      (a, b) => hasPaginationParam(a.finalUrl) - hasPaginationParam(b.finalUrl)
+    );
+    for (const m of byCleanliness) {
+      if (url) break;
+      if (m.ok && (m.finalUrl === m.url || (await accept(m.finalUrl)))) url = m.finalUrl;
+    }
+    if (!url) url = first.url;
+
+    // every other URL we saw for this entity
+    const variants = [];
+    const seen = new Set([url]);
+    const addVariant = (u) => {
+      if (!u || seen.has(u)) return;
+      seen.add(u);
+      const rel = urlKey(u) === urlKey(url) ? "normalized" : relation.get(u) || "normalized";
+      variants.push({ url: u, relation: rel });
+    };
+    for (const m of members) {
+      addVariant(m.url);
+      addVariant(m.finalUrl);
+      if (m.canonical) addVariant(m.canonical);
+    }
+    for (const alt of hreflang) addVariant(alt.href);
+
+    entities.push({
+      url,
+      kind: first.kind,
+      canonical: voted || first.canonical || null,
+      hreflang,
+      variants,
+    });
+  }
+
+  return entities;
+}
@@ -0,0 +1,165 @@
+// src/lib/seo/crawl-compare.js
+
+/**
+ * Crawl-to-crawl comparison (e.g. before / after a redesign).
+ *
+ * Works on stored crawls of one site:
+ *   - Site Health audits (snapshots.store getSiteAudit): status, title, meta
+ *     description, H1, canonical, noindex, word count per URL
+ *   - opportunities versions (getOpportunitiesVersion): title, description,
+ *     word count of the discovered blogs/pages
+ * Fields a source doesn't record are never reported as changed; URLs that
+ * redirect in either crawl only report status / redirect target changes.
+ *
+ *   compareCrawls(crawlFromSiteAudit(older), crawlFromSiteAudit(newer))
+ */
+
+export const COMPARE_FIELDS = ["status", "title", "description", "h1", "canonical", "noindex", "wordCount"];
+
+// word-count changes below both thresholds are noise (dates, widgets, counters)
+export const WORD_SWING_MIN = 50;
+export const WORD_SWING_RATIO = 0.2;
+
+const text = (v) => String(v ?? "").replace(/\s+/g, " ").trim();
+
+/**
+ * Comparable crawl of a Site Health audit. A redirecting URL's status is the
+ * first hop's (301/302…) when the audit recorded it.
+ */
+export function crawlFromSiteAudit(audit) {
+  return {
+    source: "site-health",
+    id: audit.scanId,
+    createdAt: audit.createdAt,
+    fields: COMPARE_FIELDS,
+    pages: (audit.pages || []).map((p) => ({
+      url: p.url,
+      status: p.redirectStatus || p.status || 0,
+      redirectsTo: p.finalUrl && p.finalUrl !== p.url ? p.finalUrl : null,
+      title: text(p.title),
+      description: text(p.description),
+      h1: text(p.h1),
+      canonical: p.canonical || "",
+      noindex: Boolean(p.noindex),
+      wordCount: Number(p.wordCount) || 0,
+    })),
+  };
+}
+
+/** Comparable crawl of an opportunities version (blogs + pages). */
+export function crawlFromOpportunitiesVersion(version) {
+  const items = [...(version.blogs || []), ...(version.pages || [])];
+  return {
+    source: "opportunities",
+    id: version.version,
+    createdAt: version.createdAt,
+    fields: ["title", "description", "canonical", "wordCount"],
+    pages: items.map((it) => ({
+      url: it.url,
+      title: text(it.title),
+      description: text(it.description),
+      canonical: it.canonical || "",
+      wordCount: Number(it.wordCount) || 0,
+    })),
+  };
+}
+
+function isWordSwing(from, to) {
+  const delta = Math.abs(to - from);
+  return delta >= WORD_SWING_MIN || (from > 0 && delta / from >= WORD_SWING_RATIO && delta >= 10);
+}
+
+const pick = (p) => ({
+  url: p.url,
+  ...(p.status != null ? { status: p.status } : {}),
+  ...(p.redirectsTo ? { redirectsTo: p.redirectsTo } : {}),
+  title: p.title,
+  wordCount: p.wordCount,
+});
+
+/**
+ * Diff two crawls (older -> newer).
+ *
+ * Returns {
+ *   from: { source, id, createdAt, pages }, to: { … },
+ *   summary: { added, removed, changed, unchanged, fields: { status: n, title: n, … } },
+ *   added:   [{ url, status?, title, wordCount }],
+ *   removed: [{ url, status?, title, wordCount }],
+ *   changed: [{ url, changes: { [field]: { from, to, delta?, pct? } } }]
+ * }
+ */
+export function compareCrawls(older, newer) {
+  const fields = COMPARE_FIELDS.filter(
+    (f) => older.fields.includes(f) && newer.fields.includes(f)
+  );
+  const a = new Map(older.pages.map((p) => [p.url, p]));
+  const b = new Map(newer.pages.map((p) => [p.url, p]));
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  const byField = Object.fromEntries(fields.map((f) => [f, 0]));
+  let unchanged = 0;
+
+  for (const [url, next] of b) {
+    const prev = a.get(url);
+    if (!prev) {
+      added.push(pick(next));
+      continue;
+    }
+
+    // a redirecting URL's title, H1… are its target's: only the redirect itself counts
+    const redirected = Boolean(prev.redirectsTo || next.redirectsTo);
+    const changes = {};
+    for (const field of redirected ? fields.filter((f) => f === "status") : fields) {
+      const from = prev[field];
+      const to = next[field];
+      if (from === to) continue;
+
+      if (field === "wordCount") {
+        if (!isWordSwing(from, to)) continue;
+        changes.wordCount = {
+          from,
+          to,
+          delta: to - from,
+          pct: from ? Math.round(((to - from) / from) * 100) : null,
+        };
+      } else if (field === "status" && prev.redirectsTo !== next.redirectsTo) {
+        changes.status = { from, to, fromTarget: prev.redirectsTo, toTarget: next.redirectsTo };
+      } else {
+        changes[field] = { from, to };
+      }
+      byField[field] += 1;
+    }
+
+    // same status, new redirect target
+    if (!changes.status && fields.includes("status") && prev.redirectsTo !== next.redirectsTo) {
+      changes.status = { from: prev.status, to: next.status, fromTarget: prev.redirectsTo, toTarget: next.redirectsTo };
+      byField.status += 1;
+    }
+
+    if (Object.keys(changes).length) changed.push({ url, changes });
+    else unchanged += 1;
+  }
+
+  for (const [url, prev] of a) {
+    if (!b.has(url)) removed.push(pick(prev));
+  }
+
+  const meta = (c) => ({ source: c.source, id: c.id, createdAt: c.createdAt, pages: c.pages.length });
+
+  return {
+    from: meta(older),
+    to: meta(newer),
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+      fields: byField,
+    },
+    added,
+    removed,
+    changed,
+  };
+}
@@ -0,0 +1,422 @@
+// src/lib/seo/crawler.js
+import { CRAWLER_USER_AGENT, createRobotsGate } from "@/lib/seo/robots";
+import { createUrlRulesGate } from "@/lib/seo/url-rules";
+
+/**
+ * Shared crawl engine for discovery and scan jobs.
+ *
+ * - Bounded concurrency: `concurrency` requests overall, `perHostConcurrency` per origin
+ * - Politeness: request starts to one origin are spaced by
+ *   max(politenessDelayMs, robots.txt Crawl-delay)
+ * - Budget: at most `budget` requests per crawler (robots.txt fetches excluded);
+ *   later calls resolve with { skipped: "budget" }
+ * - robots.txt: disallowed URLs resolve with { skipped: "robots" } (recorded by the gate)
+ * - Conditional requests: bodies with an ETag / Last-Modified are kept in a
+ *   process-wide LRU; refetches send If-None-Match / If-Modified-Since and a
+ *   304 is served from that copy ({ notModified: true })
+ * - gzip bodies (e.g. .xml.gz sitemaps) are decompressed
+ * - `method: "HEAD"` skips the body; `range: n` asks for the first n bytes and
+ *   returns them as a Buffer (`body`), e.g. image headers. Either way
+ *   `contentLength` is the full size when the server tells it
+ * - Redirects are followed hop by hop (max MAX_REDIRECTS) and reported as
+ *   `redirects: [{ url, status, location }]`; loops end with { error: "Redirect loop" }
+ * - `reuse: true` keeps the result for this crawler, so a page fetched during
+ *   discovery isn't requested again when the scan reads its meta
+ * - `rules` (url-rules.js) is the site's include/exclude/depth/query gate. It
+ *   isn't applied to fetch() (sitemaps and robots.txt must load), crawls check
+ *   crawler.rules.allow() before following a link
+ *
+ * env (defaults): SEO_CRAWL_CONCURRENCY (8), SEO_CRAWL_HOST_CONCURRENCY (4),
+ * SEO_CRAWL_DELAY_MS (250)
+ *
+ *   const crawler = createCrawler({ signal, budget: 200, onProgress });
+ *   const page = await crawler.fetch(url);           // { ok, status, text, … }
+ *   const pages = await crawler.fetchAll(urls);      // same order as urls
+ */
+
+const envInt = (name, fallback, min = 1) => {
+  const n = Number.parseInt(process.env[name] || "", 10);
+  return Number.isFinite(n) && n >= min ? n : fallback;
+};
+
+const DEFAULT_CONCURRENCY = envInt("SEO_CRAWL_CONCURRENCY", 8);
+const DEFAULT_HOST_CONCURRENCY = envInt("SEO_CRAWL_HOST_CONCURRENCY", 4);
+const DEFAULT_DELAY_MS = envInt("SEO_CRAWL_DELAY_MS", 250, 0);
+
+const DEFAULT_TIMEOUT_MS = 15_000;
+const DEFAULT_MAX_BYTES = 5 * 1024 * 1024;
+const MAX_REDIRECTS = 10;
+
+const MAX_CACHED_BODY = 512 * 1024;
+const MAX_CACHE_BYTES = 32 * 1024 * 1024;
+
+const HTML_ACCEPT = "text/html,application/xhtml+xml";
+
+const g = globalThis;
+
+// url -> { etag, lastModified, status, finalUrl, contentType, text, bytes }
+// Map insertion order doubles as LRU order. Kept across hot reloads in dev.
+if (!g.__drfizzCrawlCache) {
+  g.__drfizzCrawlCache = { entries: new Map(), bytes: 0 };
+}
+
+const validators = g.__drfizzCrawlCache;
+
+function cacheGet(url) {
+  const hit = validators.entries.get(url);
+  if (!hit) return null;
+  validators.entries.delete(url);
+  validators.entries.set(url, hit);
+  return hit;
+}
+
+function cacheSet(url, entry) {
+  cacheDelete(url);
+  validators.entries.set(url, entry);
+  validators.bytes += entry.bytes;
+
+  for (const [key, old] of validators.entries) {
+    if (validators.bytes <= MAX_CACHE_BYTES) break;
+    validators.entries.delete(key);
+    validators.bytes -= old.bytes;
+  }
+}
+
+function cacheDelete(url) {
+  const old = validators.entries.get(url);
+  if (!old) return;
+  validators.entries.delete(url);
+  validators.bytes -= old.bytes;
+}
+
+// async semaphore; acquire() rejects when `signal` aborts while waiting
+function createLimiter(max) {
+  let active = 0;
+  const waiters = [];
+
+  return {
+    acquire(signal) {
+      if (signal?.aborted) return Promise.reject(signal.reason);
+      if (active < max) {
+        active += 1;
+        return Promise.resolve();
+      }
+      return new Promise((resolve, reject) => {
+        const waiter = () => {
+          signal?.removeEventListener("abort", onAbort);
+          resolve();
+        };
+        const onAbort = () => {
+          const i = waiters.indexOf(waiter);
+          if (i >= 0) waiters.splice(i, 1);
+          reject(signal.reason);
+        };
+        waiters.push(waiter);
+        signal?.addEventListener("abort", onAbort, { once: true });
+      });
+    },
+
+    release() {
+      const next = waiters.shift();
+      if (next) next(); // hand the slot over
+      else active -= 1;
+    },
+  };
+}
+
+// up to `size` bytes of a stream, then cancel it (the rest is never downloaded);
+// a stream error keeps what was read so far
+async function readUpTo(stream, size) {
+  const reader = stream.getReader();
+  const chunks = [];
+  let read = 0;
+  try {
+    while (read < size) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      read += value.length;
+    }
+  } catch {
+    // truncated / corrupt body
+  }
+  reader.cancel().catch(() => {});
+  return Buffer.concat(chunks).subarray(0, size);
+}
+
+// body as text, at most `maxBytes` downloaded and (after gunzip) returned
+async function readBody(res, maxBytes) {
+  if (!res.body) return "";
+  const [peek, body] = res.body.tee();
+
+  // gzip bodies that fetch didn't decode (served as files, not Content-Encoding)
+  const head = await readUpTo(peek, 2);
+  const gzipped = head[0] === 0x1f && head[1] === 0x8b;
+
+  const source = gzipped ? body.pipeThrough(new DecompressionStream("gzip")) : body;
+  return (await readUpTo(source, maxBytes)).toString("utf8");
+}
+
+// first `size` bytes only; servers ignoring Range would send the whole file
+async function readPrefix(res, size) {
+  return res.body ? readUpTo(res.body, size) : Buffer.alloc(0);
+}
+
+// full resource size: Content-Range total of a 206, else Content-Length
+function contentLengthOf(res) {
+  const total = (res.headers.get("content-range") || "").match(/\/(\d+)\s*$/);
+  if (total) return Number(total[1]);
+  const length = Number.parseInt(res.headers.get("content-length") || "", 10);
+  return Number.isFinite(length) && res.status !== 206 ? length : null;
+}
+
+/**
+ * Create a crawler for one scan/crawl. All options are optional.
+ */
+export function createCrawler({
+  signal,
+  robots = createRobotsGate({ signal }),
+  rules = createUrlRulesGate(null),
+  budget = 500,
+  concurrency = DEFAULT_CONCURRENCY,
+  perHostConcurrency = DEFAULT_HOST_CONCURRENCY,
+  politenessDelayMs = DEFAULT_DELAY_MS,
+  timeoutMs = DEFAULT_TIMEOUT_MS,
+  onProgress, // ({ done, requested, budget, url, status, notModified }) => void
+} = {}) {
+  const overall = createLimiter(Math.max(1, concurrency));
+  const hosts = new Map(); // origin -> limiter
+  const reused = new Map(); // url -> Promise<result> (reuse: true)
+
+  const stats = { requested: 0, done: 0, notModified: 0, errors: 0, skippedRobots: 0, skippedBudget: 0 };
+
+  const hostLimiter = (origin) => {
+    if (!hosts.has(origin)) hosts.set(origin, createLimiter(Math.max(1, perHostConcurrency)));
+    return hosts.get(origin);
+  };
+
+  const report = (url, result) => {
+    try {
+      onProgress?.({
+        done: stats.done,
+        requested: stats.requested,
+        budget,
+        url,
+        status: result.status,
+        notModified: result.notModified,
+      });
+    } catch {}
+  };
+
+  async function request(url, { accept, conditional, maxBytes, method, range }) {
+    const ctrl = new AbortController();
+    const t = setTimeout(() => ctrl.abort(), timeoutMs);
+
+    // caller signal (scan cancellation) aborts the request too
+    const onAbort = () => ctrl.abort();
+    if (signal?.aborted) ctrl.abort();
+    else signal?.addEventListener("abort", onAbort, { once: true });
+
+    const cached = conditional ? cacheGet(url) : null;
+    const headers = { "User-Agent": CRAWLER_USER_AGENT, Accept: accept };
+    if (range) headers.Range = `bytes=0-${range - 1}`;
+    if (cached?.etag) headers["If-None-Match"] = cached.etag;
+    if (cached?.lastModified) headers["If-Modified-Since"] = cached.lastModified;
+
+    try {
+      // follow redirects ourselves so chains and loops are visible
+      const redirects = [];
+      let current = url;
+      let res;
+      for (;;) {
+        res = await fetch(current, { method, redirect: "manual", signal: ctrl.signal, headers });
+        const location = res.headers.get("location");
+        if (res.status < 300 || res.status > 399 || res.status === 304 || !location) break;
+
+        const next = new URL(location, current).toString();
+        redirects.push({ url: current, status: res.status, location: next });
+        await res.body?.cancel().catch(() => {});
+
+        const error =
+          next === url || redirects.some((r) => r.url === next)
+            ? "Redirect loop"
+            : redirects.length >= MAX_REDIRECTS
+            ? "Too many redirects"
+            : null;
+        if (error) {
+          return { url, finalUrl: next, status: res.status, ok: false, redirects, error };
+        }
+        current = next;
+      }
+
+      if (res.status === 304 && cached) {
+        stats.notModified += 1;
+        return {
+          url,
+          finalUrl: cached.finalUrl,
+          status: cached.status,
+          ok: true,
+          notModified: true,
+          contentType: cached.contentType,
+          lastModified: cached.lastModified,
+          text: cached.text,
+          redirects,
+        };
+      }
+
+      const body = res.ok && range && method !== "HEAD" ? await readPrefix(res, range).catch(() => null) : null;
+      const text =
+        res.ok && !range && method !== "HEAD" ? await readBody(res, maxBytes).catch(() => "") : "";
+      if (!res.ok || method === "HEAD") await res.body?.cancel().catch(() => {});
+      const etag = res.headers.get("etag");
+      const lastModified = res.headers.get("last-modified");
+      const contentType = res.headers.get("content-type") || "";
+      const finalUrl = current;
+
+      if (conditional && res.ok && (etag || lastModified) && text.length <= MAX_CACHED_BODY) {
+        cacheSet(url, {
+          etag,
+          lastModified,
+          status: res.status,
+          finalUrl,
+          contentType,
+          text,
+          bytes: text.length,
+        });
+      } else if (conditional && !res.ok) {
+        cacheDelete(url);
+      }
+
+      return {
+        url,
+        finalUrl,
+        status: res.status,
+        ok: res.ok,
+        notModified: false,
+        contentType,
+        contentLength: contentLengthOf(res),
+        lastModified,
+        text,
+        ...(body ? { body } : {}),
+        redirects,
+      };
+    } finally {
+      clearTimeout(t);
+      signal?.removeEventListener("abort", onAbort);
+    }
+  }
+
+  /**
+   * Fetch one URL through the engine. Never throws except on cancellation.
+   *
+   * options: accept, respectRobots (true), conditional (true), maxBytes, reuse (false),
+   *          method ("GET" | "HEAD"), range (first n bytes -> body; not cached)
+   * Returns { url, finalUrl, status, ok, notModified, contentType, contentLength, lastModified,
+   *           text, body?, redirects }
+   *      or { url, ok: false, status: 0, skipped: "robots" | "budget" }
+   *      or { url, ok: false, status: 0, error }
+   *      or { url, finalUrl, ok: false, status, redirects, error } (redirect loop / too many)
+   */
+  function fetchOne(url, { reuse = false, ...options } = {}) {
+    if (!reuse) return fetchFresh(url, options);
+
+    if (!reused.has(url)) {
+      const pending = fetchFresh(url, options);
+      // cancellation must not be served to later callers
+      pending.catch(() => reused.delete(url));
+      reused.set(url, pending);
+    }
+    return reused.get(url);
+  }
+
+  async function fetchFresh(
+    url,
+    {
+      accept = HTML_ACCEPT,
+      respectRobots = true,
+      conditional = true,
+      maxBytes = DEFAULT_MAX_BYTES,
+      method = "GET",
+      range = 0,
+    } = {}
+  ) {
+    signal?.throwIfAborted();
+
+    let origin;
+    try {
+      origin = new URL(url).origin;
+    } catch {
+      return { url, ok: false, status: 0, error: "Invalid URL" };
+    }
+
+    if (respectRobots && !(await robots.allow(url))) {
+      stats.skippedRobots += 1;
+      return { url, ok: false, status: 0, skipped: "robots" };
+    }
+
+    // reserve budget up front so concurrent callers can't overshoot it
+    if (stats.requested >= budget) {
+      stats.skippedBudget += 1;
+      return { url, ok: false, status: 0, skipped: "budget" };
+    }
+    stats.requested += 1;
+
+    const host = hostLimiter(origin);
+    await host.acquire(signal);
+    let result;
+    try {
+      await robots.wait(url, { minDelayMs: politenessDelayMs });
+      await overall.acquire(signal);
+      try {
+        result = await request(url, {
+          accept,
+          // partial / bodiless responses never go into the revalidation cache
+          conditional: conditional && method === "GET" && !range,
+          maxBytes,
+          method,
+          range,
+        });
+      } catch (e) {
+        signal?.throwIfAborted();
+        stats.errors += 1;
+        result = { url, ok: false, status: 0, error: e?.message || "fetch failed" };
+      } finally {
+        overall.release();
+      }
+    } finally {
+      host.release();
+    }
+
+    stats.done += 1;
+    report(url, result);
+    return result;
+  }
+
+  return {
+    robots,
+    rules,
+
+    fetch: fetchOne,
+
+    /**
+     * Fetch many URLs concurrently (limits still apply). Results keep input order;
+     * onResult(result) fires as each one finishes.
+     */
+    fetchAll(urls, { onResult, ...options } = {}) {
+      return Promise.all(
+        (urls || []).map((u) =>
+          fetchOne(u, options).then((r) => {
+            try {
+              onResult?.(r);
+            } catch {}
+            return r;
+          })
+        )
+      );
+    },
+
+    stats() {
+      return { ...stats, budget };
+    },
+  };
+}
@@ -1,4 +1,9 @@
 // src/lib/seo/discovery.js
+import { createCrawler } from "@/lib/seo/crawler";
+import { fetchSitemapEntries, entryUpdatedAt } from "@/lib/seo/sitemap";
+import { clusterCandidates, hasPaginationParam, urlKey } from "@/lib/seo/canonical";
+import { classifyPage } from "@/lib/seo/page-type";
+import { createUrlRulesGate, getUrlRules } from "@/lib/seo/url-rules";
 
 // ---------------------------
 // URL / filtering helpers
@@ -43,70 +48,6 @@ function isAllowedHost(url, hostname, allowSubdomains) {
   }
 }
 
-function looksLikeAsset(u) {
-  const s = (u || "").toLowerCase();
-  return (
-    s.includes("/wp-content/") ||
-    s.endsWith(".png") ||
-    s.endsWith(".jpg") ||
-    s.endsWith(".jpeg") ||
-    s.endsWith(".webp") ||
-    s.endsWith(".svg") ||
-    s.endsWith(".pdf") ||
-    s.endsWith(".css") ||
-    s.endsWith(".js") ||
-    s.endsWith(".ico") ||
-    s.endsWith(".json") ||
-    s.endsWith(".xml")
-  );
-}
-
-function stripTracking(url) {
-  try {
-    const u = new URL(url);
-    u.hash = "";
-    const toDelete = [];
-    u.searchParams.forEach((_, k) => {
-      const key = k.toLowerCase();
-      if (
-        key.startsWith("utm_") ||
-        key === "gclid" ||
-        key === "fbclid" ||
-        key === "msclkid"
-      ) {
-        toDelete.push(k);
-      }
-    });
-    toDelete.forEach((k) => u.searchParams.delete(k));
-    return u.toString();
-  } catch {
-    return url;
-  }
-}
-
-function isJunkPath(url) {
-  try {
-    const p = new URL(url).pathname.toLowerCase();
-    const junk = [
-      "/wp-admin",
-      "/wp-login",
-      "/cart",
-      "/checkout",
-      "/my-account",
-      "/account",
-      "/login",
-      "/signup",
-      "/register",
-      "/search",
-      "/feed",
-      "/amp",
-    ];
-    return junk.some((x) => p.includes(x));
-  } catch {
-    return false;
-  }
-}
-
 // ---------------------------
 // Sitemap type detection
 // ---------------------------
@@ -196,79 +137,48 @@ function heuristicUrlType(url) {
 }
 
 // ---------------------------
-// Sitemap parsing
+// Sitemap discovery
 // ---------------------------
-function extractLocsFromXml(xml) {
-  return Array.from(xml.matchAll(/<loc>(.*?)<\/loc>/gi))
-    .map((m) => (m[1] || "").trim())
-    .filter(Boolean);
-}
-
-async function getSitemapTypedUrls(siteUrl) {
-  const base = siteUrl.endsWith("/") ? siteUrl.slice(0, -1) : siteUrl;
-  const candidates = [`${base}/sitemap_index.xml`, `${base}/sitemap.xml`];
-
-  for (const sm of candidates) {
-    try {
-      const r = await fetch(sm, { redirect: "follow" });
-      if (!r.ok) continue;
-
-      const xml = await r.text();
-      const locs = extractLocsFromXml(xml);
-
-      const isIndex = xml.toLowerCase().includes("<sitemapindex");
-      const isUrlset = xml.toLowerCase().includes("<urlset");
-
-      if (isIndex && locs.length) {
-        const out = [];
-
-        for (const child of locs.slice(0, 50)) {
-          const childType = classifySitemapUrl(child);
-          if (childType === "ignore") continue;
-
-          try {
-            const rr = await fetch(child, { redirect: "follow" });
-            if (!rr.ok) continue;
-            const childXml = await rr.text();
-            const urls = extractLocsFromXml(childXml);
-
-            for (const u of urls) {
-              out.push({
-                url: u,
-                type: childType,
-                sourceSitemap: child,
-              });
-            }
-          } catch {
-            // ignore child
-          }
-        }
-
-        if (out.length) return out;
-      }
 
-      if (isUrlset && locs.length) {
-        return locs.map((u) => ({
-          url: u,
-          type: "unknown",
-          sourceSitemap: sm,
-        }));
-      }
-    } catch {
-      // ignore and try next
-    }
+/**
+ * Sitemap entries typed by the (child) sitemap they came from.
+ * Returns { items: [{ url, type, lastmod, updatedAt, sourceSitemap }], files, fromRobots }
+ */
+async function getSitemapTypedUrls(siteUrl, { signal, crawler } = {}) {
+  const { entries, files, fromRobots } = await fetchSitemapEntries(siteUrl, {
+    signal,
+    crawler,
+    // category/tag/media/... sitemaps never hold opportunities -> don't fetch them
+    skipSitemap: (child) => classifySitemapUrl(child) === "ignore",
+  });
+
+  const items = [];
+  for (const entry of entries) {
+    let type = classifySitemapUrl(entry.sourceSitemap);
+    if (type === "unknown" && entry.sourceIndex) type = classifySitemapUrl(entry.sourceIndex);
+    if (type === "ignore") continue;
+
+    // news sitemap entries are articles
+    if (type === "unknown" && entry.news) type = "blog";
+
+    items.push({
+      url: entry.url,
+      type,
+      lastmod: entry.lastmod || entry.news?.publicationDate || null,
+      updatedAt: entryUpdatedAt(entry),
+      sourceSitemap: entry.sourceSitemap,
+    });
   }
 
-  return [];
+  return { items, files, fromRobots };
 }
 
-function pickTypedTopN(items, hostname, n, kind, allowSubdomains) {
+function pickTypedTopN(items, hostname, n, kind, allowSubdomains, rules) {
   const cleaned = items
     .filter((it) => it?.url)
-    .map((it) => ({ ...it, url: stripTracking(it.url) }))
-    .filter((it) => it.url && !looksLikeAsset(it.url))
-    .filter((it) => isAllowedHost(it.url, hostname, allowSubdomains))
-    .filter((it) => !isJunkPath(it.url))
+    .map((it) => ({ ...it, url: rules.normalize(it.url) }))
+    .filter((it) => it.url && isAllowedHost(it.url, hostname, allowSubdomains))
+    .filter((it) => rules.allow(it.url))
     .map((it) => {
       const path = new URL(it.url).pathname;
       return { ...it, depth: path.split("/").filter(Boolean).length };
@@ -276,8 +186,14 @@ function pickTypedTopN(items, hostname, n, kind, allowSubdomains) {
 
   const filtered = cleaned.filter((it) => it.type === kind);
 
+  // recently updated first (sitemap lastmod / news date), then
   // prefer deeper for blogs (posts), shallower for pages
-  filtered.sort((a, b) => (kind === "blog" ? b.depth - a.depth : a.depth - b.depth));
+  filtered.sort((a, b) => {
+    const ta = a.updatedAt ?? -Infinity;
+    const tb = b.updatedAt ?? -Infinity;
+    if (ta !== tb) return tb > ta ? 1 : -1;
+    return kind === "blog" ? b.depth - a.depth : a.depth - b.depth;
+  });
 
   // dedupe
   const out = [];
@@ -292,28 +208,39 @@ function pickTypedTopN(items, hostname, n, kind, allowSubdomains) {
   return out;
 }
 
+// first `n` urls robots.txt lets us fetch (disallowed ones are recorded by the gate)
+async function keepAllowed(urls, robots, n) {
+  const out = [];
+  for (const u of urls) {
+    if (out.length >= n) break;
+    if (await robots.allow(u)) out.push(u);
+  }
+  return out;
+}
+
 /**
  * Try a set of common blog listing paths and scrape links out of them.
  * IMPORTANT: only returns URLs that look like real posts (heuristicUrlType === "blog")
- * and only within the allowed host set.
+ * and only within the allowed host set and the site's URL rules.
  */
-async function expandFromCommonBlogIndexes({ baseUrl, hostname, allowSubdomains }) {
+async function expandFromCommonBlogIndexes({ baseUrl, hostname, allowSubdomains, crawler }) {
   const candidates = [
     "/blog/",
     "/blogs/",
     "/news/",
     "/insights/",
     "/articles/",
-  ].map((p) => new URL(p, baseUrl).toString());
+  ]
+    .map((p) => new URL(p, baseUrl).toString())
+    .filter((u) => crawler.rules.allow(u));
 
   const all = [];
 
-  for (const idx of candidates) {
-    try {
-      const r = await fetch(idx, { redirect: "follow" });
-      if (!r.ok) continue;
+  const indexes = await crawler.fetchAll(candidates);
 
-      const html = await r.text();
+  for (const { url: idx, ok, text: html } of indexes) {
+    if (!ok || !html) continue;
+    try {
 
       // href="..." or href='...'
       const rawLinks = Array.from(html.matchAll(/href\s*=\s*["']([^"']+)["']/gi))
@@ -337,63 +264,197 @@ async function expandFromCommonBlogIndexes({ baseUrl, hostname, allowSubdomains
           continue;
         }
 
-        abs = stripTracking(abs);
+        abs = crawler.rules.normalize(abs);
         if (!abs) continue;
-        if (looksLikeAsset(abs)) continue;
-        if (isJunkPath(abs)) continue;
         if (!isAllowedHost(abs, hostname, allowSubdomains)) continue;
+        if (!crawler.rules.allow(abs)) continue;
         if (heuristicUrlType(abs) !== "blog") continue;
 
         all.push(abs);
       }
     } catch {
-      // ignore index fetch failure
+      // ignore unparsable index
+    }
+  }
+
+  return keepAllowed(Array.from(new Set(all)), crawler.robots, Infinity);
+}
+
+/**
+ * Fetch candidate URLs (one request per normalized form) and collapse them
+ * into entities; blogs come first, so a URL picked as both stays a blog.
+ * Each entity is then classified from its HTML (page-type.js), the URL
+ * heuristic being the fallback, and gets `kind` + `classification`.
+ * Fetched pages are kept by the crawler (reuse) for the scan's meta step.
+ */
+async function collapseDuplicates({ blogUrls, pageUrls, hostname, allowSubdomains, crawler }) {
+  const candidates = [
+    ...blogUrls.map((url) => ({ url, kind: "blog" })),
+    ...pageUrls.map((url) => ({ url, kind: "page" })),
+  ];
+
+  // trailing-slash / scheme / ?page= twins need no request of their own
+  // (the un-paginated one is fetched)
+  const byKey = new Map();
+  for (const c of candidates) {
+    const k = urlKey(c.url);
+    if (!byKey.has(k) || (hasPaginationParam(byKey.get(k)) && !hasPaginationParam(c.url))) {
+      byKey.set(k, c.url);
     }
   }
+  const toFetch = Array.from(byKey.values());
+  const fetched = await crawler.fetchAll(toFetch, { reuse: true });
+  const byUrl = new Map(toFetch.map((u, i) => [u, fetched[i]]));
+
+  const pages = candidates.map((c) => {
+    const res = byUrl.get(c.url);
+    return res
+      ? { ...c, ok: res.ok, finalUrl: res.ok ? res.finalUrl : c.url, text: res.text }
+      : { ...c, ok: false };
+  });
+
+  // an entity URL must be one we may scan
+  const accept = async (u) => isAllowedHost(u, hostname, allowSubdomains) && crawler.robots.allow(u);
+
+  const entities = await clusterCandidates(pages, { accept });
+
+  // on-page signals of the entity URL, else of the first variant that loaded
+  const classified = new Map();
+  for (const p of pages) {
+    if (!p.ok || !p.text || classified.has(p.url)) continue;
+    const c = classifyPage({ html: p.text, urlKind: p.kind });
+    classified.set(p.url, c);
+    if (!classified.has(p.finalUrl)) classified.set(p.finalUrl, c);
+  }
+  for (const e of entities) {
+    const urlKind = e.kind;
+    e.classification =
+      [e.url, ...e.variants.map((v) => v.url)].map((u) => classified.get(u)).find(Boolean) ||
+      classifyPage({ urlKind });
+    e.urlKind = urlKind;
+    e.kind = e.classification.kind;
+  }
 
-  return Array.from(new Set(all));
+  return { candidates: candidates.length, entities };
 }
 
 // ---------------------------
 // Main discovery entry
 // ---------------------------
+
+// discovery depth: URLs of each kind a scan collects (the API pages over these)
+export const DEFAULT_DISCOVERY_DEPTH = 20;
+export const MAX_DISCOVERY_DEPTH = 200;
+
+// below this many sitemap URLs of a kind, we also crawl / scrape blog indexes
+const MIN_BEFORE_FALLBACK = 2;
+
+// candidates picked per kind before duplicates collapse, so `target` entities remain
+const poolSize = (target) => Math.ceil(target * 1.5) + 5;
+
+export function clampDiscoveryDepth(n) {
+  const v = Math.floor(Number(n));
+  if (!Number.isFinite(v) || v < 1) return DEFAULT_DISCOVERY_DEPTH;
+  return Math.min(MAX_DISCOVERY_DEPTH, v);
+}
+
+/**
+ * Discover up to `maxBlogs` blog URLs and `maxPages` page URLs of a site
+ * (sitemaps first, crawl + blog index pages as fallback).
+ *
+ * The site's URL rules (url-rules.js: include/exclude patterns, max depth,
+ * query-param handling) filter every source. They come with the crawler
+ * (crawler.rules); without a crawler the stored rules of the host are used.
+ *
+ * Candidates are fetched and collapsed by canonical.js: trailing-slash /
+ * http(s) / ?page= variants, redirects, rel=canonical duplicates and hreflang
+ * alternates become one URL each (the copy to optimise).
+ *
+ * Blog vs page comes from on-page signals (JSON-LD @type, og:type, article
+ * dates, author markup); sitemap / path naming only decides when a page
+ * says nothing, see page-type.js.
+ *
+ * Returns {
+ *   hostname, blogUrls, pageUrls, lastModified: { [url]: iso }, duplicates, pageTypes, diagnostics
+ * }
+ * where lastModified holds sitemap <lastmod> dates of the picked URLs,
+ * duplicates[url] = { canonical, hreflang: [{ hreflang, href }], variants: [{ url, relation }] }
+ * for picked URLs that had other copies, and
+ * pageTypes[url] = { kind, pageType, confidence, level, source, signals } for every picked URL.
+ */
 export async function discoverOpportunitiesUrls({
   websiteUrl,
   crawlFallbackFn,
   maxCrawlPages = 60,
   limitPagesResult = 200,
   allowSubdomains = false,
+  maxBlogs = DEFAULT_DISCOVERY_DEPTH,
+  maxPages = DEFAULT_DISCOVERY_DEPTH,
+  signal, // AbortSignal: cancels in-flight fetches (scan cancellation)
+  onProgress, // optional ({ stage: "discovery", step, message, ... }) => void
+  crawler, // crawl engine shared with the caller's fetches
 } = {}) {
   const normalized = normalizeToHttps(websiteUrl);
   const hostname = getHostname(normalized);
   if (!hostname) throw new Error("Invalid websiteUrl");
 
+  crawler ||= createCrawler({ signal, rules: createUrlRulesGate(getUrlRules(hostname)) });
+  const { robots, rules } = crawler;
+  const blogTarget = clampDiscoveryDepth(maxBlogs);
+  const pageTarget = clampDiscoveryDepth(maxPages);
+  const blogPool = poolSize(blogTarget);
+  const pagePool = poolSize(pageTarget);
+  const blogEnough = Math.min(blogTarget, MIN_BEFORE_FALLBACK);
+  const pageEnough = Math.min(pageTarget, MIN_BEFORE_FALLBACK);
+
+  const progress = (step, data = {}) => {
+    try {
+      onProgress?.({ stage: "discovery", step, ...data });
+    } catch {}
+  };
+
   // 1) Sitemap discovery
-  const typedFromSitemap = await getSitemapTypedUrls(normalized);
+  progress("sitemap", { message: "Reading sitemaps…" });
+  const sitemapResult = await getSitemapTypedUrls(normalized, { signal, crawler });
+  signal?.throwIfAborted();
 
-  const sitemapTyped = typedFromSitemap.map((it) =>
+  const sitemapTyped = sitemapResult.items.map((it) =>
     it.type === "unknown" ? { ...it, type: heuristicUrlType(it.url) } : it
   );
 
-  let blogUrls = pickTypedTopN(sitemapTyped, hostname, 2, "blog", allowSubdomains);
-  let pageUrls = pickTypedTopN(sitemapTyped, hostname, 4, "page", allowSubdomains).slice(0, 2);
+  // sitemaps may list paths robots.txt disallows for us -> pick from a wider pool
+  let blogUrls = await keepAllowed(
+    pickTypedTopN(sitemapTyped, hostname, blogPool + 20, "blog", allowSubdomains, rules),
+    robots,
+    blogPool
+  );
+  let pageUrls = await keepAllowed(
+    pickTypedTopN(sitemapTyped, hostname, pagePool + 20, "page", allowSubdomains, rules),
+    robots,
+    pagePool
+  );
 
   const needsFallback =
-    sitemapTyped.length === 0 || blogUrls.length < 2 || pageUrls.length < 2;
+    sitemapTyped.length === 0 || blogUrls.length < blogEnough || pageUrls.length < pageEnough;
 
   let crawlUrls = [];
   if (needsFallback && typeof crawlFallbackFn === "function") {
+    progress("crawl", {
+      message: "Crawling site…",
+      sitemapUrls: sitemapTyped.length,
+    });
     crawlUrls = await crawlFallbackFn(hostname, {
       maxCrawlPages,
       limitPagesResult,
       allowSubdomains,
+      crawler,
+      signal,
+      onProgress: (p) => progress("crawl", p),
     });
 
-    const crawlTyped = Array.from(new Set(crawlUrls))
-      .map(stripTracking)
+    // URL rules are applied by pickTypedTopN
+    const crawlTyped = Array.from(new Set(crawlUrls.map(rules.normalize)))
       .filter(Boolean)
-      .filter((u) => !looksLikeAsset(u))
-      .filter((u) => !isJunkPath(u))
       .filter((u) => isAllowedHost(u, hostname, allowSubdomains))
       .map((u) => ({
         url: u,
@@ -401,43 +462,129 @@ export async function discoverOpportunitiesUrls({
         sourceSitemap: "crawl",
       }));
 
-    if (blogUrls.length < 2) {
-      const moreBlogs = pickTypedTopN(crawlTyped, hostname, 20, "blog", allowSubdomains);
-      blogUrls = Array.from(new Set([...blogUrls, ...moreBlogs])).slice(0, 2);
+    if (blogUrls.length < blogPool) {
+      const moreBlogs = await keepAllowed(
+        pickTypedTopN(crawlTyped, hostname, blogPool, "blog", allowSubdomains, rules),
+        robots,
+        blogPool
+      );
+      blogUrls = Array.from(new Set([...blogUrls, ...moreBlogs])).slice(0, blogPool);
     }
 
-    if (pageUrls.length < 2) {
-      const morePages = pickTypedTopN(crawlTyped, hostname, 20, "page", allowSubdomains);
-      pageUrls = Array.from(new Set([...pageUrls, ...morePages])).slice(0, 2);
+    if (pageUrls.length < pagePool) {
+      const morePages = await keepAllowed(
+        pickTypedTopN(crawlTyped, hostname, pagePool, "page", allowSubdomains, rules),
+        robots,
+        pagePool
+      );
+      pageUrls = Array.from(new Set([...pageUrls, ...morePages])).slice(0, pagePool);
     }
   }
 
   // 2) If we still don’t have blogs, try expanding from common blog index pages
   // ✅ IMPORTANT: if still none, we keep blogUrls=[], we do NOT force a 404 blog URL.
-  if (blogUrls.length < 2) {
+  if (blogUrls.length < blogEnough) {
+    progress("blog-index", { message: "Looking for blog listing pages…" });
     const expanded = await expandFromCommonBlogIndexes({
       baseUrl: normalized,
       hostname,
       allowSubdomains,
+      crawler,
+    });
+    blogUrls = Array.from(new Set([...blogUrls, ...expanded])).slice(0, blogPool);
+  }
+
+  signal?.throwIfAborted();
+
+  blogUrls = Array.from(new Set(blogUrls)).slice(0, blogPool);
+  pageUrls = pageUrls.filter((u) => !blogUrls.includes(u)).slice(0, pagePool);
+
+  // 3) Collapse duplicates (canonical / redirects / hreflang / URL variants)
+  progress("dedupe", { message: "Resolving canonical URLs…" });
+  const dedupe = await collapseDuplicates({
+    blogUrls,
+    pageUrls,
+    hostname,
+    allowSubdomains,
+    crawler,
+  });
+  signal?.throwIfAborted();
+
+  blogUrls = dedupe.entities.filter((e) => e.kind === "blog").slice(0, blogTarget).map((e) => e.url);
+  pageUrls = dedupe.entities.filter((e) => e.kind === "page").slice(0, pageTarget).map((e) => e.url);
+
+  const duplicates = {};
+  const pageTypes = {};
+  const classification = {
+    levels: { high: 0, medium: 0, low: 0 },
+    sources: {},
+    // picked URLs whose kind differs from what the URL / sitemap naming said
+    reclassified: 0,
+    urls: [],
+  };
+  for (const e of dedupe.entities) {
+    if (!blogUrls.includes(e.url) && !pageUrls.includes(e.url)) continue;
+
+    const c = e.classification;
+    pageTypes[e.url] = c;
+    classification.levels[c.level] += 1;
+    classification.sources[c.source] = (classification.sources[c.source] || 0) + 1;
+    if (c.kind !== e.urlKind) classification.reclassified += 1;
+    classification.urls.push({
+      url: e.url,
+      kind: c.kind,
+      pageType: c.pageType,
+      confidence: c.confidence,
+      source: c.source,
     });
-    blogUrls = Array.from(new Set([...blogUrls, ...expanded])).slice(0, 2);
+
+    if (!e.variants.length && !e.hreflang.length) continue;
+    duplicates[e.url] = { canonical: e.canonical, hreflang: e.hreflang, variants: e.variants };
   }
 
-  blogUrls = Array.from(new Set(blogUrls)).slice(0, 2);
-  pageUrls = pageUrls.filter((u) => !blogUrls.includes(u)).slice(0, 2);
+  // sitemap <lastmod> of an entity, or of any of its variants
+  const lastmodByKey = new Map();
+  for (const it of sitemapTyped) {
+    const k = urlKey(rules.normalize(it.url) || it.url);
+    if (it.lastmod && !lastmodByKey.has(k)) lastmodByKey.set(k, it.lastmod);
+  }
+  const lastModified = {};
+  for (const u of [...blogUrls, ...pageUrls]) {
+    const keys = [u, ...(duplicates[u]?.variants || []).map((v) => v.url)].map(urlKey);
+    const hit = keys.map((k) => lastmodByKey.get(k)).find(Boolean);
+    if (hit) lastModified[u] = hit;
+  }
 
   return {
     hostname,
     blogUrls,
     pageUrls,
+    lastModified,
+    duplicates,
+    pageTypes,
     diagnostics: {
       sitemapTypedCount: sitemapTyped.length,
+      sitemaps: {
+        fromRobots: sitemapResult.fromRobots,
+        fileCount: sitemapResult.files.length,
+        files: sitemapResult.files.slice(0, 20),
+      },
       crawlFound: crawlUrls.length,
       usedFallback: needsFallback,
+      maxUrls: { blogs: blogTarget, pages: pageTarget },
       blogCount: blogUrls.length,
       pageCount: pageUrls.length,
       picked: { blogUrls, pageUrls },
+      dedupe: {
+        candidates: dedupe.candidates,
+        entities: dedupe.entities.length,
+        collapsed: dedupe.candidates - dedupe.entities.length,
+      },
+      classification,
       allowSubdomains,
+      robots: robots.summary(),
+      urlRules: rules.summary(),
+      crawl: crawler.stats(),
     },
   };
 }
@@ -1,5 +1,15 @@
 // src/lib/seo/extraction.js
-import { extractPageText } from "@/lib/seo/apyhub";
+import { extractPageContent } from "@/lib/seo/main-content";
+import { analyzeReadability, readabilityBlocks, summarizeReadability } from "@/lib/seo/readability";
+import { CRAWLER_USER_AGENT } from "@/lib/seo/robots";
+import {
+  parseHtml,
+  decodeEntities,
+  findAll,
+  findFirst,
+  closest,
+  textContent,
+} from "@/lib/seo/html-parser";
 
 // ---------------------------
 // Small helpers
@@ -11,22 +21,14 @@ export function safeTrim(s, max = 140) {
 }
 
 export function decodeHtmlEntities(str = "") {
-  return String(str)
-    .replace(/&amp;/gi, "&")
-    .replace(/&lt;/gi, "<")
-    .replace(/&gt;/gi, ">")
-    .replace(/&quot;/gi, '"')
-    .replace(/&#39;/gi, "'")
-    .replace(/&apos;/gi, "'")
-    .replace(/&nbsp;/gi, " ");
+  return decodeEntities(str);
 }
 
 export async function fetchHtml(url) {
   const res = await fetch(url, {
     redirect: "follow",
     headers: {
-      "User-Agent":
-        "Mozilla/5.0 (compatible; DoctorFizzBot/1.0; +https://example.com)",
+      "User-Agent": CRAWLER_USER_AGENT,
       Accept: "text/html,application/xhtml+xml",
     },
   });
@@ -40,20 +42,6 @@ export async function fetchHtml(url) {
   };
 }
 
-export function extractTitle(html) {
-  const m = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-  if (!m) return "";
-  return decodeHtmlEntities(m[1].replace(/\s+/g, " ").trim());
-}
-
-export function extractMetaDescription(html) {
-  const m = html.match(
-    /<meta[^>]*name=["']description["'][^>]*content=["']([^"']*)["'][^>]*>/i
-  );
-  if (!m) return "";
-  return decodeHtmlEntities(m[1].replace(/\s+/g, " ").trim());
-}
-
 /**
  * Build the same “card” you currently return from /opportunities.
  * Returns: { url, title, description, wordCount }
@@ -66,17 +54,15 @@ export async function buildOpportunityCard(url) {
   try {
     const fetched = await fetchHtml(url);
     html = fetched.html || "";
-    title = extractTitle(html);
-    description = extractMetaDescription(html);
+    ({ title, description } = extractPage(html, { baseUrl: fetched.finalUrl }));
   } catch {
     // ignore
   }
 
+  // main content only (no nav / footer / cookie banners), from the same HTML
   let wordCount = 0;
   try {
-    const extracted = await extractPageText(url);
-    const text = extracted?.apyhub?.text || "";
-    wordCount = text ? text.trim().split(/\s+/).filter(Boolean).length : 0;
+    wordCount = (await extractPageContent(url, { html: html || null })).wordCount;
   } catch {
     wordCount = 0;
   }
@@ -102,28 +88,34 @@ export async function buildOpportunityCard(url) {
 }
 
 /**
- * Used by scan-draft job.
- * Returns: { title, description, wordCount }
+ * Fetches `url` and extracts title/description/wordCount and readability.
+ * For an HTML string you already have (e.g. a rendered draft), use
+ * extractSeoDataFromHtml() instead.
+ * Returns: { title, description, wordCount, readability }
+ * readability: full analyzeReadability() of the main content (readability.js)
  */
 export async function extractSeoData(url) {
   let html = "";
   let title = "";
   let description = "";
+  let lang = "";
 
   try {
     const fetched = await fetchHtml(url);
     html = fetched.html || "";
-    title = extractTitle(html);
-    description = extractMetaDescription(html);
+    ({ title, description, lang } = extractPage(html, { baseUrl: fetched.finalUrl }));
   } catch {
     // ignore
   }
 
+  // main content only (no nav / footer / cookie banners), from the same HTML
   let wordCount = 0;
+  let readability = null;
   try {
-    const extracted = await extractPageText(url);
-    const text = extracted?.apyhub?.text || "";
-    wordCount = text ? text.trim().split(/\s+/).filter(Boolean).length : 0;
+    const content = await extractPageContent(url, { html: html || null });
+    wordCount = content.wordCount;
+    // ApyHub returns text only
+    readability = analyzeReadability(content.html ? readabilityBlocks(content.html) : content.text, { lang });
   } catch {
     wordCount = 0;
   }
@@ -132,5 +124,248 @@ export async function extractSeoData(url) {
     title: safeTrim(title || "", 70),
     description: safeTrim(description || "", 110),
     wordCount,
+    readability,
+  };
+}
+
+
+// ---------------------------
+// HTML string extraction (no network)
+// ---------------------------
+
+// link placement by enclosing element, strongest first
+const LINK_PLACEMENTS = ["nav", "header", "footer", "aside"];
+
+function hostOf(url) {
+  try {
+    return new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+  } catch {
+    return "";
+  }
+}
+
+// absolute http(s) URL without #hash; null when unusable
+function absoluteUrl(href, baseUrl) {
+  try {
+    const u = new URL(href, baseUrl || undefined);
+    if (u.protocol !== "http:" && u.protocol !== "https:") return null;
+    u.hash = "";
+    return u.toString();
+  } catch {
+    return null;
+  }
+}
+
+const collapse = (s) => String(s || "").replace(/\s+/g, " ").trim();
+
+const relTokens = (el) => collapse(el.attrs.rel).toLowerCase().split(" ").filter(Boolean);
+
+function placementOf(el) {
+  const open = new Set();
+  for (let p = el.parent; p && p.type === "element"; p = p.parent) open.add(p.tag);
+  return LINK_PLACEMENTS.find((t) => open.has(t)) || "content";
+}
+
+// JSON-LD blocks are sometimes wrapped in <!-- --> or CDATA markers
+function parseJsonLd(raw) {
+  const src = String(raw || "")
+    .trim()
+    .replace(/^(?:\/\/\s*)?<!(?:--|\[CDATA\[)/, "")
+    .replace(/(?:\/\/\s*)?(?:-->|\]\]>)$/, "")
+    .trim();
+  try {
+    return { data: JSON.parse(src) };
+  } catch (e) {
+    return { data: null, error: e?.message || "Invalid JSON" };
+  }
+}
+
+export function htmlToText(html = "") {
+  return textContent(parseHtml(html));
+}
+
+function countWords(text = "") {
+  return text ? text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+/**
+ * On-page signals of an HTML document or fragment, from one parse
+ * (html-parser.js). `html` may also be an already parsed tree.
+ *
+ * @param {string|object} html
+ * @param {{ baseUrl?: string }} opts - resolves relative URLs / internal vs external links
+ * Returns {
+ *   lang, title, description,
+ *   robots: { content, directives, noindex, nofollow },   // meta robots + googlebot
+ *   canonical,                 // absolute, from <head> only; null when missing
+ *   meta: { [name | property | http-equiv]: content },    // first of each, lowercased keys
+ *   openGraph: { title, description, image, type, url, … },  // og:* without the prefix
+ *   twitter: { card, title, … },
+ *   hreflang: [{ hreflang, href }],
+ *   headings: [{ level, text }],                            // document order
+ *   links: [{ href, text, rel, nofollow, placement, internal }],
+ *   images: [{ src, alt, width, height, loading, srcset, sizes }],  // alt null = no attribute
+ *   jsonLd: [{ data, error? }],                             // data null when invalid
+ *   text, wordCount            // visible body text
+ * }
+ * `nofollow` covers rel=nofollow / ugc / sponsored; placement is
+ * "nav" | "header" | "footer" | "aside" | "content".
+ */
+export function extractPage(html = "", { baseUrl } = {}) {
+  const doc = typeof html === "object" && html?.type === "root" ? html : parseHtml(html);
+  const baseHost = hostOf(baseUrl);
+  const inSvg = (el) => Boolean(closest(el, (p) => p.tag === "svg"));
+  const inBody = (el) => Boolean(closest(el, (p) => p.tag === "body"));
+
+  const meta = {};
+  for (const el of findAll(doc, (e) => e.tag === "meta")) {
+    const content = collapse(el.attrs.content);
+    for (const key of ["name", "property", "http-equiv"]) {
+      const k = collapse(el.attrs[key]).toLowerCase();
+      if (k && !(k in meta)) meta[k] = content;
+    }
+  }
+  const prefixed = (prefix) =>
+    Object.fromEntries(
+      Object.entries(meta)
+        .filter(([k]) => k.startsWith(prefix))
+        .map(([k, v]) => [k.slice(prefix.length), v])
+    );
+
+  const directives = Array.from(
+    new Set(
+      [meta.robots, meta.googlebot]
+        .filter(Boolean)
+        .flatMap((c) => c.toLowerCase().split(","))
+        .map((d) => d.trim())
+        .filter(Boolean)
+    )
+  );
+
+  let canonical = null;
+  const hreflang = [];
+  for (const el of findAll(doc, (e) => e.tag === "link" && e.attrs.href)) {
+    const rel = relTokens(el);
+    if (rel.includes("canonical") && !canonical && !inBody(el)) {
+      canonical = absoluteUrl(el.attrs.href, baseUrl);
+    } else if (rel.includes("alternate") && el.attrs.hreflang) {
+      const href = absoluteUrl(el.attrs.href, baseUrl);
+      if (href) hreflang.push({ hreflang: el.attrs.hreflang.trim().toLowerCase(), href });
+    }
+  }
+
+  const headings = findAll(doc, (e) => /^h[1-6]$/.test(e.tag) && !inSvg(e))
+    .map((el) => ({ level: Number(el.tag[1]), text: textContent(el) }))
+    .filter((h) => h.text);
+
+  const links = [];
+  for (const el of findAll(doc, (e) => e.tag === "a")) {
+    const raw = collapse(el.attrs.href);
+    if (!raw || raw.startsWith("#") || /^(mailto|tel|javascript|data):/i.test(raw)) continue;
+
+    // relative links without a base stay as they are (always internal)
+    const href = absoluteUrl(raw, baseUrl) || (/^[a-z][a-z0-9+.-]*:/i.test(raw) ? null : raw);
+    if (!href) continue;
+
+    const rel = relTokens(el);
+    const host = hostOf(href);
+    links.push({
+      href,
+      // image links: the alt text is the anchor
+      text: (textContent(el) || collapse(findFirst(el, (e) => e.tag === "img")?.attrs.alt)).slice(0, 200),
+      rel,
+      nofollow: rel.some((r) => r === "nofollow" || r === "ugc" || r === "sponsored"),
+      placement: placementOf(el),
+      internal: !host || (Boolean(baseHost) && (host === baseHost || host.endsWith(`.${baseHost}`))),
+    });
+  }
+
+  const images = findAll(doc, (e) => e.tag === "img").map((el) => {
+    const src = collapse(el.attrs.src);
+    return {
+      src: src && !src.startsWith("data:") ? absoluteUrl(src, baseUrl) || src : src,
+      alt: "alt" in el.attrs ? collapse(el.attrs.alt) : null,
+      width: el.attrs.width || null,
+      height: el.attrs.height || null,
+      loading: el.attrs.loading?.toLowerCase() || null,
+      srcset: el.attrs.srcset || null,
+      sizes: el.attrs.sizes || null,
+    };
+  });
+
+  const jsonLd = findAll(
+    doc,
+    (e) => e.tag === "script" && /application\/ld\+json/i.test(e.attrs.type || "")
+  ).map((el) => parseJsonLd(el.children[0]?.text));
+
+  const title = findFirst(doc, (e) => e.tag === "title" && !inSvg(e));
+  const body = findFirst(doc, (e) => e.tag === "body");
+  const text = textContent(body || doc);
+
+  return {
+    lang: findFirst(doc, (e) => e.tag === "html")?.attrs.lang || "",
+    title: textContent(title),
+    description: meta.description || "",
+    robots: {
+      content: meta.robots || "",
+      directives,
+      noindex: directives.includes("noindex") || directives.includes("none"),
+      nofollow: directives.includes("nofollow") || directives.includes("none"),
+    },
+    canonical,
+    meta,
+    openGraph: prefixed("og:"),
+    twitter: prefixed("twitter:"),
+    hreflang,
+    headings,
+    links,
+    images,
+    jsonLd,
+    text,
+    wordCount: countWords(text),
+  };
+}
+
+/**
+ * Full extraction on an HTML string (document or body fragment), no fetch.
+ * Used by the draft-scan job on provider-rendered drafts.
+ *
+ * @param {string} html
+ * @param {{ baseUrl?: string }} opts - resolves relative links / classifies internal vs external
+ * Returns: { title, description, headings: { h1, h2, h3 }, wordCount, readability, links }
+ * readability: summarizeReadability() of the document's prose
+ */
+export function extractSeoDataFromHtml(html = "", { baseUrl } = {}) {
+  const doc = parseHtml(html);
+  const page = extractPage(doc, { baseUrl });
+
+  const headingsOf = (level) => page.headings.filter((h) => h.level === level).map((h) => h.text);
+  const headings = { h1: headingsOf(1), h2: headingsOf(2), h3: headingsOf(3) };
+
+  const title = page.title || page.openGraph.title || headings.h1[0] || "";
+
+  // drafts rarely have a meta description -> fall back to the first paragraph
+  const firstParagraph = textContent(findFirst(doc, (e) => e.tag === "p"));
+  const description = page.description || page.openGraph.description || firstParagraph;
+
+  const toLink = (l) => ({ href: l.href, text: safeTrim(l.text, 100) });
+  const internal = page.links.filter((l) => l.internal).map(toLink);
+  const external = page.links.filter((l) => !l.internal).map(toLink);
+
+  return {
+    title: safeTrim(title, 70),
+    description: safeTrim(description, 110),
+    headings,
+    wordCount: page.wordCount,
+    readability: summarizeReadability(analyzeReadability(readabilityBlocks(doc), { lang: page.lang, highlights: 0 })),
+    links: {
+      internal,
+      external,
+      counts: {
+        internal: internal.length,
+        external: external.length,
+        nofollow: page.links.filter((l) => l.rel.includes("nofollow")).length,
+      },
+    },
   };
 }
@@ -0,0 +1,376 @@
+// src/lib/seo/html-parser.js
+
+/**
+ * Small tolerant HTML parser (no dependencies) for on-page extraction.
+ *
+ *   const doc = parseHtml(html);
+ *   findAll(doc, (el) => el.tag === "meta").map((el) => el.attrs.content);
+ *   textContent(findFirst(doc, (el) => el.tag === "h1"));
+ *
+ * Nodes:
+ *   { type: "root", children }
+ *   { type: "element", tag, attrs: { name: value }, children, parent }
+ *   { type: "text", text, parent }
+ *
+ * Handles what regexes trip over: attributes in any order / quoting, comments,
+ * <script>/<style> contents, void and self-closed tags, unclosed <p>/<li>/<td>…,
+ * stray end tags, and every numeric + the common named character references.
+ * It is not a spec-complete HTML5 tree builder (no foster parenting / implied
+ * <html><head><body>), which on-page SEO signals don't need.
+ *
+ * Trees are at most MAX_DEPTH elements deep (deeper elements become siblings,
+ * as in Chromium), so the recursive walkers here and in the extractors can't
+ * overflow the stack on malformed pages (thousands of unclosed tags).
+ */
+
+// ---------------------------
+// Character references
+// ---------------------------
+
+// U+00A0..U+00FF in order
+const LATIN1 =
+  "nbsp iexcl cent pound curren yen brvbar sect uml copy ordf laquo not shy reg macr deg plusmn sup2 sup3 acute micro para middot cedil sup1 ordm raquo frac14 frac12 frac34 iquest Agrave Aacute Acirc Atilde Auml Aring AElig Ccedil Egrave Eacute Ecirc Euml Igrave Iacute Icirc Iuml ETH Ntilde Ograve Oacute Ocirc Otilde Ouml times Oslash Ugrave Uacute Ucirc Uuml Yacute THORN szlig agrave aacute acirc atilde auml aring aelig ccedil egrave eacute ecirc euml igrave iacute icirc iuml eth ntilde ograve oacute ocirc otilde ouml divide oslash ugrave uacute ucirc uuml yacute thorn yuml";
+
+// U+0391..U+03A9 (no U+03A2) and U+03B1..U+03C9
+const GREEK_UPPER = "Alpha Beta Gamma Delta Epsilon Zeta Eta Theta Iota Kappa Lambda Mu Nu Xi Omicron Pi Rho - Sigma Tau Upsilon Phi Chi Psi Omega";
+const GREEK_LOWER = "alpha beta gamma delta epsilon zeta eta theta iota kappa lambda mu nu xi omicron pi rho sigmaf sigma tau upsilon phi chi psi omega";
+
+const NAMED = {
+  amp: 38, lt: 60, gt: 62, quot: 34, apos: 39,
+  Tab: 9, NewLine: 10, excl: 33, num: 35, dollar: 36, percnt: 37, lpar: 40, rpar: 41,
+  ast: 42, plus: 43, comma: 44, period: 46, sol: 47, colon: 58, semi: 59, equals: 61,
+  quest: 63, commat: 64, lsqb: 91, bsol: 92, rsqb: 93, lowbar: 95, grave: 96,
+  lcub: 123, verbar: 124, rcub: 125,
+  OElig: 338, oelig: 339, Scaron: 352, scaron: 353, Yuml: 376, fnof: 402, circ: 710, tilde: 732,
+  ensp: 8194, emsp: 8195, thinsp: 8201, zwnj: 8204, zwj: 8205, lrm: 8206, rlm: 8207,
+  hyphen: 8208, ndash: 8211, mdash: 8212, lsquo: 8216, rsquo: 8217, sbquo: 8218,
+  ldquo: 8220, rdquo: 8221, bdquo: 8222, dagger: 8224, Dagger: 8225, bull: 8226,
+  hellip: 8230, permil: 8240, prime: 8242, Prime: 8243, lsaquo: 8249, rsaquo: 8250,
+  oline: 8254, frasl: 8260, euro: 8364, trade: 8482, larr: 8592, uarr: 8593, rarr: 8594,
+  darr: 8595, harr: 8596, rArr: 8658, hArr: 8660, minus: 8722, infin: 8734, asymp: 8776,
+  ne: 8800, le: 8804, ge: 8805, check: 10003, star: 9734, starf: 9733, hearts: 9829,
+};
+LATIN1.split(" ").forEach((name, i) => (NAMED[name] = 0xa0 + i));
+GREEK_UPPER.split(" ").forEach((name, i) => name !== "-" && (NAMED[name] = 0x391 + i));
+GREEK_LOWER.split(" ").forEach((name, i) => (NAMED[name] = 0x3b1 + i));
+
+// recognised without the trailing ";" in text (browsers do the same)
+const LEGACY = new Set(["amp", "lt", "gt", "quot", "nbsp", "copy", "reg"]);
+
+// &#128;-&#159; mean their windows-1252 characters
+const WINDOWS_1252 = {
+  0x80: 0x20ac, 0x82: 0x201a, 0x83: 0x192, 0x84: 0x201e, 0x85: 0x2026, 0x86: 0x2020,
+  0x87: 0x2021, 0x88: 0x2c6, 0x89: 0x2030, 0x8a: 0x160, 0x8b: 0x2039, 0x8c: 0x152,
+  0x8e: 0x17d, 0x91: 0x2018, 0x92: 0x2019, 0x93: 0x201c, 0x94: 0x201d, 0x95: 0x2022,
+  0x96: 0x2013, 0x97: 0x2014, 0x98: 0x2dc, 0x99: 0x2122, 0x9a: 0x161, 0x9b: 0x203a,
+  0x9c: 0x153, 0x9e: 0x17e, 0x9f: 0x178,
+};
+
+function fromCodePoint(code) {
+  if (WINDOWS_1252[code]) return String.fromCodePoint(WINDOWS_1252[code]);
+  if (!code || code > 0x10ffff || (code >= 0xd800 && code <= 0xdfff)) return "�";
+  return String.fromCodePoint(code);
+}
+
+/**
+ * Decode character references (&amp; &eacute; &#8217; &#x2019; …).
+ * In attribute values named references need their ";".
+ */
+export function decodeEntities(str = "", { attribute = false } = {}) {
+  const s = String(str ?? "");
+  if (!s.includes("&")) return s;
+  return s.replace(/&(#[xX][0-9a-fA-F]+|#\d+|[A-Za-z][A-Za-z0-9]*);?/g, (match, ref) => {
+    if (ref[0] === "#") {
+      const hex = ref[1] === "x" || ref[1] === "X";
+      return fromCodePoint(parseInt(ref.slice(hex ? 2 : 1), hex ? 16 : 10));
+    }
+    const terminated = match.endsWith(";");
+    if (NAMED[ref] != null && (terminated || (!attribute && LEGACY.has(ref)))) {
+      return String.fromCodePoint(NAMED[ref]);
+    }
+    return match;
+  });
+}
+
+// ---------------------------
+// Tree building
+// ---------------------------
+
+const VOID = new Set([
+  "area", "base", "br", "col", "embed", "hr", "img", "input", "link", "meta",
+  "param", "source", "track", "wbr",
+]);
+
+// contents are text up to the matching end tag; RCDATA ones decode references
+const RAW_TEXT = new Set(["script", "style", "xmp", "iframe", "noembed", "noframes", "noscript"]);
+const RCDATA = new Set(["title", "textarea"]);
+
+// case-insensitive search for the end tag of raw-text / RCDATA content from
+// lastIndex (no lowercased copy of the document per element)
+const CLOSE_TAG_RE = Object.fromEntries(
+  [...RAW_TEXT, ...RCDATA].map((tag) => [tag, new RegExp(`</${tag}`, "gi")])
+);
+
+const BLOCKS_CLOSING_P = new Set([
+  "address", "article", "aside", "blockquote", "details", "div", "dl", "fieldset",
+  "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5", "h6",
+  "header", "hr", "main", "menu", "nav", "ol", "p", "pre", "section", "table", "ul",
+]);
+
+// open element -> start tags that implicitly end it
+const IMPLIED_END = {
+  p: BLOCKS_CLOSING_P,
+  li: new Set(["li"]),
+  dt: new Set(["dt", "dd"]),
+  dd: new Set(["dt", "dd"]),
+  option: new Set(["option", "optgroup"]),
+  tr: new Set(["tr", "tbody", "tfoot"]),
+  td: new Set(["td", "th", "tr", "tbody", "tfoot"]),
+  th: new Set(["td", "th", "tr", "tbody", "tfoot"]),
+  thead: new Set(["tbody", "tfoot"]),
+  tbody: new Set(["tbody", "tfoot"]),
+};
+
+const isNameStart = (c) => /[A-Za-z]/.test(c || "");
+
+function readAttributes(src, i) {
+  const attrs = {};
+  const n = src.length;
+  let selfClosing = false;
+
+  while (i < n) {
+    while (i < n && /\s/.test(src[i])) i += 1;
+    const c = src[i];
+    if (c === ">") return { attrs, end: i + 1, selfClosing };
+    if (c === "/") {
+      selfClosing = src[i + 1] === ">";
+      i += 1;
+      continue;
+    }
+    if (i >= n) break;
+
+    let name = "";
+    while (i < n && !/[\s/>=]/.test(src[i])) name += src[i++];
+    while (i < n && /\s/.test(src[i])) i += 1;
+
+    let value = "";
+    if (src[i] === "=") {
+      i += 1;
+      while (i < n && /\s/.test(src[i])) i += 1;
+      const q = src[i];
+      if (q === '"' || q === "'") {
+        const close = src.indexOf(q, i + 1);
+        const stop = close === -1 ? n : close;
+        value = src.slice(i + 1, stop);
+        i = stop + 1;
+      } else {
+        const start = i;
+        while (i < n && !/[\s>]/.test(src[i])) i += 1;
+        value = src.slice(start, i);
+      }
+    }
+
+    const key = name.toLowerCase();
+    // the first occurrence of an attribute wins
+    if (key && !(key in attrs)) attrs[key] = decodeEntities(value, { attribute: true });
+  }
+
+  return { attrs, end: n, selfClosing };
+}
+
+// Chromium's limit on DOM tree depth while parsing
+const MAX_DEPTH = 512;
+
+/**
+ * Parse an HTML document or fragment into a tree (never throws).
+ */
+export function parseHtml(html = "") {
+  const src = String(html ?? "");
+  const n = src.length;
+  const root = { type: "root", tag: "#root", attrs: {}, children: [] };
+  const stack = [root];
+  const current = () => stack[stack.length - 1];
+
+  const addText = (text) => {
+    if (!text) return;
+    const parent = current();
+    const last = parent.children[parent.children.length - 1];
+    if (last?.type === "text") last.text += text;
+    else parent.children.push({ type: "text", text, parent });
+  };
+
+  const closeTo = (index) => {
+    stack.length = Math.max(1, index);
+  };
+
+  let i = 0;
+  while (i < n) {
+    const lt = src.indexOf("<", i);
+    if (lt === -1) {
+      addText(decodeEntities(src.slice(i)));
+      break;
+    }
+    if (lt > i) addText(decodeEntities(src.slice(i, lt)));
+    i = lt;
+
+    const next = src[i + 1];
+
+    // <!-- comment -->
+    if (src.startsWith("<!--", i)) {
+      const end = src.indexOf("-->", i + 4);
+      i = end === -1 ? n : end + 3;
+      continue;
+    }
+
+    // <!DOCTYPE>, <![CDATA[…]]>, <?xml …?>
+    if (next === "!" || next === "?") {
+      if (src.startsWith("<![CDATA[", i)) {
+        const end = src.indexOf("]]>", i + 9);
+        addText(src.slice(i + 9, end === -1 ? n : end));
+        i = end === -1 ? n : end + 3;
+        continue;
+      }
+      const end = src.indexOf(">", i + 2);
+      i = end === -1 ? n : end + 1;
+      continue;
+    }
+
+    // </end>
+    if (next === "/" && isNameStart(src[i + 2])) {
+      const m = /^<\/([A-Za-z][^\s/>]*)[^>]*>?/.exec(src.slice(i, i + 200));
+      const tag = m[1].toLowerCase();
+      const end = src.indexOf(">", i);
+      i = end === -1 ? n : end + 1;
+
+      // stray end tags (no matching open element) are ignored
+      for (let s = stack.length - 1; s > 0; s -= 1) {
+        if (stack[s].tag === tag) {
+          closeTo(s);
+          break;
+        }
+      }
+      continue;
+    }
+
+    // <start attrs>
+    if (!isNameStart(next)) {
+      addText("<");
+      i += 1;
+      continue;
+    }
+
+    let j = i + 1;
+    while (j < n && !/[\s/>]/.test(src[j])) j += 1;
+    const tag = src.slice(i + 1, j).toLowerCase();
+    const { attrs, end, selfClosing } = readAttributes(src, j);
+    i = end;
+
+    // implied end tags (<p>a<p>b, <li>a<li>b), nested <a> closes the open one
+    while (IMPLIED_END[current().tag]?.has(tag)) stack.pop();
+    if (tag === "a") {
+      const open = stack.findLastIndex((el) => el.tag === "a");
+      if (open > 0) closeTo(open);
+    }
+
+    const el = { type: "element", tag, attrs, children: [], parent: current() };
+    current().children.push(el);
+
+    if (VOID.has(tag) || selfClosing) continue;
+
+    if (RAW_TEXT.has(tag) || RCDATA.has(tag)) {
+      const closeRe = CLOSE_TAG_RE[tag];
+      closeRe.lastIndex = i;
+      const close = closeRe.exec(src)?.index ?? -1;
+      const stop = close === -1 ? n : close;
+      const text = src.slice(i, stop);
+      if (text) el.children.push({ type: "text", text: RCDATA.has(tag) ? decodeEntities(text) : text, parent: el });
+      const gt = close === -1 ? -1 : src.indexOf(">", close);
+      i = gt === -1 ? n : gt + 1;
+      continue;
+    }
+
+    // too deep: children of `el` become its siblings
+    if (stack.length <= MAX_DEPTH) stack.push(el);
+  }
+
+  return root;
+}
+
+// ---------------------------
+// Queries
+// ---------------------------
+
+/**
+ * Depth-first walk over elements. visit(el) returning false skips its children.
+ */
+export function walk(node, visit) {
+  for (const child of node?.children || []) {
+    if (child.type !== "element") continue;
+    if (visit(child) === false) continue;
+    walk(child, visit);
+  }
+}
+
+export function findAll(node, test) {
+  const out = [];
+  walk(node, (el) => {
+    if (test(el)) out.push(el);
+  });
+  return out;
+}
+
+export function findFirst(node, test) {
+  let found = null;
+  walk(node, (el) => {
+    if (found) return false;
+    if (test(el)) {
+      found = el;
+      return false;
+    }
+  });
+  return found;
+}
+
+/** Nearest ancestor matching test (not the element itself), or null. */
+export function closest(el, test) {
+  for (let p = el?.parent; p && p.type === "element"; p = p.parent) {
+    if (test(p)) return p;
+  }
+  return null;
+}
+
+// never visible text
+const NON_TEXT = new Set(["script", "style", "noscript", "template", "svg", "head"]);
+
+// inline elements don't separate words ("<b>Hel</b>lo" is one word)
+const INLINE = new Set([
+  "a", "abbr", "b", "bdi", "bdo", "cite", "code", "data", "dfn", "em", "font", "i",
+  "kbd", "label", "mark", "q", "s", "samp", "small", "span", "strong", "sub", "sup",
+  "time", "u", "var",
+]);
+
+/**
+ * Visible text of a node with whitespace collapsed; block elements and <br>
+ * separate words. <head>, scripts, styles and <svg> are skipped.
+ */
+export function textContent(node) {
+  if (!node) return "";
+  if (node.type === "text") return node.text.replace(/\s+/g, " ").trim();
+
+  const parts = [];
+  const visit = (n) => {
+    for (const child of n.children || []) {
+      if (child.type === "text") {
+        parts.push(child.text);
+        continue;
+      }
+      if (NON_TEXT.has(child.tag)) continue;
+      const inline = INLINE.has(child.tag);
+      if (!inline) parts.push(" ");
+      visit(child);
+      if (!inline) parts.push(" ");
+    }
+  };
+  visit(node);
+  return parts.join("").replace(/\s+/g, " ").trim();
+}
@@ -0,0 +1,417 @@
+// src/lib/seo/image-audit.js
+import { createCrawler } from "@/lib/seo/crawler";
+import { parseHtml, findAll, closest, textContent } from "@/lib/seo/html-parser";
+
+/**
+ * Image SEO audit of one page.
+ *
+ *   const report = await auditImages(html, { baseUrl });
+ *   // { summary, images: [{ src, alt, format, rendered, intrinsic, bytes, flags, … }] }
+ *
+ * Every <img> is listed with its alt text, format, declared (rendered) vs
+ * intrinsic size, loading=lazy, srcset and <picture> sources. Each unique
+ * image URL gets a HEAD request (byte size, content type) and a ranged GET of
+ * its first bytes (intrinsic width / height from the file header), through
+ * the crawler (robots.txt, timeouts). "Rendered" is what the HTML declares
+ * (width / height attributes or inline px styles): without a browser there
+ * is no layout, so CSS sizing isn't seen.
+ *
+ * Flags per image (IMAGE_FLAGS): missing / poor alt text, decorative-image
+ * misuse, oversized files, scaled-down, legacy formats without a modern
+ * alternative, no srcset, no dimensions, lazy loading above / not below the fold,
+ * broken URLs.
+ */
+
+export const OVERSIZED_BYTES = 100 * 1024;
+// wider than this without srcset -> phones download the desktop file
+export const SRCSET_MIN_WIDTH = 800;
+// intrinsic / declared width beyond this (2x covers retina screens)
+const SCALED_DOWN_RATIO = 2;
+const MAX_ALT_CHARS = 125;
+
+// the first images are likely above the fold (LCP candidates); from the
+// fourth one on they are likely below it
+const ABOVE_FOLD_IMAGES = 2;
+const BELOW_FOLD_FROM = 3;
+
+const MAX_IMAGES = 100;
+const MAX_FETCHED = 40;
+const HEADER_BYTES = 64 * 1024;
+const IMAGE_DELAY_MS = 50;
+
+const IMAGE_ACCEPT = "image/avif,image/webp,image/apng,image/svg+xml,image/*,*/*;q=0.8";
+
+export const IMAGE_FLAGS = {
+  broken: { severity: "error", title: "Broken images" },
+  "missing-alt": { severity: "error", title: "Images without alt attribute" },
+  "decorative-misuse": { severity: "warning", title: "Decorative image markup misused" },
+  "oversized-file": { severity: "warning", title: "Image files over 100 KB" },
+  "poor-alt": { severity: "warning", title: "Alt text that doesn't describe the image" },
+  "scaled-down": { severity: "warning", title: "Images much larger than displayed" },
+  "legacy-format": { severity: "notice", title: "JPEG / PNG / GIF without WebP or AVIF" },
+  "no-srcset": { severity: "notice", title: "Large images without srcset" },
+  "missing-dimensions": { severity: "notice", title: "Images without width / height (layout shift)" },
+  "lazy-above-fold": { severity: "notice", title: "Lazy-loaded image above the fold" },
+  "not-lazy": { severity: "notice", title: "Below-the-fold images not lazy-loaded" },
+};
+const SEVERITY_ORDER = { error: 0, warning: 1, notice: 2 };
+
+const MODERN_FORMATS = new Set(["webp", "avif", "jxl"]);
+const LEGACY_FORMATS = new Set(["jpeg", "png", "gif", "bmp", "tiff"]);
+
+const FORMAT_BY_EXT = {
+  jpg: "jpeg", jpeg: "jpeg", jfif: "jpeg", png: "png", gif: "gif", webp: "webp", avif: "avif",
+  svg: "svg", bmp: "bmp", tif: "tiff", tiff: "tiff", ico: "ico", jxl: "jxl", heic: "heic",
+};
+
+const GENERIC_ALT =
+  /^(?:image|img|photo|picture|pic|graphic|icon|logo|banner|thumbnail|untitled|placeholder|spacer|null|undefined|alt|default)[\s_-]*\d*$/i;
+const FILENAME_ALT = /\.(?:jpe?g|png|gif|webp|avif|svg)$|^(?:img|dsc|dscn|image|photo|screenshot)[\s_-]?\d+/i;
+const SPACER_SRC = /(?:spacer|pixel|blank|transparent|1x1)\.(?:gif|png)/i;
+
+// lazy-loading libraries keep the real URL here and a placeholder in src
+const LAZY_SRC_ATTRS = ["data-src", "data-lazy-src", "data-original", "data-srcset"];
+
+function absoluteUrl(src, baseUrl) {
+  try {
+    return new URL(src, baseUrl || undefined).toString();
+  } catch {
+    return null;
+  }
+}
+
+function formatOf({ contentType, url }) {
+  const type = String(contentType || "").toLowerCase().match(/image\/([a-z0-9.+-]+)/)?.[1];
+  if (type) return type === "svg+xml" ? "svg" : type === "jpg" || type === "pjpeg" ? "jpeg" : type;
+  try {
+    const ext = new URL(url).pathname.split(".").pop().toLowerCase();
+    return FORMAT_BY_EXT[ext] || null;
+  } catch {
+    return null;
+  }
+}
+
+// "300", "300px" -> 300; percentages and other units -> null
+function pixels(v) {
+  const m = String(v ?? "").trim().match(/^(\d+(?:\.\d+)?)(?:px)?$/i);
+  return m ? Math.round(Number(m[1])) : null;
+}
+
+function declaredSize(el) {
+  const style = el.attrs.style || "";
+  const fromStyle = (prop) => pixels(style.match(new RegExp(`(?:^|;)\\s*${prop}\\s*:\\s*([^;]+)`, "i"))?.[1]);
+  const width = fromStyle("width") ?? pixels(el.attrs.width);
+  const height = fromStyle("height") ?? pixels(el.attrs.height);
+  return width || height ? { width, height } : null;
+}
+
+/**
+ * Width / height (and format) from the first bytes of an image file:
+ * PNG, GIF, JPEG, WebP, AVIF / HEIC, BMP and SVG. null when unknown.
+ */
+export function imageSize(buf) {
+  if (!buf || buf.length < 10) return null;
+  const ascii = (start, end) => buf.toString("latin1", start, end);
+
+  if (buf.length >= 24 && buf.readUInt32BE(0) === 0x89504e47) {
+    return { format: "png", width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+  }
+  if (ascii(0, 4) === "GIF8") {
+    return { format: "gif", width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+  }
+  if (ascii(0, 2) === "BM" && buf.length >= 26) {
+    return { format: "bmp", width: buf.readInt32LE(18), height: Math.abs(buf.readInt32LE(22)) };
+  }
+
+  if (buf[0] === 0xff && buf[1] === 0xd8) {
+    // walk the segments up to a start-of-frame marker
+    let i = 2;
+    while (i + 9 < buf.length) {
+      if (buf[i] !== 0xff) {
+        i += 1;
+        continue;
+      }
+      const marker = buf[i + 1];
+      if (marker === 0xff) {
+        i += 1;
+      } else if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+        return { format: "jpeg", width: buf.readUInt16BE(i + 7), height: buf.readUInt16BE(i + 5) };
+      } else if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd8)) {
+        i += 2;
+      } else {
+        i += 2 + buf.readUInt16BE(i + 2);
+      }
+    }
+    return { format: "jpeg", width: null, height: null };
+  }
+
+  if (ascii(0, 4) === "RIFF" && ascii(8, 12) === "WEBP" && buf.length >= 30) {
+    const chunk = ascii(12, 16);
+    if (chunk === "VP8 ") {
+      return { format: "webp", width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+    }
+    if (chunk === "VP8L") {
+      return {
+        format: "webp",
+        width: 1 + (((buf[22] & 0x3f) << 8) | buf[21]),
+        height: 1 + (((buf[24] & 0x0f) << 10) | (buf[23] << 2) | ((buf[22] & 0xc0) >> 6)),
+      };
+    }
+    if (chunk === "VP8X") {
+      return { format: "webp", width: 1 + buf.readUIntLE(24, 3), height: 1 + buf.readUIntLE(27, 3) };
+    }
+    return { format: "webp", width: null, height: null };
+  }
+
+  if (ascii(4, 8) === "ftyp") {
+    const brand = ascii(8, 12);
+    const format = /^avi[fs]$/.test(brand) ? "avif" : /^(?:heic|heix|mif1|msf1)$/.test(brand) ? "heic" : null;
+    if (format) {
+      const ispe = buf.indexOf("ispe");
+      return ispe > 0 && ispe + 16 <= buf.length
+        ? { format, width: buf.readUInt32BE(ispe + 8), height: buf.readUInt32BE(ispe + 12) }
+        : { format, width: null, height: null };
+    }
+  }
+
+  const head = ascii(0, Math.min(buf.length, 4096));
+  const svg = head.match(/<svg\b[^>]*>/i)?.[0];
+  if (svg) {
+    const attr = (name) => svg.match(new RegExp(`\\s${name}\\s*=\\s*["']([^"']*)["']`, "i"))?.[1];
+    const viewBox = (attr("viewBox") || "").split(/[\s,]+/).map(Number);
+    return {
+      format: "svg",
+      width: pixels(attr("width")) ?? (viewBox.length === 4 ? Math.round(viewBox[2]) : null),
+      height: pixels(attr("height")) ?? (viewBox.length === 4 ? Math.round(viewBox[3]) : null),
+    };
+  }
+  return null;
+}
+
+// data: URIs are audited inline (format + decoded size), nothing to fetch
+function dataUriInfo(src) {
+  // data:<mime>[;charset=…][;base64],<data>
+  const m = src.match(/^data:([^,]*),(.*)$/is);
+  if (!m) return null;
+  const [mime, ...params] = m[1].split(";");
+  const data = m[2];
+
+  let bytes;
+  if (params.some((p) => p.trim().toLowerCase() === "base64")) {
+    bytes = Math.floor((data.replace(/=+$/, "").length * 3) / 4);
+  } else {
+    try {
+      bytes = Buffer.byteLength(decodeURIComponent(data));
+    } catch {
+      // a literal "%" (e.g. width="100%" in inline SVG) isn't valid percent-encoding
+      bytes = Buffer.byteLength(data);
+    }
+  }
+  return { format: formatOf({ contentType: mime }), bytes };
+}
+
+/** <img> elements of the page with everything the HTML says about them. */
+function readImages(doc, baseUrl) {
+  const body = findAll(doc, (e) => e.tag === "body")[0] || doc;
+  return findAll(body, (e) => e.tag === "img").slice(0, MAX_IMAGES).map((el, index) => {
+    const a = el.attrs;
+    const rawSrc = String(a.src || "").trim();
+    const lazySrc = LAZY_SRC_ATTRS.map((k) => a[k]).find((v) => v && v.trim())?.trim().split(/[\s,]/)[0];
+    // placeholder src (data: / empty) + data-src -> the real image is data-src
+    const src = (!rawSrc || rawSrc.startsWith("data:")) && lazySrc ? lazySrc : rawSrc;
+    const picture = el.parent?.tag === "picture" ? el.parent : null;
+    const sources = picture
+      ? picture.children
+          .filter((c) => c.tag === "source")
+          .map((c) => ({ type: String(c.attrs.type || "").toLowerCase() || null, srcset: c.attrs.srcset || null }))
+      : [];
+    const link = closest(el, (p) => p.tag === "a" && "href" in p.attrs);
+    const role = String(a.role || "").toLowerCase();
+
+    return {
+      index,
+      src: src.startsWith("data:") ? src.slice(0, 64) : absoluteUrl(src, baseUrl) || src,
+      isDataUri: src.startsWith("data:"),
+      dataUri: src.startsWith("data:") ? src : null,
+      alt: "alt" in a ? a.alt.trim() : null,
+      title: a.title || null,
+      ariaHidden: a["aria-hidden"] === "true",
+      role: role || null,
+      loading: String(a.loading || "").toLowerCase() || null,
+      // native loading=lazy, or a lazy-loading library's data-src swap
+      lazy: String(a.loading || "").toLowerCase() === "lazy" || Boolean(lazySrc && src === lazySrc),
+      srcset: a.srcset || a["data-srcset"] || null,
+      sizes: a.sizes || null,
+      sources,
+      rendered: declaredSize(el),
+      inLink: link
+        ? {
+            href: link.attrs.href,
+            // the link's own name without this image
+            named: Boolean(textContent(link) || link.attrs["aria-label"] || link.attrs.title),
+          }
+        : null,
+    };
+  });
+}
+
+// HEAD for the byte size + first bytes for the intrinsic size, once per URL
+async function fetchImageInfo(crawler, url) {
+  const head = await crawler.fetch(url, { method: "HEAD", accept: IMAGE_ACCEPT, conditional: false });
+  if (head.skipped) return { skipped: head.skipped };
+  // 405 / 501: no HEAD support, the ranged GET still tells the size
+  const headFailed = !head.ok && ![405, 501].includes(head.status);
+  if (headFailed) return { status: head.status, error: head.error || null };
+
+  const part = await crawler.fetch(url, { range: HEADER_BYTES, accept: IMAGE_ACCEPT, conditional: false });
+  const size = part.ok ? imageSize(part.body) : null;
+  return {
+    status: head.ok ? head.status : part.status,
+    finalUrl: part.finalUrl || head.finalUrl || url,
+    contentType: head.contentType || part.contentType || "",
+    bytes: head.ok && head.contentLength != null ? head.contentLength : part.contentLength ?? null,
+    size,
+    error: part.ok ? null : part.error || null,
+  };
+}
+
+const isTiny = (size) => Boolean(size?.width && size?.height && size.width <= 2 && size.height <= 2);
+
+function flagImage(img, index) {
+  const flags = [];
+  const flag = (type, note) => flags.push({ type, note });
+  const decorativeByRole = img.ariaHidden || img.role === "presentation" || img.role === "none";
+  const decorative = img.alt === "" || decorativeByRole;
+  const vector = img.format === "svg";
+  const tiny = isTiny(img.intrinsic) || isTiny(img.rendered) || SPACER_SRC.test(img.src);
+
+  if (img.status >= 400) flag("broken", `HTTP ${img.status}`);
+
+  if (img.alt == null && !decorativeByRole) {
+    flag("missing-alt", img.inLink ? "Image link without alt: the link has no name" : "No alt attribute");
+  } else if (img.alt) {
+    if (GENERIC_ALT.test(img.alt)) flag("poor-alt", `Generic alt text "${img.alt}"`);
+    else if (FILENAME_ALT.test(img.alt)) flag("poor-alt", `Alt text is a file name "${img.alt}"`);
+    else if (img.alt.length > MAX_ALT_CHARS) flag("poor-alt", `Alt text is ${img.alt.length} characters`);
+  }
+
+  if (decorative && img.inLink && !img.inLink.named) {
+    flag("decorative-misuse", "Decorative image is a link's only content: the link has no name");
+  } else if (decorativeByRole && img.alt) {
+    flag("decorative-misuse", "Hidden from assistive tech (role / aria-hidden) but has alt text");
+  } else if (tiny && img.alt) {
+    flag("decorative-misuse", "Spacer / tracking image should use alt=\"\"");
+  }
+
+  if (img.bytes != null && img.bytes > OVERSIZED_BYTES) {
+    flag("oversized-file", `${Math.round(img.bytes / 1024)} KB`);
+  }
+
+  const shown = img.rendered?.width;
+  if (!vector && shown && img.intrinsic?.width > shown * SCALED_DOWN_RATIO) {
+    flag("scaled-down", `${img.intrinsic.width}px file shown at ${shown}px`);
+  }
+
+  if (LEGACY_FORMATS.has(img.format) && !img.modernFormat && !tiny && !(img.status >= 400)) {
+    flag("legacy-format", `${img.format.toUpperCase()} without a WebP / AVIF version`);
+  }
+
+  const width = img.intrinsic?.width || shown;
+  if (!vector && width > SRCSET_MIN_WIDTH && !img.srcset && !img.sources.some((s) => s.srcset)) {
+    flag("no-srcset", `${width}px wide, one size for every screen`);
+  }
+
+  if (!img.rendered?.width || !img.rendered?.height) {
+    if (!tiny) flag("missing-dimensions", "No width / height attributes");
+  }
+
+  if (index < ABOVE_FOLD_IMAGES && img.loading === "lazy") {
+    flag("lazy-above-fold", "Likely above the fold: loading=lazy delays it (LCP)");
+  } else if (index >= BELOW_FOLD_FROM && !img.lazy && !tiny) {
+    flag("not-lazy", "No loading=lazy");
+  }
+
+  return flags;
+}
+
+/**
+ * Audit the images of an HTML document (string or parseHtml() tree).
+ *
+ * @param {string|object} html
+ * @param {{ baseUrl?: string, crawler?: object, signal?: AbortSignal }} opts
+ * Returns {
+ *   summary: { images, unique, fetched, totalBytes, missingAlt, decorative, lazy,
+ *              withSrcset, modernFormat, flags: [{ type, severity, title, count }] },
+ *   images: [{
+ *     src, alt,               // alt null = no attribute, "" = marked decorative
+ *     decorative, inLink, format, modernFormat, loading, lazy, srcset, sizes, sources,
+ *     rendered: { width, height } | null,     // declared in the HTML
+ *     intrinsic: { width, height } | null,    // from the file
+ *     bytes, status, fetched,
+ *     flags: [{ type, note }]                 // IMAGE_FLAGS keys
+ *   }]
+ * }
+ */
+export async function auditImages(html = "", { baseUrl, crawler, signal } = {}) {
+  const doc = typeof html === "object" && html?.type === "root" ? html : parseHtml(html);
+  const read = readImages(doc, baseUrl);
+
+  const http = crawler || createCrawler({ signal, budget: MAX_FETCHED * 2, politenessDelayMs: IMAGE_DELAY_MS });
+  const unique = Array.from(new Set(read.filter((i) => !i.isDataUri && /^https?:/i.test(i.src)).map((i) => i.src)));
+  const toFetch = unique.slice(0, MAX_FETCHED);
+  const infos = new Map(
+    await Promise.all(toFetch.map(async (u) => [u, await fetchImageInfo(http, u).catch(() => null)]))
+  );
+
+  const images = read.map((img) => {
+    const info = img.isDataUri ? dataUriInfo(img.dataUri) : infos.get(img.src) || null;
+    const size = info?.size || null;
+    const format = size?.format || formatOf({ contentType: info?.contentType, url: info?.finalUrl || img.src }) || info?.format || null;
+    const record = {
+      src: img.src,
+      alt: img.alt,
+      decorative: img.alt === "" || img.ariaHidden || img.role === "presentation" || img.role === "none",
+      inLink: Boolean(img.inLink),
+      format,
+      modernFormat:
+        MODERN_FORMATS.has(format) || img.sources.some((s) => /image\/(?:webp|avif|jxl)/.test(s.type || "")),
+      loading: img.loading,
+      lazy: img.lazy,
+      srcset: Boolean(img.srcset),
+      sizes: img.sizes,
+      sources: img.sources,
+      rendered: img.rendered,
+      intrinsic: size?.width ? { width: size.width, height: size.height } : null,
+      bytes: info?.bytes ?? null,
+      status: info?.status ?? null,
+      fetched: Boolean(info && !img.isDataUri && !info.skipped),
+    };
+    const flags = flagImage({ ...record, inLink: img.inLink, ariaHidden: img.ariaHidden, role: img.role }, img.index);
+    return { ...record, flags };
+  });
+
+  const counts = new Map();
+  const bytesByUrl = new Map();
+  for (const img of images) {
+    if (img.bytes != null) bytesByUrl.set(img.src, img.bytes);
+    for (const f of new Set(img.flags.map((x) => x.type))) counts.set(f, (counts.get(f) || 0) + 1);
+  }
+
+  return {
+    summary: {
+      images: images.length,
+      unique: unique.length,
+      fetched: images.filter((i) => i.fetched).length,
+      totalBytes: Array.from(bytesByUrl.values()).reduce((s, b) => s + b, 0),
+      missingAlt: counts.get("missing-alt") || 0,
+      decorative: images.filter((i) => i.decorative).length,
+      lazy: images.filter((i) => i.lazy).length,
+      withSrcset: images.filter((i) => i.srcset || i.sources.some((s) => s.srcset)).length,
+      modernFormat: images.filter((i) => i.modernFormat).length,
+      flags: Array.from(counts.entries())
+        .map(([type, count]) => ({ type, ...IMAGE_FLAGS[type], count }))
+        .sort((a, b) => SEVERITY_ORDER[a.severity] - SEVERITY_ORDER[b.severity] || b.count - a.count),
+    },
+    images,
+  };
+}
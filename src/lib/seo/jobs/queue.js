@@ -0,0 +1,292 @@
+// src/lib/seo/jobs/queue.js
+import { randomUUID } from "crypto";
+import { getStorage } from "@/lib/seo/storage";
+
+/**
+ * Durable job queue for scan jobs.
+ *
+ * - Jobs are stored in the "jobs" collection of the storage backend, so with
+ *   SEO_STORAGE_BACKEND=file they survive restarts.
+ * - Each job has attempts/maxAttempts; failures are retried with exponential
+ *   backoff (baseDelayMs * 2^(attempt-1), capped at maxDelayMs, plus jitter).
+ * - At most SEO_JOB_CONCURRENCY jobs run at the same time (default 2).
+ * - Jobs that exhaust their attempts move to the "dead" state (dead-letter).
+ * - Jobs left "running" by a previous process are re-queued on startup.
+ * - cancelJob() aborts the `signal` handed to a running handler; cancelled
+ *   jobs are never retried.
+ *
+ * Job status: queued | running | complete | dead | cancelled
+ *
+ * Handlers are registered per job type:
+ *   registerJobHandler("draft-scan", {
+ *     run: async (payload, job, { signal }) => {},  // throw to retry
+ *     onRetry: (payload, job, error) => {},     // optional
+ *     onDead: (payload, job, error) => {},      // optional, final failure
+ *   });
+ */
+
+const DEFAULT_MAX_ATTEMPTS = 3;
+const DEFAULT_BASE_DELAY_MS = 5_000;
+const MAX_DELAY_MS = 5 * 60 * 1000;
+const FINISHED_RETENTION_MS = 7 * 24 * 60 * 60 * 1000;
+
+const g = globalThis;
+
+// Keep runtime state across hot reloads in dev
+if (!g.__drfizzJobQueue) {
+  g.__drfizzJobQueue = {
+    handlers: new Map(),
+    running: new Set(),
+    controllers: new Map(), // jobId -> AbortController
+    timer: null,
+    timerAt: 0,
+    started: false,
+  };
+}
+
+const rt = g.__drfizzJobQueue;
+
+function jobs() {
+  return getStorage().collection("jobs");
+}
+
+function concurrency() {
+  const n = Number(process.env.SEO_JOB_CONCURRENCY);
+  return Number.isFinite(n) && n > 0 ? Math.floor(n) : 2;
+}
+
+function backoffMs(job) {
+  const base = Number(job.baseDelayMs) || DEFAULT_BASE_DELAY_MS;
+  const exp = base * 2 ** Math.max(0, (job.attempts || 1) - 1);
+  const jitter = Math.round(Math.random() * base * 0.2);
+  return Math.min(MAX_DELAY_MS, exp) + jitter;
+}
+
+function saveJob(job) {
+  job.updatedAt = new Date().toISOString();
+  jobs().set(job.jobId, job);
+  return job;
+}
+
+/**
+ * Recover jobs interrupted by a crash/restart and prune old finished jobs.
+ */
+function ensureStarted() {
+  if (rt.started) return;
+  rt.started = true;
+
+  const now = Date.now();
+  for (const job of Array.from(jobs().values())) {
+    if (job.status === "running" && !rt.running.has(job.jobId)) {
+      saveJob({
+        ...job,
+        status: "queued",
+        nextRunAt: now,
+        recoveredAt: new Date(now).toISOString(),
+      });
+      continue;
+    }
+
+    const finishedAt = Date.parse(job.finishedAt || "");
+    if (
+      ["complete", "dead", "cancelled"].includes(job.status) &&
+      Number.isFinite(finishedAt) &&
+      now - finishedAt > FINISHED_RETENTION_MS
+    ) {
+      jobs().delete(job.jobId);
+    }
+  }
+}
+
+function schedulePump(delayMs = 0) {
+  const at = Date.now() + Math.max(0, delayMs);
+  if (rt.timer && rt.timerAt <= at) return;
+
+  if (rt.timer) clearTimeout(rt.timer);
+  rt.timerAt = at;
+  rt.timer = setTimeout(() => {
+    rt.timer = null;
+    rt.timerAt = 0;
+    pump();
+  }, Math.max(0, delayMs));
+  rt.timer.unref?.();
+}
+
+function pump() {
+  const now = Date.now();
+  const due = [];
+  let nextAt = Infinity;
+
+  for (const job of jobs().values()) {
+    if (job.status !== "queued") continue;
+    if (!rt.handlers.has(job.type)) continue; // wait until its module registers
+    if ((job.nextRunAt || 0) <= now) due.push(job);
+    else nextAt = Math.min(nextAt, job.nextRunAt);
+  }
+
+  due.sort((a, b) => (a.nextRunAt || 0) - (b.nextRunAt || 0));
+
+  for (const job of due) {
+    if (rt.running.size >= concurrency()) break;
+    runJob(job);
+  }
+
+  if (Number.isFinite(nextAt)) schedulePump(nextAt - now);
+}
+
+async function runJob(job) {
+  const handler = rt.handlers.get(job.type);
+  const ctrl = new AbortController();
+  rt.running.add(job.jobId);
+  rt.controllers.set(job.jobId, ctrl);
+
+  const current = saveJob({
+    ...job,
+    status: "running",
+    attempts: (job.attempts || 0) + 1,
+    startedAt: new Date().toISOString(),
+  });
+
+  try {
+    await handler.run(current.payload, current, { signal: ctrl.signal });
+    ctrl.signal.throwIfAborted();
+
+    saveJob({
+      ...current,
+      status: "complete",
+      lastError: null,
+      finishedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    const error = err?.message || "job failed";
+
+    if (ctrl.signal.aborted) {
+      saveJob({
+        ...current,
+        status: "cancelled",
+        lastError: null,
+        cancelledAt: getJob(current.jobId)?.cancelledAt || new Date().toISOString(),
+        finishedAt: new Date().toISOString(),
+      });
+    } else if (current.attempts < current.maxAttempts) {
+      const delay = backoffMs(current);
+      const next = saveJob({
+        ...current,
+        status: "queued",
+        lastError: error,
+        nextRunAt: Date.now() + delay,
+      });
+      try {
+        handler.onRetry?.(next.payload, next, err);
+      } catch {}
+    } else {
+      const dead = saveJob({
+        ...current,
+        status: "dead",
+        lastError: error,
+        finishedAt: new Date().toISOString(),
+      });
+      try {
+        handler.onDead?.(dead.payload, dead, err);
+      } catch {}
+    }
+  } finally {
+    rt.running.delete(job.jobId);
+    rt.controllers.delete(job.jobId);
+    schedulePump(0);
+  }
+}
+
+// ---------------------------
+// Public API
+// ---------------------------
+export function registerJobHandler(type, handler) {
+  if (!type) throw new Error("registerJobHandler: type is required");
+  if (typeof handler?.run !== "function") {
+    throw new Error("registerJobHandler: handler.run must be a function");
+  }
+  rt.handlers.set(type, handler);
+  ensureStarted();
+  schedulePump(0);
+}
+
+export function enqueueJob(
+  type,
+  payload = {},
+  {
+    jobId,
+    maxAttempts = DEFAULT_MAX_ATTEMPTS,
+    baseDelayMs = DEFAULT_BASE_DELAY_MS,
+    runAt = Date.now(),
+  } = {}
+) {
+  if (!type) throw new Error("enqueueJob: type is required");
+  ensureStarted();
+
+  const job = saveJob({
+    jobId: jobId || randomUUID(),
+    type,
+    payload,
+    status: "queued",
+    attempts: 0,
+    maxAttempts: Math.max(1, Number(maxAttempts) || DEFAULT_MAX_ATTEMPTS),
+    baseDelayMs: Math.max(0, Number(baseDelayMs) || 0),
+    nextRunAt: Number(runAt) || Date.now(),
+    lastError: null,
+    createdAt: new Date().toISOString(),
+  });
+
+  schedulePump(0);
+  return job;
+}
+
+export function getJob(jobId) {
+  return jobs().get(jobId) || null;
+}
+
+export function listJobs({ type, status } = {}) {
+  return Array.from(jobs().values())
+    .filter((j) => (!type || j.type === type) && (!status || j.status === status))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+/**
+ * Move a dead job back to the queue with a fresh set of attempts.
+ */
+export function retryJob(jobId) {
+  const job = jobs().get(jobId);
+  if (!job || job.status !== "dead") return null;
+
+  const next = saveJob({
+    ...job,
+    status: "queued",
+    attempts: 0,
+    nextRunAt: Date.now(),
+    finishedAt: null,
+  });
+
+  schedulePump(0);
+  return next;
+}
+
+/**
+ * Cancel a queued or running job.
+ * Running handlers see their `signal` aborted; returns null if already finished.
+ */
+export function cancelJob(jobId, { reason = "cancelled" } = {}) {
+  const job = jobs().get(jobId);
+  if (!job || (job.status !== "queued" && job.status !== "running")) return null;
+
+  const ctrl = rt.controllers.get(jobId);
+  if (ctrl) {
+    ctrl.abort(new Error(reason));
+    return saveJob({ ...job, cancelledAt: new Date().toISOString() });
+  }
+
+  return saveJob({
+    ...job,
+    status: "cancelled",
+    cancelledAt: new Date().toISOString(),
+    finishedAt: new Date().toISOString(),
+  });
+}
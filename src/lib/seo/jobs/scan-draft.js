@@ -1,12 +1,43 @@
 // src/lib/seo/jobs/scan-draft.js
-import { renderDraft } from "@/lib/seo/providers";
-import { extractSeoData } from "@/lib/seo/extraction";
+import { renderDraft, expandDraftPayload, draftTargetId } from "@/lib/seo/providers";
+import { extractSeoDataFromHtml, htmlToText, safeTrim } from "@/lib/seo/extraction";
+import { validateStructuredData } from "@/lib/seo/structured-data";
 import {
   createScan,
+  getScan,
+  cancelScan,
   completeScan,
   failScan,
+  markScanRunning,
+  markScanRetrying,
+  reportScanProgress,
   upsertOpportunitiesSnapshot,
 } from "@/lib/seo/snapshots.store";
+import { enqueueJob, cancelJob, getJob, registerJobHandler } from "@/lib/seo/jobs/queue";
+import { sealCredentials, resolveCredentials, releaseCredentials } from "@/lib/seo/providers/credentials";
+
+const JOB_TYPE = "draft-scan";
+
+registerJobHandler(JOB_TYPE, {
+  run: (data, job, { signal }) => runDraftScan({ ...data, signal }),
+  onRetry: ({ scanId, provider }, job, err) => {
+    markScanRetrying(scanId, {
+      provider,
+      source: "internal-render",
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: new Date(job.nextRunAt).toISOString(),
+      error: err?.message || "Draft scan failed",
+    });
+  },
+  onDead: ({ scanId, provider, payload }, job, err) => {
+    releaseCredentials(payload);
+    failScan(scanId, {
+      error: err?.message || "Draft scan failed",
+      diagnostics: { provider, source: "internal-render", attempts: job.attempts },
+    });
+  },
+});
 
 export function enqueueDraftScan({ hostname, provider, payload } = {}) {
   const h = String(hostname || "").trim();
@@ -15,52 +46,126 @@ export function enqueueDraftScan({ hostname, provider, payload } = {}) {
   if (!p) throw new Error("provider is required");
   if (!payload) throw new Error("payload is required");
 
+  // validates the provider and counts the drafts in a batch payload
+  const items = expandDraftPayload(p, payload).length;
+
+  // the job is persisted: its payload keeps a reference, never the secret
+  const sealed = sealCredentials(p, payload);
+
   const scan = createScan({
-    kind: "opportunities",
+    kind: "draft",
     websiteUrl: payload?.siteUrl || payload?.shopDomain || "",
     hostname: h,
     mode: "draft",
     provider: p,
   });
 
-  runDraftScan({ scanId: scan.scanId, hostname: h, provider: p, payload }).catch(() => {});
-  return scan;
+  // Durable job: retried with backoff, scan is only failed once attempts run out
+  enqueueJob(
+    JOB_TYPE,
+    { scanId: scan.scanId, hostname: h, provider: p, payload: sealed },
+    { jobId: scan.scanId }
+  );
+  return { ...scan, items };
 }
 
-async function runDraftScan({ scanId, hostname, provider, payload }) {
-  try {
+export function cancelDraftScan(scanId) {
+  const scan = getScan(scanId);
+  if (!scan) return null;
+  if (scan.status !== "queued" && scan.status !== "running") return scan;
+
+  cancelJob(scanId);
+  releaseCredentials(getJob(scanId)?.payload?.payload);
+  return cancelScan(scanId);
+}
+
+async function runDraftScan({ scanId, hostname, provider, payload, signal }) {
+  markScanRunning(scanId);
+
+  const targets = expandDraftPayload(provider, resolveCredentials(provider, payload));
+  // resolves relative links in draft bodies (internal vs external)
+  const baseUrl = payload?.siteUrl || `https://${hostname}`;
+  const total = targets.length;
+
+  const blogs = [];
+  const pages = [];
+  const errors = [];
+
+  for (let i = 0; i < total; i++) {
+    signal?.throwIfAborted();
+    reportScanProgress(scanId, {
+      stage: "render",
+      message: `Rendering ${provider} draft ${i + 1}/${total}…`,
+      done: i,
+      total,
+    });
+
     // 1) Internal render (non-public HTML)
-    const rendered = await renderDraft({ provider, payload });
+    let rendered;
+    try {
+      rendered = await renderDraft({ provider, payload: targets[i], signal });
+    } catch (e) {
+      signal?.throwIfAborted();
+      errors.push({
+        index: i,
+        id: draftTargetId(provider, targets[i]),
+        error: e?.message || "render failed",
+      });
+      continue;
+    }
 
-    // 2) Extract SEO basics from rendered HTML
-    const seo = extractSeoData(rendered.html || "");
+    // 2) Extract SEO data from the rendered HTML string (no re-fetch)
+    const seo = extractSeoDataFromHtml(rendered.html || "", { baseUrl });
 
     const item = {
-      url: rendered.url || "(draft)",
-      title: rendered.title || seo.title || "",
-      description: seo.description || "",
+      url: rendered.url && rendered.url !== "(draft)" ? rendered.url : `(draft:${rendered.id})`,
+      draftId: rendered.id,
+      title: safeTrim(htmlToText(rendered.title) || seo.title || "", 70),
+      description: safeTrim(htmlToText(rendered.description) || seo.description || "", 110),
       wordCount: seo.wordCount || 0,
+      readability: seo.readability,
+      // JSON-LD / microdata the draft carries in its rendered content
+      structuredData: validateStructuredData(rendered.html || "", { baseUrl }),
+      headings: seo.headings,
+      links: seo.links,
+      kind: rendered.kind === "page" ? "page" : "blog",
+      draftStatus: rendered.status || null,
+      slug: rendered.slug || null,
+      modifiedAt: rendered.modifiedAt || null,
       isDraft: true,
     };
 
-    // 3) Store as opportunities snapshot in "draft" mode
-    upsertOpportunitiesSnapshot(hostname, {
-      scanId,
-      status: "complete",
-      mode: "draft",
-      diagnostics: { provider, source: "internal-render" },
-      blogs: [item], // you can also decide page vs blog by payload later
-      pages: [],
-    });
+    // 3) blog vs page comes from provider metadata (post type / collection)
+    (item.kind === "page" ? pages : blogs).push(item);
+  }
 
-    completeScan(scanId, {
-      hostname,
-      diagnostics: { provider, source: "internal-render" },
-    });
-  } catch (e) {
-    failScan(scanId, {
-      error: e?.message || "Draft scan failed",
-      diagnostics: { provider, source: "internal-render" },
-    });
+  signal?.throwIfAborted();
+
+  // nothing rendered -> let the queue retry the whole batch
+  if (!blogs.length && !pages.length) {
+    throw new Error(errors[0]?.error || "No drafts could be rendered");
   }
+
+  reportScanProgress(scanId, { stage: "extract", message: "Saving draft results…", done: total, total });
+
+  const diagnostics = {
+    provider,
+    source: "internal-render",
+    requested: total,
+    rendered: blogs.length + pages.length,
+    errors,
+  };
+
+  // 4) Store as opportunities snapshot in "draft" mode
+  upsertOpportunitiesSnapshot(hostname, {
+    scanId,
+    status: "complete",
+    mode: "draft",
+    diagnostics,
+    blogs,
+    pages,
+  });
+
+  completeScan(scanId, { hostname, diagnostics });
+  releaseCredentials(payload);
 }
@@ -3,15 +3,39 @@ import {
   discoverOpportunitiesUrls,
   normalizeToHttps,
   getHostname,
+  clampDiscoveryDepth,
 } from "@/lib/seo/discovery";
 import {
   createScan,
+  getScan,
+  cancelScan,
   completeScan,
   failScan,
+  markScanRunning,
+  markScanRetrying,
+  reportScanProgress,
   upsertOpportunitiesSnapshot,
+  saveLinkGraph,
   // OPTIONAL (if you have it): getLatestOpportunities
   // getLatestOpportunities,
 } from "@/lib/seo/snapshots.store";
+import { enqueueJob, cancelJob, registerJobHandler } from "@/lib/seo/jobs/queue";
+import { createCrawler } from "@/lib/seo/crawler";
+import { throwIfRobotsUnavailable } from "@/lib/seo/robots";
+import { createUrlRulesGate, getUrlRules } from "@/lib/seo/url-rules";
+import { createLinkGraph, extractLinkEdges } from "@/lib/seo/link-graph";
+import { extractPage } from "@/lib/seo/extraction";
+import { extractMainContent } from "@/lib/seo/main-content";
+import { analyzeReadability, readabilityBlocks, summarizeReadability } from "@/lib/seo/readability";
+import { parseHtml } from "@/lib/seo/html-parser";
+
+const JOB_TYPE = "opportunities-scan";
+
+// crawl budget reserved for sitemap files (sitemap.js reads at most 100)
+const SITEMAP_BUDGET = 100;
+
+// URLs the crawl fallback fetches concurrently per BFS wave
+const CRAWL_WAVE = 8;
 
 /**
  * In-flight dedupe (module-level, survives within a single Node process).
@@ -28,13 +52,73 @@ function makeInFlightKey({ hostname, allowSubdomains, mode }) {
   return `opportunities|${hostname}|sub=${allowSubdomains ? 1 : 0}|mode=${mode}`;
 }
 
+registerJobHandler(JOB_TYPE, {
+  run: (data, job, { signal }) => runOpportunitiesScan({ ...data, signal }),
+
+  // transient failure: keep the scan queued, it will be retried with backoff
+  onRetry: ({ inFlightKey, scanId, websiteUrl, allowSubdomains, mode }, job, err) => {
+    const retry = {
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: new Date(job.nextRunAt).toISOString(),
+      error: err?.message || "scan failed",
+    };
+
+    try {
+      upsertOpportunitiesSnapshot(getHostname(websiteUrl), {
+        scanId,
+        status: "queued",
+        mode,
+        allowSubdomains,
+        diagnostics: { stage: "retrying", retry },
+        blogs: [],
+        pages: [],
+      });
+    } catch {}
+
+    markScanRetrying(scanId, retry);
+    IN_FLIGHT.set(inFlightKey, { scanId, status: "queued" });
+  },
+
+  // attempts exhausted (dead-letter): now the scan is really failed
+  onDead: ({ inFlightKey, scanId, websiteUrl, allowSubdomains, mode }, job, err) => {
+    // ✅ mark failed snapshot too (important: otherwise API sees "no cache" and enqueues again)
+    try {
+      upsertOpportunitiesSnapshot(getHostname(websiteUrl), {
+        scanId,
+        status: "failed",
+        mode,
+        allowSubdomains,
+        diagnostics: {
+          error: err?.message || "scan failed",
+          stage: "failed",
+          attempts: job.attempts,
+        },
+        blogs: [],
+        pages: [],
+      });
+    } catch {}
+
+    failScan(scanId, { error: err?.message || "scan failed" });
+    IN_FLIGHT.set(inFlightKey, { scanId, status: "failed" });
+
+    setTimeout(() => IN_FLIGHT.delete(inFlightKey), 30_000).unref?.();
+  },
+});
+
+/**
+ * maxUrls: discovery depth, i.e. how many blog URLs and page URLs (each) the
+ * scan collects and fetches. Defaults to DEFAULT_DISCOVERY_DEPTH.
+ */
 export function enqueueOpportunitiesScan({
   websiteUrl,
   allowSubdomains = false,
+  maxUrls,
 } = {}) {
   const normalized = normalizeToHttps(websiteUrl);
   const hostname = getHostname(normalized);
   if (!normalized || !hostname) throw new Error("Invalid websiteUrl");
+  const depth = clampDiscoveryDepth(maxUrls);
 
   const mode = "published";
   const key = makeInFlightKey({ hostname, allowSubdomains, mode });
@@ -69,26 +153,68 @@ export function enqueueOpportunitiesScan({
   // track in-flight
   IN_FLIGHT.set(key, { ...scan, status: "queued" });
 
-  // best-effort fire-and-forget
-  runOpportunitiesScan({
-    inFlightKey: key,
-    scanId: scan.scanId,
-    websiteUrl: normalized,
-    allowSubdomains,
-    mode,
-  }).catch(() => {});
+  // durable job (retries with backoff, recovered after a restart)
+  enqueueJob(
+    JOB_TYPE,
+    {
+      inFlightKey: key,
+      scanId: scan.scanId,
+      websiteUrl: normalized,
+      allowSubdomains,
+      mode,
+      maxUrls: depth,
+    },
+    { jobId: scan.scanId }
+  );
 
   return scan;
 }
 
+/**
+ * Stop a queued/running opportunities scan: aborts in-flight fetches and marks
+ * the scan, its snapshot and the IN_FLIGHT entry as "cancelled".
+ * Returns the scan (unchanged if it had already finished), or null if unknown.
+ */
+export function cancelOpportunitiesScan(scanId) {
+  const scan = getScan(scanId);
+  if (!scan) return null;
+  if (scan.status !== "queued" && scan.status !== "running") return scan;
+
+  cancelJob(scanId);
+  const cancelled = cancelScan(scanId);
+
+  try {
+    upsertOpportunitiesSnapshot(scan.hostname, {
+      scanId,
+      status: "cancelled",
+      mode: scan.mode,
+      allowSubdomains: scan.allowSubdomains,
+      diagnostics: { stage: "cancelled" },
+      blogs: [],
+      pages: [],
+    });
+  } catch {}
+
+  for (const [key, entry] of IN_FLIGHT) {
+    if (entry?.scanId !== scanId) continue;
+    IN_FLIGHT.set(key, { scanId, status: "cancelled" });
+    setTimeout(() => IN_FLIGHT.delete(key), 30_000).unref?.();
+  }
+
+  return cancelled;
+}
+
 async function runOpportunitiesScan({
   inFlightKey,
   scanId,
   websiteUrl,
   allowSubdomains,
   mode,
+  maxUrls,
+  signal,
 }) {
   const hostname = getHostname(websiteUrl);
+  const depth = clampDiscoveryDepth(maxUrls);
 
   // ✅ mark running early (so API can return cached instead of enqueue again)
   try {
@@ -105,77 +231,105 @@ async function runOpportunitiesScan({
   } catch {
     // ignore snapshot write errors
   }
+  markScanRunning(scanId);
+  reportScanProgress(scanId, { stage: "discovery", message: "Discovering URLs…" });
+
+  // deeper scans need a larger crawl to find enough URLs
+  const maxCrawlPages = Math.min(400, Math.max(60, depth * 2));
+
+  // one crawl engine (and robots.txt gate) for discovery + meta fetches;
+  // budget: sitemaps + crawl fallback + blog indexes + duplicate-resolution
+  // candidates (1.5x depth + 5 per kind, reused for meta) + canonical targets
+  const crawler = createCrawler({
+    signal,
+    budget: SITEMAP_BUDGET + maxCrawlPages + 10 + depth * 4 + 10,
+    rules: createUrlRulesGate(getUrlRules(hostname)),
+  });
 
-  try {
-    const discovery = await discoverOpportunitiesUrls({
-      websiteUrl,
-      allowSubdomains,
-      crawlFallbackFn: simpleCrawlFallback,
-    });
-
-    // update stage
-    try {
-      upsertOpportunitiesSnapshot(hostname, {
-        scanId,
-        status: "running",
-        mode,
-        allowSubdomains,
-        diagnostics: { ...discovery?.diagnostics, stage: "fetch-meta" },
-        blogs: [],
-        pages: [],
-      });
-    } catch {}
+  const discovery = await discoverOpportunitiesUrls({
+    websiteUrl,
+    allowSubdomains,
+    crawlFallbackFn: simpleCrawlFallback,
+    maxBlogs: depth,
+    maxPages: depth,
+    maxCrawlPages,
+    crawler,
+    signal,
+    onProgress: (p) => reportScanProgress(scanId, p),
+  });
 
-    const blogMeta = await fetchManyMeta(
-      discovery.blogUrls,
-      hostname,
-      allowSubdomains
-    );
-    const pageMeta = await fetchManyMeta(
-      discovery.pageUrls,
-      hostname,
-      allowSubdomains
-    );
-
-    // ✅ complete snapshot
+  // update stage
+  try {
     upsertOpportunitiesSnapshot(hostname, {
       scanId,
-      status: "complete",
-      diagnostics: discovery.diagnostics,
+      status: "running",
       mode,
       allowSubdomains,
-      blogs: blogMeta,
-      pages: pageMeta,
+      diagnostics: { ...discovery?.diagnostics, stage: "fetch-meta" },
+      blogs: [],
+      pages: [],
     });
+  } catch {}
+
+  // per-URL progress across blogs + pages
+  const total = discovery.blogUrls.length + discovery.pageUrls.length;
+  let done = 0;
+  const onFetched = (url) => {
+    done += 1;
+    reportScanProgress(scanId, { stage: "fetch-meta", done, total, url });
+  };
+  reportScanProgress(scanId, { stage: "fetch-meta", done, total });
+
+  const metaOptions = {
+    onFetched,
+    crawler,
+    lastModified: discovery.lastModified,
+    duplicates: discovery.duplicates,
+    pageTypes: discovery.pageTypes,
+  };
+  const [blogMeta, pageMeta] = await Promise.all([
+    fetchManyMeta(discovery.blogUrls, hostname, allowSubdomains, metaOptions),
+    fetchManyMeta(discovery.pageUrls, hostname, allowSubdomains, metaOptions),
+  ]);
+
+  // cancelled while fetching: never overwrite the "cancelled" state with results
+  signal?.throwIfAborted();
+
+  // robots.txt outage blocked the whole scan -> retry rather than store an empty snapshot
+  if (blogMeta.length + pageMeta.length === 0) throwIfRobotsUnavailable(crawler.robots);
+
+  // every discovered URL failed to load -> most likely transient, let the queue retry
+  const discoveredCount = discovery.blogUrls.length + discovery.pageUrls.length;
+  if (discoveredCount > 0 && blogMeta.length + pageMeta.length === 0) {
+    throw new Error(`Could not fetch any of the ${discoveredCount} discovered URLs`);
+  }
 
-    completeScan(scanId, {
-      hostname,
-      diagnostics: discovery.diagnostics,
-    });
+  const diagnostics = {
+    ...discovery.diagnostics,
+    robots: crawler.robots.summary(),
+    crawl: crawler.stats(),
+  };
 
-    IN_FLIGHT.set(inFlightKey, { scanId, status: "complete" });
+  // ✅ complete snapshot
+  upsertOpportunitiesSnapshot(hostname, {
+    scanId,
+    status: "complete",
+    diagnostics,
+    mode,
+    allowSubdomains,
+    blogs: blogMeta,
+    pages: pageMeta,
+  });
 
-    // clean up shortly after completion
-    setTimeout(() => IN_FLIGHT.delete(inFlightKey), 30_000).unref?.();
-  } catch (err) {
-    // ✅ mark failed snapshot too (important: otherwise API sees "no cache" and enqueues again)
-    try {
-      upsertOpportunitiesSnapshot(hostname, {
-        scanId,
-        status: "failed",
-        mode,
-        allowSubdomains,
-        diagnostics: { error: err?.message || "scan failed", stage: "failed" },
-        blogs: [],
-        pages: [],
-      });
-    } catch {}
+  completeScan(scanId, {
+    hostname,
+    diagnostics,
+  });
 
-    failScan(scanId, { error: err?.message || "scan failed" });
-    IN_FLIGHT.set(inFlightKey, { scanId, status: "failed" });
+  IN_FLIGHT.set(inFlightKey, { scanId, status: "complete" });
 
-    setTimeout(() => IN_FLIGHT.delete(inFlightKey), 30_000).unref?.();
-  }
+  // clean up shortly after completion
+  setTimeout(() => IN_FLIGHT.delete(inFlightKey), 30_000).unref?.();
 }
 
 // ---------------------------
@@ -183,89 +337,144 @@ async function runOpportunitiesScan({
 // ---------------------------
 async function simpleCrawlFallback(
   hostname,
-  { maxCrawlPages = 60, allowSubdomains = false } = {}
+  {
+    maxCrawlPages = 60,
+    allowSubdomains = false,
+    signal,
+    crawler = createCrawler({ signal }),
+    onProgress,
+  } = {}
 ) {
   const seed = `https://${hostname}/`;
   const visited = new Set();
   const queue = [seed];
   const results = [];
+  const skipped = new Set();
+  const graph = createLinkGraph();
+
+  const isInternal = (url) => {
+    try {
+      const h = new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+      return h === hostname || (allowSubdomains && h.endsWith(`.${hostname}`));
+    } catch {
+      return false;
+    }
+  };
 
+  // breadth-first in waves: each wave is fetched concurrently by the crawler
   while (queue.length && visited.size < maxCrawlPages) {
-    const url = queue.shift();
-    if (!url || visited.has(url)) continue;
-    visited.add(url);
+    signal?.throwIfAborted();
 
-    const res = await safeFetch(url, { timeoutMs: 12000 });
-    if (!res?.ok) continue;
+    const wave = [];
+    while (queue.length && wave.length < CRAWL_WAVE && visited.size < maxCrawlPages) {
+      const url = queue.shift();
+      if (!url || visited.has(url) || skipped.has(url)) continue;
 
-    const html = await res.text().catch(() => "");
-    if (!html) continue;
+      // disallowed URLs don't count against the crawl budget
+      if (!(await crawler.robots.allow(url))) {
+        skipped.add(url);
+        continue;
+      }
 
-    results.push(url);
+      visited.add(url);
+      wave.push(url);
+    }
+
+    const pages = await crawler.fetchAll(wave, {
+      onResult: (page) => onProgress?.({ done: visited.size, total: maxCrawlPages, url: page.url }),
+    });
 
-    const links = extractLinks(html, url);
-    for (const link of links) {
-      if (!link) continue;
-      if (visited.has(link)) continue;
+    for (const page of pages) {
+      if (page.skipped) continue;
+      graph.addPage(page);
+      if (!page.ok || !page.text) continue;
 
-      try {
-        const h = new URL(link).hostname.replace(/^www\./, "").toLowerCase();
-        if (h !== hostname && !(allowSubdomains && h.endsWith(`.${hostname}`)))
+      results.push(page.url);
+
+      const edges = extractLinkEdges(page.text, page.finalUrl || page.url)
+        .map((e) => ({ ...e, target: crawler.rules.normalize(e.target) }))
+        .filter((e) => e.target);
+      graph.addLinks(page.url, edges);
+
+      for (const link of new Set(edges.map((e) => e.target))) {
+        if (visited.has(link) || skipped.has(link)) continue;
+        if (!isInternal(link)) continue;
+
+        // the seed is always crawled; links are followed per the site's URL rules
+        if (!crawler.rules.allow(link)) {
+          skipped.add(link);
           continue;
-      } catch {
-        continue;
-      }
+        }
 
-      queue.push(link);
-      if (queue.length > maxCrawlPages * 4) break;
+        queue.push(link);
+        if (queue.length > maxCrawlPages * 4) break;
+      }
     }
   }
 
-  return results;
-}
-
-function extractLinks(html, baseUrl) {
-  const out = [];
-  const matches = html.matchAll(/href\s*=\s*["']([^"']+)["']/gi);
-  for (const m of matches) {
-    const href = (m[1] || "").trim();
-    if (!href) continue;
-    if (
-      href.startsWith("#") ||
-      href.startsWith("mailto:") ||
-      href.startsWith("tel:") ||
-      href.startsWith("javascript:")
-    )
-      continue;
-
-    try {
-      out.push(new URL(href, baseUrl).toString());
-    } catch {}
+  // keep the links we followed: the site's link graph until a Site Health audit has one
+  try {
+    saveLinkGraph(hostname, graph.analyze({ home: seed, isInternal, complete: !queue.length }), {
+      source: "opportunities",
+    });
+  } catch {
+    // ignore graph write errors
   }
-  return out;
+
+  return results;
 }
 
 // ---------------------------
 // Fetch + meta extraction
 // ---------------------------
-async function fetchManyMeta(urls, hostname, allowSubdomains) {
+async function fetchManyMeta(
+  urls,
+  hostname,
+  allowSubdomains,
+  { onFetched, crawler, lastModified = {}, duplicates = {}, pageTypes = {} } = {}
+) {
   const uniq = Array.from(new Set((urls || []).filter(Boolean)));
 
-  const metas = [];
-  for (const u of uniq) {
-    const meta = await fetchMeta(u, hostname, allowSubdomains);
-    if (meta) metas.push(meta);
-  }
+  // concurrent; the crawler bounds concurrency and keeps input order
+  const metas = await Promise.all(
+    uniq.map(async (u) => {
+      const meta = await fetchMeta(u, hostname, allowSubdomains, {
+        crawler,
+        sitemapLastmod: lastModified[u] || null,
+      });
+      onFetched?.(u);
+      if (!meta) return meta;
+
+      // other copies of this page (URL variants, redirects, canonical/hreflang duplicates)
+      const dup = duplicates[u];
+      const type = pageTypes[u];
+      return {
+        ...meta,
+        ...(dup ? { canonical: dup.canonical, hreflang: dup.hreflang, variants: dup.variants } : {}),
+        ...(type
+          ? {
+              pageType: type.pageType,
+              classification: { confidence: type.confidence, level: type.level, source: type.source },
+            }
+          : {}),
+      };
+    })
+  );
 
   const seen = new Set();
   return metas.filter((m) => {
-    if (seen.has(m.url)) return false;
+    if (!m || seen.has(m.url)) return false;
     seen.add(m.url);
     return true;
   });
 }
 
-async function fetchMeta(url, hostname, allowSubdomains) {
+async function fetchMeta(
+  url,
+  hostname,
+  allowSubdomains,
+  { crawler = createCrawler(), sitemapLastmod = null } = {}
+) {
   // host check
   try {
     const h = new URL(url).hostname.replace(/^www\./, "").toLowerCase();
@@ -275,69 +484,36 @@ async function fetchMeta(url, hostname, allowSubdomains) {
     return null;
   }
 
-  const res = await safeFetch(url, { timeoutMs: 15000 });
-  if (!res || !res.ok) return null;
+  // robots.txt-disallowed URLs come back as { skipped: "robots" };
+  // pages fetched during discovery's duplicate check are reused
+  const page = await crawler.fetch(url, { reuse: true });
+  if (!page.ok) return null;
 
-  const html = await res.text().catch(() => "");
+  const html = page.text;
   if (!html) return null;
 
-  const title = extractTitle(html) || url;
-  const description = extractMetaDescription(html) || "";
-  const wordCount = estimateWordCount(html);
-
-  return { url, title, description, wordCount, isDraft: false };
+  const doc = parseHtml(html);
+  const baseUrl = page.finalUrl || url;
+  const extracted = extractPage(doc, { baseUrl });
+  const title = extracted.title || url;
+  const description = extracted.description;
+  // main content only: nav / footer / cookie banners don't count
+  const main = extractMainContent(doc, { baseUrl });
+  const readability = summarizeReadability(
+    analyzeReadability(readabilityBlocks(main.html), { lang: extracted.lang, highlights: 0 })
+  );
+  // (no Last-Modified fallback: dynamic pages report "now")
+  const modifiedAt = toIso(modifiedTimeOf(extracted.meta) || sitemapLastmod);
+
+  return { url, title, description, wordCount: main.wordCount, readability, modifiedAt, isDraft: false };
 }
 
-function extractTitle(html) {
-  const m = html.match(/<title[^>]*>([\s\S]*?)<\/title>/i);
-  return m ? decodeHtml(m[1]).trim() : "";
+// article:modified_time / og:updated_time / article:published_time, first found
+function modifiedTimeOf(meta) {
+  return meta["article:modified_time"] || meta["og:updated_time"] || meta["article:published_time"] || "";
 }
 
-function extractMetaDescription(html) {
-  const m =
-    html.match(/<meta\s+name=["']description["']\s+content=["']([^"']+)["']/i) ||
-    html.match(/<meta\s+content=["']([^"']+)["']\s+name=["']description["']/i);
-  return m ? decodeHtml(m[1]).trim() : "";
-}
-
-function estimateWordCount(html) {
-  const text = html
-    .replace(/<script[\s\S]*?<\/script>/gi, " ")
-    .replace(/<style[\s\S]*?<\/style>/gi, " ")
-    .replace(/<[^>]+>/g, " ")
-    .replace(/\s+/g, " ")
-    .trim();
-  if (!text) return 0;
-  return text.split(" ").filter(Boolean).length;
-}
-
-function decodeHtml(s) {
-  return String(s || "")
-    .replace(/&amp;/g, "&")
-    .replace(/&quot;/g, '"')
-    .replace(/&#39;/g, "'")
-    .replace(/&lt;/g, "<")
-    .replace(/&gt;/g, ">");
-}
-
-// ---------------------------
-// Fetch with timeout
-// ---------------------------
-async function safeFetch(url, { timeoutMs = 12000 } = {}) {
-  const ctrl = new AbortController();
-  const t = setTimeout(() => ctrl.abort(), timeoutMs);
-  try {
-    return await fetch(url, {
-      redirect: "follow",
-      signal: ctrl.signal,
-      headers: {
-        "user-agent": "DoctorFizzBot/1.0 (+https://example.com)",
-        accept: "text/html,application/xhtml+xml",
-      },
-    });
-  } catch {
-    return null;
-  } finally {
-    clearTimeout(t);
-  }
+function toIso(value) {
+  const t = Date.parse(value || "");
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
 }
@@ -0,0 +1,32 @@
+// src/lib/seo/jobs/scan-psi.js
+import { fetchTechnicalSeo } from "@/lib/seo/psi";
+import { savePsiSnapshot } from "@/lib/seo/snapshots.store";
+import { enqueueJob, listJobs, registerJobHandler } from "@/lib/seo/jobs/queue";
+
+const JOB_TYPE = "psi-check";
+
+registerJobHandler(JOB_TYPE, {
+  run: async ({ url }, job, { signal }) => {
+    const technicalSeo = await fetchTechnicalSeo(url);
+    signal?.throwIfAborted();
+    savePsiSnapshot(url, technicalSeo);
+  },
+});
+
+/**
+ * Queue a mobile + desktop PSI run for `url`; the result is stored with
+ * savePsiSnapshot() and served by /api/seo while fresh.
+ * A check already queued/running for the same URL is returned instead.
+ */
+export function enqueuePsiCheck({ url } = {}) {
+  const u = String(url || "").trim();
+  if (!u) throw new Error("url is required");
+
+  const pending = listJobs({ type: JOB_TYPE }).find(
+    (j) => j.payload?.url === u && (j.status === "queued" || j.status === "running")
+  );
+  if (pending) return pending;
+
+  // PSI quota errors are common -> fewer attempts, longer backoff
+  return enqueueJob(JOB_TYPE, { url: u }, { maxAttempts: 2, baseDelayMs: 60_000 });
+}
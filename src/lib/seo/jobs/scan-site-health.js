@@ -0,0 +1,276 @@
+// src/lib/seo/jobs/scan-site-health.js
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import {
+  createScan,
+  getScan,
+  listScans,
+  cancelScan,
+  completeScan,
+  failScan,
+  markScanRunning,
+  markScanRetrying,
+  reportScanProgress,
+  saveSiteAudit,
+  saveLinkGraph,
+} from "@/lib/seo/snapshots.store";
+import { enqueueJob, cancelJob, registerJobHandler } from "@/lib/seo/jobs/queue";
+import { createCrawler } from "@/lib/seo/crawler";
+import { throwIfRobotsUnavailable } from "@/lib/seo/robots";
+import { fetchSitemapEntries } from "@/lib/seo/sitemap";
+import { inspectPage, buildSiteHealthReport } from "@/lib/seo/site-health";
+import { createUrlRulesGate, getUrlRules } from "@/lib/seo/url-rules";
+import { createLinkGraph } from "@/lib/seo/link-graph";
+
+const JOB_TYPE = "site-health-audit";
+
+// pages one audit crawls
+export const DEFAULT_AUDIT_PAGES = 200;
+export const MAX_AUDIT_PAGES = 1000;
+
+// crawl budget reserved for sitemap files (sitemap.js reads at most 100)
+const SITEMAP_BUDGET = 100;
+
+// URLs fetched concurrently per BFS wave
+const CRAWL_WAVE = 8;
+
+export function clampAuditPages(n) {
+  const v = Math.floor(Number(n));
+  if (!Number.isFinite(v) || v < 1) return DEFAULT_AUDIT_PAGES;
+  return Math.min(MAX_AUDIT_PAGES, v);
+}
+
+registerJobHandler(JOB_TYPE, {
+  run: (data, job, { signal }) => runSiteHealthAudit({ ...data, signal }),
+  onRetry: ({ scanId }, job, err) => {
+    markScanRetrying(scanId, {
+      attempt: job.attempts,
+      maxAttempts: job.maxAttempts,
+      nextRunAt: new Date(job.nextRunAt).toISOString(),
+      error: err?.message || "audit failed",
+    });
+  },
+  onDead: ({ scanId }, job, err) => {
+    failScan(scanId, {
+      error: err?.message || "audit failed",
+      diagnostics: { stage: "failed", attempts: job.attempts },
+    });
+  },
+});
+
+/**
+ * Queue a Site Health audit (crawl + checks) of a site.
+ * An audit already queued/running for the same host is returned instead.
+ */
+export function enqueueSiteHealthAudit({ websiteUrl, allowSubdomains = false, maxPages } = {}) {
+  const normalized = normalizeToHttps(websiteUrl);
+  const hostname = getHostname(normalized);
+  if (!normalized || !hostname) throw new Error("Invalid websiteUrl");
+
+  const pending = listScans({ hostname, kind: "site-health" }).items.find(
+    (s) =>
+      s.allowSubdomains === Boolean(allowSubdomains) &&
+      (s.status === "queued" || s.status === "running")
+  );
+  if (pending) return pending;
+
+  const scan = createScan({
+    kind: "site-health",
+    websiteUrl: normalized,
+    hostname,
+    allowSubdomains,
+  });
+
+  enqueueJob(
+    JOB_TYPE,
+    {
+      scanId: scan.scanId,
+      websiteUrl: normalized,
+      allowSubdomains: Boolean(allowSubdomains),
+      maxPages: clampAuditPages(maxPages),
+    },
+    { jobId: scan.scanId }
+  );
+
+  return scan;
+}
+
+export function cancelSiteHealthAudit(scanId) {
+  const scan = getScan(scanId);
+  if (!scan) return null;
+  if (scan.status !== "queued" && scan.status !== "running") return scan;
+
+  cancelJob(scanId);
+  return cancelScan(scanId);
+}
+
+async function runSiteHealthAudit({ scanId, websiteUrl, allowSubdomains, maxPages, signal }) {
+  const hostname = getHostname(websiteUrl);
+  const limit = clampAuditPages(maxPages);
+
+  markScanRunning(scanId);
+
+  const isInternal = (url) => {
+    try {
+      const h = new URL(url).hostname.replace(/^www\./, "").toLowerCase();
+      return h === hostname || (allowSubdomains && h.endsWith(`.${hostname}`));
+    } catch {
+      return false;
+    }
+  };
+
+  const crawler = createCrawler({
+    signal,
+    budget: SITEMAP_BUDGET + limit,
+    rules: createUrlRulesGate(getUrlRules(hostname)),
+  });
+  const { rules } = crawler;
+
+  // 1) sitemap URLs: crawl seeds after the link graph, and the noindex-in-sitemap check
+  reportScanProgress(scanId, { stage: "sitemap", message: "Reading sitemaps…" });
+  const sitemap = await fetchSitemapEntries(websiteUrl, {
+    signal,
+    crawler,
+    maxEntries: limit * 10,
+  });
+  const inSitemap = new Set(
+    sitemap.entries.map((e) => rules.normalize(e.url)).filter((u) => u && isInternal(u))
+  );
+
+  // 2) breadth-first crawl from the home page; sitemap URLs fill up what links don't reach.
+  // The home page is always audited, other URLs only when the site's URL rules allow them
+  const home = new URL("/", websiteUrl).toString();
+  const queue = [home];
+  const sitemapQueue = Array.from(inSitemap);
+  const seen = new Set([home]);
+  const pages = [];
+  const graph = createLinkGraph();
+  let skippedRobots = 0;
+
+  const enqueue = (url) => {
+    if (!url || seen.has(url) || !isInternal(url)) return;
+    seen.add(url);
+    if (rules.allow(url)) queue.push(url);
+  };
+
+  while (pages.length < limit && (queue.length || sitemapQueue.length)) {
+    signal?.throwIfAborted();
+
+    const wave = [];
+    while (wave.length < CRAWL_WAVE && pages.length + wave.length < limit) {
+      let url = queue.shift();
+      if (!url) {
+        url = sitemapQueue.shift();
+        if (!url) break;
+        if (seen.has(url)) continue;
+        seen.add(url);
+        if (!rules.allow(url)) continue;
+      }
+
+      // disallowed URLs aren't audited and don't count against the limit
+      if (!(await crawler.robots.allow(url))) {
+        skippedRobots += 1;
+        continue;
+      }
+      wave.push(url);
+    }
+    if (!wave.length) continue;
+
+    const results = await crawler.fetchAll(wave);
+
+    for (const result of results) {
+      if (result.skipped) continue;
+
+      const page = inspectPage(result, { inSitemap: inSitemap.has(result.url) });
+      graph.addPage(result, { inSitemap: page.inSitemap });
+
+      // links as we crawl them (query-param rules), so broken-link checks line up
+      if (page.linkEdges) {
+        const edges = page.linkEdges
+          .map((e) => ({ ...e, target: rules.normalize(e.target) }))
+          .filter((e) => e.target);
+        graph.addLinks(result.url, edges);
+        page.links = Array.from(new Set(edges.map((e) => e.target)));
+      }
+      pages.push(page);
+
+      seen.add(page.finalUrl);
+      for (const link of page.links || []) enqueue(link);
+    }
+
+    reportScanProgress(scanId, {
+      stage: "crawl",
+      message: `Auditing pages (${pages.length}/${limit})…`,
+      done: pages.length,
+      total: limit,
+    });
+  }
+
+  signal?.throwIfAborted();
+
+  // robots.txt outage blocked the whole crawl -> retry rather than store an empty audit
+  if (!pages.length) throwIfRobotsUnavailable(crawler.robots);
+
+  // nothing answered at all -> most likely transient, let the queue retry
+  if (pages.length && pages.every((p) => !p.status)) {
+    throw new Error(`Could not fetch any of the ${pages.length} crawled URLs`);
+  }
+
+  reportScanProgress(scanId, { stage: "report", message: "Checking pages…" });
+
+  // every link and sitemap URL found was crawled -> pages no one links to really
+  // are orphans; after the page limit a link may sit on an uncrawled page, so the
+  // graph flags no orphans
+  const linkGraph = graph.analyze({
+    home,
+    isInternal,
+    complete: queue.length === 0 && sitemapQueue.length === 0,
+  });
+  const report = buildSiteHealthReport(pages, { isInternal, orphans: linkGraph.orphans });
+  const linkStats = new Map(linkGraph.pages.map((p) => [p.url, p]));
+
+  const diagnostics = {
+    score: report.score,
+    counts: report.counts,
+    pagesAudited: report.pagesAudited,
+    maxPages: limit,
+    // links found but never fetched (page limit reached)
+    unvisited: queue.length + sitemapQueue.length,
+    skippedRobots,
+    linkGraph: linkGraph.summary,
+    urlRules: rules.summary(),
+    sitemaps: { fromRobots: sitemap.fromRobots, fileCount: sitemap.files.length, urls: inSitemap.size },
+    robots: crawler.robots.summary(),
+    crawl: crawler.stats(),
+  };
+
+  saveSiteAudit(scanId, {
+    hostname,
+    websiteUrl,
+    allowSubdomains,
+    score: report.score,
+    counts: report.counts,
+    pagesAudited: report.pagesAudited,
+    issues: report.issues,
+    // per-page facts without the HTML-derived link lists; link graph facts
+    // belong to the document, so redirecting URLs don't repeat them
+    pages: pages.map(({ links, linkEdges, redirects, ...page }) => {
+      const link = redirects.length ? null : linkStats.get(page.finalUrl);
+      return {
+        ...page,
+        redirects: redirects.length,
+        redirectStatus: redirects[0]?.status || null,
+        linkCount: links?.length || 0,
+        ...(link ? { inlinks: link.inlinks, depth: link.depth, rankScore: link.rankScore } : {}),
+      };
+    }),
+    linkGraph: {
+      ...linkGraph.summary,
+      topPages: linkGraph.pages.slice(0, 20),
+      orphans: linkGraph.orphans.slice(0, 200),
+    },
+    diagnostics,
+  });
+  saveLinkGraph(hostname, linkGraph, { source: "site-health", scanId });
+
+  completeScan(scanId, { hostname, diagnostics });
+}
@@ -0,0 +1,280 @@
+// src/lib/seo/jobs/scheduler.js
+import { getStorage } from "@/lib/seo/storage";
+import { normalizeToHttps, getHostname } from "@/lib/seo/discovery";
+import { enqueueOpportunitiesScan } from "@/lib/seo/jobs/scan-opportunities";
+import { enqueueDraftScan } from "@/lib/seo/jobs/scan-draft";
+import { enqueuePsiCheck } from "@/lib/seo/jobs/scan-psi";
+import { hasInlineCredentials, stripCredentials } from "@/lib/seo/providers/credentials";
+
+/**
+ * Recurring rescans for registered sites.
+ *
+ * A schedule (stored in the "schedules" collection, keyed by hostname) lists
+ * which tasks to re-run and how often:
+ *   {
+ *     hostname, websiteUrl, allowSubdomains,
+ *     cadence: "hourly" | "daily" | "weekly" | "custom", intervalMs,
+ *     tasks: ["opportunities", "psi", "draft"],
+ *     draft: { provider, payload } | null,   // required for the "draft" task
+ *     enabled, nextRunAt, lastRunAt, lastRun
+ *   }
+ *
+ * Draft payloads are stored, so they must reference their secret
+ * (`credentialsEnv`, see providers/credentials.js) instead of carrying it.
+ *
+ * Every SEO_SCHEDULER_TICK_MS (default 60s) due schedules enqueue their tasks
+ * on the job queue; results land in the usual snapshot/PSI stores, so the
+ * dashboard opens on data that is at most one cadence old.
+ *
+ * NOTE: each server instance runs its own ticker. With several instances
+ * sharing a storage backend, run the scheduler on one of them only
+ * (SEO_SCHEDULER=off on the others).
+ */
+
+const HOUR_MS = 60 * 60 * 1000;
+
+export const CADENCES = {
+  hourly: HOUR_MS,
+  daily: 24 * HOUR_MS,
+  weekly: 7 * 24 * HOUR_MS,
+};
+
+export const SCHEDULE_TASKS = ["opportunities", "psi", "draft"];
+
+const MIN_INTERVAL_MS = 15 * 60 * 1000;
+const DEFAULT_TICK_MS = 60_000;
+
+const g = globalThis;
+
+// Keep the ticker across hot reloads in dev
+if (!g.__drfizzScheduler) {
+  g.__drfizzScheduler = { timer: null, started: false };
+}
+
+const rt = g.__drfizzScheduler;
+
+function schedules() {
+  return getStorage().collection("schedules");
+}
+
+function normHost(hostname = "") {
+  return String(hostname).replace(/^www\./, "").toLowerCase().trim();
+}
+
+function tickMs() {
+  const n = Number(process.env.SEO_SCHEDULER_TICK_MS);
+  return Number.isFinite(n) && n >= 1000 ? Math.floor(n) : DEFAULT_TICK_MS;
+}
+
+function resolveInterval({ cadence, intervalHours }) {
+  if (intervalHours != null && intervalHours !== "") {
+    const ms = Number(intervalHours) * HOUR_MS;
+    if (!Number.isFinite(ms) || ms < MIN_INTERVAL_MS) {
+      throw new Error("intervalHours must be at least 0.25");
+    }
+    return { cadence: "custom", intervalMs: Math.round(ms) };
+  }
+
+  const c = String(cadence || "daily").toLowerCase();
+  if (!CADENCES[c]) {
+    throw new Error(`Unsupported cadence: ${cadence} (use ${Object.keys(CADENCES).join(", ")})`);
+  }
+  return { cadence: c, intervalMs: CADENCES[c] };
+}
+
+function saveSchedule(schedule) {
+  schedule.updatedAt = new Date().toISOString();
+  schedules().set(schedule.hostname, schedule);
+  return schedule;
+}
+
+function runSchedule(schedule, now = Date.now()) {
+  const lastRun = { at: new Date(now).toISOString(), errors: {} };
+
+  const attempt = (task, fn) => {
+    if (!schedule.tasks.includes(task)) return;
+    try {
+      fn();
+    } catch (e) {
+      lastRun.errors[task] = e?.message || `${task} failed to enqueue`;
+    }
+  };
+
+  attempt("opportunities", () => {
+    const scan = enqueueOpportunitiesScan({
+      websiteUrl: schedule.websiteUrl,
+      allowSubdomains: schedule.allowSubdomains,
+    });
+    lastRun.opportunitiesScanId = scan?.scanId || null;
+  });
+
+  attempt("psi", () => {
+    lastRun.psiJobId = enqueuePsiCheck({ url: schedule.websiteUrl }).jobId;
+  });
+
+  attempt("draft", () => {
+    const scan = enqueueDraftScan({
+      hostname: schedule.hostname,
+      provider: schedule.draft?.provider,
+      payload: schedule.draft?.payload,
+    });
+    lastRun.draftScanId = scan.scanId;
+  });
+
+  return saveSchedule({
+    ...schedule,
+    lastRunAt: lastRun.at,
+    nextRunAt: now + schedule.intervalMs,
+    lastRun,
+  });
+}
+
+// schedules saved before credentials were references: drop the stored secret
+// (the draft task then reports the missing credentials until re-registered)
+function scrubStoredCredentials() {
+  for (const schedule of Array.from(schedules().values())) {
+    const { provider, payload } = schedule.draft || {};
+    try {
+      if (!payload || !hasInlineCredentials(provider, payload)) continue;
+      saveSchedule({ ...schedule, draft: { provider, payload: stripCredentials(provider, payload) } });
+    } catch {
+      // unsupported provider: nothing we know how to strip
+    }
+  }
+}
+
+function tick() {
+  const now = Date.now();
+  for (const schedule of Array.from(schedules().values())) {
+    if (!schedule.enabled) continue;
+    if ((schedule.nextRunAt || 0) > now) continue;
+    try {
+      runSchedule(schedule, now);
+    } catch (e) {
+      console.warn(`Scheduled rescan for ${schedule.hostname} failed:`, e?.message || e);
+    }
+  }
+}
+
+// ---------------------------
+// Public API
+// ---------------------------
+
+/**
+ * Start the ticker (idempotent). Called from instrumentation.js on boot and
+ * by the schedules route. Disable with SEO_SCHEDULER=off.
+ */
+export function startScheduler() {
+  if (rt.started) return;
+  if (String(process.env.SEO_SCHEDULER || "").toLowerCase() === "off") return;
+  rt.started = true;
+  scrubStoredCredentials();
+
+  rt.timer = setInterval(tick, tickMs());
+  rt.timer.unref?.();
+
+  // catch up on runs missed while the server was down
+  setTimeout(tick, 0).unref?.();
+}
+
+export function stopScheduler() {
+  if (rt.timer) clearInterval(rt.timer);
+  rt.timer = null;
+  rt.started = false;
+}
+
+/**
+ * Create or update the schedule for a site.
+ *
+ * input: websiteUrl (required), cadence | intervalHours, tasks, allowSubdomains,
+ *        draft { provider, payload } (payload.credentialsEnv, no inline secret),
+ *        enabled (default true)
+ */
+export function upsertSchedule(input = {}) {
+  const websiteUrl = normalizeToHttps(input.websiteUrl);
+  const hostname = getHostname(websiteUrl);
+  if (!websiteUrl || !hostname) throw new Error("Invalid websiteUrl");
+
+  const existing = schedules().get(hostname) || null;
+
+  const tasks = Array.isArray(input.tasks)
+    ? Array.from(new Set(input.tasks.map((t) => String(t).toLowerCase())))
+    : existing?.tasks || ["opportunities", "psi"];
+
+  const unknown = tasks.filter((t) => !SCHEDULE_TASKS.includes(t));
+  if (unknown.length) throw new Error(`Unsupported tasks: ${unknown.join(", ")}`);
+  if (!tasks.length) throw new Error("tasks must not be empty");
+
+  const draft = input.draft !== undefined ? input.draft || null : existing?.draft || null;
+  if (tasks.includes("draft") && (!draft?.provider || !draft?.payload)) {
+    throw new Error("draft.provider and draft.payload are required for the draft task");
+  }
+  if (draft?.payload && hasInlineCredentials(draft.provider, draft.payload)) {
+    throw new Error(
+      "Schedules don't store provider credentials: set SEO_CREDENTIAL_<NAME> and pass draft.payload.credentialsEnv"
+    );
+  }
+
+  const interval =
+    input.cadence !== undefined || input.intervalHours !== undefined || !existing
+      ? resolveInterval(input)
+      : { cadence: existing.cadence, intervalMs: existing.intervalMs };
+
+  const now = Date.now();
+  const lastRunAt = Date.parse(existing?.lastRunAt || "");
+
+  return saveSchedule({
+    hostname,
+    websiteUrl,
+    allowSubdomains:
+      input.allowSubdomains !== undefined
+        ? Boolean(input.allowSubdomains)
+        : Boolean(existing?.allowSubdomains),
+    ...interval,
+    tasks,
+    draft: tasks.includes("draft") ? draft : null,
+    enabled: input.enabled !== undefined ? Boolean(input.enabled) : existing?.enabled ?? true,
+    createdAt: existing?.createdAt || new Date(now).toISOString(),
+    lastRunAt: existing?.lastRunAt || null,
+    lastRun: existing?.lastRun || null,
+    // new schedules run on the next tick; cadence changes re-base on the last run
+    nextRunAt: Number.isFinite(lastRunAt) ? lastRunAt + interval.intervalMs : now,
+  });
+}
+
+export function getSchedule(hostname) {
+  return schedules().get(normHost(hostname)) || null;
+}
+
+export function listSchedules() {
+  return Array.from(schedules().values()).sort((a, b) =>
+    a.hostname.localeCompare(b.hostname)
+  );
+}
+
+export function deleteSchedule(hostname) {
+  const key = normHost(hostname);
+  const existing = schedules().get(key) || null;
+  if (existing) schedules().delete(key);
+  return existing;
+}
+
+/**
+ * Enqueue a schedule's tasks right away (nextRunAt moves one interval ahead).
+ */
+export function runScheduleNow(hostname) {
+  const schedule = getSchedule(hostname);
+  if (!schedule) return null;
+  return runSchedule(schedule);
+}
+
+/**
+ * Snapshot TTL for a host/task: when `task` is scheduled for the host, its
+ * snapshot stays valid until the next run (plus slack for the scan itself)
+ * instead of expiring after `fallbackMs`.
+ */
+export function snapshotTtlMs(hostname, task, fallbackMs) {
+  const schedule = getSchedule(hostname);
+  if (!schedule?.enabled || !schedule.tasks.includes(task)) return fallbackMs;
+  return Math.max(fallbackMs, schedule.intervalMs + HOUR_MS);
+}
@@ -0,0 +1,244 @@
+// src/lib/seo/link-graph.js
+import { extractPage } from "@/lib/seo/extraction";
+import { urlKey } from "@/lib/seo/canonical";
+
+/**
+ * Internal link graph of one crawl.
+ *
+ *   const graph = createLinkGraph();
+ *   graph.addPage(result, { inSitemap });      // every crawler result
+ *   graph.addLinks(page.url, extractLinkEdges(html, page.finalUrl));
+ *   const analysis = graph.analyze({ home, isInternal, complete });
+ *
+ * Edges are { source, target, anchor, nofollow, placement } where placement is
+ * where the <a> sits: "nav" | "header" | "footer" | "aside" | "content".
+ * rel=nofollow / ugc / sponsored count as nofollow.
+ *
+ * analyze() computes per crawled page:
+ *   inlinks (internal links pointing at it, other pages only), linkingPages,
+ *   outlinks, click depth from the home page (any link, null = unreachable),
+ *   internal PageRank over followed links (damping 0.85) as `pageRank`
+ *   (sums to 1) and `rankScore` (0-100, the strongest page = 100)
+ * and orphans: sitemap URLs that were crawled but no crawled page links to.
+ * Orphans are only certain when the link crawl ran out of links before the
+ * page limit (summary.complete); otherwise a link may sit on an uncrawled page,
+ * so an incomplete crawl flags no orphans.
+ */
+
+const DAMPING = 0.85;
+const MAX_ITERATIONS = 50;
+const TOLERANCE = 1e-6;
+
+// edges kept in the stored graph (nav/footer links repeat on every page)
+export const MAX_STORED_EDGES = 20_000;
+const TOP_ANCHORS = 5;
+
+/**
+ * Internal + external <a href> links of a page with anchor text, nofollow and
+ * placement. Fragments are dropped; mailto:/tel:/javascript: links skipped.
+ */
+export function extractLinkEdges(html, baseUrl) {
+  return toLinkEdges(extractPage(html, { baseUrl }).links);
+}
+
+/** Graph edges of links already extracted by extractPage(). */
+export function toLinkEdges(links = []) {
+  return links
+    .filter((l) => /^https?:/i.test(l.href))
+    .map((l) => ({ target: l.href, anchor: l.text, nofollow: l.nofollow, placement: l.placement }));
+}
+
+export function createLinkGraph() {
+  const pages = new Map(); // finalUrl -> { url, status, inSitemap }
+  const finalOf = new Map(); // any crawled URL -> its finalUrl
+  const linked = new Set(); // documents whose links are recorded
+  const edges = [];
+
+  return {
+    addPage(result, { inSitemap = false } = {}) {
+      const finalUrl = result.finalUrl || result.url;
+      finalOf.set(result.url, finalUrl);
+      finalOf.set(finalUrl, finalUrl);
+      const existing = pages.get(finalUrl);
+      pages.set(finalUrl, {
+        url: finalUrl,
+        status: result.status || existing?.status || 0,
+        inSitemap: Boolean(inSitemap || existing?.inSitemap),
+      });
+    },
+
+    // once per document: URLs redirecting to the same page share its links
+    addLinks(source, links = []) {
+      const from = finalOf.get(source) || source;
+      if (linked.has(from)) return;
+      linked.add(from);
+      for (const l of links) edges.push({ source: from, ...l });
+    },
+
+    /**
+     * home: the click-depth root; isInternal(url): which targets are the site;
+     * complete: true when the link crawl wasn't cut short by the page limit.
+     */
+    analyze({ home, isInternal = () => true, complete = true } = {}) {
+      const resolve = (u) => finalOf.get(u) || u;
+      const internal = edges
+        .filter((e) => isInternal(e.target))
+        .map((e) => ({ ...e, target: resolve(e.target) }));
+
+      const nodes = new Map();
+      for (const p of pages.values()) {
+        nodes.set(p.url, {
+          ...p,
+          inlinks: 0,
+          linkingPages: new Set(),
+          outTargets: new Set(),
+          followedOut: new Set(),
+          depth: null,
+          anchors: new Map(),
+          inlinksByPlacement: {},
+        });
+      }
+
+      for (const e of internal) {
+        if (e.source === e.target) continue;
+        const from = nodes.get(e.source);
+        from?.outTargets.add(e.target);
+        if (from && !e.nofollow) from.followedOut.add(e.target);
+
+        const to = nodes.get(e.target);
+        if (!to) continue;
+        to.inlinks += 1;
+        to.linkingPages.add(e.source);
+        to.inlinksByPlacement[e.placement] = (to.inlinksByPlacement[e.placement] || 0) + 1;
+        if (e.anchor) to.anchors.set(e.anchor, (to.anchors.get(e.anchor) || 0) + 1);
+      }
+
+      // click depth: BFS from the home page over every internal link
+      const root = resolve(home);
+      if (nodes.has(root)) {
+        nodes.get(root).depth = 0;
+        const queue = [root];
+        while (queue.length) {
+          const current = nodes.get(queue.shift());
+          for (const t of current.outTargets) {
+            const next = nodes.get(t);
+            if (!next || next.depth != null) continue;
+            next.depth = current.depth + 1;
+            queue.push(t);
+          }
+        }
+      }
+
+      // internal PageRank over followed links between crawled pages
+      const ids = Array.from(nodes.keys());
+      const n = ids.length;
+      const outs = new Map(
+        ids.map((id) => [id, Array.from(nodes.get(id).followedOut).filter((t) => nodes.has(t))])
+      );
+      let rank = new Map(ids.map((id) => [id, n ? 1 / n : 0]));
+      for (let i = 0; i < MAX_ITERATIONS && n; i += 1) {
+        const next = new Map(ids.map((id) => [id, (1 - DAMPING) / n]));
+        let dangling = 0;
+        for (const id of ids) {
+          const out = outs.get(id);
+          if (!out.length) {
+            dangling += rank.get(id);
+            continue;
+          }
+          const share = (DAMPING * rank.get(id)) / out.length;
+          for (const t of out) next.set(t, next.get(t) + share);
+        }
+        let delta = 0;
+        for (const id of ids) {
+          const v = next.get(id) + (DAMPING * dangling) / n;
+          delta += Math.abs(v - rank.get(id));
+          next.set(id, v);
+        }
+        rank = next;
+        if (delta < TOLERANCE) break;
+      }
+      const maxRank = Math.max(0, ...rank.values());
+
+      // a sitemap URL is linked when any crawled page links to it (any URL variant)
+      const linkedKeys = new Set(
+        internal.filter((e) => e.source !== e.target).map((e) => urlKey(e.target))
+      );
+
+      const out = Array.from(nodes.values()).map((p) => ({
+        url: p.url,
+        status: p.status,
+        inSitemap: p.inSitemap,
+        inlinks: p.inlinks,
+        linkingPages: p.linkingPages.size,
+        outlinks: p.outTargets.size,
+        inlinksByPlacement: p.inlinksByPlacement,
+        depth: p.depth,
+        pageRank: Math.round(rank.get(p.url) * 1e6) / 1e6,
+        rankScore: maxRank ? Math.round((100 * rank.get(p.url)) / maxRank) : 0,
+        topAnchors: Array.from(p.anchors.entries())
+          .sort((a, b) => b[1] - a[1])
+          .slice(0, TOP_ANCHORS)
+          .map(([text, count]) => ({ text, count })),
+        orphan: Boolean(complete) && p.inSitemap && p.url !== root && !linkedKeys.has(urlKey(p.url)),
+      }));
+      out.sort((a, b) => b.pageRank - a.pageRank);
+
+      const depths = {};
+      for (const p of out) {
+        const k = p.depth == null ? "unreachable" : p.depth >= 5 ? "5+" : String(p.depth);
+        depths[k] = (depths[k] || 0) + 1;
+      }
+      const reachable = out.filter((p) => p.depth != null);
+
+      return {
+        summary: {
+          pages: out.length,
+          edges: internal.length,
+          nofollowEdges: internal.filter((e) => e.nofollow).length,
+          orphans: out.filter((p) => p.orphan).length,
+          complete: Boolean(complete),
+          avgDepth: reachable.length
+            ? Math.round((reachable.reduce((s, p) => s + p.depth, 0) / reachable.length) * 10) / 10
+            : null,
+          maxDepth: reachable.length ? Math.max(...reachable.map((p) => p.depth)) : null,
+          depths,
+        },
+        pages: out,
+        orphans: out.filter((p) => p.orphan).map((p) => p.url),
+        edges: internal.slice(0, MAX_STORED_EDGES),
+        edgesTruncated: internal.length > MAX_STORED_EDGES,
+      };
+    },
+  };
+}
+
+/**
+ * Internal link suggestions for a page being edited: the strongest crawled
+ * pages it doesn't link to yet (by internal PageRank), orphans first since
+ * they have no other way in. `graph` is a stored analysis (getLinkGraph);
+ * orphan flags only count when its crawl was complete.
+ */
+export function suggestInternalLinks(graph, url, { limit = 20 } = {}) {
+  if (!graph?.pages?.length) return [];
+  const self = url ? urlKey(url) : "";
+  const orphanFirst = graph.summary?.complete !== false;
+  const alreadyLinked = new Set(
+    (graph.edges || []).filter((e) => urlKey(e.source) === self).map((e) => urlKey(e.target))
+  );
+
+  return graph.pages
+    .filter((p) => p.status && p.status < 400)
+    .filter((p) => urlKey(p.url) !== self && !alreadyLinked.has(urlKey(p.url)))
+    .sort(
+      (a, b) =>
+        (orphanFirst ? Number(b.orphan) - Number(a.orphan) : 0) || b.pageRank - a.pageRank
+    )
+    .slice(0, limit);
+}
+
+/** Graph facts of one URL (inlinks, depth, rank…) or null when it wasn't crawled. */
+export function linkStatsFor(graph, url) {
+  if (!graph?.pages?.length || !url) return null;
+  const key = urlKey(url);
+  return graph.pages.find((p) => urlKey(p.url) === key) || null;
+}
@@ -0,0 +1,398 @@
+// src/lib/seo/main-content.js
+import { fetchHtml } from "@/lib/seo/extraction";
+import { fetchApyHubText, hasApyHubKey } from "@/lib/seo/apyhub";
+import { parseHtml, findFirst, closest } from "@/lib/seo/html-parser";
+
+/**
+ * Main-content extraction (readability-style boilerplate removal).
+ *
+ *   const main = extractMainContent(html, { baseUrl });
+ *   // { text, html, wordCount, confidence, method }
+ *
+ * 1. Chrome is skipped: nav / aside / forms / scripts, header + footer outside
+ *    <article>, landmark roles (navigation, banner, contentinfo…), hidden
+ *    elements and class/id names like cookie, consent, sidebar, share, related.
+ * 2. Paragraph-like blocks (p, pre, td, blockquote, divs without block
+ *    children) of 25+ characters score 1 + commas + length/100 (max 3) and
+ *    pass it to their ancestors (parent full, grandparent half, then less).
+ *    Containers start with a tag / class-name weight; scores are scaled by
+ *    (1 - link density).
+ * 3. The best container (widened to its <article> / <main> when that only
+ *    adds a title or intro) plus siblings that look like content form the result.
+ *
+ * confidence (0-1) grows with paragraph count and word count, drops with link
+ * density and gets a bonus for <article> / <main> / itemprop=articleBody.
+ * Pages without a clear container fall back to the body text minus chrome
+ * (method "fallback", confidence <= 0.2).
+ *
+ * Page text for a URL goes through extractPageContent(), which uses this
+ * extractor unless SEO_CONTENT_PROVIDER=apyhub (ApyHub's text API, with the
+ * local extractor as fallback).
+ */
+
+export const CONTENT_PROVIDERS = ["local", "apyhub"];
+
+const MIN_PARAGRAPH_CHARS = 25;
+const MAX_ANCESTOR_LEVELS = 5;
+
+const SKIPPED_TAGS = new Set([
+  "script", "style", "noscript", "template", "svg", "nav", "aside", "form", "iframe",
+  "button", "select", "input", "textarea", "dialog", "object", "embed", "canvas", "head",
+]);
+
+const SKIPPED_ROLES = new Set([
+  "navigation", "banner", "contentinfo", "complementary", "dialog", "alertdialog",
+  "search", "menu", "menubar",
+]);
+
+const UNLIKELY =
+  /-ad-|^ads?-|advert|banner|breadcrumb|combx|comment|community|consent|cookie|cover-wrap|disqus|extra|footer|gdpr|header|legends|menu|modal|newsletter|pager|pagination|popup|related|remark|replies|rss|share|shoutbox|sidebar|skyscraper|social|sponsor|subscribe|supplemental|toolbar|widget/i;
+const MAYBE_CANDIDATE = /and|article|body|column|content|main|shadow/i;
+const POSITIVE = /article|body|content|entry|hentry|h-entry|main|page|post|text|blog|story/i;
+const NEGATIVE =
+  /-ad-|hidden|banner|combx|comment|com-|contact|cookie|consent|footer|gdpr|masthead|media|meta|outbrain|promo|related|scroll|share|shoutbox|sidebar|skyscraper|sponsor|shopping|tags|widget/i;
+
+const BLOCK_TAGS = new Set([
+  "address", "article", "aside", "blockquote", "dd", "details", "div", "dl", "dt",
+  "fieldset", "figcaption", "figure", "footer", "form", "h1", "h2", "h3", "h4", "h5",
+  "h6", "header", "hr", "li", "main", "nav", "ol", "p", "pre", "section", "table",
+  "tbody", "td", "tfoot", "th", "thead", "tr", "ul", "br",
+]);
+
+const PARAGRAPH_TAGS = new Set(["p", "pre", "td", "blockquote"]);
+
+// kept in the content HTML (others are unwrapped), with their allowed attributes
+const KEPT_TAGS = {
+  p: [], h1: [], h2: [], h3: [], h4: [], h5: [], h6: [], ul: [], ol: [], li: [],
+  blockquote: [], pre: [], code: [], strong: [], em: [], b: [], i: [], u: [], br: [],
+  hr: [], sup: [], sub: [], table: [], thead: [], tbody: [], tr: [], th: [], td: [],
+  dl: [], dt: [], dd: [], figure: [], figcaption: [], a: ["href"], img: ["src", "alt"],
+};
+const VOID_TAGS = new Set(["br", "hr", "img"]);
+
+const classAndId = (el) => `${el.attrs.class || ""} ${el.attrs.id || ""}`.trim();
+
+function classWeight(el) {
+  let weight = 0;
+  for (const v of [el.attrs.class, el.attrs.id]) {
+    if (!v) continue;
+    if (NEGATIVE.test(v)) weight -= 25;
+    if (POSITIVE.test(v)) weight += 25;
+  }
+  return weight;
+}
+
+function tagWeight(tag) {
+  if (tag === "article" || tag === "main") return 10;
+  if (tag === "div" || tag === "section") return 5;
+  if (tag === "pre" || tag === "td" || tag === "blockquote") return 3;
+  if (["address", "ol", "ul", "dl", "dd", "dt", "li", "form"].includes(tag)) return -3;
+  if (/^h[1-6]$/.test(tag) || tag === "th") return -5;
+  return 0;
+}
+
+function isChrome(el) {
+  if (SKIPPED_TAGS.has(el.tag)) return true;
+  if ((el.tag === "header" || el.tag === "footer") && !closest(el, (p) => p.tag === "article")) {
+    return true;
+  }
+  if (SKIPPED_ROLES.has(String(el.attrs.role || "").toLowerCase())) return true;
+  if ("hidden" in el.attrs || el.attrs["aria-hidden"] === "true") return true;
+  if (/display\s*:\s*none|visibility\s*:\s*hidden/i.test(el.attrs.style || "")) return true;
+
+  const names = classAndId(el);
+  return (
+    Boolean(names) &&
+    UNLIKELY.test(names) &&
+    !MAYBE_CANDIDATE.test(names) &&
+    !["body", "article", "main", "a"].includes(el.tag) &&
+    !closest(el, (p) => p.tag === "table" || p.tag === "code")
+  );
+}
+
+function isSemanticMain(el) {
+  return (
+    el.tag === "article" ||
+    el.tag === "main" ||
+    String(el.attrs.role || "").toLowerCase() === "main" ||
+    /\barticlebody\b/i.test(el.attrs.itemprop || "")
+  );
+}
+
+const escapeText = (s) => s.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;");
+const escapeAttr = (s) => escapeText(s).replace(/"/g, "&quot;");
+
+function countWords(text = "") {
+  return text ? text.split(/\s+/).filter(Boolean).length : 0;
+}
+
+/**
+ * Main content of an HTML document (string or parseHtml() tree, not modified).
+ *
+ * @param {string|object} html
+ * @param {{ baseUrl?: string, images?: boolean }} opts - images: keep <img> in the HTML
+ * Returns { text, html, wordCount, confidence, method: "readability" | "fallback" }
+ * text has one block per paragraph, separated by blank lines.
+ */
+export function extractMainContent(html = "", { baseUrl, images = true } = {}) {
+  const doc = typeof html === "object" && html?.type === "root" ? html : parseHtml(html);
+  const body = findFirst(doc, (e) => e.tag === "body") || doc;
+
+  // 1) visible, non-chrome elements
+  const skipped = new Set();
+  const paragraphs = [];
+  const visit = (node) => {
+    for (const el of node.children || []) {
+      if (el.type !== "element") continue;
+      if (isChrome(el)) {
+        skipped.add(el);
+        continue;
+      }
+      const blockChildren = el.children.some((c) => c.type === "element" && BLOCK_TAGS.has(c.tag));
+      if (PARAGRAPH_TAGS.has(el.tag) || ((el.tag === "div" || el.tag === "section") && !blockChildren)) {
+        paragraphs.push(el);
+      }
+      visit(el);
+    }
+  };
+  visit(body);
+
+  const textCache = new Map();
+  const linkTextCache = new Map();
+  const textOf = (el) => {
+    if (textCache.has(el)) return textCache.get(el);
+    const parts = [];
+    const walk = (n) => {
+      for (const c of n.children || []) {
+        if (c.type === "text") parts.push(c.text);
+        else if (!skipped.has(c)) {
+          if (BLOCK_TAGS.has(c.tag)) parts.push(" ");
+          walk(c);
+          if (BLOCK_TAGS.has(c.tag)) parts.push(" ");
+        }
+      }
+    };
+    walk(el);
+    const text = parts.join("").replace(/\s+/g, " ").trim();
+    textCache.set(el, text);
+    return text;
+  };
+  const linkDensity = (el) => {
+    const total = textOf(el).length;
+    if (!total) return 0;
+    if (!linkTextCache.has(el)) {
+      let linked = 0;
+      const walk = (n) => {
+        for (const c of n.children || []) {
+          if (c.type !== "element" || skipped.has(c)) continue;
+          if (c.tag === "a") linked += textOf(c).length;
+          else walk(c);
+        }
+      };
+      walk(el);
+      linkTextCache.set(el, linked);
+    }
+    return Math.min(1, linkTextCache.get(el) / total);
+  };
+
+  // 2) paragraphs score their ancestors
+  const scores = new Map();
+  const scoredParagraphs = new Set();
+  for (const p of paragraphs) {
+    const text = textOf(p);
+    if (text.length < MIN_PARAGRAPH_CHARS) continue;
+    scoredParagraphs.add(p);
+
+    const score = 1 + (text.match(/[,،、，]/g)?.length || 0) + Math.min(3, Math.floor(text.length / 100));
+    let ancestor = p.parent;
+    for (let level = 0; ancestor && ancestor.type === "element" && level < MAX_ANCESTOR_LEVELS; level += 1) {
+      if (!scores.has(ancestor)) scores.set(ancestor, tagWeight(ancestor.tag) + classWeight(ancestor));
+      const divider = level === 0 ? 1 : level === 1 ? 2 : level * 3;
+      scores.set(ancestor, scores.get(ancestor) + score / divider);
+      if (ancestor === body) break;
+      ancestor = ancestor.parent;
+    }
+  }
+
+  let top = null;
+  let topScore = 0;
+  for (const [el, score] of scores) {
+    const final = score * (1 - linkDensity(el));
+    scores.set(el, final);
+    if (final > topScore) {
+      top = el;
+      topScore = final;
+    }
+  }
+
+  // the enclosing <article> / <main> brings the title and intro when it adds little else
+  const semantic = top && !isSemanticMain(top) ? closest(top, isSemanticMain) : null;
+  if (semantic && !skipped.has(semantic) && textOf(semantic).length <= textOf(top).length * 1.5) {
+    top = semantic;
+    topScore = Math.max(topScore, scores.get(semantic) || 0);
+  }
+
+  // 3) the top container and content-looking siblings
+  let nodes;
+  let method = "readability";
+  if (top) {
+    const threshold = Math.max(10, topScore * 0.2);
+    const siblings = top.parent?.type === "element" || top.parent?.type === "root" ? top.parent.children : [top];
+    nodes = siblings.filter((s) => {
+      if (s === top) return true;
+      if (s.type !== "element" || skipped.has(s)) return false;
+      const bonus = top.attrs.class && s.attrs.class === top.attrs.class ? topScore * 0.2 : 0;
+      if ((scores.get(s) || 0) + bonus >= threshold) return true;
+      if (s.tag !== "p") return false;
+      const text = textOf(s);
+      const density = linkDensity(s);
+      return (text.length > 80 && density < 0.25) || (text.length > 0 && density === 0 && /\.( |$)/.test(text));
+    });
+  } else {
+    nodes = [body];
+    method = "fallback";
+  }
+
+  // text: one block per paragraph / heading / list item
+  const blocks = [];
+  let line = [];
+  const flush = () => {
+    const t = line.join("").replace(/\s+/g, " ").trim();
+    if (t) blocks.push(t);
+    line = [];
+  };
+  const collect = (n) => {
+    for (const c of n.children || []) {
+      if (c.type === "text") line.push(c.text);
+      else if (!skipped.has(c)) {
+        const block = BLOCK_TAGS.has(c.tag);
+        if (block) flush();
+        collect(c);
+        if (block) flush();
+      }
+    }
+  };
+  nodes.forEach((n) => {
+    flush();
+    if (n.type === "text") line.push(n.text);
+    else collect(n);
+    flush();
+  });
+  const text = blocks.join("\n\n");
+
+  // html: allowlisted tags / attributes, relative URLs resolved
+  const absolute = (v) => {
+    try {
+      return new URL(v, baseUrl || undefined).toString();
+    } catch {
+      return v;
+    }
+  };
+  const serialize = (n) => {
+    if (n.type === "text") return escapeText(n.text);
+    if (n.type !== "element" || skipped.has(n)) return "";
+    if (n.tag === "img" && !images) return "";
+    const inner = n.children.map(serialize).join("");
+    const allowed = KEPT_TAGS[n.tag];
+    if (!allowed) return inner;
+
+    const attrs = allowed
+      .filter((a) => n.attrs[a])
+      .map((a) => ` ${a}="${escapeAttr(a === "href" || a === "src" ? absolute(n.attrs[a]) : n.attrs[a])}"`)
+      .join("");
+    if (VOID_TAGS.has(n.tag)) return `<${n.tag}${attrs}>`;
+    if (!inner.trim() && n.tag !== "td" && n.tag !== "th") return "";
+    return `<${n.tag}${attrs}>${inner}</${n.tag}>`;
+  };
+  const contentHtml = nodes
+    .map((n) => (n === body || n === top ? n.children.map(serialize).join("") : serialize(n)))
+    .join("")
+    .replace(/\s+/g, " ")
+    .trim();
+
+  // confidence
+  const wordCount = countWords(text);
+  const inSelection = (el) => nodes.some((n) => n === el || closest(el, (p) => p === n));
+  const paragraphCount = Array.from(scoredParagraphs).filter(inSelection).length;
+  const totalChars = nodes.reduce((sum, n) => sum + (n.type === "element" ? textOf(n).length : 0), 0);
+  const linkedChars = nodes.reduce(
+    (sum, n) => sum + (n.type === "element" ? linkDensity(n) * textOf(n).length : 0),
+    0
+  );
+  const density = totalChars ? linkedChars / totalChars : 0;
+  const inSemantic = nodes.some((n) => n.type === "element" && (isSemanticMain(n) || closest(n, isSemanticMain)));
+
+  let confidence =
+    0.35 * Math.min(1, paragraphCount / 5) +
+    0.35 * Math.min(1, wordCount / 250) +
+    0.2 * (1 - Math.min(1, density * 2)) +
+    (inSemantic ? 0.1 : 0);
+  if (method === "fallback") confidence = Math.min(0.2, confidence);
+  if (!wordCount) confidence = 0;
+
+  return {
+    text,
+    html: contentHtml,
+    wordCount,
+    confidence: Math.round(confidence * 100) / 100,
+    method,
+  };
+}
+
+// ---------------------------
+// Page text for a URL (local extractor or ApyHub)
+// ---------------------------
+
+let warnedMissingKey = false;
+let warnedUnknownProvider = false;
+
+export function contentProvider() {
+  const kind = String(process.env.SEO_CONTENT_PROVIDER || "local").toLowerCase();
+  if (!CONTENT_PROVIDERS.includes(kind)) {
+    if (!warnedUnknownProvider) {
+      console.warn(`Unknown SEO_CONTENT_PROVIDER "${kind}", using the local extractor`);
+    }
+    warnedUnknownProvider = true;
+    return "local";
+  }
+  if (kind === "apyhub" && !hasApyHubKey()) {
+    if (!warnedMissingKey) console.warn("SEO_CONTENT_PROVIDER=apyhub but APYHUB_API_KEY is not set");
+    warnedMissingKey = true;
+    return "local";
+  }
+  return kind;
+}
+
+/**
+ * Main text of a page. `html` skips the fetch when the caller already has the
+ * document (the local extractor needs nothing else).
+ *
+ * Returns { provider: "local" | "apyhub", text, html, wordCount, confidence, method, fallbackReason? }
+ * ApyHub returns text only (html "", confidence null).
+ */
+export async function extractPageContent(url, { html = null, images = true } = {}) {
+  if (!url) throw new Error("extractPageContent: url is required");
+
+  let fallbackReason = null;
+  if (contentProvider() === "apyhub") {
+    const remote = await fetchApyHubText(url);
+    if (remote?.text) {
+      return {
+        provider: "apyhub",
+        text: remote.text,
+        html: "",
+        wordCount: countWords(remote.text),
+        confidence: null,
+        method: "apyhub",
+      };
+    }
+    fallbackReason = "apyhub_failed_or_empty";
+  }
+
+  const source = html ?? (await fetchHtml(url)).html;
+  return {
+    provider: "local",
+    ...extractMainContent(source || "", { baseUrl: url, images }),
+    ...(fallbackReason ? { fallbackReason } : {}),
+  };
+}
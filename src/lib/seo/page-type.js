@@ -0,0 +1,243 @@
+// src/lib/seo/page-type.js
+import { extractPage } from "@/lib/seo/extraction";
+import { parseHtml, findFirst, closest } from "@/lib/seo/html-parser";
+
+/**
+ * Page type classification from on-page signals.
+ *
+ * Signals vote for "blog" (an article / post) or "page" (everything else):
+ *
+ *   JSON-LD @type      BlogPosting, Article, NewsArticle…  -> blog (0.6)
+ *                      Product, LocalBusiness (+ subtypes)  -> page (0.6)
+ *                      AboutPage, ContactPage, CollectionPage… -> page (0.3)
+ *   og:type            article -> blog, product / business.business -> page (0.3)
+ *   article dates      article:published_time, itemprop=datePublished,
+ *                      <time> inside <article> -> blog (0.2)
+ *   author markup      meta author, rel=author, itemprop=author, .byline -> blog (0.15)
+ *   URL fallback       path / sitemap naming (heuristicUrlType) (0.2)
+ *
+ * confidence = winning score (capped at 1) x its share of all votes, so a
+ * page with only a URL hint scores low and contradicting signals lower still.
+ */
+
+const ARTICLE_TYPES = new Set([
+  "article",
+  "blogposting",
+  "newsarticle",
+  "techarticle",
+  "scholarlyarticle",
+  "report",
+  "socialmediaposting",
+  "liveblogposting",
+  "analysisnewsarticle",
+  "opinionnewsarticle",
+  "reviewnewsarticle",
+]);
+
+const PRODUCT_TYPES = new Set([
+  "product",
+  "productgroup",
+  "individualproduct",
+  "offer",
+  "aggregateoffer",
+]);
+
+// LocalBusiness and the subtypes sites use most
+const BUSINESS_TYPES = new Set([
+  "localbusiness",
+  "store",
+  "restaurant",
+  "foodestablishment",
+  "professionalservice",
+  "legalservice",
+  "attorney",
+  "dentist",
+  "physician",
+  "medicalbusiness",
+  "medicalclinic",
+  "healthandbeautybusiness",
+  "homeandconstructionbusiness",
+  "automotivebusiness",
+  "financialservice",
+  "realestateagent",
+  "lodgingbusiness",
+  "hotel",
+]);
+
+const PAGE_TYPES = new Set([
+  "blog", // the blog itself, i.e. a listing
+  "aboutpage",
+  "contactpage",
+  "collectionpage",
+  "itempage",
+  "faqpage",
+  "checkoutpage",
+  "searchresultspage",
+  "profilepage",
+  "service",
+]);
+
+const WEIGHT = {
+  jsonLd: 0.6,
+  jsonLdWebPage: 0.3,
+  ogType: 0.3,
+  dates: 0.2,
+  author: 0.15,
+  url: 0.2,
+};
+
+const AUTHOR_CLASSES = new Set(["byline", "author-name", "post-author", "entry-author"]);
+
+export const CONFIDENCE_LEVELS = { high: 0.7, medium: 0.4 };
+
+export function confidenceLevel(confidence) {
+  if (confidence >= CONFIDENCE_LEVELS.high) return "high";
+  if (confidence >= CONFIDENCE_LEVELS.medium) return "medium";
+  return "low";
+}
+
+/**
+ * @types in the page's JSON-LD blocks (extractPage().jsonLd), lowercased.
+ * Invalid blocks are skipped.
+ * Returns { main, nested }: main = top-level / @graph entities, nested = the
+ * rest (publisher, blogPost items of a listing, mainEntity of a WebPage…)
+ */
+export function extractJsonLdTypes(blocks = []) {
+  const main = new Set();
+  const nested = new Set();
+
+  const walk = (node, depth, isMain) => {
+    if (!node || typeof node !== "object" || depth > 6) return;
+    if (Array.isArray(node)) {
+      node.forEach((n) => walk(n, depth + 1, isMain));
+      return;
+    }
+    const t = node["@type"];
+    for (const v of Array.isArray(t) ? t : [t]) {
+      if (typeof v !== "string") continue;
+      (isMain ? main : nested).add(v.replace(/^.*[/#:]/, "").toLowerCase());
+    }
+    for (const [key, value] of Object.entries(node)) {
+      if (key === "@type" || !value || typeof value !== "object") continue;
+      walk(value, depth + 1, key === "@graph" && isMain);
+    }
+  };
+
+  for (const block of blocks) walk(block.data, 0, true);
+
+  return { main, nested };
+}
+
+const vote = (kind, weight, signal, pageType) => ({ kind, weight, signal, pageType });
+
+// the page's own entity: top-level types first, nested ones only when those say nothing
+function jsonLdVotes({ main, nested }) {
+  return jsonLdVote(main) || jsonLdVote(nested);
+}
+
+function jsonLdVote(types) {
+  const has = (set) => Array.from(types).find((t) => set.has(t));
+
+  const article = has(ARTICLE_TYPES);
+  if (article) return vote("blog", WEIGHT.jsonLd, `JSON-LD ${article}`, "article");
+
+  const product = has(PRODUCT_TYPES);
+  if (product) return vote("page", WEIGHT.jsonLd, `JSON-LD ${product}`, "product");
+
+  const business = has(BUSINESS_TYPES);
+  if (business) return vote("page", WEIGHT.jsonLd, `JSON-LD ${business}`, "local-business");
+
+  const page = has(PAGE_TYPES);
+  if (page) return vote("page", WEIGHT.jsonLdWebPage, `JSON-LD ${page}`, "page");
+
+  return null;
+}
+
+/**
+ * Classify one page.
+ *
+ * input: { html?, urlKind? }  urlKind: "blog" | "page" from the URL / sitemap heuristic
+ * Returns {
+ *   kind: "blog" | "page",
+ *   pageType: "article" | "product" | "local-business" | "page",
+ *   confidence: 0..1, level: "high" | "medium" | "low",
+ *   source: "structured-data" | "open-graph" | "markup" | "url",   // strongest signal used
+ *   signals: ["JSON-LD blogposting", "og:type article", …]
+ * }
+ */
+export function classifyPage({ html = "", urlKind = "page" } = {}) {
+  const votes = []; // { kind, weight, signal, source, pageType? }
+  const src = String(html || "");
+
+  if (src) {
+    const doc = parseHtml(src);
+    const page = extractPage(doc);
+    const attr = (el, name) => String(el.attrs[name] || "").toLowerCase().split(/\s+/);
+
+    const ld = jsonLdVotes(extractJsonLdTypes(page.jsonLd));
+    if (ld) votes.push({ ...ld, source: "structured-data" });
+
+    const og = (page.openGraph.type || "").toLowerCase();
+    const ogVote =
+      og === "article" || og === "blog"
+        ? vote("blog", WEIGHT.ogType, `og:type ${og}`, "article")
+        : og === "product" || og.startsWith("product.")
+        ? vote("page", WEIGHT.ogType, `og:type ${og}`, "product")
+        : og.startsWith("business.")
+        ? vote("page", WEIGHT.ogType, `og:type ${og}`, "local-business")
+        : null;
+    if (ogVote) votes.push({ ...ogVote, source: "open-graph" });
+
+    const hasDates =
+      Boolean(page.meta["article:published_time"] || page.meta["article:modified_time"]) ||
+      Boolean(
+        findFirst(
+          doc,
+          (e) =>
+            attr(e, "itemprop").some((p) => p === "datepublished" || p === "datemodified") ||
+            (e.tag === "time" && e.attrs.datetime && closest(e, (p) => p.tag === "article"))
+        )
+      );
+    if (hasDates) {
+      votes.push({ ...vote("blog", WEIGHT.dates, "article dates"), source: "markup" });
+    }
+
+    const hasAuthor =
+      Boolean(page.meta.author || page.meta["article:author"]) ||
+      Boolean(
+        findFirst(
+          doc,
+          (e) =>
+            attr(e, "rel").includes("author") ||
+            attr(e, "itemprop").includes("author") ||
+            attr(e, "class").some((c) => AUTHOR_CLASSES.has(c))
+        )
+      );
+    if (hasAuthor) {
+      votes.push({ ...vote("blog", WEIGHT.author, "author markup"), source: "markup" });
+    }
+  }
+
+  const kindOfUrl = urlKind === "blog" ? "blog" : "page";
+  votes.push({ ...vote(kindOfUrl, WEIGHT.url, `URL pattern (${kindOfUrl})`), source: "url" });
+
+  const score = { blog: 0, page: 0 };
+  for (const v of votes) score[v.kind] += v.weight;
+
+  // ties keep the URL heuristic's answer
+  const other = kindOfUrl === "blog" ? "page" : "blog";
+  const kind = score[other] > score[kindOfUrl] ? other : kindOfUrl;
+
+  const winning = votes.filter((v) => v.kind === kind);
+  const confidence =
+    Math.round(Math.min(1, score[kind]) * (score[kind] / (score.blog + score.page)) * 100) / 100;
+
+  return {
+    kind,
+    pageType: winning.find((v) => v.pageType)?.pageType || (kind === "blog" ? "article" : "page"),
+    confidence,
+    level: confidenceLevel(confidence),
+    source: winning.sort((a, b) => b.weight - a.weight)[0].source,
+    signals: winning.map((v) => v.signal),
+  };
+}
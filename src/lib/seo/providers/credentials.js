@@ -0,0 +1,115 @@
+// src/lib/seo/providers/credentials.js
+import { randomUUID } from "crypto";
+
+/**
+ * Provider credentials are never written to storage (jobs, schedules).
+ *
+ * A draft payload carries its secret in one of two ways:
+ *   - inline ("authBasic" / "accessToken" / "token"): sealCredentials() moves
+ *     it into an in-process vault and leaves a `credentialsKey` behind. The
+ *     secret lives until releaseCredentials() (job finished) or a restart.
+ *   - by reference: `credentialsEnv: "ACME_WP"` reads the secret from the
+ *     SEO_CREDENTIAL_ACME_WP env var when the draft is rendered. Only this
+ *     form can be persisted (scheduled draft scans).
+ */
+
+// provider -> payload field holding its secret
+const SECRET_FIELDS = {
+  wordpress: "authBasic",
+  shopify: "accessToken",
+  webflow: "token",
+};
+
+const ENV_PREFIX = "SEO_CREDENTIAL_";
+
+const g = globalThis;
+
+// Keep sealed secrets across hot reloads in dev
+if (!g.__drfizzCredentials) {
+  g.__drfizzCredentials = new Map(); // credentialsKey -> secret
+}
+
+const vault = g.__drfizzCredentials;
+
+function secretField(provider) {
+  const field = SECRET_FIELDS[provider];
+  if (!field) throw new Error(`Unsupported provider: ${provider}`);
+  return field;
+}
+
+function withoutSecret(field, payload) {
+  const rest = { ...payload };
+  delete rest[field];
+  return rest;
+}
+
+function envName(ref) {
+  const name = String(ref || "").trim().toUpperCase();
+  if (!/^[A-Z0-9_]+$/.test(name)) throw new Error("credentialsEnv must be letters, digits and _");
+  return `${ENV_PREFIX}${name}`;
+}
+
+/** True when the payload carries its secret inline (not safe to persist). */
+export function hasInlineCredentials(provider, payload = {}) {
+  const value = payload?.[secretField(provider)];
+  return value != null && value !== "";
+}
+
+/** Payload without its inline secret (for records written before references). */
+export function stripCredentials(provider, payload = {}) {
+  return withoutSecret(secretField(provider), payload);
+}
+
+/**
+ * Throws (with a message fit for a 400) when a `credentialsEnv` reference is
+ * malformed or points at an unset variable.
+ */
+export function checkCredentials(provider, payload = {}) {
+  secretField(provider);
+  if (payload?.credentialsEnv && !process.env[envName(payload.credentialsEnv)]) {
+    throw new Error(`${envName(payload.credentialsEnv)} is not set`);
+  }
+}
+
+/**
+ * Payload safe to persist: an inline secret is moved into the vault.
+ * Throws like checkCredentials() on a bad `credentialsEnv` reference.
+ */
+export function sealCredentials(provider, payload = {}) {
+  const field = secretField(provider);
+  if (payload?.credentialsEnv) {
+    checkCredentials(provider, payload);
+    return withoutSecret(field, payload);
+  }
+  if (!hasInlineCredentials(provider, payload)) return payload;
+
+  const credentialsKey = randomUUID();
+  vault.set(credentialsKey, payload[field]);
+  return { ...withoutSecret(field, payload), credentialsKey };
+}
+
+/**
+ * Payload with its secret restored (for renderDraft), from the vault or env.
+ */
+export function resolveCredentials(provider, payload = {}) {
+  const field = secretField(provider);
+  const { credentialsKey, credentialsEnv, ...rest } = payload || {};
+
+  if (credentialsEnv) {
+    const secret = process.env[envName(credentialsEnv)];
+    if (!secret) throw new Error(`${envName(credentialsEnv)} is not set`);
+    return { ...rest, [field]: secret };
+  }
+  if (credentialsKey) {
+    if (!vault.has(credentialsKey)) {
+      throw new Error("Draft credentials are no longer available (server restarted); submit the scan again");
+    }
+    return { ...rest, [field]: vault.get(credentialsKey) };
+  }
+  return payload;
+}
+
+/** Forget a sealed secret (job complete, dead or cancelled). */
+export function releaseCredentials(payload = {}) {
+  if (payload?.credentialsKey) vault.delete(payload.credentialsKey);
+}
@@ -4,10 +4,71 @@ import { renderWordPressDraft } from "./wordpress";
 import { renderShopifyDraft } from "./shopify";
 import { renderWebflowDraft } from "./webflow";
 
-export async function renderDraft({ provider, payload }) {
-  if (provider === "wordpress") return renderWordPressDraft(payload);
-  if (provider === "shopify") return renderShopifyDraft(payload);
-  if (provider === "webflow") return renderWebflowDraft(payload);
+/**
+ * Render one draft.
+ * Returns: { id, url, title, description, html, kind: "blog"|"page", status, slug, modifiedAt }
+ */
+export async function renderDraft({ provider, payload, signal }) {
+  if (provider === "wordpress") return renderWordPressDraft(payload, { signal });
+  if (provider === "shopify") return renderShopifyDraft(payload, { signal });
+  if (provider === "webflow") return renderWebflowDraft(payload, { signal });
 
   throw new Error(`Unsupported provider: ${provider}`);
 }
+
+// batch field -> single-item field, per provider
+const BATCH_FIELDS = {
+  wordpress: { postIds: "postId", pageIds: "pageId" },
+  shopify: { articleIds: "articleId", pageIds: "pageId" },
+  webflow: { itemIds: "itemId" },
+};
+
+function toIdList(value) {
+  if (Array.isArray(value)) return value;
+  if (value == null || value === "") return [];
+  return String(value).split(",");
+}
+
+/**
+ * Split a (possibly batched) payload into one payload per draft.
+ *
+ *   { siteUrl, authBasic, postIds: [1, 2], pageIds: [3] }
+ *   -> [{ siteUrl, authBasic, postId: 1 }, { …, postId: 2 }, { …, pageId: 3 }]
+ *
+ * A payload without batch fields is returned as a single item.
+ */
+export function expandDraftPayload(provider, payload = {}) {
+  const fields = BATCH_FIELDS[provider];
+  if (!fields) throw new Error(`Unsupported provider: ${provider}`);
+
+  const base = { ...payload };
+  for (const batchKey of Object.keys(fields)) delete base[batchKey];
+
+  const items = [];
+  const seen = new Set();
+  for (const [batchKey, itemKey] of Object.entries(fields)) {
+    for (const raw of toIdList(payload?.[batchKey])) {
+      const id = String(raw ?? "").trim();
+      if (!id || seen.has(`${itemKey}:${id}`)) continue;
+      seen.add(`${itemKey}:${id}`);
+
+      // drop the other single-item keys so e.g. a pageId doesn't shadow postId
+      const item = { ...base };
+      for (const k of Object.values(fields)) delete item[k];
+      items.push({ ...item, [itemKey]: id });
+    }
+  }
+
+  return items.length ? items : [payload];
+}
+
+/**
+ * The provider-side id of a single-item payload (matches `id` from renderDraft).
+ */
+export function draftTargetId(provider, target = {}) {
+  const fields = BATCH_FIELDS[provider] || {};
+  for (const itemKey of Object.values(fields)) {
+    if (target?.[itemKey] != null && target[itemKey] !== "") return String(target[itemKey]);
+  }
+  return null;
+}
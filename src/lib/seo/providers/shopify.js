@@ -8,19 +8,30 @@
  * {
  *   shopDomain: "your-shop.myshopify.com",
  *   accessToken: "...",
- *   articleId: "...",
- *   blogId: "..."
+ *   articleId: "...",   // a blog article (blog) -> needs blogId
+ *   blogId: "...",
+ *   pageId: "..."       // or an online store page (page)
  * }
+ *
+ * Batches (articleIds / pageIds) are split per item by providers/index.js.
  */
-export async function renderShopifyDraft({ shopDomain, accessToken, blogId, articleId }) {
-  if (!shopDomain || !accessToken || !blogId || !articleId) {
-    throw new Error("Shopify payload requires shopDomain, accessToken, blogId, articleId");
+export async function renderShopifyDraft(
+  { shopDomain, accessToken, blogId, articleId, pageId },
+  { signal } = {}
+) {
+  if (!shopDomain || !accessToken || (!pageId && (!blogId || !articleId))) {
+    throw new Error(
+      "Shopify payload requires shopDomain, accessToken and blogId + articleId (or pageId)"
+    );
   }
 
-  const url = `https://${shopDomain}/admin/api/2023-01/blogs/${blogId}/articles/${articleId}.json`;
+  const url = pageId
+    ? `https://${shopDomain}/admin/api/2023-01/pages/${pageId}.json`
+    : `https://${shopDomain}/admin/api/2023-01/blogs/${blogId}/articles/${articleId}.json`;
 
   const r = await fetch(url, {
     headers: { "X-Shopify-Access-Token": accessToken },
+    signal,
   });
 
   if (!r.ok) {
@@ -28,7 +39,17 @@ export async function renderShopifyDraft({ shopDomain, accessToken, blogId, arti
   }
 
   const json = await r.json();
-  const html = json?.article?.body_html || "";
+  const item = pageId ? json?.page : json?.article;
 
-  return { url: "(draft)", title: json?.article?.title || "", html };
+  return {
+    id: String(item?.id ?? pageId ?? articleId),
+    url: "(draft)",
+    title: item?.title || "",
+    description: item?.summary_html || "",
+    html: item?.body_html || "",
+    kind: pageId ? "page" : "blog",
+    status: item?.published_at ? "published" : "draft",
+    slug: item?.handle || null,
+    modifiedAt: item?.updated_at || null,
+  };
 }
@@ -8,10 +8,43 @@
  * {
  *   collectionId: "...",
  *   itemId: "...",
- *   token: "..."
+ *   token: "...",
+ *   contentType: "blog" | "page"   // optional, otherwise read from the collection
  * }
+ *
+ * Batches (itemIds) are split per item by providers/index.js.
  */
-export async function renderWebflowDraft({ collectionId, itemId, token }) {
+
+// collectionId -> "blog" | "page" (collection metadata rarely changes)
+const COLLECTION_KIND = new Map();
+
+const BLOG_COLLECTION_RE = /\b(blog|post|posts|article|articles|news|stories)\b/i;
+
+async function collectionKind(collectionId, token, signal) {
+  if (COLLECTION_KIND.has(collectionId)) return COLLECTION_KIND.get(collectionId);
+
+  let kind = "blog";
+  try {
+    const r = await fetch(`https://api.webflow.com/v2/collections/${collectionId}`, {
+      headers: {
+        Authorization: `Bearer ${token}`,
+        "accept-version": "2.0.0",
+      },
+      signal,
+    });
+    if (r.ok) {
+      const json = await r.json();
+      const label = `${json?.slug || ""} ${json?.displayName || ""} ${json?.singularName || ""}`;
+      kind = BLOG_COLLECTION_RE.test(label.replace(/[-_]/g, " ")) ? "blog" : "page";
+      COLLECTION_KIND.set(collectionId, kind);
+    }
+  } catch {
+    signal?.throwIfAborted();
+  }
+  return kind;
+}
+
+export async function renderWebflowDraft({ collectionId, itemId, token, contentType }, { signal } = {}) {
   if (!collectionId || !itemId || !token) {
     throw new Error("Webflow payload requires collectionId, itemId, token");
   }
@@ -21,6 +54,7 @@ export async function renderWebflowDraft({ collectionId, itemId, token }) {
       Authorization: `Bearer ${token}`,
       "accept-version": "2.0.0",
     },
+    signal,
   });
 
   if (!r.ok) {
@@ -32,5 +66,20 @@ export async function renderWebflowDraft({ collectionId, itemId, token }) {
   // You MUST adapt this to your field name.
   const html = json?.fieldData?.body || json?.fieldData?.content || "";
 
-  return { url: "(draft)", title: json?.fieldData?.name || "", html };
+  const kind =
+    contentType === "page" || contentType === "blog"
+      ? contentType
+      : await collectionKind(collectionId, token, signal);
+
+  return {
+    id: String(json?.id ?? itemId),
+    url: "(draft)",
+    title: json?.fieldData?.name || "",
+    description: json?.fieldData?.summary || json?.fieldData?.excerpt || "",
+    html,
+    kind,
+    status: json?.isDraft ? "draft" : json?.lastPublished ? "published" : "draft",
+    slug: json?.fieldData?.slug || null,
+    modifiedAt: json?.lastUpdated || null,
+  };
 }
@@ -6,21 +6,27 @@
  * payload:
  * {
  *   siteUrl: "https://example.com",
- *   postId: 123,
+ *   postId: 123,            // a post (blog)  -> /wp/v2/posts/:id
+ *   pageId: 456,            // or a page      -> /wp/v2/pages/:id
  *   authBasic: "<base64(username:app_password)>"
  * }
+ *
+ * Batches (postIds / pageIds) are split per item by providers/index.js.
  */
-export async function renderWordPressDraft({ siteUrl, postId, authBasic }) {
-  if (!siteUrl || !postId || !authBasic) {
-    throw new Error("WordPress payload requires siteUrl, postId, authBasic");
+export async function renderWordPressDraft({ siteUrl, postId, pageId, authBasic }, { signal } = {}) {
+  const id = pageId || postId;
+  if (!siteUrl || !id || !authBasic) {
+    throw new Error("WordPress payload requires siteUrl, postId (or pageId), authBasic");
   }
 
-  const apiUrl = `${siteUrl.replace(/\/$/, "")}/wp-json/wp/v2/posts/${postId}?context=edit`;
+  const endpoint = pageId ? "pages" : "posts";
+  const apiUrl = `${siteUrl.replace(/\/$/, "")}/wp-json/wp/v2/${endpoint}/${id}?context=edit`;
 
   const r = await fetch(apiUrl, {
     headers: {
       Authorization: `Basic ${authBasic}`,
     },
+    signal,
   });
 
   if (!r.ok) {
@@ -29,9 +35,16 @@ export async function renderWordPressDraft({ siteUrl, postId, authBasic }) {
 
   const json = await r.json();
 
+  // drafts have no public permalink yet; `link` is the ?p=/?page_id= preview URL
   return {
-    url: "(draft)",
-    title: json?.title?.rendered || "",
+    id: String(json?.id ?? id),
+    url: json?.link || "(draft)",
+    title: json?.title?.raw || json?.title?.rendered || "",
+    description: json?.excerpt?.rendered || "",
     html: json?.content?.rendered || "",
+    kind: json?.type === "page" ? "page" : "blog",
+    status: json?.status || null,
+    slug: json?.slug || null,
+    modifiedAt: json?.modified_gmt ? `${json.modified_gmt}Z` : null,
   };
 }
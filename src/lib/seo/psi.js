@@ -143,8 +143,8 @@ export async function fetchPsiForStrategy(url, strategy = "mobile") {
  * a { technicalSeo: { performanceScore, coreWebVitals } } shape.
  *
  * NOTE: This still calls PSI for a single strategy (default: mobile).
- * The /api/seo route now uses fetchPsiForStrategy() directly to fetch
- * both mobile and desktop scores.
+ * The /api/seo route and scheduled PSI checks use fetchTechnicalSeo()
+ * to fetch both mobile and desktop scores.
  *
  * @param {string} url
  * @param {"mobile"|"desktop"} strategy
@@ -168,3 +168,38 @@ export async function fetchPsi(url, strategy = "mobile") {
     },
   };
 }
+
+/**
+ * Mobile + desktop PSI merged into the `technicalSeo` shape the /api/seo
+ * route and the dashboard use (lab vitals prefer mobile, issue counts summed).
+ *
+ * @param {string} url
+ */
+export async function fetchTechnicalSeo(url) {
+  const [mobile, desktop] = await Promise.all([
+    fetchPsiForStrategy(url, "mobile"),
+    fetchPsiForStrategy(url, "desktop"),
+  ]);
+
+  return {
+    performanceScoreMobile:
+      typeof mobile.performanceScore === "number"
+        ? mobile.performanceScore
+        : null,
+    performanceScoreDesktop:
+      typeof desktop.performanceScore === "number"
+        ? desktop.performanceScore
+        : null,
+    coreWebVitals: mobile.coreWebVitalsLab || desktop.coreWebVitalsLab || {},
+    coreWebVitalsField:
+      mobile.coreWebVitalsField || desktop.coreWebVitalsField || {},
+    issueCounts: {
+      critical:
+        (mobile.issueCounts?.critical ?? 0) +
+        (desktop.issueCounts?.critical ?? 0),
+      warning:
+        (mobile.issueCounts?.warning ?? 0) +
+        (desktop.issueCounts?.warning ?? 0),
+    },
+  };
+}
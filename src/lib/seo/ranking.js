@@ -0,0 +1,120 @@
+// src/lib/seo/ranking.js
+
+/**
+ * Ranking + pagination for opportunity cards.
+ *
+ * Every ranked item gets `rank: { by, position, reason }` so the UI can say
+ * why a card is where it is. Orders favour what is worth working on:
+ *
+ * - freshness: least recently updated first (stale content is the best refresh
+ *   candidate); items without a known date go last, by depth.
+ * - depth: blogs deepest path first (posts, not listings), pages shallowest
+ *   first (key top-level pages).
+ * - wordCount: thinnest content first.
+ * - auto: blogs by freshness when any item has a date, otherwise by depth;
+ *   pages by depth.
+ */
+
+export const RANK_BY = ["auto", "freshness", "depth", "wordCount"];
+
+export const MAX_PAGE_SIZE = 50;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function pathDepth(url) {
+  try {
+    return new URL(url).pathname.split("/").filter(Boolean).length;
+  } catch {
+    return 0;
+  }
+}
+
+function modifiedTime(item) {
+  const t = Date.parse(item?.modifiedAt || "");
+  return Number.isFinite(t) ? t : null;
+}
+
+function formatAgo(ms) {
+  const days = Math.floor(ms / DAY_MS);
+  if (days < 1) return "today";
+  if (days < 60) return `${days} day${days === 1 ? "" : "s"} ago`;
+  const months = Math.floor(days / 30);
+  if (months < 24) return `${months} months ago`;
+  return `${Math.floor(days / 365)} years ago`;
+}
+
+function resolveBy(by, kind, items) {
+  if (by && by !== "auto" && RANK_BY.includes(by)) return by;
+  if (kind === "blog" && items.some((it) => modifiedTime(it) != null)) return "freshness";
+  return "depth";
+}
+
+function reasonFor(by, item, kind, now) {
+  if (by === "freshness") {
+    const t = modifiedTime(item);
+    if (t == null) return `No update date · path depth ${pathDepth(item.url)}`;
+    return `Last updated ${formatAgo(Math.max(0, now - t))}`;
+  }
+  if (by === "wordCount") {
+    return `Thin content first · ${(Number(item.wordCount) || 0).toLocaleString("en-US")} words`;
+  }
+
+  const depth = pathDepth(item.url);
+  return kind === "blog"
+    ? `Deepest paths first · depth ${depth}`
+    : `Top-level pages first · depth ${depth}`;
+}
+
+/**
+ * Sort opportunity items for one kind ("blog" | "page").
+ * Returns { by, items } where `by` is the order actually applied.
+ */
+export function rankOpportunities(items = [], { by = "auto", kind = "blog", now = Date.now() } = {}) {
+  const list = (Array.isArray(items) ? items : []).filter((it) => it?.url);
+  const applied = resolveBy(by, kind, list);
+
+  const byDepth = (a, b) =>
+    kind === "blog" ? pathDepth(b.url) - pathDepth(a.url) : pathDepth(a.url) - pathDepth(b.url);
+
+  const compare = {
+    freshness: (a, b) => {
+      const ta = modifiedTime(a);
+      const tb = modifiedTime(b);
+      if (ta == null && tb == null) return byDepth(a, b);
+      if (ta == null) return 1;
+      if (tb == null) return -1;
+      return ta - tb;
+    },
+    depth: byDepth,
+    wordCount: (a, b) => (Number(a.wordCount) || 0) - (Number(b.wordCount) || 0),
+  }[applied];
+
+  // stable sort: ties keep discovery order
+  const ranked = list
+    .map((item, i) => ({ item, i }))
+    .sort((a, b) => compare(a.item, b.item) || a.i - b.i)
+    .map(({ item }, position) => ({
+      ...item,
+      rank: { by: applied, position: position + 1, reason: reasonFor(applied, item, kind, now) },
+    }));
+
+  return { by: applied, items: ranked };
+}
+
+/**
+ * Slice a ranked list. limit is clamped to 1..MAX_PAGE_SIZE.
+ * Returns { items, offset, limit, total, hasMore }
+ */
+export function paginate(items = [], { offset = 0, limit = 2 } = {}) {
+  const total = items.length;
+  const l = Math.min(MAX_PAGE_SIZE, Math.max(1, Math.floor(Number(limit)) || 2));
+  const o = Math.max(0, Math.floor(Number(offset)) || 0);
+
+  return {
+    items: items.slice(o, o + l),
+    offset: o,
+    limit: l,
+    total,
+    hasMore: o + l < total,
+  };
+}
@@ -0,0 +1,357 @@
+// src/lib/seo/readability.js
+import { parseHtml, textContent } from "@/lib/seo/html-parser";
+
+/**
+ * Readability / language-quality metrics of a page or draft (English).
+ *
+ *   const r = analyzeReadability(readabilityBlocks(html));
+ *   // { fleschReadingEase, fleschKincaidGrade, sentenceLength, paragraphLength,
+ *   //   passive, transitions, highlights, … }
+ *
+ * Input is a list of text blocks (one per paragraph / list item) or plain text
+ * with blank lines between paragraphs. Headings and code are not prose and are
+ * left out by readabilityBlocks().
+ *
+ * Syllables, passive voice (a form of "to be" + past participle) and
+ * transition words are English heuristics: for other languages (lang option)
+ * passive and transitions are null and the Flesch scores are indicative only.
+ *
+ * Pure (no fetch / Node APIs): used by the crawls and live in the editor.
+ */
+
+// longer sentences / paragraphs (in words) are reported as long
+export const LONG_SENTENCE_WORDS = 20;
+export const VERY_LONG_SENTENCE_WORDS = 30;
+export const LONG_PARAGRAPH_WORDS = 150;
+
+// good / acceptable bounds of the summary metrics
+export const READABILITY_TARGETS = {
+  fleschReadingEase: { good: 60, ok: 50, higherIsBetter: true },
+  longSentencePct: { good: 25, ok: 30, higherIsBetter: false },
+  passivePct: { good: 10, ok: 15, higherIsBetter: false },
+  transitionPct: { good: 30, ok: 20, higherIsBetter: true },
+};
+
+const SENTENCE_BUCKETS = [
+  ["1-10", 10],
+  ["11-20", 20],
+  ["21-30", 30],
+  ["31+", Infinity],
+];
+const PARAGRAPH_BUCKETS = [
+  ["1-50", 50],
+  ["51-100", 100],
+  ["101-150", 150],
+  ["151+", Infinity],
+];
+
+// a period after these doesn't end the sentence
+const ABBREVIATIONS = new Set([
+  "mr", "mrs", "ms", "dr", "prof", "sr", "jr", "st", "vs", "etc", "e.g", "i.e", "inc",
+  "ltd", "co", "corp", "approx", "dept", "est", "fig", "no", "vol", "ca", "cf", "al",
+  "jan", "feb", "mar", "apr", "jun", "jul", "aug", "sep", "sept", "oct", "nov", "dec",
+]);
+
+const BE_FORMS = "am|is|are|was|were|be|been|being|isn't|aren't|wasn't|weren't";
+
+const IRREGULAR_PARTICIPLES = [
+  "arisen", "awoken", "beaten", "become", "begun", "bent", "bitten", "bled", "blown",
+  "born", "borne", "bought", "bound", "bred", "broken", "brought", "built", "burnt",
+  "caught", "chosen", "dealt", "done", "drawn", "driven", "eaten", "fallen", "fed",
+  "felt", "forbidden", "forgiven", "forgotten", "fought", "found", "frozen", "given",
+  "ground", "grown", "heard", "held", "hidden", "hit", "hung", "hurt", "kept", "known",
+  "laid", "led", "left", "lent", "lost", "made", "meant", "met", "paid", "put", "read",
+  "ridden", "risen", "run", "said", "seen", "sent", "set", "shaken", "shown", "shut",
+  "slain", "sold", "sought", "spent", "spoken", "spread", "stolen", "struck", "stuck",
+  "sung", "sunk", "sworn", "swept", "taken", "taught", "thought", "thrown", "told",
+  "torn", "understood", "woken", "won", "worn", "woven", "written",
+];
+
+// -ed words that are not participles
+const NOT_PARTICIPLES = new Set([
+  "bed", "red", "need", "feed", "seed", "speed", "shed", "hundred", "embed", "sacred",
+  "naked", "wicked", "indeed", "led", "wed", "shred", "breed", "creed", "greed", "weed",
+]);
+
+const PASSIVE = new RegExp(
+  `\\b(?:${BE_FORMS})\\s+(?:(?:not|never|also|often|always|already|being|\\w+ly)\\s+)*` +
+    `(\\w+ed|${IRREGULAR_PARTICIPLES.join("|")})\\b`,
+  "gi"
+);
+
+const TRANSITIONS = [
+  "accordingly", "additionally", "afterward", "afterwards", "also", "alternatively",
+  "although", "because", "besides", "consequently", "conversely", "finally", "first",
+  "firstly", "further", "furthermore", "hence", "however", "indeed", "instead",
+  "likewise", "meanwhile", "moreover", "nevertheless", "nonetheless", "notably",
+  "otherwise", "overall", "second", "secondly", "similarly", "specifically", "still",
+  "subsequently", "then", "therefore", "thus", "ultimately", "whereas",
+  "above all", "after all", "as a consequence", "as a result", "as long as", "as well as",
+  "at the same time", "by contrast", "due to", "even though", "first of all",
+  "for example", "for instance", "in addition", "in conclusion", "in contrast",
+  "in fact", "in other words", "in particular", "in short", "in summary", "in the end",
+  "in the meantime", "not only", "of course", "on the other hand", "rather than",
+  "so that", "such as", "that is", "to conclude", "to illustrate", "to sum up",
+];
+const TRANSITION_RX = new RegExp(
+  `\\b(?:${[...TRANSITIONS].sort((a, b) => b.length - a.length).join("|").replace(/ /g, "\\s+")})\\b`,
+  "gi"
+);
+
+// prose blocks for readabilityBlocks(); headings, code and chrome are skipped
+const TEXT_BLOCK_TAGS = new Set([
+  "p", "li", "blockquote", "dd", "dt", "td", "th", "figcaption", "div", "section",
+  "article", "main", "ul", "ol", "dl", "table", "tbody", "thead", "tr", "figure",
+  "header", "footer", "body", "html",
+]);
+const NON_PROSE_TAGS = new Set([
+  "h1", "h2", "h3", "h4", "h5", "h6", "pre", "code", "script", "style", "noscript",
+  "template", "svg", "head", "nav", "button", "select", "textarea",
+]);
+
+const collapse = (s) => String(s || "").replace(/\s+/g, " ").trim();
+const round = (n, digits = 1) => Math.round(n * 10 ** digits) / 10 ** digits;
+
+/**
+ * Prose blocks of an HTML document or fragment (string or parseHtml() tree):
+ * one entry per paragraph / list item / cell, headings and code excluded.
+ */
+export function readabilityBlocks(html = "") {
+  const doc = typeof html === "object" && html?.type === "root" ? html : parseHtml(html);
+  const out = [];
+  const collect = (node) => {
+    let run = [];
+    const flush = () => {
+      const text = collapse(run.join(""));
+      if (text) out.push(text);
+      run = [];
+    };
+    for (const c of node.children || []) {
+      if (c.type === "text") run.push(c.text);
+      else if (c.type !== "element") continue;
+      else if (c.tag === "br") run.push(" ");
+      else if (NON_PROSE_TAGS.has(c.tag)) flush();
+      else if (TEXT_BLOCK_TAGS.has(c.tag)) {
+        flush();
+        collect(c);
+      } else run.push(textContent(c));
+    }
+    flush();
+  };
+  collect(doc);
+  return out;
+}
+
+/** Sentences of one block; abbreviations, initials and decimals don't split. */
+export function splitSentences(text = "") {
+  const chunks = String(text).match(/[^.!?…]+(?:[.!?…]+["'”’)\]]*|$)|[.!?…]+/g) || [];
+  const out = [];
+  for (const chunk of chunks) {
+    const prev = out[out.length - 1];
+    if (prev != null) {
+      const lastWord = (prev.match(/([\p{L}.]+)\.["'”’)\]]*$/u)?.[1] || "").toLowerCase();
+      const continues =
+        !/^\s/.test(chunk) ||                       // 3.5, example.com
+        /^\s*[\p{Ll}]/u.test(chunk) ||               // "… e.g. some words"
+        (lastWord && (ABBREVIATIONS.has(lastWord) || /^\p{L}(?:\.\p{L})*$/u.test(lastWord)));
+      if (continues) {
+        out[out.length - 1] = prev + chunk;
+        continue;
+      }
+    }
+    out.push(chunk);
+  }
+  return out.map(collapse).filter((s) => /[\p{L}\p{N}]/u.test(s));
+}
+
+const wordsOf = (text) => String(text).match(/[\p{L}\p{N}][\p{L}\p{N}'’-]*/gu) || [];
+
+/** English syllable estimate (vowel groups minus silent endings), at least 1. */
+export function countSyllables(word = "") {
+  let w = String(word).toLowerCase().replace(/[^a-z]/g, "");
+  if (!w) return 1; // numbers, non-latin words
+  if (w.length <= 3) return 1;
+  w = w.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, "").replace(/^y/, "");
+  const groups = w.match(/[aeiouy]{1,2}/g);
+  return Math.max(1, groups ? groups.length : 0);
+}
+
+function isPassive(sentence) {
+  PASSIVE.lastIndex = 0;
+  let m;
+  while ((m = PASSIVE.exec(sentence))) {
+    if (!NOT_PARTICIPLES.has(m[1].toLowerCase())) return true;
+  }
+  return false;
+}
+
+const flesch = (words, sentences, syllables) =>
+  206.835 - 1.015 * (words / sentences) - 84.6 * (syllables / words);
+const fkGrade = (words, sentences, syllables) =>
+  0.39 * (words / sentences) + 11.8 * (syllables / words) - 15.59;
+
+/** Reading-ease band (Flesch's own scale). */
+export function fleschLevel(score) {
+  if (score == null) return null;
+  if (score >= 90) return "very easy";
+  if (score >= 80) return "easy";
+  if (score >= 70) return "fairly easy";
+  if (score >= 60) return "standard";
+  if (score >= 50) return "fairly difficult";
+  if (score >= 30) return "difficult";
+  return "very difficult";
+}
+
+function distribution(values, buckets) {
+  const out = Object.fromEntries(buckets.map(([label]) => [label, 0]));
+  for (const v of values) out[buckets.find(([, max]) => v <= max)[0]] += 1;
+  return out;
+}
+
+function median(values) {
+  if (!values.length) return 0;
+  const s = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(s.length / 2);
+  return s.length % 2 ? s[mid] : (s[mid - 1] + s[mid]) / 2;
+}
+
+/**
+ * Readability metrics of text blocks (or plain text, paragraphs separated by
+ * blank lines).
+ *
+ * @param {string[]|string} input
+ * @param {{ lang?: string, highlights?: number }} opts - lang: page language
+ *   ("" = assume English); highlights: how many worst sentences to return
+ * Returns {
+ *   words, sentences, paragraphs, syllables, complexWords,   // complex = 3+ syllables
+ *   fleschReadingEase, fleschKincaidGrade, level,            // null without text
+ *   sentenceLength: { avg, median, max, long, longPct, distribution },
+ *   paragraphLength: { avg, median, max, long, distribution },
+ *   passive: { sentences, pct } | null,
+ *   transitions: { sentences, pct, top: [{ phrase, count }] } | null,
+ *   highlights: [{ text, words, issues: ["very-long" | "long" | "passive" | "hard"] }]
+ * }
+ */
+export function analyzeReadability(input, { lang = "", highlights = 10 } = {}) {
+  const blocks = (Array.isArray(input) ? input : String(input || "").split(/\n\s*\n/))
+    .map(collapse)
+    .filter(Boolean);
+  const english = !lang || /^en\b/i.test(lang);
+
+  const sentences = [];
+  const paragraphWords = [];
+  for (const block of blocks) {
+    let words = 0;
+    for (const text of splitSentences(block)) {
+      const w = wordsOf(text);
+      if (!w.length) continue;
+      const syllables = w.reduce((s, x) => s + countSyllables(x), 0);
+      sentences.push({
+        text,
+        words: w.length,
+        syllables,
+        complex: w.filter((x) => countSyllables(x) >= 3).length,
+        passive: english && isPassive(text),
+        transitions: english ? (text.match(TRANSITION_RX) || []).map((t) => collapse(t).toLowerCase()) : [],
+      });
+      words += w.length;
+    }
+    if (words) paragraphWords.push(words);
+  }
+
+  const totalWords = sentences.reduce((s, x) => s + x.words, 0);
+  const totalSyllables = sentences.reduce((s, x) => s + x.syllables, 0);
+  const n = sentences.length;
+  const pct = (count) => (n ? round((count / n) * 100) : 0);
+  const lengths = sentences.map((s) => s.words);
+  const long = lengths.filter((w) => w > LONG_SENTENCE_WORDS).length;
+  const passive = sentences.filter((s) => s.passive).length;
+  const withTransitions = sentences.filter((s) => s.transitions.length).length;
+
+  const transitionCounts = new Map();
+  for (const s of sentences) {
+    for (const t of s.transitions) transitionCounts.set(t, (transitionCounts.get(t) || 0) + 1);
+  }
+
+  // worst offenders first: very long > long, each extra issue adds weight
+  const offenders = sentences
+    .map((s) => {
+      const issues = [];
+      if (s.words > VERY_LONG_SENTENCE_WORDS) issues.push("very-long");
+      else if (s.words > LONG_SENTENCE_WORDS) issues.push("long");
+      if (s.passive) issues.push("passive");
+      if (s.words >= 8 && flesch(s.words, 1, s.syllables) < 30) issues.push("hard");
+      const weight = issues.reduce((w, i) => w + (i === "very-long" ? 2 : 1), 0);
+      return { text: s.text, words: s.words, issues, weight };
+    })
+    .filter((s) => s.weight > 0)
+    .sort((a, b) => b.weight - a.weight || b.words - a.words)
+    .slice(0, highlights)
+    .map(({ weight, ...s }) => s);
+
+  const ease = n ? round(Math.max(0, Math.min(100, flesch(totalWords, n, totalSyllables)))) : null;
+
+  return {
+    words: totalWords,
+    sentences: n,
+    paragraphs: paragraphWords.length,
+    syllables: totalSyllables,
+    complexWords: sentences.reduce((s, x) => s + x.complex, 0),
+    fleschReadingEase: ease,
+    fleschKincaidGrade: n ? round(Math.max(0, fkGrade(totalWords, n, totalSyllables))) : null,
+    level: fleschLevel(ease),
+    sentenceLength: {
+      avg: n ? round(totalWords / n) : 0,
+      median: median(lengths),
+      max: n ? Math.max(...lengths) : 0,
+      long,
+      longPct: pct(long),
+      distribution: distribution(lengths, SENTENCE_BUCKETS),
+    },
+    paragraphLength: {
+      avg: paragraphWords.length ? round(totalWords / paragraphWords.length) : 0,
+      median: median(paragraphWords),
+      max: paragraphWords.length ? Math.max(...paragraphWords) : 0,
+      long: paragraphWords.filter((w) => w > LONG_PARAGRAPH_WORDS).length,
+      distribution: distribution(paragraphWords, PARAGRAPH_BUCKETS),
+    },
+    passive: english ? { sentences: passive, pct: pct(passive) } : null,
+    transitions: english
+      ? {
+          sentences: withTransitions,
+          pct: pct(withTransitions),
+          top: Array.from(transitionCounts.entries())
+            .sort((a, b) => b[1] - a[1])
+            .slice(0, 10)
+            .map(([phrase, count]) => ({ phrase, count })),
+        }
+      : null,
+    highlights: offenders,
+  };
+}
+
+/**
+ * Compact form stored with crawled pages (audits, opportunities) or null
+ * when the page has no prose.
+ */
+export function summarizeReadability(r) {
+  if (!r?.sentences) return null;
+  return {
+    fleschReadingEase: r.fleschReadingEase,
+    fleschKincaidGrade: r.fleschKincaidGrade,
+    level: r.level,
+    avgSentenceWords: r.sentenceLength.avg,
+    longSentencePct: r.sentenceLength.longPct,
+    avgParagraphWords: r.paragraphLength.avg,
+    passivePct: r.passive ? r.passive.pct : null,
+    transitionPct: r.transitions ? r.transitions.pct : null,
+  };
+}
+
+/** "good" | "ok" | "poor" (null without a value) against READABILITY_TARGETS. */
+export function rateReadability(metric, value) {
+  const t = READABILITY_TARGETS[metric];
+  if (!t || value == null) return null;
+  if (t.higherIsBetter) return value >= t.good ? "good" : value >= t.ok ? "ok" : "poor";
+  return value <= t.good ? "good" : value <= t.ok ? "ok" : "poor";
+}
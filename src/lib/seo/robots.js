@@ -0,0 +1,395 @@
+// src/lib/seo/robots.js
+
+/**
+ * robots.txt support for our crawler (RFC 9309 + the common Crawl-delay extension).
+ *
+ * - One user agent for every crawler fetch: CRAWLER_USER_AGENT, matched in
+ *   robots.txt by its product token CRAWLER_TOKEN ("DoctorFizzBot").
+ *   Override with SEO_CRAWLER_USER_AGENT / SEO_CRAWLER_INFO_URL.
+ * - Group selection: the most specific user-agent line matching our token,
+ *   else "*". Rules: longest matching path wins, Allow wins ties, supports
+ *   "*" and "$" wildcards.
+ * - Fetch outcome: 2xx -> parse, 4xx -> no restrictions,
+ *   5xx / network error -> treat the site as fully disallowed (per RFC 9309)
+ *   and mark it `unavailable`, so scans can retry instead of reporting an
+ *   empty site.
+ * - Parsed files are cached per origin for ROBOTS_TTL_MS; failed fetches only
+ *   for ROBOTS_FAILURE_TTL_MS, so a brief outage doesn't block a site for long.
+ *
+ * Crawlers use a gate per scan:
+ *   const robots = createRobotsGate({ signal });
+ *   if (await robots.allow(url)) { await robots.wait(url); fetch(url, …) }
+ * (createCrawler in crawler.js does this for you.)
+ *   diagnostics.robots = robots.summary();
+ */
+
+export const CRAWLER_TOKEN = "DoctorFizzBot";
+
+// page site owners can read about the bot (defaults to the app's own URL)
+const INFO_URL = (
+  process.env.SEO_CRAWLER_INFO_URL || (process.env.NEXT_PUBLIC_APP_URL || "").trim()
+).replace(/\/$/, "");
+
+export const CRAWLER_USER_AGENT =
+  process.env.SEO_CRAWLER_USER_AGENT ||
+  `Mozilla/5.0 (compatible; ${CRAWLER_TOKEN}/1.0${INFO_URL ? `; +${INFO_URL}` : ""})`;
+
+const ROBOTS_TTL_MS = 60 * 60 * 1000;
+const ROBOTS_FAILURE_TTL_MS = 60 * 1000;
+const ROBOTS_TIMEOUT_MS = 8000;
+const MAX_ROBOTS_BYTES = 500 * 1024; // RFC 9309: parse at least 500 KiB
+const MAX_CRAWL_DELAY_MS = 30_000;
+const MAX_REPORTED_SKIPS = 50;
+
+const g = globalThis;
+
+// origin -> { robots, expiresAt } ; kept across hot reloads in dev
+if (!g.__drfizzRobotsCache) {
+  g.__drfizzRobotsCache = new Map();
+}
+
+const cache = g.__drfizzRobotsCache;
+
+// origin -> Promise of the robots.txt fetch in progress, shared by concurrent callers
+const inflight = new Map();
+
+// ---------------------------
+// Parsing
+// ---------------------------
+
+/**
+ * Parse robots.txt into groups.
+ * Returns: { groups: [{ agents, rules: [{ allow, path }], crawlDelay }], sitemaps }
+ */
+export function parseRobotsTxt(text = "") {
+  const groups = [];
+  const sitemaps = [];
+
+  let current = null;
+  let lastWasAgent = false;
+
+  for (const rawLine of String(text).split(/\r?\n/)) {
+    const line = rawLine.replace(/#.*$/, "").trim();
+    if (!line) continue;
+
+    const idx = line.indexOf(":");
+    if (idx < 0) continue;
+
+    const key = line.slice(0, idx).trim().toLowerCase();
+    const value = line.slice(idx + 1).trim();
+
+    if (key === "sitemap") {
+      if (value) sitemaps.push(value);
+      continue;
+    }
+
+    if (key === "user-agent") {
+      // consecutive user-agent lines share one group
+      if (!current || !lastWasAgent) {
+        current = { agents: [], rules: [], crawlDelay: null };
+        groups.push(current);
+      }
+      current.agents.push(value.toLowerCase());
+      lastWasAgent = true;
+      continue;
+    }
+
+    lastWasAgent = false;
+    if (!current) continue; // rules before any user-agent line are ignored
+
+    if (key === "allow" || key === "disallow") {
+      // an empty Disallow means "allow everything" -> no rule
+      if (value) current.rules.push({ allow: key === "allow", path: value });
+    } else if (key === "crawl-delay") {
+      const n = Number(value);
+      if (Number.isFinite(n) && n >= 0) current.crawlDelay = n;
+    }
+  }
+
+  return { groups, sitemaps };
+}
+
+function selectGroups(parsed, token = CRAWLER_TOKEN) {
+  const t = token.toLowerCase();
+  let best = [];
+  let bestLen = -1;
+
+  for (const group of parsed.groups) {
+    for (const agent of group.agents) {
+      if (agent === "*" || !t.includes(agent)) continue;
+      if (agent.length > bestLen) {
+        best = [group];
+        bestLen = agent.length;
+      } else if (agent.length === bestLen) {
+        best.push(group);
+      }
+    }
+  }
+
+  if (best.length) return best;
+  return parsed.groups.filter((grp) => grp.agents.includes("*"));
+}
+
+function normalizePath(path = "") {
+  // compare with consistent percent-encoding
+  try {
+    return encodeURI(decodeURI(path));
+  } catch {
+    return path;
+  }
+}
+
+function patternToRegExp(pattern) {
+  const anchored = pattern.endsWith("$");
+  const body = normalizePath(anchored ? pattern.slice(0, -1) : pattern)
+    .split("*")
+    .map((part) => part.replace(/[.+?^${}()|[\]\\]/g, "\\$&"))
+    .join(".*");
+  return new RegExp(`^${body}${anchored ? "$" : ""}`);
+}
+
+/**
+ * Build a matcher for our user agent from a parsed robots.txt.
+ */
+export function compileRobots(parsed, { token = CRAWLER_TOKEN } = {}) {
+  const groups = selectGroups(parsed, token);
+
+  const rules = groups
+    .flatMap((grp) => grp.rules)
+    .map((r) => ({ ...r, re: patternToRegExp(r.path), length: r.path.length }));
+
+  const delays = groups.map((grp) => grp.crawlDelay).filter((d) => d != null);
+  const crawlDelayMs = delays.length ? Math.max(...delays) * 1000 : 0;
+
+  return {
+    sitemaps: parsed.sitemaps,
+    crawlDelayMs,
+
+    /** -> { allowed, rule } */
+    match(pathWithQuery) {
+      const target = normalizePath(pathWithQuery || "/");
+      if (target === "/robots.txt") return { allowed: true, rule: null };
+
+      let best = null;
+      for (const r of rules) {
+        if (!r.re.test(target)) continue;
+        if (
+          !best ||
+          r.length > best.length ||
+          (r.length === best.length && r.allow && !best.allow)
+        ) {
+          best = r;
+        }
+      }
+
+      return {
+        allowed: best ? best.allow : true,
+        rule: best ? `${best.allow ? "Allow" : "Disallow"}: ${best.path}` : null,
+      };
+    },
+  };
+}
+
+// ---------------------------
+// Fetching
+// ---------------------------
+// shared between scans, so no scan's signal aborts it (callers stop waiting instead)
+async function fetchRobots(origin) {
+  const url = `${origin}/robots.txt`;
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), ROBOTS_TIMEOUT_MS);
+
+  try {
+    const res = await fetch(url, {
+      redirect: "follow",
+      signal: ctrl.signal,
+      headers: { "User-Agent": CRAWLER_USER_AGENT, Accept: "text/plain,*/*" },
+    });
+
+    if (res.status >= 200 && res.status < 300) {
+      const text = (await res.text().catch(() => "")).slice(0, MAX_ROBOTS_BYTES);
+      return { url, status: res.status, ...compileRobots(parseRobotsTxt(text)), disallowAll: false };
+    }
+
+    // 4xx: robots.txt "unavailable" -> crawl without restrictions
+    if (res.status >= 400 && res.status < 500) {
+      return { url, status: res.status, ...compileRobots(parseRobotsTxt("")), disallowAll: false };
+    }
+
+    return {
+      url,
+      status: res.status,
+      ...compileRobots(parseRobotsTxt("")),
+      disallowAll: true,
+      unavailable: true,
+    };
+  } catch (e) {
+    return {
+      url,
+      status: 0,
+      error: e?.message || "robots.txt unreachable",
+      ...compileRobots(parseRobotsTxt("")),
+      disallowAll: true,
+      unavailable: true,
+    };
+  } finally {
+    clearTimeout(t);
+  }
+}
+
+// `promise`, or a rejection as soon as `signal` aborts
+function untilAborted(promise, signal) {
+  if (!signal) return promise;
+  if (signal.aborted) return Promise.reject(signal.reason);
+  return new Promise((resolve, reject) => {
+    const onAbort = () => reject(signal.reason);
+    signal.addEventListener("abort", onAbort, { once: true });
+    promise.then(resolve, reject).finally(() => signal.removeEventListener("abort", onAbort));
+  });
+}
+
+/**
+ * Cached robots.txt matcher for the origin of `url`.
+ * `retryFailed` refetches a cached failure (a new scan, e.g. a queue retry).
+ * Concurrent calls for one origin share a single fetch.
+ */
+export async function getRobots(url, { signal, retryFailed = false } = {}) {
+  const origin = new URL(url).origin;
+  const hit = cache.get(origin);
+  if (hit && hit.expiresAt > Date.now() && !(retryFailed && hit.robots.unavailable)) return hit.robots;
+
+  if (!inflight.has(origin)) {
+    const pending = fetchRobots(origin)
+      .then((robots) => {
+        const ttlMs = robots.unavailable ? ROBOTS_FAILURE_TTL_MS : ROBOTS_TTL_MS;
+        cache.set(origin, { robots, expiresAt: Date.now() + ttlMs });
+        return robots;
+      })
+      .finally(() => inflight.delete(origin));
+    inflight.set(origin, pending);
+  }
+  return untilAborted(inflight.get(origin), signal);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(signal.reason);
+    const t = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(t);
+      reject(signal.reason);
+    };
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+// ---------------------------
+// Per-scan gate
+// ---------------------------
+
+/**
+ * robots.txt gate for one crawl/scan: checks URLs, spaces requests by the
+ * site's Crawl-delay and records skipped URLs for the scan diagnostics.
+ */
+export function createRobotsGate({ signal } = {}) {
+  const skipped = [];
+  const skippedSet = new Set();
+  const lastFetchAt = new Map(); // origin -> timestamp
+  const origins = new Map(); // origin -> robots
+  const firstLoads = new Map(); // origin -> Promise of the scan's first load
+
+  const load = async (url) => {
+    const origin = new URL(url).origin;
+    // each scan gives a failed robots.txt one fresh attempt; URLs checked
+    // concurrently wait for it instead of each retrying
+    if (!firstLoads.has(origin)) {
+      firstLoads.set(origin, getRobots(url, { signal, retryFailed: true }));
+    }
+    let robots = await firstLoads.get(origin);
+    // later calls follow the shared cache (a failure expires after a minute)
+    if (origins.has(origin)) robots = await getRobots(url, { signal });
+    origins.set(origin, robots);
+    return robots;
+  };
+
+  return {
+    /** true when robots.txt lets us fetch `url`; disallowed URLs are recorded */
+    async allow(url) {
+      let u;
+      try {
+        u = new URL(url);
+      } catch {
+        return false;
+      }
+
+      const robots = await load(url);
+      const verdict = robots.disallowAll
+        ? { allowed: false, rule: robots.error ? "robots.txt unreachable" : `robots.txt ${robots.status}` }
+        : robots.match(`${u.pathname}${u.search}`);
+
+      if (!verdict.allowed && !skippedSet.has(url)) {
+        skippedSet.add(url);
+        skipped.push({ url, rule: verdict.rule });
+      }
+      return verdict.allowed;
+    },
+
+    /**
+     * Wait for this origin's next request slot: starts are spaced by the
+     * Crawl-delay (at least `minDelayMs`). Safe to call concurrently.
+     */
+    async wait(url, { minDelayMs = 0 } = {}) {
+      const origin = new URL(url).origin;
+      const robots = origins.get(origin) || (await load(url));
+      const delay = Math.max(minDelayMs, Math.min(robots.crawlDelayMs || 0, MAX_CRAWL_DELAY_MS));
+
+      const now = Date.now();
+      const last = lastFetchAt.get(origin);
+      const at = last == null ? now : Math.max(now, last + delay);
+
+      // reserve the slot before sleeping so concurrent callers queue up behind it
+      lastFetchAt.set(origin, at);
+      if (at > now) await sleep(at - now, signal);
+    },
+
+    skippedUrls() {
+      return skipped.map((s) => s.url);
+    },
+
+    /** robots.txt files that failed to load (5xx / network) in this scan */
+    unavailable() {
+      return Array.from(origins.values())
+        .filter((r) => r.unavailable)
+        .map((r) => ({ url: r.url, status: r.status, ...(r.error ? { error: r.error } : {}) }));
+    },
+
+    summary() {
+      return {
+        userAgent: CRAWLER_USER_AGENT,
+        files: Array.from(origins.values()).map((r) => ({
+          url: r.url,
+          status: r.status,
+          crawlDelayMs: r.crawlDelayMs,
+          crawlDelayCapped: r.crawlDelayMs > MAX_CRAWL_DELAY_MS,
+          disallowAll: r.disallowAll,
+          ...(r.error ? { error: r.error } : {}),
+        })),
+        skippedCount: skipped.length,
+        skipped: skipped.slice(0, MAX_REPORTED_SKIPS),
+      };
+    },
+  };
+}
+
+/**
+ * Throws when a gate's robots.txt could not be fetched (5xx / network), so a
+ * scan that found nothing because of it fails and is retried by the queue.
+ */
+export function throwIfRobotsUnavailable(gate) {
+  const [file] = gate.unavailable();
+  if (!file) return;
+  throw new Error(`robots.txt unavailable (${file.error || `HTTP ${file.status}`}): ${file.url}`);
+}
@@ -0,0 +1,244 @@
+// src/lib/seo/site-health.js
+import { extractPage } from "@/lib/seo/extraction";
+import { extractMainContent } from "@/lib/seo/main-content";
+import { analyzeReadability, readabilityBlocks, summarizeReadability } from "@/lib/seo/readability";
+import { parseHtml } from "@/lib/seo/html-parser";
+import { urlKey } from "@/lib/seo/canonical";
+import { toLinkEdges } from "@/lib/seo/link-graph";
+
+/**
+ * Site Health audit: per-page checks on crawl results + a health score.
+ *
+ *   const page = inspectPage(crawlResult, { inSitemap });    // one per crawled URL
+ *   const report = buildSiteHealthReport(pages);             // issues + score
+ *
+ * Every issue is { type, severity, title, count, affected: [{ url, note, sources? }] }.
+ *
+ * Score (0-100): share of audited pages without problems, where a page with
+ * an error costs 1 and a page with only warnings costs 0.5 (notices are free).
+ */
+
+export const SEVERITIES = ["error", "warning", "notice"];
+
+const SEVERITY_COST = { error: 1, warning: 0.5, notice: 0 };
+
+// HTML documents above this are slow to download and parse
+export const OVERSIZED_PAGE_BYTES = 2 * 1024 * 1024;
+
+// chains with more hops than this lose link equity / crawl budget
+const MAX_REDIRECT_HOPS = 1;
+
+export const ISSUE_TYPES = {
+  "http-5xx": { severity: "error", title: "Pages returning 5xx server errors" },
+  "http-4xx": { severity: "error", title: "Pages returning 4xx client errors" },
+  "broken-internal-link": { severity: "error", title: "Broken internal links" },
+  "redirect-loop": { severity: "error", title: "Redirect loops" },
+  "redirect-chain": { severity: "warning", title: "Redirect chains" },
+  "missing-title": { severity: "error", title: "Missing title tag" },
+  "duplicate-title": { severity: "warning", title: "Duplicate title tags" },
+  "missing-meta-description": { severity: "warning", title: "Missing meta description" },
+  "duplicate-meta-description": { severity: "warning", title: "Duplicate meta descriptions" },
+  "missing-h1": { severity: "warning", title: "Missing H1 heading" },
+  "noindex-in-sitemap": { severity: "error", title: "Noindex pages listed in the sitemap" },
+  "oversized-page": { severity: "warning", title: "Oversized HTML pages" },
+  "fetch-error": { severity: "notice", title: "Pages that could not be fetched" },
+  "orphan-page": { severity: "notice", title: "Orphan pages (in the sitemap, never linked)" },
+};
+
+function isHtmlResponse(result) {
+  const type = String(result?.contentType || "").toLowerCase();
+  return !type || type.includes("html");
+}
+
+/**
+ * Audit record of one crawler result (createCrawler().fetch).
+ * Returns {
+ *   url, finalUrl, status, error, redirects, inSitemap,
+ *   isHtml, title, description, h1, h1Count, noindex, canonical, bytes, wordCount,
+ *   readability, // summarizeReadability() of the main content, null without prose
+ *   links,       // unique link targets
+ *   linkEdges    // every <a>: { target, anchor, nofollow, placement } (link-graph.js)
+ * }
+ */
+export function inspectPage(result, { inSitemap = false } = {}) {
+  const base = {
+    url: result.url,
+    finalUrl: result.finalUrl || result.url,
+    status: result.status || 0,
+    error: result.error || null,
+    redirects: result.redirects || [],
+    inSitemap: Boolean(inSitemap),
+    isHtml: false,
+  };
+
+  if (!result.ok || !result.text || !isHtmlResponse(result)) return base;
+
+  const html = result.text;
+  const doc = parseHtml(html);
+  const page = extractPage(doc, { baseUrl: base.finalUrl });
+  const h1 = page.headings.filter((h) => h.level === 1).map((h) => h.text);
+  const linkEdges = toLinkEdges(page.links);
+  // main content only: nav / footer / cookie banners don't count
+  const main = extractMainContent(doc, { baseUrl: base.finalUrl });
+  return {
+    ...base,
+    isHtml: true,
+    title: page.title,
+    description: page.description,
+    h1: h1[0] || "",
+    h1Count: h1.length,
+    noindex: page.robots.noindex,
+    canonical: page.canonical,
+    bytes: Buffer.byteLength(html, "utf8"),
+    wordCount: main.wordCount,
+    readability: summarizeReadability(
+      analyzeReadability(readabilityBlocks(main.html), { lang: page.lang, highlights: 0 })
+    ),
+    links: Array.from(new Set(linkEdges.map((e) => e.target))),
+    linkEdges,
+  };
+}
+
+/**
+ * Issues + health score for the pages of one crawl.
+ *
+ * pages: inspectPage() records
+ * options.isInternal: (url) => boolean, which link targets belong to the site
+ * options.orphans: orphan URLs of the crawl's link graph (link-graph.js); only
+ *   pass them when the link crawl is complete
+ *
+ * Returns {
+ *   score, pagesAudited,
+ *   counts: { error, warning, notice },
+ *   issues: [{ type, severity, title, count, affected }]   // errors first
+ * }
+ */
+export function buildSiteHealthReport(pages = [], { isInternal = () => true, orphans = [] } = {}) {
+  const found = new Map(); // type -> affected[]
+  const add = (type, url, note, extra) => {
+    if (!found.has(type)) found.set(type, []);
+    found.get(type).push({ url, note, ...extra });
+  };
+
+  // status of every crawled URL (request URL and where it ended up)
+  const statusOf = new Map();
+  for (const p of pages) {
+    statusOf.set(p.url, p);
+    if (p.finalUrl) statusOf.set(p.finalUrl, p);
+  }
+
+  // content checks once per document: URLs redirecting to an audited page share it
+  const documents = new Map(); // finalUrl -> page
+  for (const p of pages) {
+    if (p.isHtml && !documents.has(p.finalUrl)) documents.set(p.finalUrl, p);
+  }
+
+  for (const p of pages) {
+    const hops = p.redirects.length;
+
+    if (p.error === "Redirect loop") {
+      add("redirect-loop", p.url, p.redirects.map((r) => r.url).join(" → "));
+    } else if (hops > MAX_REDIRECT_HOPS) {
+      add("redirect-chain", p.url, `${hops} redirects → ${p.finalUrl}`, {
+        chain: p.redirects.map(({ url, status }) => ({ url, status })),
+      });
+    }
+
+    if (p.status >= 500) add("http-5xx", p.url, `HTTP ${p.status}`);
+    else if (p.status >= 400) add("http-4xx", p.url, `HTTP ${p.status}`);
+    else if (!p.status && p.error) add("fetch-error", p.url, p.error);
+
+    if (documents.get(p.finalUrl) !== p) continue;
+
+    if (!p.title) add("missing-title", p.url, "No <title>");
+    if (!p.description) add("missing-meta-description", p.url, "No meta description");
+    if (!p.h1Count) add("missing-h1", p.url, "No <h1>");
+    if (p.noindex && p.inSitemap) add("noindex-in-sitemap", p.url, "meta robots noindex");
+    if (p.bytes > OVERSIZED_PAGE_BYTES) {
+      add("oversized-page", p.url, `${(p.bytes / 1024 / 1024).toFixed(1)} MB of HTML`);
+    }
+  }
+
+  // duplicates among indexable HTML pages; canonicalised copies are expected to match
+  const indexable = Array.from(documents.values()).filter(
+    (p) => !p.noindex && (!p.canonical || urlKey(p.canonical) === urlKey(p.finalUrl))
+  );
+  for (const [type, field] of [
+    ["duplicate-title", "title"],
+    ["duplicate-meta-description", "description"],
+  ]) {
+    const groups = new Map();
+    for (const p of indexable) {
+      const value = String(p[field] || "").trim().toLowerCase();
+      if (!value) continue;
+      if (!groups.has(value)) groups.set(value, []);
+      groups.get(value).push(p);
+    }
+    for (const group of groups.values()) {
+      if (group.length < 2) continue;
+      for (const p of group) {
+        add(type, p.url, `Shared with ${group.length - 1} other page${group.length > 2 ? "s" : ""}`, {
+          value: p[field],
+        });
+      }
+    }
+  }
+
+  // broken internal links: one entry per target, with the pages linking to it
+  const brokenSources = new Map(); // target -> Set(source)
+  for (const p of documents.values()) {
+    for (const link of p.links || []) {
+      const target = statusOf.get(link);
+      if (!target || !isInternal(link)) continue;
+      const broken = target.status >= 400 || target.error === "Redirect loop";
+      if (!broken) continue;
+      if (!brokenSources.has(link)) brokenSources.set(link, new Set());
+      brokenSources.get(link).add(p.url);
+    }
+  }
+  for (const [target, sources] of brokenSources) {
+    const t = statusOf.get(target);
+    add(
+      "broken-internal-link",
+      target,
+      `${t.error || `HTTP ${t.status}`} · linked from ${sources.size} page${sources.size === 1 ? "" : "s"}`,
+      { sources: Array.from(sources) }
+    );
+  }
+
+  for (const url of orphans) add("orphan-page", url, "Listed in the sitemap, no internal links to it");
+
+  const issues = Array.from(found.entries())
+    .map(([type, affected]) => ({
+      type,
+      severity: ISSUE_TYPES[type].severity,
+      title: ISSUE_TYPES[type].title,
+      count: affected.length,
+      affected,
+    }))
+    .sort(
+      (a, b) =>
+        SEVERITIES.indexOf(a.severity) - SEVERITIES.indexOf(b.severity) || b.count - a.count
+    );
+
+  // worst severity per page; broken links count against the pages that contain them
+  const worst = new Map();
+  const mark = (url, severity) => {
+    if (SEVERITY_COST[severity] > (SEVERITY_COST[worst.get(url)] ?? -1)) worst.set(url, severity);
+  };
+  for (const issue of issues) {
+    for (const a of issue.affected) {
+      if (issue.type === "broken-internal-link") a.sources.forEach((s) => mark(s, issue.severity));
+      else mark(a.url, issue.severity);
+    }
+  }
+
+  const audited = pages.length;
+  const cost = Array.from(worst.values()).reduce((sum, s) => sum + SEVERITY_COST[s], 0);
+  const score = audited ? Math.max(0, Math.round(100 * (1 - cost / audited))) : null;
+
+  const counts = { error: 0, warning: 0, notice: 0 };
+  for (const issue of issues) counts[issue.severity] += issue.count;
+
+  return { score, pagesAudited: audited, counts, issues };
+}
@@ -0,0 +1,261 @@
+// src/lib/seo/sitemap.js
+import { getRobots } from "@/lib/seo/robots";
+import { createCrawler } from "@/lib/seo/crawler";
+
+/**
+ * Sitemap ingestion (sitemaps.org protocol + Google image/news/hreflang extensions).
+ *
+ * - Roots: `Sitemap:` lines of robots.txt, else /sitemap_index.xml and /sitemap.xml
+ * - Nested <sitemapindex> files are followed breadth-first (MAX_INDEX_DEPTH levels)
+ * - .xml.gz (and any gzip body) is decompressed by the crawler
+ * - Each <url> becomes an entry:
+ *   {
+ *     url, lastmod, changefreq, priority,
+ *     images:     [{ loc, title, caption }],
+ *     news:       { title, publicationDate, name, language } | null,
+ *     alternates: [{ hreflang, href }],
+ *     sourceSitemap, sourceIndex   // file the entry came from + its parent index
+ *   }
+ *
+ * Files are parsed one <url>/<sitemap> block at a time, so large sitemaps
+ * don't build a full document tree.
+ */
+
+const MAX_SITEMAPS = 100;
+const MAX_INDEX_DEPTH = 4;
+const MAX_ENTRIES = 50_000;
+const MAX_BYTES = 50 * 1024 * 1024; // protocol limit per (uncompressed) file
+
+export const CHANGEFREQS = ["always", "hourly", "daily", "weekly", "monthly", "yearly", "never"];
+
+// ---------------------------
+// Minimal XML helpers
+// ---------------------------
+function decodeXml(s = "") {
+  return String(s)
+    .replace(/&#x([0-9a-f]+);/gi, (_, h) => String.fromCodePoint(parseInt(h, 16)))
+    .replace(/&#(\d+);/g, (_, d) => String.fromCodePoint(Number(d)))
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+// text of the first <tag> (any namespace prefix), CDATA unwrapped
+function childText(block, tag) {
+  const re = new RegExp(`<(?:[\\w.-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w.-]+:)?${tag}>`, "i");
+  const m = block.match(re);
+  if (!m) return "";
+  const cdata = m[1].match(/^\s*<!\[CDATA\[([\s\S]*?)\]\]>\s*$/);
+  return (cdata ? cdata[1] : decodeXml(m[1])).trim();
+}
+
+// every <tag>…</tag> (any namespace prefix) in `xml`
+function blocks(xml, tag) {
+  const re = new RegExp(`<(?:[\\w.-]+:)?${tag}\\b[^>]*>([\\s\\S]*?)</(?:[\\w.-]+:)?${tag}>`, "gi");
+  return Array.from(xml.matchAll(re), (m) => m[1]);
+}
+
+function attrs(tagSource) {
+  const out = {};
+  for (const m of tagSource.matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) {
+    out[m[1].toLowerCase()] = decodeXml(m[2] ?? m[3] ?? "");
+  }
+  return out;
+}
+
+function toIso(value) {
+  const t = Date.parse(value || "");
+  return Number.isFinite(t) ? new Date(t).toISOString() : null;
+}
+
+function documentKind(xml) {
+  // root element name, skipping the prolog/comments
+  const m = xml.match(/<(?:[\w.-]+:)?(sitemapindex|urlset)\b/i);
+  return m ? m[1].toLowerCase() : null;
+}
+
+const IMAGE_BLOCK_RE = /<(?:[\w.-]+:)?image\b[^>]*>[\s\S]*?<\/(?:[\w.-]+:)?image>/gi;
+
+function parseUrlBlock(block) {
+  // <image:image> has its own <image:loc>: read page-level fields without those blocks
+  const own = block.replace(IMAGE_BLOCK_RE, "");
+
+  const loc = childText(own, "loc");
+  if (!loc) return null;
+
+  const changefreq = childText(own, "changefreq").toLowerCase();
+  const rawPriority = childText(own, "priority");
+  const priority = Number(rawPriority);
+
+  const images = blocks(block, "image")
+    .map((img) => ({
+      loc: childText(img, "loc"),
+      title: childText(img, "title") || null,
+      caption: childText(img, "caption") || null,
+    }))
+    .filter((img) => img.loc);
+
+  const newsBlock = blocks(own, "news")[0];
+  const news = newsBlock
+    ? {
+        title: childText(newsBlock, "title") || null,
+        publicationDate: toIso(childText(newsBlock, "publication_date")),
+        name: childText(newsBlock, "name") || null,
+        language: childText(newsBlock, "language") || null,
+      }
+    : null;
+
+  const alternates = Array.from(own.matchAll(/<(?:[\w.-]+:)?link\b([^>]*)\/?>/gi))
+    .map((m) => attrs(m[1]))
+    .filter((a) => a.rel === "alternate" && a.hreflang && a.href)
+    .map((a) => ({ hreflang: a.hreflang, href: a.href }));
+
+  return {
+    url: loc,
+    lastmod: toIso(childText(own, "lastmod")),
+    changefreq: CHANGEFREQS.includes(changefreq) ? changefreq : null,
+    priority: rawPriority && Number.isFinite(priority) ? priority : null,
+    images,
+    news,
+    alternates,
+  };
+}
+
+/**
+ * Parse one sitemap document.
+ * Returns { kind: "index" | "urlset" | null, sitemaps: [{ url, lastmod }], entries: [...] }
+ */
+export function parseSitemapXml(xml = "") {
+  const kind = documentKind(xml);
+
+  if (kind === "sitemapindex") {
+    const sitemaps = blocks(xml, "sitemap")
+      .map((b) => ({ url: childText(b, "loc"), lastmod: toIso(childText(b, "lastmod")) }))
+      .filter((s) => s.url);
+    return { kind: "index", sitemaps, entries: [] };
+  }
+
+  if (kind === "urlset") {
+    const entries = blocks(xml, "url").map(parseUrlBlock).filter(Boolean);
+    return { kind: "urlset", sitemaps: [], entries };
+  }
+
+  return { kind: null, sitemaps: [], entries: [] };
+}
+
+// ---------------------------
+// Fetching
+// ---------------------------
+const SITEMAP_ACCEPT = "application/xml,text/xml,application/x-gzip,*/*";
+
+/**
+ * Collect every URL entry reachable from a site's sitemaps.
+ * Child sitemaps of one index level are fetched concurrently through the crawler.
+ *
+ * options:
+ * - crawler:     shared crawl engine (createCrawler); one is created when omitted
+ * - skipSitemap: (childUrl) => boolean, children of an index we don't need
+ * - maxEntries:  stop after this many entries
+ *
+ * Returns { entries, files: [{ url, kind, status, count, notModified, error? }], fromRobots }
+ */
+export async function fetchSitemapEntries(
+  siteUrl,
+  { signal, crawler = createCrawler({ signal }), skipSitemap, maxEntries = MAX_ENTRIES } = {}
+) {
+  const origin = new URL(siteUrl).origin;
+
+  let declared = [];
+  try {
+    declared = (await getRobots(origin, { signal })).sitemaps || [];
+  } catch {
+    signal?.throwIfAborted();
+  }
+
+  const entries = [];
+  const files = [];
+  const seenFiles = new Set();
+  const seenUrls = new Set();
+
+  // sitemaps are meant for crawlers: fetch them even where robots.txt disallows the path
+  const fetchFile = (url) =>
+    crawler.fetch(url, { accept: SITEMAP_ACCEPT, respectRobots: false, maxBytes: MAX_BYTES });
+
+  // returns the child sitemaps of an index
+  const ingest = ({ url, parent }, res) => {
+    const file = {
+      url,
+      kind: null,
+      status: res.status,
+      count: 0,
+      notModified: Boolean(res.notModified),
+    };
+    if (res.error || res.skipped) file.error = res.error || `skipped (${res.skipped})`;
+    files.push(file);
+
+    const parsed = parseSitemapXml(res.text || "");
+    file.kind = parsed.kind;
+
+    for (const entry of parsed.entries) {
+      if (entries.length >= maxEntries) break;
+      if (seenUrls.has(entry.url)) continue;
+      seenUrls.add(entry.url);
+      entries.push({ ...entry, sourceSitemap: url, sourceIndex: parent });
+      file.count += 1;
+    }
+
+    if (parsed.kind !== "index") return [];
+    file.count = parsed.sitemaps.length;
+    return parsed.sitemaps
+      .filter((child) => !skipSitemap?.(child.url))
+      .map((child) => ({ url: child.url, parent: url }));
+  };
+
+  // breadth-first over (nested) indexes
+  let level = [];
+  if (declared.length) {
+    level = declared.map((url) => ({ url, parent: null }));
+  } else {
+    // default locations are alternatives: take the first one that yields something
+    for (const url of [`${origin}/sitemap_index.xml`, `${origin}/sitemap.xml`]) {
+      seenFiles.add(url);
+      const children = ingest({ url, parent: null }, await fetchFile(url));
+      if (entries.length || children.length) {
+        level = children;
+        break;
+      }
+    }
+  }
+
+  for (let depth = 0; depth <= MAX_INDEX_DEPTH && level.length; depth += 1) {
+    signal?.throwIfAborted();
+
+    const batch = [];
+    for (const f of level) {
+      if (files.length + batch.length >= MAX_SITEMAPS) break;
+      if (seenFiles.has(f.url)) continue;
+      seenFiles.add(f.url);
+      batch.push(f);
+    }
+    if (!batch.length || entries.length >= maxEntries) break;
+
+    const results = await crawler.fetchAll(
+      batch.map((f) => f.url),
+      { accept: SITEMAP_ACCEPT, respectRobots: false, maxBytes: MAX_BYTES }
+    );
+
+    level = batch.flatMap((f, i) => ingest(f, results[i]));
+  }
+
+  return { entries, files, fromRobots: declared.length > 0 };
+}
+
+/**
+ * Best "recently updated" timestamp of an entry (lastmod, else news publication date).
+ */
+export function entryUpdatedAt(entry) {
+  const t = Date.parse(entry?.lastmod || entry?.news?.publicationDate || "");
+  return Number.isFinite(t) ? t : null;
+}
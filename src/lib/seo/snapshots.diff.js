@@ -0,0 +1,89 @@
+// src/lib/seo/snapshots.diff.js
+
+const DIFF_FIELDS = ["title", "description", "wordCount"];
+
+function indexByUrl(snapshot) {
+  const out = new Map();
+  const add = (arr, kind) => {
+    for (const item of Array.isArray(arr) ? arr : []) {
+      if (!item?.url || out.has(item.url)) continue;
+      out.set(item.url, { ...item, kind });
+    }
+  };
+  add(snapshot?.blogs, "blog");
+  add(snapshot?.pages, "page");
+  return out;
+}
+
+function pickItem({ url, kind, title, description, wordCount }) {
+  return {
+    url,
+    kind,
+    title: title || "",
+    description: description || "",
+    wordCount: Number(wordCount) || 0,
+  };
+}
+
+/**
+ * Structured diff between two opportunity snapshots (older -> newer).
+ *
+ * Returns:
+ * {
+ *   from, to,
+ *   added:   [{ url, kind, title, description, wordCount }],
+ *   removed: [{ url, kind, title, description, wordCount }],
+ *   changed: [{ url, kind, changes: { title?: { from, to }, ... } }],
+ *   summary: { added, removed, changed, unchanged }
+ * }
+ */
+export function diffOpportunitiesSnapshots(older, newer) {
+  const a = indexByUrl(older);
+  const b = indexByUrl(newer);
+
+  const added = [];
+  const removed = [];
+  const changed = [];
+  let unchanged = 0;
+
+  for (const [url, next] of b) {
+    const prev = a.get(url);
+    if (!prev) {
+      added.push(pickItem(next));
+      continue;
+    }
+
+    const p = pickItem(prev);
+    const n = pickItem(next);
+    const changes = {};
+
+    for (const field of DIFF_FIELDS) {
+      if (p[field] !== n[field]) {
+        changes[field] = { from: p[field], to: n[field] };
+        if (field === "wordCount") changes[field].delta = n[field] - p[field];
+      }
+    }
+    if (p.kind !== n.kind) changes.kind = { from: p.kind, to: n.kind };
+
+    if (Object.keys(changes).length) changed.push({ url, kind: n.kind, changes });
+    else unchanged += 1;
+  }
+
+  for (const [url, prev] of a) {
+    if (!b.has(url)) removed.push(pickItem(prev));
+  }
+
+  return {
+    from: older?.version ?? null,
+    to: newer?.version ?? null,
+    added,
+    removed,
+    changed,
+    summary: {
+      added: added.length,
+      removed: removed.length,
+      changed: changed.length,
+      unchanged,
+    },
+  };
+}
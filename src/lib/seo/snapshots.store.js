@@ -1,18 +1,75 @@
 // src/lib/seo/snapshots.store.js
 import { randomUUID } from "crypto";
+import { EventEmitter } from "events";
+import { getStorage } from "@/lib/seo/storage";
+import { dispatchScanEvent } from "@/lib/seo/webhooks";
 
+// Collections live in the configured storage backend (memory by default, see storage/index.js)
+const store = {
+  get scansById() {
+    return getStorage().collection("scans");
+  },
+  // key: `${hostname}::${mode}::sub=0|1` -> { updatedAt, scanId, status, diagnostics, blogs, pages, allowSubdomains }
+  get opportunitiesByHost() {
+    return getStorage().collection("opportunities");
+  },
+  // key: hostKey -> [{ version, scanId, createdAt, diagnostics, mode, allowSubdomains, blogs, pages }]
+  get opportunityVersions() {
+    return getStorage().collection("opportunityVersions");
+  },
+  // key: psiKey(url) -> { url, checkedAt, technicalSeo }
+  get psiByUrl() {
+    return getStorage().collection("psi");
+  },
+  // key: scanId -> { scanId, hostname, allowSubdomains, createdAt, score, counts, issues, pages, diagnostics }
+  get siteAudits() {
+    return getStorage().collection("siteAudits");
+  },
+  get linkGraphs() {
+    return getStorage().collection("linkGraphs");
+  },
+};
+
+// Live scan events (status transitions + job progress), per process.
+// Keep the emitter across hot reloads in dev.
 const g = globalThis;
+if (!g.__drfizzScanEvents) {
+  g.__drfizzScanEvents = new EventEmitter();
+  g.__drfizzScanEvents.setMaxListeners(0);
+}
+const scanEvents = g.__drfizzScanEvents;
 
-// Keep state across hot reloads in dev
-if (!g.__drfizzStore) {
-  g.__drfizzStore = {
-    scansById: new Map(),
-    opportunitiesByHost: new Map(),
-    // key: `${hostname}::${mode}::sub=0|1` -> { updatedAt, scanId, status, diagnostics, blogs, pages, allowSubdomains }
-  };
+// Latest progress of unfinished scans, per process. Progress arrives once per
+// crawled URL, so it's never written to storage.
+if (!g.__drfizzScanProgress) {
+  g.__drfizzScanProgress = new Map(); // scanId -> progress
 }
+const liveProgress = g.__drfizzScanProgress;
+
+const FINISHED = new Set(["complete", "failed", "cancelled"]);
 
-const store = g.__drfizzStore;
+// finished scans kept per host (oldest dropped first); unfinished ones are never dropped
+const MAX_SCANS_PER_HOST = 100;
+
+function withProgress(scan) {
+  const progress = scan && liveProgress.get(scan.scanId);
+  return progress ? { ...scan, progress } : scan;
+}
+
+function saveScan(scan) {
+  store.scansById.set(scan.scanId, scan);
+  scanEvents.emit(scan.scanId, { type: "status", scan: withProgress(scan) });
+  if (FINISHED.has(scan.status)) liveProgress.delete(scan.scanId);
+  return scan;
+}
+
+function pruneScans(hostname) {
+  const finished = Array.from(store.scansById.values())
+    .filter((scan) => scan.hostname === hostname && FINISHED.has(scan.status))
+    .reverse() // newest first among scans created in the same millisecond
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  for (const old of finished.slice(MAX_SCANS_PER_HOST)) store.scansById.delete(old.scanId);
+}
 
 function normHost(hostname = "") {
   return String(hostname).replace(/^www\./, "").toLowerCase().trim();
@@ -48,18 +105,126 @@ export function createScan({
     mode: normMode(mode),
     provider: provider || null,
 
-    status: "queued", // queued | running | complete | failed
+    status: "queued", // queued | running | complete | failed | cancelled
     createdAt: new Date().toISOString(),
+    attempts: 0,
+    retry: null,
+    progress: null,
     diagnostics: null,
     error: null,
   };
 
   store.scansById.set(scanId, scan);
+  pruneScans(scan.hostname);
   return scan;
 }
 
 export function getScan(scanId) {
-  return store.scansById.get(scanId) || null;
+  return withProgress(store.scansById.get(scanId)) || null;
+}
+
+// draft scans used to be stored as kind "opportunities" + mode "draft"
+function scanKind(scan) {
+  return scan?.kind === "draft" || scan?.mode === "draft" ? "draft" : scan?.kind || "opportunities";
+}
+
+/**
+ * Paginated scan listing, newest first.
+ *
+ * filters: hostname, kind ("opportunities" | "draft"), mode, provider, status,
+ *          from / to (ISO date or timestamp, compared with createdAt)
+ * returns: { items, total, page, pageSize }
+ */
+export function listScans({
+  hostname,
+  kind,
+  mode,
+  provider,
+  status,
+  from,
+  to,
+  page = 1,
+  pageSize = 20,
+} = {}) {
+  const h = hostname ? normHost(hostname) : "";
+  const fromMs = from ? new Date(from).getTime() : null;
+  // a date-only "to" (YYYY-MM-DD) includes that whole day
+  const toMs = to
+    ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(String(to)) ? 86_399_999 : 0)
+    : null;
+
+  const filtered = Array.from(store.scansById.values())
+    .filter((scan) => {
+      if (h && scan.hostname !== h) return false;
+      if (kind && scanKind(scan) !== kind) return false;
+      if (mode && scan.mode !== normMode(mode)) return false;
+      if (provider && scan.provider !== provider) return false;
+      if (status && scan.status !== status) return false;
+
+      const created = new Date(scan.createdAt).getTime();
+      if (Number.isFinite(fromMs) && created < fromMs) return false;
+      if (Number.isFinite(toMs) && created > toMs) return false;
+      return true;
+    })
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+
+  const size = Math.min(100, Math.max(1, Number(pageSize) || 20));
+  const p = Math.max(1, Number(page) || 1);
+
+  return {
+    items: filtered
+      .slice((p - 1) * size, p * size)
+      .map((scan) => ({ ...withProgress(scan), kind: scanKind(scan) })),
+    total: filtered.length,
+    page: p,
+    pageSize: size,
+  };
+}
+
+/**
+ * Stored results of one scan (the snapshot version it produced), or null.
+ */
+export function getScanResults(scanId) {
+  const scan = getScan(scanId);
+  if (!scan) return null;
+
+  const opts = { mode: scan.mode, allowSubdomains: scan.allowSubdomains };
+  const versions =
+    store.opportunityVersions.get(hostKey(scan.hostname, opts)) || [];
+  const version = versions.find((v) => v.scanId === scanId);
+  if (!version) return null;
+
+  return {
+    version: version.version,
+    createdAt: version.createdAt,
+    blogs: Array.isArray(version.blogs) ? version.blogs : [],
+    pages: Array.isArray(version.pages) ? version.pages : [],
+  };
+}
+
+export function markScanRunning(scanId) {
+  const scan = store.scansById.get(scanId);
+  if (!scan) return null;
+
+  scan.status = "running";
+  scan.attempts = (Number(scan.attempts) || 0) + 1;
+  scan.startedAt = new Date().toISOString();
+
+  return saveScan(scan);
+}
+
+/**
+ * A job attempt failed but will be retried: keep the scan alive ("queued")
+ * and record why, instead of failing it permanently.
+ */
+export function markScanRetrying(scanId, retry = {}) {
+  const scan = store.scansById.get(scanId);
+  if (!scan) return null;
+
+  scan.status = "queued";
+  scan.retry = retry;
+
+  return saveScan(scan);
 }
 
 export function completeScan(scanId, { hostname, diagnostics } = {}) {
@@ -67,10 +232,13 @@ export function completeScan(scanId, { hostname, diagnostics } = {}) {
   if (!scan) return null;
 
   scan.status = "complete";
+  scan.retry = null;
+  scan.finishedAt = new Date().toISOString();
   if (hostname) scan.hostname = normHost(hostname);
   scan.diagnostics = diagnostics ?? scan.diagnostics ?? null;
 
-  store.scansById.set(scanId, scan);
+  saveScan(scan);
+  dispatchScanEvent("scan.completed", scan);
   return scan;
 }
 
@@ -80,12 +248,51 @@ export function failScan(scanId, { error, diagnostics } = {}) {
 
   scan.status = "failed";
   scan.error = error || "failed";
+  scan.finishedAt = new Date().toISOString();
   if (diagnostics) scan.diagnostics = diagnostics;
 
-  store.scansById.set(scanId, scan);
+  saveScan(scan);
+  dispatchScanEvent("scan.failed", scan);
   return scan;
 }
 
+export function cancelScan(scanId) {
+  const scan = store.scansById.get(scanId);
+  if (!scan) return null;
+
+  scan.status = "cancelled";
+  scan.retry = null;
+  scan.cancelledAt = new Date().toISOString();
+
+  return saveScan(scan);
+}
+
+/**
+ * Record job progress for a scan and push it to live subscribers.
+ * progress: { stage, message?, done?, total?, url? }
+ * Kept in memory until the scan finishes (getScan / listScans include it).
+ */
+export function reportScanProgress(scanId, progress = {}) {
+  const scan = store.scansById.get(scanId);
+  if (!scan) return null;
+
+  liveProgress.set(scanId, { ...progress, at: new Date().toISOString() });
+  const live = withProgress(scan);
+
+  scanEvents.emit(scanId, { type: "progress", progress: live.progress, scan: live });
+  return live;
+}
+
+/**
+ * Subscribe to live events of one scan.
+ * listener receives { type: "status" | "progress", scan, progress? }.
+ * Returns an unsubscribe function.
+ */
+export function subscribeToScan(scanId, listener) {
+  scanEvents.on(scanId, listener);
+  return () => scanEvents.off(scanId, listener);
+}
+
 export function upsertOpportunitiesSnapshot(hostname, payload = {}) {
   const h = normHost(hostname);
   const mode = normMode(payload.mode);
@@ -120,6 +327,72 @@ export function upsertOpportunitiesSnapshot(hostname, payload = {}) {
   };
 
   store.opportunitiesByHost.set(key, { ...(prev || {}), ...next });
+
+  // Every completed snapshot is also kept as an immutable version (last MAX_OPPORTUNITY_VERSIONS)
+  if (next.status === "complete") {
+    appendOpportunitiesVersion(key, next);
+  }
+}
+
+// versions kept per host/mode/subdomain key (oldest dropped first)
+const MAX_OPPORTUNITY_VERSIONS = 20;
+
+function appendOpportunitiesVersion(key, snap) {
+  const versions = store.opportunityVersions.get(key) || [];
+  const last = versions[versions.length - 1];
+
+  // same scan completing twice should not create a second version
+  if (last && snap.scanId && last.scanId === snap.scanId) return last;
+
+  const entry = {
+    version: (last?.version || 0) + 1,
+    scanId: snap.scanId || null,
+    createdAt: new Date(snap.updatedAt || Date.now()).toISOString(),
+    diagnostics: snap.diagnostics ?? null,
+    mode: snap.mode,
+    allowSubdomains: snap.allowSubdomains,
+    blogs: snap.blogs,
+    pages: snap.pages,
+  };
+
+  // version numbers keep counting up after older entries are pruned
+  store.opportunityVersions.set(key, [...versions, entry].slice(-MAX_OPPORTUNITY_VERSIONS));
+  return entry;
+}
+
+/**
+ * Version summaries for a host/mode/subdomain key, oldest first.
+ */
+export function listOpportunitiesVersions(
+  hostname,
+  { mode = "published", allowSubdomains = false } = {}
+) {
+  const key = hostKey(hostname, { mode, allowSubdomains });
+  const versions = store.opportunityVersions.get(key) || [];
+
+  return versions.map((v) => ({
+    version: v.version,
+    scanId: v.scanId,
+    createdAt: v.createdAt,
+    blogCount: Array.isArray(v.blogs) ? v.blogs.length : 0,
+    pageCount: Array.isArray(v.pages) ? v.pages.length : 0,
+  }));
+}
+
+/**
+ * Full snapshot for one version (or the latest when version is null).
+ */
+export function getOpportunitiesVersion(
+  hostname,
+  version = null,
+  { mode = "published", allowSubdomains = false } = {}
+) {
+  const key = hostKey(hostname, { mode, allowSubdomains });
+  const versions = store.opportunityVersions.get(key) || [];
+  if (!versions.length) return null;
+
+  if (version == null) return versions[versions.length - 1];
+  return versions.find((v) => v.version === Number(version)) || null;
 }
 
 export function getLatestOpportunities(
@@ -157,7 +430,154 @@ export function getLatestOpportunities(
           provider: null,
           allowSubdomains: Boolean(snap.allowSubdomains),
         },
+    updatedAt: snap.updatedAt || null,
     blogs: Array.isArray(snap.blogs) ? snap.blogs : [],
     pages: Array.isArray(snap.pages) ? snap.pages : [],
   };
 }
+
+// ---------------------------
+// PageSpeed Insights results
+// ---------------------------
+function psiKey(url = "") {
+  try {
+    const u = new URL(url);
+    const path = u.pathname.replace(/\/+$/, "");
+    return `${normHost(u.hostname)}${path}${u.search}`;
+  } catch {
+    return String(url).trim().toLowerCase();
+  }
+}
+
+export function savePsiSnapshot(url, technicalSeo) {
+  const snap = {
+    url,
+    checkedAt: Date.now(),
+    technicalSeo: technicalSeo || null,
+  };
+  store.psiByUrl.set(psiKey(url), snap);
+  return snap;
+}
+
+/**
+ * Latest stored PSI result for a URL (written by /api/seo or scheduled checks),
+ * or null when missing / older than ttlMs.
+ */
+export function getLatestPsi(url, { ttlMs = 24 * 60 * 60 * 1000 } = {}) {
+  const snap = store.psiByUrl.get(psiKey(url));
+  if (!snap?.technicalSeo) return null;
+  if (Date.now() - (snap.checkedAt || 0) > ttlMs) return null;
+  return snap;
+}
+
+// ---------------------------
+// Site Health audits
+// ---------------------------
+
+// audits kept per host (oldest dropped first)
+const MAX_SITE_AUDITS = 10;
+
+function auditSummary({ pages, issues, ...summary }) {
+  return summary;
+}
+
+export function saveSiteAudit(scanId, audit = {}) {
+  const saved = {
+    ...audit,
+    scanId,
+    hostname: normHost(audit.hostname),
+    allowSubdomains: Boolean(audit.allowSubdomains),
+    createdAt: audit.createdAt || new Date().toISOString(),
+  };
+  store.siteAudits.set(scanId, saved);
+
+  const older = listSiteAudits(saved.hostname, { allowSubdomains: saved.allowSubdomains });
+  for (const old of older.slice(MAX_SITE_AUDITS)) store.siteAudits.delete(old.scanId);
+
+  return saved;
+}
+
+export function getSiteAudit(scanId) {
+  return store.siteAudits.get(scanId) || null;
+}
+
+/**
+ * Stored audits of a host, newest first, without their page/issue lists.
+ */
+export function listSiteAudits(hostname, { allowSubdomains = false } = {}) {
+  const h = normHost(hostname);
+  return Array.from(store.siteAudits.values())
+    .filter((a) => a.hostname === h && a.allowSubdomains === Boolean(allowSubdomains))
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .map(auditSummary);
+}
+
+/**
+ * Latest full audit of a host, or null when missing / older than ttlMs.
+ */
+export function getLatestSiteAudit(hostname, { allowSubdomains = false, ttlMs = Infinity } = {}) {
+  const latest = listSiteAudits(hostname, { allowSubdomains })[0];
+  if (!latest) return null;
+  if (Date.now() - new Date(latest.createdAt).getTime() > ttlMs) return null;
+  return getSiteAudit(latest.scanId);
+}
+
+// ---------------------------
+// Link graphs (latest per host + crawl source)
+// ---------------------------
+
+// a full Site Health crawl beats the opportunities crawl fallback's partial one
+const LINK_GRAPH_SOURCES = ["site-health", "opportunities"];
+
+/**
+ * Store the link graph analysis of a crawl (link-graph.js analyze()), replacing
+ * the previous one of the same host and source.
+ */
+export function saveLinkGraph(hostname, graph = {}, { source = "site-health", scanId = null } = {}) {
+  const h = normHost(hostname);
+  const saved = { ...graph, hostname: h, source, scanId, createdAt: new Date().toISOString() };
+  store.linkGraphs.set(`${h}::${source}`, saved);
+  return saved;
+}
+
+/**
+ * Best stored link graph of a host: the Site Health one when there is one.
+ * withEdges=false leaves out the (large) edge list.
+ */
+export function getLinkGraph(hostname, { source, withEdges = true } = {}) {
+  const h = normHost(hostname);
+  const graph = (source ? [source] : LINK_GRAPH_SOURCES)
+    .map((s) => store.linkGraphs.get(`${h}::${s}`))
+    .find(Boolean);
+  if (!graph) return null;
+  if (withEdges) return graph;
+  const summary = { ...graph };
+  delete summary.edges;
+  return summary;
+}
+
+/**
+ * Drop the latest opportunities snapshots (every mode/subdomain variant) and
+ * stored PSI results for a host. Version history and scan records are kept.
+ */
+export function purgeHostSnapshots(hostname) {
+  const h = normHost(hostname);
+  let opportunities = 0;
+  let psi = 0;
+
+  for (const key of Array.from(store.opportunitiesByHost.keys())) {
+    if (key.split("::")[0] === h) {
+      store.opportunitiesByHost.delete(key);
+      opportunities++;
+    }
+  }
+
+  for (const key of Array.from(store.psiByUrl.keys())) {
+    if (key.split(/[/?]/)[0] === h) {
+      store.psiByUrl.delete(key);
+      psi++;
+    }
+  }
+
+  return { opportunities, psi };
+}
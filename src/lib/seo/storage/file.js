@@ -0,0 +1,116 @@
+// src/lib/seo/storage/file.js
+import fs from "fs";
+import path from "path";
+
+/**
+ * File-based storage backend.
+ *
+ * - One JSON file per collection: `${dir}/${name}.json`
+ * - Collections are loaded lazily and kept in memory (reads never touch disk)
+ * - Writes are coalesced and flushed atomically (tmp file + rename)
+ * - Pending writes are flushed synchronously when the process exits
+ *
+ * Values must be JSON-serializable.
+ */
+export function createFileBackend({ dir, flushDelayMs = 250 } = {}) {
+  const root = path.resolve(dir || path.join(process.cwd(), ".data", "seo"));
+  fs.mkdirSync(root, { recursive: true });
+
+  const collections = new Map(); // name -> { map, dirty, timer }
+
+  function fileFor(name) {
+    const safe = String(name).replace(/[^a-z0-9_-]/gi, "_");
+    return path.join(root, `${safe}.json`);
+  }
+
+  function load(name) {
+    const map = new Map();
+    try {
+      const raw = fs.readFileSync(fileFor(name), "utf8");
+      const json = raw ? JSON.parse(raw) : {};
+      for (const [k, v] of Object.entries(json || {})) map.set(k, v);
+    } catch (e) {
+      if (e?.code !== "ENOENT") {
+        console.warn(`[storage:file] could not read ${name}: ${e?.message}`);
+      }
+    }
+    return map;
+  }
+
+  function writeNow(name) {
+    const entry = collections.get(name);
+    if (!entry || !entry.dirty) return;
+
+    if (entry.timer) clearTimeout(entry.timer);
+    entry.timer = null;
+    entry.dirty = false;
+
+    const file = fileFor(name);
+    const tmp = `${file}.${process.pid}.tmp`;
+    try {
+      fs.writeFileSync(tmp, JSON.stringify(Object.fromEntries(entry.map)));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      entry.dirty = true;
+      console.warn(`[storage:file] could not write ${name}: ${e?.message}`);
+    }
+  }
+
+  function markDirty(name) {
+    const entry = collections.get(name);
+    entry.dirty = true;
+    if (entry.timer) return;
+    entry.timer = setTimeout(() => writeNow(name), flushDelayMs);
+    entry.timer.unref?.();
+  }
+
+  function flush() {
+    for (const name of collections.keys()) writeNow(name);
+  }
+
+  process.once("exit", flush);
+
+  return {
+    name: "file",
+    dir: root,
+
+    /**
+     * Map-compatible view over a persisted collection.
+     */
+    collection(name) {
+      if (!collections.has(name)) {
+        collections.set(name, { map: load(name), dirty: false, timer: null });
+      }
+      const { map } = collections.get(name);
+
+      return {
+        get size() {
+          return map.size;
+        },
+        get: (key) => map.get(key),
+        has: (key) => map.has(key),
+        keys: () => map.keys(),
+        values: () => map.values(),
+        entries: () => map.entries(),
+        forEach: (fn) => map.forEach(fn),
+        [Symbol.iterator]: () => map.entries(),
+        set(key, value) {
+          map.set(key, value);
+          markDirty(name);
+          return this;
+        },
+        delete(key) {
+          const existed = map.delete(key);
+          if (existed) markDirty(name);
+          return existed;
+        },
+        clear() {
+          map.clear();
+          markDirty(name);
+        },
+      };
+    },
+
+    flush,
+  };
+}
@@ -0,0 +1,49 @@
+// src/lib/seo/storage/index.js
+
+import { createMemoryBackend } from "./memory";
+import { createFileBackend } from "./file";
+
+/**
+ * Storage backend selection.
+ *
+ * env:
+ *   SEO_STORAGE_BACKEND = "memory" (default) | "file"
+ *   SEO_STORAGE_DIR     = directory for the file backend (default: ./.data/seo)
+ *
+ * A backend is any object exposing:
+ *   collection(name) -> Map-like { get, set, delete, has, keys, values, entries, size }
+ *   flush()          -> persist pending writes (no-op for memory)
+ *
+ * Use setStorageBackend() to plug in another implementation (e.g. SQLite/Redis).
+ */
+const g = globalThis;
+
+function createBackendFromEnv() {
+  const kind = String(process.env.SEO_STORAGE_BACKEND || "memory").toLowerCase();
+
+  if (kind === "file") {
+    return createFileBackend({ dir: process.env.SEO_STORAGE_DIR });
+  }
+
+  if (kind !== "memory") {
+    console.warn(`Unknown SEO_STORAGE_BACKEND "${kind}", using in-memory storage`);
+  }
+  return createMemoryBackend();
+}
+
+// Keep the backend across hot reloads in dev
+export function getStorage() {
+  if (!g.__drfizzStorage) g.__drfizzStorage = createBackendFromEnv();
+  return g.__drfizzStorage;
+}
+
+export function setStorageBackend(backend) {
+  if (!backend || typeof backend.collection !== "function") {
+    throw new Error("setStorageBackend: backend must implement collection(name)");
+  }
+  g.__drfizzStorage?.flush?.();
+  g.__drfizzStorage = backend;
+  return backend;
+}
+
+export { createMemoryBackend, createFileBackend };
@@ -0,0 +1,22 @@
+// src/lib/seo/storage/memory.js
+
+/**
+ * In-memory storage backend (default).
+ * Every collection is a plain Map, so data is lost on restart.
+ */
+export function createMemoryBackend() {
+  const collections = new Map();
+
+  return {
+    name: "memory",
+
+    collection(name) {
+      if (!collections.has(name)) collections.set(name, new Map());
+      return collections.get(name);
+    },
+
+    flush() {
+      // nothing to persist
+    },
+  };
+}
@@ -0,0 +1,459 @@
+// src/lib/seo/structured-data.js
+import { extractPage } from "@/lib/seo/extraction";
+import { parseHtml, findAll, textContent } from "@/lib/seo/html-parser";
+
+/**
+ * Structured data (JSON-LD + microdata) validation for rich-result types.
+ *
+ *   const report = validateStructuredData(html, { baseUrl });
+ *   // { summary, items: [{ source, type, rule, name, errors, warnings }], invalidBlocks }
+ *
+ * Both syntaxes are read into the same JSON-LD-like shape (microdata itemprops
+ * become properties, nested itemscopes nested objects) and the page's
+ * top-level entities (@graph members included) are checked against RULES:
+ *   errors   - a required property is missing or a value is unusable
+ *              (bad date / duration / URL, non-numeric price…): not eligible
+ *   warnings - a recommended property is missing or could be better
+ * Nested entities are checked as part of their parent (Offer of a Product,
+ * Question of a FAQPage…); { "@id" } references resolve within the page.
+ * Types without rules are listed (rule null) but not checked.
+ */
+
+const MAX_ITEMS = 50;
+
+const LOCAL_BUSINESS_TYPES = [
+  "LocalBusiness", "AnimalShelter", "AutomotiveBusiness", "AutoRepair", "AutoDealer",
+  "ChildCare", "Dentist", "DryCleaningOrLaundry", "EmergencyService", "EmploymentAgency",
+  "EntertainmentBusiness", "FinancialService", "FoodEstablishment", "Bakery", "BarOrPub",
+  "CafeOrCoffeeShop", "FastFoodRestaurant", "Restaurant", "GovernmentOffice",
+  "HealthAndBeautyBusiness", "BeautySalon", "DaySpa", "HairSalon", "HomeAndConstructionBusiness",
+  "Electrician", "GeneralContractor", "HVACBusiness", "Locksmith", "Plumber", "RoofingContractor",
+  "LegalService", "Attorney", "Library", "LodgingBusiness", "Hotel", "MedicalBusiness",
+  "MedicalClinic", "Pharmacy", "Physician", "ProfessionalService", "RealEstateAgent",
+  "SportsActivityLocation", "Store", "TouristInformationCenter", "TravelAgency",
+];
+
+const ISO_DATE =
+  /^\d{4}-\d{2}-\d{2}(?:[T ]\d{2}:\d{2}(?::\d{2}(?:\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?)?$/;
+const ISO_DURATION = /^P(?!$)(?:\d+Y)?(?:\d+M)?(?:\d+W)?(?:\d+D)?(?:T(?=\d)(?:\d+H)?(?:\d+M)?(?:\d+(?:\.\d+)?S)?)?$/;
+
+// https://schema.org/Article -> Article
+const shortType = (t) => String(t || "").trim().replace(/^.*[/#:]/, "");
+
+const typesOf = (node) =>
+  (Array.isArray(node?.["@type"]) ? node["@type"] : [node?.["@type"]]).filter(Boolean).map(shortType);
+
+const asArray = (v) => (v == null ? [] : Array.isArray(v) ? v : [v]);
+
+const isPresent = (v) =>
+  v != null &&
+  !(typeof v === "string" && !v.trim()) &&
+  !(Array.isArray(v) && !v.some(isPresent));
+
+const textOf = (v) => {
+  const first = asArray(v)[0];
+  if (first == null) return "";
+  if (typeof first === "object") return String(first["@value"] ?? first.name ?? "").trim();
+  return String(first).trim();
+};
+
+// ---------------------------
+// Reading the markup
+// ---------------------------
+
+function addValue(obj, key, value) {
+  if (!(key in obj)) obj[key] = value;
+  else obj[key] = [...asArray(obj[key]), value];
+}
+
+// microdata property value by element (HTML spec "itemprop value")
+function microdataValue(el) {
+  const a = el.attrs;
+  switch (el.tag) {
+    case "meta":
+      return a.content ?? "";
+    case "audio": case "embed": case "iframe": case "img": case "source": case "track": case "video":
+      return a.src ?? "";
+    case "a": case "area": case "link":
+      return a.href ?? "";
+    case "object":
+      return a.data ?? "";
+    case "data": case "meter":
+      return a.value ?? "";
+    case "time":
+      return a.datetime ?? textContent(el);
+    default:
+      return a.content ?? textContent(el);
+  }
+}
+
+function microdataItem(el) {
+  const item = {};
+  const types = String(el.attrs.itemtype || "").split(/\s+/).filter(Boolean).map(shortType);
+  if (types.length) item["@type"] = types.length === 1 ? types[0] : types;
+  if (el.attrs.itemid) item["@id"] = el.attrs.itemid;
+
+  const visit = (node) => {
+    for (const c of node.children || []) {
+      if (c.type !== "element") continue;
+      const scoped = "itemscope" in c.attrs;
+      const props = String(c.attrs.itemprop || "").split(/\s+/).filter(Boolean).map(shortType);
+      if (props.length) {
+        const value = scoped ? microdataItem(c) : microdataValue(c);
+        for (const p of props) addValue(item, p, value);
+      }
+      // a nested item owns its properties
+      if (!scoped) visit(c);
+    }
+  };
+  visit(el);
+  return item;
+}
+
+/** Top-level microdata items of a parsed document, as JSON-LD-like objects. */
+export function extractMicrodata(doc) {
+  return findAll(doc, (e) => "itemscope" in e.attrs && !("itemprop" in e.attrs)).map(microdataItem);
+}
+
+// top-level entities of a JSON-LD block (arrays and @graph unwrapped)
+function jsonLdEntities(data) {
+  const out = [];
+  const visit = (node) => {
+    if (Array.isArray(node)) return node.forEach(visit);
+    if (!node || typeof node !== "object") return;
+    if (Array.isArray(node["@graph"])) {
+      node["@graph"].forEach(visit);
+      if (!node["@type"]) return;
+    }
+    out.push(node);
+  };
+  visit(data);
+  return out;
+}
+
+// every object with an @id, for resolving { "@id": … } references
+function indexIds(roots) {
+  const ids = new Map();
+  const visit = (node, depth) => {
+    if (!node || typeof node !== "object" || depth > 12) return;
+    if (Array.isArray(node)) return node.forEach((n) => visit(n, depth + 1));
+    if (typeof node["@id"] === "string" && Object.keys(node).length > 1 && !ids.has(node["@id"])) {
+      ids.set(node["@id"], node);
+    }
+    for (const v of Object.values(node)) visit(v, depth + 1);
+  };
+  roots.forEach((r) => visit(r, 0));
+  return ids;
+}
+
+// ---------------------------
+// Rules
+// ---------------------------
+
+/**
+ * One report per checked entity. Paths are dotted from the entity
+ * ("offers[0].price").
+ */
+function createReport(ids) {
+  const errors = [];
+  const warnings = [];
+  const resolve = (v) =>
+    v && typeof v === "object" && !Array.isArray(v) && typeof v["@id"] === "string" && ids.has(v["@id"])
+      ? { ...ids.get(v["@id"]), ...v }
+      : v;
+
+  const report = {
+    errors,
+    warnings,
+    resolve,
+    error: (property, message) => errors.push({ property, message }),
+    warn: (property, message) => warnings.push({ property, message }),
+    // each present value of a property, resolved, with its path
+    each(node, prop, path, fn) {
+      const values = asArray(node?.[prop]).filter(isPresent);
+      values.forEach((v, i) => fn(resolve(v), values.length > 1 ? `${path}${prop}[${i}]` : `${path}${prop}`));
+    },
+    required(node, props, path = "") {
+      for (const p of props) {
+        if (!isPresent(node?.[p])) report.error(`${path}${p}`, "Missing required property");
+      }
+    },
+    recommended(node, props, path = "") {
+      for (const p of props) {
+        if (!isPresent(node?.[p])) report.warn(`${path}${p}`, "Missing recommended property");
+      }
+    },
+    date(node, prop, path = "") {
+      report.each(node, prop, path, (v, at) => {
+        const m = String(textOf(v)).match(ISO_DATE);
+        if (!m) report.error(at, `"${textOf(v)}" is not an ISO 8601 date`);
+        else if (/[T ]/.test(m[0]) && !m[1]) report.warn(at, "Date-time without a timezone");
+      });
+    },
+    duration(node, prop, path = "") {
+      report.each(node, prop, path, (v, at) => {
+        if (!ISO_DURATION.test(textOf(v))) report.error(at, `"${textOf(v)}" is not an ISO 8601 duration (e.g. PT30M)`);
+      });
+    },
+    url(node, prop, path = "") {
+      report.each(node, prop, path, (v, at) => {
+        const s = typeof v === "object" ? textOf(v.url ?? v.contentUrl ?? v["@id"]) : textOf(v);
+        if (!s) report.error(at, "Expected a URL");
+        else if (!/^https?:\/\//i.test(s)) report.warn(at, `"${s}" is not an absolute http(s) URL`);
+      });
+    },
+    number(node, prop, path = "") {
+      report.each(node, prop, path, (v, at) => {
+        const s = textOf(v).replace(/,/g, "");
+        if (!s || !Number.isFinite(Number(s))) report.error(at, `"${textOf(v)}" is not a number`);
+      });
+    },
+  };
+  return report;
+}
+
+// Person / Organization with a name
+function checkAuthor(r, node, prop, path = "") {
+  r.each(node, prop, path, (a, at) => {
+    if (typeof a !== "object") {
+      r.warn(at, "Use a Person or Organization with a name rather than plain text");
+    } else if (!isPresent(a.name)) {
+      r.error(`${at}.name`, "Missing required property");
+    }
+  });
+}
+
+function checkOffer(r, offer, at) {
+  if (typeof offer !== "object") return r.error(at, "Expected an Offer");
+  if (typesOf(offer).includes("AggregateOffer")) {
+    r.required(offer, ["lowPrice"], `${at}.`);
+    r.number(offer, "lowPrice", `${at}.`);
+    r.number(offer, "highPrice", `${at}.`);
+  } else if (!isPresent(offer.price) && !isPresent(offer.priceSpecification)) {
+    r.error(`${at}.price`, "Missing required property");
+  } else {
+    r.number(offer, "price", `${at}.`);
+  }
+  r.recommended(offer, ["priceCurrency", "availability"], `${at}.`);
+  if (isPresent(offer.priceCurrency) && !/^[A-Z]{3}$/.test(textOf(offer.priceCurrency))) {
+    r.error(`${at}.priceCurrency`, `"${textOf(offer.priceCurrency)}" is not an ISO 4217 currency code`);
+  }
+  r.url(offer, "url", `${at}.`);
+}
+
+function checkRating(r, rating, at) {
+  if (typeof rating !== "object") return r.error(at, "Expected a Rating");
+  r.required(rating, ["ratingValue"], `${at}.`);
+  r.number(rating, "ratingValue", `${at}.`);
+}
+
+const RULES = {
+  Article: {
+    types: ["Article", "NewsArticle", "BlogPosting", "TechArticle", "ScholarlyArticle", "Report", "LiveBlogPosting"],
+    check(item, r) {
+      r.recommended(item, ["headline", "image", "datePublished", "dateModified", "author"]);
+      if (textOf(item.headline).length > 110) r.warn("headline", "Headline is longer than 110 characters");
+      r.date(item, "datePublished");
+      r.date(item, "dateModified");
+      const published = Date.parse(textOf(item.datePublished));
+      const modified = Date.parse(textOf(item.dateModified));
+      if (published && modified && modified < published) {
+        r.warn("dateModified", "dateModified is earlier than datePublished");
+      }
+      r.url(item, "image");
+      checkAuthor(r, item, "author");
+    },
+  },
+
+  Product: {
+    types: ["Product", "ProductModel", "IndividualProduct", "SomeProducts", "Vehicle", "Car"],
+    check(item, r) {
+      r.required(item, ["name"]);
+      if (!["offers", "review", "aggregateRating"].some((p) => isPresent(item[p]))) {
+        r.error("offers", "One of offers, review or aggregateRating is required");
+      }
+      r.recommended(item, ["image", "description", "brand", "sku"]);
+      if (!["gtin", "gtin8", "gtin12", "gtin13", "gtin14", "mpn"].some((p) => isPresent(item[p]))) {
+        r.warn("gtin", "Missing product identifier (gtin / mpn)");
+      }
+      r.url(item, "image");
+      r.each(item, "offers", "", (offer, at) => checkOffer(r, offer, at));
+      r.each(item, "aggregateRating", "", (rating, at) => {
+        checkRating(r, rating, at);
+        if (typeof rating === "object" && !isPresent(rating.ratingCount) && !isPresent(rating.reviewCount)) {
+          r.error(`${at}.ratingCount`, "One of ratingCount or reviewCount is required");
+        }
+      });
+      r.each(item, "review", "", (review, at) => {
+        if (typeof review !== "object") return r.error(at, "Expected a Review");
+        checkAuthor(r, review, "author", `${at}.`);
+        if (!isPresent(review.author)) r.error(`${at}.author`, "Missing required property");
+        if (!isPresent(review.reviewRating)) r.error(`${at}.reviewRating`, "Missing required property");
+        r.each(review, "reviewRating", `${at}.`, (rating, path) => checkRating(r, rating, path));
+      });
+    },
+  },
+
+  FAQPage: {
+    types: ["FAQPage"],
+    check(item, r) {
+      r.required(item, ["mainEntity"]);
+      r.each(item, "mainEntity", "", (q, at) => {
+        if (typeof q !== "object" || !typesOf(q).includes("Question")) return r.error(at, "Expected a Question");
+        r.required(q, ["name", "acceptedAnswer"], `${at}.`);
+        r.each(q, "acceptedAnswer", `${at}.`, (answer, path) => {
+          if (typeof answer !== "object") return r.error(path, "Expected an Answer");
+          r.required(answer, ["text"], `${path}.`);
+        });
+      });
+    },
+  },
+
+  HowTo: {
+    types: ["HowTo"],
+    check(item, r) {
+      r.required(item, ["name", "step"]);
+      r.recommended(item, ["image", "totalTime", "supply", "tool"]);
+      r.duration(item, "totalTime");
+      r.url(item, "image");
+      r.each(item, "step", "", (step, at) => {
+        if (typeof step !== "object") return r.warn(at, "Use HowToStep items rather than plain text");
+        if (typesOf(step).includes("HowToSection")) {
+          r.required(step, ["name", "itemListElement"], `${at}.`);
+        } else if (!isPresent(step.text) && !isPresent(step.itemListElement)) {
+          r.error(`${at}.text`, "Missing required property");
+        }
+      });
+    },
+  },
+
+  LocalBusiness: {
+    types: LOCAL_BUSINESS_TYPES,
+    check(item, r) {
+      r.required(item, ["name", "address"]);
+      r.recommended(item, ["telephone", "url", "openingHoursSpecification", "geo", "image", "priceRange"]);
+      r.url(item, "url");
+      r.url(item, "image");
+      r.each(item, "address", "", (address, at) => {
+        if (typeof address !== "object") return r.warn(at, "Use a PostalAddress rather than plain text");
+        r.recommended(address, ["streetAddress", "addressLocality", "postalCode", "addressCountry"], `${at}.`);
+      });
+      r.each(item, "geo", "", (geo, at) => {
+        if (typeof geo !== "object") return r.error(at, "Expected GeoCoordinates");
+        r.required(geo, ["latitude", "longitude"], `${at}.`);
+        r.number(geo, "latitude", `${at}.`);
+        r.number(geo, "longitude", `${at}.`);
+      });
+    },
+  },
+
+  BreadcrumbList: {
+    types: ["BreadcrumbList"],
+    check(item, r) {
+      r.required(item, ["itemListElement"]);
+      const crumbs = asArray(item.itemListElement).filter(isPresent).map(r.resolve);
+      if (crumbs.length === 1) r.warn("itemListElement", "A breadcrumb trail needs at least two items");
+      crumbs.forEach((crumb, i) => {
+        const at = `itemListElement[${i}]`;
+        if (typeof crumb !== "object") return r.error(at, "Expected a ListItem");
+        const target = r.resolve(crumb.item);
+        if (!isPresent(crumb.position)) r.error(`${at}.position`, "Missing required property");
+        else if (!/^\d+$/.test(textOf(crumb.position))) r.error(`${at}.position`, "position must be an integer");
+        if (!isPresent(crumb.name) && !(typeof target === "object" && isPresent(target?.name))) {
+          r.error(`${at}.name`, "Missing required property");
+        }
+        // the last crumb (the page itself) may leave out its URL
+        if (!isPresent(crumb.item) && i < crumbs.length - 1) r.error(`${at}.item`, "Missing required property");
+        else if (isPresent(crumb.item)) r.url(crumb, "item", `${at}.`);
+      });
+    },
+  },
+
+  Organization: {
+    types: [
+      "Organization", "Corporation", "NGO", "EducationalOrganization", "GovernmentOrganization",
+      "NewsMediaOrganization", "OnlineBusiness", "OnlineStore", "MedicalOrganization",
+    ],
+    check(item, r) {
+      r.recommended(item, ["name", "url", "logo", "sameAs"]);
+      r.url(item, "url");
+      r.url(item, "logo");
+      r.url(item, "sameAs");
+    },
+  },
+};
+
+// LocalBusiness is an Organization too: RULES lists the more specific rules
+// first, and an entity with several @type values gets the earliest of them
+// whatever their order (["Organization", "Dentist"] is checked as LocalBusiness)
+const RULE_NAMES = Object.keys(RULES);
+const RULE_BY_TYPE = new Map();
+RULE_NAMES.forEach((rule, rank) => {
+  for (const t of RULES[rule].types) if (!RULE_BY_TYPE.has(t)) RULE_BY_TYPE.set(t, rank);
+});
+
+const ruleFor = (types) => {
+  const ranks = types.map((t) => RULE_BY_TYPE.get(t)).filter((rank) => rank !== undefined);
+  return ranks.length ? RULE_NAMES[Math.min(...ranks)] : null;
+};
+
+/**
+ * Validate the JSON-LD + microdata of an HTML document (string or parseHtml()
+ * tree). `jsonLd` takes blocks already read by extractPage() to skip a pass.
+ *
+ * Returns {
+ *   summary: { items, checked, valid, errors, warnings, invalidBlocks, types },
+ *   items: [{ source: "json-ld" | "microdata", type, types, rule, name, valid, errors, warnings }],
+ *   invalidBlocks: [{ source: "json-ld", message }]     // unparseable <script> blocks
+ * }
+ * errors / warnings: [{ property, message }]; rule null = type without checks.
+ */
+export function validateStructuredData(html = "", { jsonLd, baseUrl } = {}) {
+  const doc = typeof html === "object" && html?.type === "root" ? html : parseHtml(html);
+  const blocks = jsonLd || extractPage(doc, { baseUrl }).jsonLd;
+
+  const invalidBlocks = blocks
+    .filter((b) => b.error)
+    .map((b) => ({ source: "json-ld", message: b.error }));
+
+  const entities = [
+    ...blocks.flatMap((b) => jsonLdEntities(b.data)).map((node) => ({ source: "json-ld", node })),
+    ...extractMicrodata(doc).map((node) => ({ source: "microdata", node })),
+  ];
+  const ids = indexIds(entities.map((e) => e.node));
+
+  const items = entities
+    .filter(({ node }) => typesOf(node).length)
+    .slice(0, MAX_ITEMS)
+    .map(({ source, node }) => {
+      const types = typesOf(node);
+      const rule = ruleFor(types);
+      const r = createReport(ids);
+      if (rule) RULES[rule].check(node, r);
+      return {
+        source,
+        type: types[0],
+        types,
+        rule,
+        name: textOf(node.name || node.headline) || null,
+        valid: r.errors.length === 0,
+        errors: r.errors,
+        warnings: r.warnings,
+      };
+    });
+
+  const checked = items.filter((i) => i.rule);
+  return {
+    summary: {
+      items: items.length,
+      checked: checked.length,
+      valid: checked.filter((i) => i.valid).length,
+      errors: items.reduce((n, i) => n + i.errors.length, 0) + invalidBlocks.length,
+      warnings: items.reduce((n, i) => n + i.warnings.length, 0),
+      invalidBlocks: invalidBlocks.length,
+      types: Array.from(new Set(items.map((i) => i.type))),
+    },
+    items,
+    invalidBlocks,
+  };
+}
@@ -0,0 +1,448 @@
+// src/lib/seo/url-rules.js
+import { getStorage } from "@/lib/seo/storage";
+
+/**
+ * Per-site URL rules for discovery and every crawl.
+ *
+ * Stored in the "urlRules" collection, keyed by hostname:
+ *   {
+ *     hostname,
+ *     include: ["/guides/**", "re:^/p/\\d+$"],   // when set, only matching URLs
+ *     exclude: ["/internal/**"],
+ *     defaultExcludes: true,     // also skip DEFAULT_EXCLUDES (assets, cart, login, …)
+ *     maxDepth: 3 | null,        // max path segments (/a/b/c = 3)
+ *     queryParams: "strip-tracking" | "strip-all" | "keep",
+ *     keepParams: ["lang"],      // kept under "strip-all"
+ *     stripParams: ["sessionid", "sort*"],   // always dropped
+ *   }
+ *
+ * Patterns match the URL path + query ("/blog/post?x=1"):
+ *   - "re:…" is a regular expression (case-insensitive). Patterns run on every
+ *     crawled URL, so they are kept simple: at most MAX_REGEX_LENGTH characters,
+ *     no backreferences, no repeated group that itself repeats or alternates
+ *     ("(a+)+", "(a|ab)*", "(.*a){12}") and no two unbounded repeats that can
+ *     match the same stretch of a URL (".*.*", "\d+-?\d+"), the shapes that
+ *     backtrack catastrophically. URLs are matched on their first
+ *     MAX_TESTED_LENGTH characters
+ *   - anything else is a glob: `*` within one segment, `**` across segments,
+ *     `{a,b}` alternatives; a trailing "/**" also matches the folder itself.
+ *     Globs ignore the query string unless they contain "?" ("/search?q=*")
+ *
+ * An explicit include beats the default excludes (content under /amp/ or
+ * /wp-content/ can be let back in), a project exclude always wins.
+ *
+ * Crawls use a gate per scan, like robots.txt:
+ *   const rules = createUrlRulesGate(getUrlRules(hostname));
+ *   const url = rules.normalize(raw);          // query-param handling, no #hash
+ *   if (rules.allow(url)) …                    // skipped URLs are recorded
+ *   diagnostics.urlRules = rules.summary();
+ * (createCrawler({ rules }) carries it as crawler.rules.)
+ */
+
+export const QUERY_PARAM_MODES = ["strip-tracking", "strip-all", "keep"];
+
+// what discovery used to hardcode: assets and app/account/feed paths
+export const DEFAULT_EXCLUDES = [
+  "**/wp-content/**",
+  "**/*.{png,jpg,jpeg,webp,svg,gif,ico,pdf,css,js,json,xml}",
+  "**/wp-admin/**",
+  "**/wp-login*",
+  "**/cart/**",
+  "**/checkout/**",
+  "**/my-account/**",
+  "**/account/**",
+  "**/login/**",
+  "**/signup/**",
+  "**/register/**",
+  "**/search/**",
+  "**/feed/**",
+  "**/amp/**",
+];
+
+const TRACKING_PARAMS = ["utm_*", "gclid", "fbclid", "msclkid"];
+
+const MAX_PATTERNS = 100;
+const MAX_PATTERN_LENGTH = 300;
+const MAX_REGEX_LENGTH = 120;
+// longer paths are matched on their first MAX_TESTED_LENGTH characters
+const MAX_TESTED_LENGTH = 2048;
+const MAX_REPORTED_SKIPS = 50;
+
+function rulesCollection() {
+  return getStorage().collection("urlRules");
+}
+
+function normHost(hostname = "") {
+  return String(hostname).replace(/^www\./, "").toLowerCase().trim();
+}
+
+// ---------------------------
+// Patterns
+// ---------------------------
+
+function globToRegExp(glob) {
+  let re = "";
+  let inQuery = false;
+  for (let i = 0; i < glob.length; i += 1) {
+    const c = glob[i];
+    if (inQuery) {
+      re += c === "*" ? ".*" : c.replace(/[.+^$()|[\]{}\\?]/g, "\\$&");
+    } else if (c === "?") {
+      re += "\\?";
+      inQuery = true;
+    } else if (c === "*" && glob[i + 1] === "*") {
+      const before = glob[i - 1];
+      const after = glob[i + 2];
+      i += 1;
+      if ((before === "/" || before === undefined) && after === "/") {
+        // "**/" -> zero or more whole segments
+        re += "(?:[^?]*/)?";
+        i += 1;
+      } else if (before === "/" && after === undefined) {
+        // trailing "/**" -> the folder itself or anything below it
+        re = `${re.slice(0, -1)}(?:/.*)?`;
+      } else {
+        re += ".*";
+      }
+    } else if (c === "*") {
+      re += "[^/?]*";
+    } else if (c === "{") {
+      const end = glob.indexOf("}", i);
+      if (end === -1) {
+        re += "\\{";
+        continue;
+      }
+      const options = glob.slice(i + 1, end).split(",");
+      re += `(?:${options.map((o) => o.replace(/[.+^$()|[\]\\]/g, "\\$&")).join("|")})`;
+      i = end;
+    } else {
+      re += c.replace(/[.+^$()|[\]{}\\]/g, "\\$&");
+    }
+  }
+  // a glob without a query part matches whatever query follows
+  return new RegExp(`^${re}${inQuery ? "" : "(?:\\?.*)?"}$`, "i");
+}
+
+// characters an atom's overlap with another is probed on (paths are URL-encoded ASCII)
+const PROBE_CHARS = Array.from({ length: 95 }, (_, i) => String.fromCharCode(32 + i)).concat(["é", "\t"]);
+
+// single-character atom ("a", ".", "\d", "[^/]") -> the probe characters it matches
+function atomChars(atom) {
+  try {
+    const re = new RegExp(`^(?:${atom})$`, "i");
+    return new Set(PROBE_CHARS.filter((c) => re.test(c)));
+  } catch {
+    return new Set(PROBE_CHARS);
+  }
+}
+
+const overlaps = (a, b) => Array.from(a).some((c) => b.has(c));
+
+/**
+ * Reason a user regex could backtrack catastrophically, or null when it's safe:
+ * - backreferences
+ * - a group repeated by * + or {…} that contains a quantifier or an alternation
+ *   ("(a+)+", "(a|ab)*", "(.*a){12}")
+ * - two unbounded repeats (* + {n,}) over overlapping characters that nothing
+ *   required in between separates ("\d+\d+", ".*x.*"); "[^/]+/\d+" is fine
+ *   since the first repeat can't cross the "/"
+ */
+function unsafeRegexReason(source) {
+  if (/\\(?:[1-9]|k<)/.test(source)) return "backreferences are not supported";
+
+  // open: character sets of unbounded repeats the pattern can still be inside of
+  let open = [];
+  const frames = [{ repeats: false, chars: new Set(), openAtStart: [], branches: [] }];
+
+  for (let i = 0; i < source.length; ) {
+    const top = frames[frames.length - 1];
+    const c = source[i];
+    let chars = null;
+    let group = null;
+
+    if (c === "(") {
+      i += source.slice(i).match(/^\((?:\?(?:[:=!]|<[=!]|<[^>]*>))?/)[0].length;
+      frames.push({ repeats: false, chars: new Set(), openAtStart: open, branches: [] });
+      continue;
+    } else if (c === "|") {
+      top.repeats = true;
+      top.branches.push(open);
+      open = top.openAtStart;
+      i += 1;
+      continue;
+    } else if (c === ")" && frames.length > 1) {
+      group = frames.pop();
+      chars = group.chars;
+      open = Array.from(new Set([open, ...group.branches].flat()));
+      i += 1;
+    } else if (c === "[") {
+      let end = i + 1;
+      while (end < source.length && source[end] !== "]") end += source[end] === "\\" ? 2 : 1;
+      chars = atomChars(source.slice(i, end + 1));
+      i = end + 1;
+    } else if (c === "\\") {
+      const escape = source.slice(i).match(/^\\(?:u\{[0-9a-f]+\}|u[0-9a-f]{4}|x[0-9a-f]{2}|c[a-z]|[\s\S])/i)[0];
+      i += escape.length;
+      if (/^\\[bB]$/.test(escape)) continue; // word boundary
+      chars = atomChars(escape);
+    } else if (c === "^" || c === "$") {
+      i += 1;
+      continue;
+    } else {
+      i += 1;
+      if (/[*+?]/.test(c)) continue; // dangling quantifier: RegExp() reports it
+      chars = atomChars(c.replace(/[.{}]/, (m) => (m === "." ? m : `\\${m}`)));
+    }
+
+    const q = source.slice(i).match(/^(?:([*+?])|\{(\d+)(?:(,)(\d*))?\})\??/);
+    i += q ? q[0].length : 0;
+    const min = !q ? 1 : q[1] ? (q[1] === "+" ? 1 : 0) : Number(q[2]);
+    const unbounded = Boolean(q && (q[1] === "*" || q[1] === "+" || (q[3] && !q[4])));
+
+    if (group) {
+      if (q && q[1] !== "?" && group.repeats) {
+        return "repeated groups may not contain quantifiers or alternatives";
+      }
+      if (q || group.repeats) frames[frames.length - 1].repeats = true;
+      // an optional group may be skipped: what it closed stays open
+      if (min === 0) open = Array.from(new Set([...open, ...group.openAtStart]));
+    } else if (q) {
+      top.repeats = true;
+    }
+    for (const f of frames) chars.forEach((ch) => f.chars.add(ch));
+
+    if (unbounded) {
+      if (open.some((o) => overlaps(o, chars))) {
+        return "unbounded repeats (* + {n,}) over the same characters need a separator they can't match";
+      }
+      open = [...open, chars];
+    } else if (min > 0) {
+      // a required character the earlier repeats can't match ends them
+      open = open.filter((o) => overlaps(o, chars));
+    }
+  }
+  return null;
+}
+
+/**
+ * Compile one include/exclude pattern; throws on invalid input.
+ * Returns { source, test(pathAndQuery) }
+ */
+export function compilePattern(pattern) {
+  const source = String(pattern || "").trim();
+  if (!source) throw new Error("URL pattern must not be empty");
+  if (source.length > MAX_PATTERN_LENGTH) {
+    throw new Error(`URL pattern is too long (max ${MAX_PATTERN_LENGTH} characters)`);
+  }
+
+  if (source.startsWith("re:")) {
+    if (source.length - 3 > MAX_REGEX_LENGTH) {
+      throw new Error(`URL regex is too long (max ${MAX_REGEX_LENGTH} characters)`);
+    }
+    const unsafe = unsafeRegexReason(source.slice(3));
+    if (unsafe) throw new Error(`Invalid URL regex ${source}: ${unsafe}`);
+
+    let re;
+    try {
+      re = new RegExp(source.slice(3), "i");
+    } catch (e) {
+      throw new Error(`Invalid URL regex ${source}: ${e.message}`);
+    }
+    return { source, test: (s) => re.test(String(s).slice(0, MAX_TESTED_LENGTH)) };
+  }
+
+  const re = globToRegExp(source.startsWith("/") || source.startsWith("**") ? source : `/${source}`);
+  return { source, test: (s) => re.test(String(s).slice(0, MAX_TESTED_LENGTH)) };
+}
+
+// param names: exact or glob ("utm_*"), case-insensitive
+function paramMatcher(names = []) {
+  const res = names.map(
+    (n) => new RegExp(`^${String(n).replace(/[.+^$()|[\]{}\\?]/g, "\\$&").replace(/\*/g, ".*")}$`, "i")
+  );
+  return (key) => res.some((re) => re.test(key));
+}
+
+function cleanList(list, label) {
+  if (list == null) return [];
+  if (!Array.isArray(list)) throw new Error(`${label} must be an array`);
+  const out = Array.from(new Set(list.map((s) => String(s || "").trim()).filter(Boolean)));
+  if (out.length > MAX_PATTERNS) throw new Error(`${label} accepts at most ${MAX_PATTERNS} entries`);
+  return out;
+}
+
+// ---------------------------
+// Rules
+// ---------------------------
+
+/**
+ * Validate + normalize a rules object (patterns are compiled once to fail early).
+ */
+export function normalizeUrlRules(input = {}) {
+  const include = cleanList(input.include, "include");
+  const exclude = cleanList(input.exclude, "exclude");
+  [...include, ...exclude].forEach(compilePattern);
+
+  let maxDepth = null;
+  if (input.maxDepth != null && input.maxDepth !== "") {
+    maxDepth = Math.floor(Number(input.maxDepth));
+    if (!Number.isFinite(maxDepth) || maxDepth < 0) {
+      throw new Error("maxDepth must be a number >= 0");
+    }
+  }
+
+  const queryParams = String(input.queryParams || "strip-tracking").toLowerCase();
+  if (!QUERY_PARAM_MODES.includes(queryParams)) {
+    throw new Error(`queryParams must be one of: ${QUERY_PARAM_MODES.join(", ")}`);
+  }
+
+  return {
+    include,
+    exclude,
+    defaultExcludes: input.defaultExcludes !== false,
+    maxDepth,
+    queryParams,
+    keepParams: cleanList(input.keepParams, "keepParams"),
+    stripParams: cleanList(input.stripParams, "stripParams"),
+  };
+}
+
+/**
+ * URL gate for one crawl/scan: normalizes URLs by the query-param rules and
+ * checks include/exclude/maxDepth, recording skipped URLs for the diagnostics.
+ *
+ * rules: a stored rules object (getUrlRules) or null for the defaults.
+ */
+export function createUrlRulesGate(rules) {
+  const r = normalizeUrlRules(rules || {});
+  const include = r.include.map(compilePattern);
+  const exclude = r.exclude.map(compilePattern);
+  const defaults = r.defaultExcludes ? DEFAULT_EXCLUDES.map(compilePattern) : [];
+
+  const isTracking = paramMatcher(TRACKING_PARAMS);
+  const isKept = paramMatcher(r.keepParams);
+  const isStripped = paramMatcher(r.stripParams);
+
+  const skipped = [];
+  const skippedSet = new Set();
+  const counts = { include: 0, exclude: 0, default: 0, depth: 0 };
+
+  const verdictOf = (url) => {
+    let u;
+    try {
+      u = new URL(url);
+    } catch {
+      return { allowed: false, reason: "invalid" };
+    }
+    const path = `${u.pathname}${u.search}`;
+
+    const excluded = exclude.find((p) => p.test(path));
+    if (excluded) return { allowed: false, reason: "exclude", rule: excluded.source };
+
+    const included = include.find((p) => p.test(path));
+    if (include.length && !included) return { allowed: false, reason: "include", rule: "no include matched" };
+
+    if (!included) {
+      const junk = defaults.find((p) => p.test(path));
+      if (junk) return { allowed: false, reason: "default", rule: junk.source };
+    }
+
+    const depth = u.pathname.split("/").filter(Boolean).length;
+    if (r.maxDepth != null && depth > r.maxDepth) {
+      return { allowed: false, reason: "depth", rule: `depth ${depth} > ${r.maxDepth}` };
+    }
+
+    return { allowed: true };
+  };
+
+  return {
+    rules: r,
+
+    /** drop the #hash and the query params the rules don't keep; invalid URLs -> "" */
+    normalize(url) {
+      let u;
+      try {
+        u = new URL(url);
+      } catch {
+        return "";
+      }
+      u.hash = "";
+      if (r.queryParams === "keep" && !r.stripParams.length) return u.toString();
+
+      const toDelete = [];
+      u.searchParams.forEach((_, key) => {
+        const drop =
+          isStripped(key) ||
+          (r.queryParams === "strip-all" && !isKept(key)) ||
+          (r.queryParams === "strip-tracking" && isTracking(key));
+        if (drop) toDelete.push(key);
+      });
+      toDelete.forEach((k) => u.searchParams.delete(k));
+      return u.toString();
+    },
+
+    /** { allowed, reason?: "include" | "exclude" | "default" | "depth" | "invalid", rule? } */
+    test: verdictOf,
+
+    /** true when the rules let us crawl `url`; skipped URLs are recorded */
+    allow(url) {
+      const verdict = verdictOf(url);
+      if (!verdict.allowed && !skippedSet.has(url)) {
+        skippedSet.add(url);
+        if (counts[verdict.reason] != null) counts[verdict.reason] += 1;
+        skipped.push({ url, reason: verdict.reason, rule: verdict.rule });
+      }
+      return verdict.allowed;
+    },
+
+    summary() {
+      return {
+        rules: r,
+        skippedCount: skipped.length,
+        skippedBy: { ...counts },
+        skipped: skipped.slice(0, MAX_REPORTED_SKIPS),
+      };
+    },
+  };
+}
+
+// ---------------------------
+// Storage
+// ---------------------------
+
+export function getUrlRules(hostname) {
+  return rulesCollection().get(normHost(hostname)) || null;
+}
+
+export function listUrlRules() {
+  return Array.from(rulesCollection().values()).sort((a, b) =>
+    a.hostname.localeCompare(b.hostname)
+  );
+}
+
+/**
+ * Create or replace a site's rules (fields left out fall back to the defaults).
+ * Throws on invalid patterns / values.
+ */
+export function saveUrlRules(hostname, input = {}) {
+  const key = normHost(hostname);
+  if (!key) throw new Error("hostname is required");
+
+  const existing = rulesCollection().get(key) || null;
+  const now = new Date().toISOString();
+  const rules = {
+    hostname: key,
+    ...normalizeUrlRules(input),
+    createdAt: existing?.createdAt || now,
+    updatedAt: now,
+  };
+  rulesCollection().set(key, rules);
+  return rules;
+}
+
+export function deleteUrlRules(hostname) {
+  const key = normHost(hostname);
+  const existing = rulesCollection().get(key) || null;
+  if (existing) rulesCollection().delete(key);
+  return existing;
+}
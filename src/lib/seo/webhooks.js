@@ -0,0 +1,376 @@
+// src/lib/seo/webhooks.js
+import { createHmac, randomBytes, randomUUID } from "crypto";
+import { lookup } from "dns/promises";
+import { BlockList, isIP } from "net";
+import { getStorage } from "@/lib/seo/storage";
+import { enqueueJob, retryJob, registerJobHandler } from "@/lib/seo/jobs/queue";
+
+/**
+ * Outbound webhooks for scan lifecycle events.
+ *
+ * - Subscriptions are per site (hostname) and stored in the "webhooks" collection.
+ * - Events: "scan.completed" | "scan.failed" (fired by completeScan / failScan).
+ * - Each delivery is a "webhook-delivery" job: non-2xx responses and network
+ *   errors are retried with backoff; every attempt is logged in the
+ *   "webhookDeliveries" collection.
+ *
+ * Requests are POSTed as JSON with:
+ *   X-DrFizz-Event:     scan.completed
+ *   X-DrFizz-Delivery:  <deliveryId>
+ *   X-DrFizz-Signature: t=<unix seconds>,v1=<hex HMAC-SHA256(secret, `${t}.${rawBody}`)>
+ *
+ * Receivers should recompute v1 over the raw body and reject stale timestamps.
+ *
+ * Targets must resolve to public addresses: loopback, private, link-local
+ * (incl. the 169.254.169.254 metadata endpoint) and other reserved ranges are
+ * rejected on registration and re-checked before every delivery.
+ * SEO_WEBHOOKS_ALLOW_PRIVATE=1 lifts this for local development.
+ */
+
+export const WEBHOOK_EVENTS = ["scan.completed", "scan.failed"];
+
+const JOB_TYPE = "webhook-delivery";
+const DELIVERY_TIMEOUT_MS = 10_000;
+const MAX_ATTEMPTS = 5;
+const MAX_LOGGED_BODY = 500;
+const DELIVERY_RETENTION_MS = 30 * 24 * 60 * 60 * 1000;
+
+// addresses a webhook may never reach (internal services, cloud metadata)
+const BLOCKED = new BlockList();
+for (const [net, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.0.0.0", 24],
+  ["192.168.0.0", 16],
+  ["198.18.0.0", 15],
+  ["224.0.0.0", 3],
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv4");
+}
+for (const [net, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  BLOCKED.addSubnet(net, prefix, "ipv6");
+}
+
+// IPv4-mapped IPv6 (::ffff:10.0.0.1) is matched against the IPv4 ranges too
+function isBlockedAddress(address) {
+  const family = isIP(address);
+  if (!family) return true;
+  return BLOCKED.check(address, family === 4 ? "ipv4" : "ipv6");
+}
+
+/**
+ * Throws unless every address `url`'s host resolves to is public.
+ */
+async function assertPublicTarget(url) {
+  if (process.env.SEO_WEBHOOKS_ALLOW_PRIVATE === "1") return;
+
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, "");
+  let addresses;
+  try {
+    addresses = isIP(host) ? [{ address: host }] : await lookup(host, { all: true, verbatim: true });
+  } catch {
+    throw new Error(`url host ${host} does not resolve`);
+  }
+  if (!addresses.length || addresses.some((a) => isBlockedAddress(a.address))) {
+    throw new Error(`url host ${host} resolves to a private or reserved address`);
+  }
+}
+
+function webhooks() {
+  return getStorage().collection("webhooks");
+}
+
+function deliveries() {
+  return getStorage().collection("webhookDeliveries");
+}
+
+function normHost(hostname = "") {
+  return String(hostname).replace(/^www\./, "").toLowerCase().trim();
+}
+
+export function signWebhookPayload(secret, body, timestamp = Math.floor(Date.now() / 1000)) {
+  const v1 = createHmac("sha256", String(secret)).update(`${timestamp}.${body}`).digest("hex");
+  return `t=${timestamp},v1=${v1}`;
+}
+
+function saveDelivery(delivery) {
+  delivery.updatedAt = new Date().toISOString();
+  deliveries().set(delivery.deliveryId, delivery);
+  return delivery;
+}
+
+async function postWithTimeout(url, { body, headers, signal }) {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), DELIVERY_TIMEOUT_MS);
+
+  // job cancellation aborts the request too
+  const onAbort = () => ctrl.abort();
+  if (signal?.aborted) ctrl.abort();
+  else signal?.addEventListener("abort", onAbort, { once: true });
+
+  try {
+    return await fetch(url, {
+      method: "POST",
+      redirect: "manual",
+      headers,
+      body,
+      signal: ctrl.signal,
+    });
+  } finally {
+    clearTimeout(t);
+    signal?.removeEventListener("abort", onAbort);
+  }
+}
+
+registerJobHandler(JOB_TYPE, {
+  run: async ({ deliveryId }, job, { signal }) => {
+    const delivery = deliveries().get(deliveryId);
+    if (!delivery) return; // log was pruned, nothing to send
+
+    const hook = webhooks().get(delivery.webhookId);
+    if (!hook || !hook.enabled) {
+      saveDelivery({ ...delivery, status: "skipped", finishedAt: new Date().toISOString() });
+      return;
+    }
+
+    const body = JSON.stringify(delivery.payload);
+    const startedAt = Date.now();
+    const attempt = { at: new Date(startedAt).toISOString(), attempt: job.attempts };
+
+    let res = null;
+    try {
+      // DNS may have changed since registration
+      await assertPublicTarget(hook.url);
+      res = await postWithTimeout(hook.url, {
+        body,
+        signal,
+        headers: {
+          "Content-Type": "application/json",
+          "User-Agent": "DoctorFizz-Webhooks/1.0",
+          "X-DrFizz-Event": delivery.event,
+          "X-DrFizz-Delivery": delivery.deliveryId,
+          "X-DrFizz-Signature": signWebhookPayload(hook.secret, body),
+        },
+      });
+    } catch (e) {
+      attempt.error = signal?.aborted ? "cancelled" : e?.message || "request failed";
+    }
+
+    attempt.durationMs = Date.now() - startedAt;
+    if (res) {
+      attempt.responseStatus = res.status;
+      attempt.responseBody = (await res.text().catch(() => "")).slice(0, MAX_LOGGED_BODY);
+    }
+
+    const ok = Boolean(res && res.status >= 200 && res.status < 300);
+    const current = deliveries().get(deliveryId) || delivery;
+
+    saveDelivery({
+      ...current,
+      status: ok ? "delivered" : "retrying",
+      responseStatus: res?.status ?? null,
+      attempts: [...(current.attempts || []), attempt],
+      finishedAt: ok ? new Date().toISOString() : null,
+    });
+
+    if (!ok) {
+      throw new Error(attempt.error || `Webhook responded with ${res?.status}`);
+    }
+  },
+
+  onDead: ({ deliveryId }, job, err) => {
+    const delivery = deliveries().get(deliveryId);
+    if (!delivery) return;
+    saveDelivery({
+      ...delivery,
+      status: "failed",
+      error: err?.message || "delivery failed",
+      finishedAt: new Date().toISOString(),
+    });
+  },
+});
+
+// drop finished deliveries older than DELIVERY_RETENTION_MS
+function pruneDeliveries(now = Date.now()) {
+  for (const d of Array.from(deliveries().values())) {
+    const finishedAt = Date.parse(d.finishedAt || "");
+    if (Number.isFinite(finishedAt) && now - finishedAt > DELIVERY_RETENTION_MS) {
+      deliveries().delete(d.deliveryId);
+    }
+  }
+}
+
+function publicScan(scan) {
+  return {
+    scanId: scan.scanId,
+    kind: scan.kind,
+    status: scan.status,
+    hostname: scan.hostname,
+    websiteUrl: scan.websiteUrl || null,
+    mode: scan.mode,
+    provider: scan.provider || null,
+    allowSubdomains: Boolean(scan.allowSubdomains),
+    createdAt: scan.createdAt,
+    finishedAt: scan.finishedAt || null,
+    attempts: scan.attempts || 0,
+    error: scan.error || null,
+    diagnostics: scan.diagnostics || null,
+  };
+}
+
+// ---------------------------
+// Public API
+// ---------------------------
+
+/**
+ * Queue deliveries of `event` for every enabled subscription of the scan's host.
+ * Never throws: webhook problems must not break the scan lifecycle.
+ */
+export function dispatchScanEvent(event, scan) {
+  try {
+    const host = normHost(scan?.hostname);
+    if (!host || !WEBHOOK_EVENTS.includes(event)) return [];
+
+    pruneDeliveries();
+
+    const out = [];
+    for (const hook of webhooks().values()) {
+      if (!hook.enabled || hook.hostname !== host) continue;
+      if (!hook.events.includes(event)) continue;
+
+      const deliveryId = randomUUID();
+      const createdAt = new Date().toISOString();
+
+      saveDelivery({
+        deliveryId,
+        webhookId: hook.id,
+        hostname: host,
+        event,
+        scanId: scan.scanId,
+        status: "pending",
+        payload: { id: deliveryId, event, createdAt, data: { scan: publicScan(scan) } },
+        attempts: [],
+        responseStatus: null,
+        error: null,
+        createdAt,
+        finishedAt: null,
+      });
+
+      enqueueJob(
+        JOB_TYPE,
+        { deliveryId },
+        { jobId: deliveryId, maxAttempts: MAX_ATTEMPTS, baseDelayMs: 10_000 }
+      );
+      out.push(deliveryId);
+    }
+    return out;
+  } catch (e) {
+    console.warn(`Webhook dispatch for ${event} failed:`, e?.message || e);
+    return [];
+  }
+}
+
+/**
+ * Subscribe `url` to scan events of a site.
+ * A secret is generated when none is given; it is only returned here.
+ * Rejects URLs whose host resolves to a private / reserved address.
+ */
+export async function createWebhook({ hostname, url, events = WEBHOOK_EVENTS, secret } = {}) {
+  const host = normHost(hostname);
+  if (!host) throw new Error("hostname is required");
+
+  let target;
+  try {
+    target = new URL(String(url || ""));
+  } catch {
+    throw new Error("url must be an absolute http(s) URL");
+  }
+  if (target.protocol !== "https:" && target.protocol !== "http:") {
+    throw new Error("url must be an absolute http(s) URL");
+  }
+  await assertPublicTarget(target.toString());
+
+  const list = Array.from(new Set((Array.isArray(events) ? events : [events]).map(String)));
+  const unknown = list.filter((e) => !WEBHOOK_EVENTS.includes(e));
+  if (!list.length || unknown.length) {
+    throw new Error(`events must be a subset of: ${WEBHOOK_EVENTS.join(", ")}`);
+  }
+
+  const hook = {
+    id: randomUUID(),
+    hostname: host,
+    url: target.toString(),
+    events: list,
+    secret: secret ? String(secret) : randomBytes(32).toString("hex"),
+    enabled: true,
+    createdAt: new Date().toISOString(),
+  };
+
+  webhooks().set(hook.id, hook);
+  return hook;
+}
+
+export function getWebhook(id) {
+  return webhooks().get(id) || null;
+}
+
+export function listWebhooks({ hostname } = {}) {
+  const host = hostname ? normHost(hostname) : null;
+  return Array.from(webhooks().values())
+    .filter((h) => !host || h.hostname === host)
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+}
+
+export function updateWebhook(id, { enabled } = {}) {
+  const hook = webhooks().get(id);
+  if (!hook) return null;
+  const next = { ...hook, ...(enabled !== undefined ? { enabled: Boolean(enabled) } : {}) };
+  webhooks().set(id, next);
+  return next;
+}
+
+export function deleteWebhook(id) {
+  const hook = webhooks().get(id) || null;
+  if (hook) webhooks().delete(id);
+  return hook;
+}
+
+/**
+ * Delivery log, newest first.
+ * filters: webhookId, hostname, scanId, status (pending | retrying | delivered | failed | skipped)
+ */
+export function listWebhookDeliveries({ webhookId, hostname, scanId, status, limit = 50 } = {}) {
+  const host = hostname ? normHost(hostname) : null;
+  const max = Math.min(200, Math.max(1, Number(limit) || 50));
+
+  return Array.from(deliveries().values())
+    .filter(
+      (d) =>
+        (!webhookId || d.webhookId === webhookId) &&
+        (!host || d.hostname === host) &&
+        (!scanId || d.scanId === scanId) &&
+        (!status || d.status === status)
+    )
+    .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)))
+    .slice(0, max);
+}
+
+/**
+ * Re-queue a failed delivery (attempts exhausted) with a fresh set of attempts.
+ */
+export function redeliverWebhook(deliveryId) {
+  const delivery = deliveries().get(deliveryId);
+  if (!delivery || delivery.status !== "failed") return null;
+  if (!retryJob(deliveryId)) return null;
+
+  return saveDelivery({ ...delivery, status: "pending", error: null, finishedAt: null });
+}
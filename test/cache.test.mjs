@@ -0,0 +1,71 @@
+// test/cache.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createMemoryBackend, setStorageBackend } from "@/lib/seo/storage";
+import { createRouteCache } from "@/lib/seo/cache";
+
+setStorageBackend(createMemoryBackend());
+
+// a load whose value is settled by hand
+function deferred() {
+  let resolve;
+  const promise = new Promise((r) => (resolve = r));
+  return { promise, resolve };
+}
+
+test("concurrent loads of a key share one compute", async () => {
+  const cache = createRouteCache("test-shared", { ttlMs: 60_000 });
+  let calls = 0;
+  const gate = deferred();
+  const compute = async () => {
+    calls++;
+    await gate.promise;
+    return cache.set("example.com", calls).value;
+  };
+
+  const a = cache.load("example.com", compute);
+  const b = cache.load("www.example.com", compute);
+  gate.resolve();
+  assert.deepEqual(await Promise.all([a, b]), [1, 1]);
+  assert.equal(calls, 1);
+});
+
+test("a refresh runs its own load after the pending one and wins the cache", async () => {
+  const cache = createRouteCache("test-refresh", { ttlMs: 60_000 });
+  const first = deferred();
+  const order = [];
+
+  const normal = cache.load("example.com", async () => {
+    await first.promise;
+    order.push("stale");
+    return cache.set("example.com", "stale").value;
+  });
+  const refreshed = cache.load(
+    "example.com",
+    async () => {
+      order.push("fresh");
+      return cache.set("example.com", "fresh").value;
+    },
+    { refresh: true }
+  );
+  // a later plain caller shares the refresh, not the stale load
+  const later = cache.load("example.com", async () => "unused");
+
+  first.resolve();
+  assert.equal(await normal, "stale");
+  assert.equal(await refreshed, "fresh");
+  assert.equal(await later, "fresh");
+  assert.deepEqual(order, ["stale", "fresh"]);
+  assert.equal(cache.get("example.com").value, "fresh");
+});
+
+test("a failed load is not shared once it settles", async () => {
+  const cache = createRouteCache("test-failed", { ttlMs: 60_000 });
+  await assert.rejects(
+    cache.load("example.com", async () => {
+      throw new Error("boom");
+    }),
+    /boom/
+  );
+  assert.equal(await cache.load("example.com", async () => "ok"), "ok");
+});
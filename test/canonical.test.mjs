@@ -0,0 +1,83 @@
+// test/canonical.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { urlKey, hasPaginationParam, clusterCandidates } from "@/lib/seo/canonical";
+
+const page = (url, head = "", extra = {}) => ({
+  url,
+  ok: true,
+  text: `<html><head>${head}</head><body><p>${url}</p></body></html>`,
+  ...extra,
+});
+
+test("urlKey ignores scheme, www, default ports, trailing slash and param order", () => {
+  const key = urlKey("https://example.com/blog?a=1&b=2");
+  assert.equal(urlKey("http://www.example.com:80/blog/?b=2&a=1"), key);
+  assert.equal(urlKey("https://example.com/blog?a=1&b=2&page=3#x"), key);
+  assert.equal(urlKey("https://example.com/index.html"), "example.com/");
+  assert.notEqual(urlKey("https://example.com:8080/blog"), urlKey("https://example.com/blog"));
+  assert.equal(hasPaginationParam("https://example.com/?Paged=2"), true);
+  assert.equal(hasPaginationParam("not a url"), false);
+});
+
+test("redirects and normalized copies collapse into one entity", async () => {
+  const entities = await clusterCandidates([
+    page("https://example.com/a"),
+    page("http://www.example.com/a/"),
+    page("https://example.com/old", "", { finalUrl: "https://example.com/new" }),
+  ]);
+  assert.equal(entities.length, 2);
+  assert.equal(entities[0].url, "https://example.com/a");
+  assert.deepEqual(entities[0].variants, [{ url: "http://www.example.com/a/", relation: "normalized" }]);
+  assert.equal(entities[1].url, "https://example.com/new");
+  assert.deepEqual(entities[1].variants, [{ url: "https://example.com/old", relation: "redirect" }]);
+});
+
+test("canonical links join clusters transitively and pick the voted target", async () => {
+  const canonical = '<link rel="canonical" href="https://example.com/main">';
+  const entities = await clusterCandidates([
+    page("https://example.com/copy-1", canonical),
+    page("https://example.com/copy-2", canonical),
+    page("https://example.com/main"),
+  ]);
+  assert.equal(entities.length, 1);
+  assert.equal(entities[0].url, "https://example.com/main");
+  assert.equal(entities[0].canonical, "https://example.com/main");
+  assert.deepEqual(
+    entities[0].variants.map((v) => v.relation),
+    ["canonical", "canonical"]
+  );
+});
+
+test("a rejected canonical target falls back to a member URL", async () => {
+  const entities = await clusterCandidates(
+    [page("https://example.com/a", '<link rel="canonical" href="https://other.com/a">')],
+    { accept: async (url) => url.startsWith("https://example.com/") }
+  );
+  assert.equal(entities[0].url, "https://example.com/a");
+});
+
+test("hreflang alternates cluster together and prefer x-default", async () => {
+  const alternates = [
+    '<link rel="alternate" hreflang="en" href="https://example.com/en/">',
+    '<link rel="alternate" hreflang="de" href="https://example.com/de/">',
+    '<link rel="alternate" hreflang="x-default" href="https://example.com/">',
+  ].join("");
+  const entities = await clusterCandidates([
+    page("https://example.com/de/", alternates),
+    page("https://example.com/en/", alternates),
+  ]);
+  assert.equal(entities.length, 1);
+  assert.equal(entities[0].url, "https://example.com/");
+  assert.equal(entities[0].hreflang.length, 3);
+  assert.ok(entities[0].variants.every((v) => v.relation === "hreflang"));
+});
+
+test("prefers an un-paginated copy", async () => {
+  const entities = await clusterCandidates([
+    page("https://example.com/post?page=2"),
+    page("https://example.com/post"),
+  ]);
+  assert.equal(entities.length, 1);
+  assert.equal(entities[0].url, "https://example.com/post");
+});
@@ -0,0 +1,92 @@
+// test/crawl-compare.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  compareCrawls,
+  crawlFromOpportunitiesVersion,
+  crawlFromSiteAudit,
+} from "@/lib/seo/crawl-compare";
+
+const u = (path) => `https://x.com${path}`;
+
+const audit = (scanId, pages) => ({ scanId, createdAt: `2024-01-0${scanId}T00:00:00.000Z`, pages });
+
+test("site audits: added, removed, changed fields and unchanged pages", () => {
+  const older = audit(1, [
+    { url: u("/"), status: 200, title: "Home", h1: "Welcome", wordCount: 500 },
+    { url: u("/gone"), status: 200, title: "Gone", wordCount: 10 },
+    { url: u("/same"), status: 200, title: " Same  page ", wordCount: 100 },
+    { url: u("/idx"), status: 200, title: "Idx", noindex: false, canonical: "" },
+  ]);
+  const newer = audit(2, [
+    { url: u("/"), status: 200, title: "Home!", h1: "Welcome", wordCount: 300 },
+    { url: u("/new"), status: 404, title: "", wordCount: 0 },
+    { url: u("/same"), status: 200, title: "Same page", wordCount: 105 },
+    { url: u("/idx"), status: 200, title: "Idx", noindex: true, canonical: u("/") },
+  ]);
+
+  const diff = compareCrawls(crawlFromSiteAudit(older), crawlFromSiteAudit(newer));
+  assert.deepEqual(diff.from, { source: "site-health", id: 1, createdAt: "2024-01-01T00:00:00.000Z", pages: 4 });
+  assert.deepEqual(diff.added, [{ url: u("/new"), status: 404, title: "", wordCount: 0 }]);
+  assert.deepEqual(diff.removed.map((p) => p.url), [u("/gone")]);
+  assert.deepEqual(diff.changed, [
+    {
+      url: u("/"),
+      changes: {
+        title: { from: "Home", to: "Home!" },
+        wordCount: { from: 500, to: 300, delta: -200, pct: -40 },
+      },
+    },
+    {
+      url: u("/idx"),
+      changes: { canonical: { from: "", to: u("/") }, noindex: { from: false, to: true } },
+    },
+  ]);
+  assert.equal(diff.summary.unchanged, 1);
+  assert.deepEqual(diff.summary.fields, {
+    status: 0, title: 1, description: 0, h1: 0, canonical: 1, noindex: 1, wordCount: 1,
+  });
+});
+
+test("word-count changes below both thresholds are noise", () => {
+  const crawl = (id, wordCount) =>
+    crawlFromSiteAudit(audit(id, [{ url: u("/"), status: 200, wordCount }]));
+  assert.equal(compareCrawls(crawl(1, 1000), crawl(2, 1049)).summary.changed, 0);
+  assert.equal(compareCrawls(crawl(1, 1000), crawl(2, 1050)).summary.changed, 1);
+  assert.equal(compareCrawls(crawl(1, 40), crawl(2, 50)).summary.changed, 1);
+  assert.equal(compareCrawls(crawl(1, 20), crawl(2, 25)).summary.changed, 0);
+});
+
+test("redirecting URLs only report status and redirect target changes", () => {
+  const older = audit(1, [
+    { url: u("/a"), status: 200, title: "A" },
+    { url: u("/b"), redirectStatus: 301, status: 200, finalUrl: u("/b1"), title: "B1" },
+  ]);
+  const newer = audit(2, [
+    { url: u("/a"), redirectStatus: 301, status: 200, finalUrl: u("/a2"), title: "A2" },
+    { url: u("/b"), redirectStatus: 301, status: 200, finalUrl: u("/b2"), title: "B2" },
+  ]);
+  const diff = compareCrawls(crawlFromSiteAudit(older), crawlFromSiteAudit(newer));
+  assert.deepEqual(diff.changed, [
+    { url: u("/a"), changes: { status: { from: 200, to: 301, fromTarget: null, toTarget: u("/a2") } } },
+    { url: u("/b"), changes: { status: { from: 301, to: 301, fromTarget: u("/b1"), toTarget: u("/b2") } } },
+  ]);
+  assert.equal(diff.summary.fields.status, 2);
+});
+
+test("only fields both sources record are compared", () => {
+  const version = {
+    version: 3,
+    createdAt: "2024-01-01T00:00:00.000Z",
+    blogs: [{ url: u("/"), title: "Home", description: "Same", wordCount: 500 }],
+  };
+  const older = crawlFromOpportunitiesVersion(version);
+  const newer = crawlFromSiteAudit(
+    audit(2, [{ url: u("/"), status: 500, title: "Home", description: "Same", h1: "New", wordCount: 500 }])
+  );
+  const diff = compareCrawls(older, newer);
+  assert.equal(diff.from.source, "opportunities");
+  assert.equal(diff.from.id, 3);
+  assert.deepEqual(diff.changed, []);
+  assert.deepEqual(Object.keys(diff.summary.fields), ["title", "description", "canonical", "wordCount"]);
+});
@@ -0,0 +1,28 @@
+// test/credentials.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { checkCredentials, sealCredentials } from "@/lib/seo/providers/credentials";
+
+test("a credentialsEnv reference must name a set variable", () => {
+  delete process.env.SEO_CREDENTIAL_ACME_UNSET;
+  const payload = { siteUrl: "https://example.com", postId: 1, credentialsEnv: "acme_unset" };
+  assert.throws(() => checkCredentials("wordpress", payload), /SEO_CREDENTIAL_ACME_UNSET is not set/);
+  assert.throws(() => sealCredentials("wordpress", payload), /SEO_CREDENTIAL_ACME_UNSET is not set/);
+  assert.throws(() => checkCredentials("wordpress", { credentialsEnv: "acme-wp" }), /credentialsEnv must be/);
+
+  process.env.SEO_CREDENTIAL_ACME_UNSET = "secret";
+  try {
+    checkCredentials("wordpress", payload);
+    assert.deepEqual(sealCredentials("wordpress", { ...payload, authBasic: "inline" }), payload);
+  } finally {
+    delete process.env.SEO_CREDENTIAL_ACME_UNSET;
+  }
+});
+
+test("inline secrets are sealed and need no reference", () => {
+  checkCredentials("shopify", { shopDomain: "x.myshopify.com", accessToken: "t" });
+  const sealed = sealCredentials("shopify", { shopDomain: "x.myshopify.com", accessToken: "t" });
+  assert.equal(sealed.accessToken, undefined);
+  assert.equal(typeof sealed.credentialsKey, "string");
+  assert.throws(() => checkCredentials("ghost", {}), /Unsupported provider/);
+});
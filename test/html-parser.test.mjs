@@ -0,0 +1,80 @@
+// test/html-parser.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseHtml,
+  findAll,
+  findFirst,
+  closest,
+  textContent,
+  decodeEntities,
+} from "@/lib/seo/html-parser";
+
+const tags = (doc) => findAll(doc, (e) => e.tag).map((e) => e.tag);
+
+test("builds a tree with attributes and parents", () => {
+  const doc = parseHtml(`<div id="a" class='b c' hidden><a href="/x">Link</a></div>`);
+  const div = findFirst(doc, (e) => e.tag === "div");
+  assert.deepEqual(div.attrs, { id: "a", class: "b c", hidden: "" });
+
+  const a = findFirst(doc, (e) => e.tag === "a");
+  assert.equal(a.parent, div);
+  assert.equal(closest(a, (e) => e.attrs.id === "a"), div);
+});
+
+test("lowercases tag and attribute names", () => {
+  const doc = parseHtml(`<DIV DATA-X="1"><IMG SRC="a.png"></DIV>`);
+  assert.deepEqual(tags(doc), ["div", "img"]);
+  assert.equal(findFirst(doc, (e) => e.tag === "img").attrs.src, "a.png");
+  assert.equal(findFirst(doc, (e) => e.tag === "div").attrs["data-x"], "1");
+});
+
+test("void elements and implied end tags don't nest", () => {
+  const doc = parseHtml(`<p>a<br>b<p>c<ul><li>1<li>2</ul>`);
+  const ps = findAll(doc, (e) => e.tag === "p");
+  assert.equal(ps.length, 2);
+  assert.equal(ps[1].parent.tag, "#root");
+  assert.equal(findAll(doc, (e) => e.tag === "li").every((li) => li.parent.tag === "ul"), true);
+});
+
+test("raw text elements keep markup as text, end tags match case-insensitively", () => {
+  const doc = parseHtml(`<script>if (a</b) x("<p>")</SCRIPT ><p>after</p>`);
+  const script = findFirst(doc, (e) => e.tag === "script");
+  assert.equal(script.children[0].text, `if (a</b) x("<p>")`);
+  assert.equal(findAll(doc, (e) => e.tag === "p").length, 1);
+});
+
+test("RCDATA decodes entities, unclosed raw text runs to the end", () => {
+  const doc = parseHtml(`<title>A &amp; B</title><style>p{}`);
+  assert.equal(findFirst(doc, (e) => e.tag === "title").children[0].text, "A & B");
+  assert.equal(findFirst(doc, (e) => e.tag === "style").children[0].text, "p{}");
+});
+
+test("parses a large script-heavy document in linear time", () => {
+  const html = "<body>" + "<script>var x = 1;</script><p>para</p>".repeat(20_000) + "</body>";
+  const started = Date.now();
+  const doc = parseHtml(html);
+  assert.equal(findAll(doc, (e) => e.tag === "script").length, 20_000);
+  assert.ok(Date.now() - started < 5_000);
+});
+
+test("caps nesting depth so walkers don't overflow on thousands of unclosed tags", () => {
+  const doc = parseHtml(`<body>${"<div><span>x ".repeat(20_000)}</body>`);
+  let depth = 0;
+  for (let el = findFirst(doc, () => true); el; el = el.children.find((c) => c.type === "element")) {
+    depth += 1;
+  }
+  assert.ok(depth <= 520, String(depth));
+  assert.equal(findAll(doc, (el) => el.tag === "span").length, 20_000);
+  assert.equal(textContent(doc).split(" ").length, 20_000);
+});
+
+test("textContent separates blocks and skips non-text elements", () => {
+  const doc = parseHtml(`<div><h1>Title</h1><p>One <b>bold</b> word</p><script>x()</script></div>`);
+  assert.equal(textContent(doc), "Title One bold word");
+});
+
+test("decodeEntities handles named, decimal and hex references", () => {
+  assert.equal(decodeEntities("&lt;a&gt; &quot;x&quot; &#39;y&#39; &#x263A;"), `<a> "x" 'y' ☺`);
+  assert.equal(decodeEntities("AT&T"), "AT&T");
+});
@@ -0,0 +1,52 @@
+// test/image-size.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { imageSize } from "@/lib/seo/image-audit";
+
+test("PNG: IHDR width / height", () => {
+  const buf = Buffer.alloc(24);
+  buf.writeUInt32BE(0x89504e47, 0);
+  buf.writeUInt32BE(640, 16);
+  buf.writeUInt32BE(480, 20);
+  assert.deepEqual(imageSize(buf), { format: "png", width: 640, height: 480 });
+});
+
+test("GIF: logical screen size", () => {
+  const buf = Buffer.alloc(13);
+  buf.write("GIF89a", 0, "latin1");
+  buf.writeUInt16LE(32, 6);
+  buf.writeUInt16LE(16, 8);
+  assert.deepEqual(imageSize(buf), { format: "gif", width: 32, height: 16 });
+});
+
+test("JPEG: skips segments up to the start-of-frame marker", () => {
+  const app0 = [0xff, 0xe0, 0x00, 0x04, 0x00, 0x00];
+  const sof0 = [0xff, 0xc0, 0x00, 0x11, 0x08, 0x01, 0xe0, 0x02, 0x80, 0x03];
+  const buf = Buffer.from([0xff, 0xd8, ...app0, ...sof0, 0, 0, 0]);
+  assert.deepEqual(imageSize(buf), { format: "jpeg", width: 640, height: 480 });
+
+  const truncated = Buffer.from([0xff, 0xd8, ...app0, 0, 0, 0, 0]);
+  assert.deepEqual(imageSize(truncated), { format: "jpeg", width: null, height: null });
+});
+
+test("WebP: VP8X canvas size", () => {
+  const buf = Buffer.alloc(30);
+  buf.write("RIFF", 0, "latin1");
+  buf.write("WEBPVP8X", 8, "latin1");
+  buf.writeUIntLE(1199, 24, 3);
+  buf.writeUIntLE(799, 27, 3);
+  assert.deepEqual(imageSize(buf), { format: "webp", width: 1200, height: 800 });
+});
+
+test("SVG: width / height attributes, else the viewBox", () => {
+  const sized = Buffer.from('<?xml version="1.0"?><svg xmlns="http://www.w3.org/2000/svg" width="24px" height="12">');
+  assert.deepEqual(imageSize(sized), { format: "svg", width: 24, height: 12 });
+  const viewBox = Buffer.from('<svg viewBox="0 0 100.4 50"></svg>');
+  assert.deepEqual(imageSize(viewBox), { format: "svg", width: 100, height: 50 });
+});
+
+test("unknown or short input", () => {
+  assert.equal(imageSize(null), null);
+  assert.equal(imageSize(Buffer.from("abc")), null);
+  assert.equal(imageSize(Buffer.from("just some text here")), null);
+});
@@ -0,0 +1,75 @@
+// test/link-graph.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createLinkGraph, toLinkEdges, suggestInternalLinks } from "@/lib/seo/link-graph";
+
+const link = (href, extra = {}) => ({ href, text: "", nofollow: false, placement: "content", ...extra });
+
+// home -> a, b; a -> b; b -> home; c only in the sitemap
+function buildGraph({ complete = true } = {}) {
+  const graph = createLinkGraph();
+  for (const url of ["https://x.com/", "https://x.com/a", "https://x.com/b"]) {
+    graph.addPage({ url, status: 200 });
+  }
+  graph.addPage({ url: "https://x.com/c", status: 200 }, { inSitemap: true });
+  graph.addLinks("https://x.com/", toLinkEdges([link("https://x.com/a"), link("https://x.com/b")]));
+  graph.addLinks("https://x.com/a", toLinkEdges([link("https://x.com/b", { text: "B" })]));
+  graph.addLinks("https://x.com/b", toLinkEdges([link("https://x.com/")]));
+  return graph.analyze({ home: "https://x.com/", complete });
+}
+
+test("toLinkEdges keeps http(s) links only", () => {
+  const edges = toLinkEdges([link("https://x.com/a"), link("mailto:a@x.com"), link("tel:123")]);
+  assert.deepEqual(edges, [{ target: "https://x.com/a", anchor: "", nofollow: false, placement: "content" }]);
+});
+
+test("PageRank sums to ~1 and ranks the most linked page highest", () => {
+  const { pages } = buildGraph();
+  const total = pages.reduce((sum, p) => sum + p.pageRank, 0);
+  assert.ok(Math.abs(total - 1) < 1e-3, `sum ${total}`);
+  assert.equal(pages[0].url, "https://x.com/b");
+  assert.equal(pages[0].rankScore, 100);
+  assert.deepEqual(pages[0].topAnchors, [{ text: "B", count: 1 }]);
+});
+
+test("click depth from the home page; unlinked pages are unreachable orphans", () => {
+  const { summary, pages, orphans } = buildGraph();
+  const byUrl = Object.fromEntries(pages.map((p) => [p.url, p]));
+  assert.equal(byUrl["https://x.com/"].depth, 0);
+  assert.equal(byUrl["https://x.com/b"].depth, 1);
+  assert.equal(byUrl["https://x.com/c"].depth, null);
+  assert.deepEqual(orphans, ["https://x.com/c"]);
+  assert.equal(summary.maxDepth, 1);
+  assert.equal(summary.depths.unreachable, 1);
+  assert.equal(summary.complete, true);
+});
+
+test("an incomplete crawl flags no orphans", () => {
+  const { summary, pages, orphans } = buildGraph({ complete: false });
+  assert.equal(summary.complete, false);
+  assert.equal(summary.orphans, 0);
+  assert.deepEqual(orphans, []);
+  assert.ok(pages.every((p) => !p.orphan));
+});
+
+test("redirected URLs share the links of their final page", () => {
+  const graph = createLinkGraph();
+  graph.addPage({ url: "https://x.com/", status: 200 });
+  graph.addPage({ url: "https://x.com/old", finalUrl: "https://x.com/new", status: 200 });
+  graph.addLinks("https://x.com/", [{ target: "https://x.com/old", nofollow: false }]);
+  const { pages } = graph.analyze({ home: "https://x.com/" });
+  assert.equal(pages.find((p) => p.url === "https://x.com/new").inlinks, 1);
+});
+
+test("suggestInternalLinks skips pages already linked and puts orphans first", () => {
+  const graph = buildGraph();
+  const suggestions = suggestInternalLinks(graph, "https://x.com/a").map((p) => p.url);
+  assert.deepEqual(suggestions, ["https://x.com/c", "https://x.com/"]);
+});
+
+test("suggestInternalLinks ignores orphan flags of an incomplete crawl", () => {
+  const graph = buildGraph();
+  graph.summary = { ...graph.summary, complete: false };
+  const suggestions = suggestInternalLinks(graph, "https://x.com/a").map((p) => p.url);
+  assert.deepEqual(suggestions, ["https://x.com/", "https://x.com/c"]);
+});
@@ -0,0 +1,120 @@
+// test/queue.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createMemoryBackend, setStorageBackend } from "@/lib/seo/storage";
+import {
+  cancelJob,
+  enqueueJob,
+  getJob,
+  listJobs,
+  registerJobHandler,
+  retryJob,
+} from "@/lib/seo/jobs/queue";
+
+const storage = setStorageBackend(createMemoryBackend());
+
+async function settled(jobId, status, timeoutMs = 2000) {
+  const until = Date.now() + timeoutMs;
+  while (Date.now() < until) {
+    if (getJob(jobId)?.status === status) return getJob(jobId);
+    await sleep(5);
+  }
+  assert.fail(`job ${jobId} is ${getJob(jobId)?.status}, expected ${status}`);
+}
+
+// must run first: recovery happens once, when the queue starts
+test("recovery: running jobs left by a previous process are re-queued, old finished jobs pruned", async () => {
+  const jobs = storage.collection("jobs");
+  const old = new Date(Date.now() - 8 * 24 * 60 * 60 * 1000).toISOString();
+  jobs.set("interrupted", {
+    jobId: "interrupted", type: "recover", payload: {}, status: "running",
+    attempts: 1, maxAttempts: 3, baseDelayMs: 1, createdAt: old,
+  });
+  jobs.set("old", { jobId: "old", type: "recover", status: "complete", finishedAt: old });
+  jobs.set("recent", { jobId: "recent", type: "recover", status: "dead", finishedAt: new Date().toISOString() });
+
+  const ran = [];
+  registerJobHandler("recover", { run: async (payload, job) => ran.push(job.jobId) });
+
+  const job = await settled("interrupted", "complete");
+  assert.deepEqual(ran, ["interrupted"]);
+  assert.equal(job.attempts, 2);
+  assert.ok(job.recoveredAt);
+  assert.equal(getJob("old"), null);
+  assert.equal(getJob("recent").status, "dead");
+});
+
+test("retries with backoff until a run succeeds", async () => {
+  const retries = [];
+  registerJobHandler("flaky", {
+    run: async (payload, job) => {
+      if (job.attempts < 3) throw new Error(`boom ${job.attempts}`);
+    },
+    onRetry: (payload, job, err) => retries.push([job.attempts, job.lastError, err.message]),
+  });
+
+  const { jobId } = enqueueJob("flaky", { n: 1 }, { baseDelayMs: 1 });
+  const job = await settled(jobId, "complete");
+  assert.equal(job.attempts, 3);
+  assert.equal(job.lastError, null);
+  assert.deepEqual(retries, [
+    [1, "boom 1", "boom 1"],
+    [2, "boom 2", "boom 2"],
+  ]);
+});
+
+test("dead-letters a job after maxAttempts and retryJob() revives it", async () => {
+  const dead = [];
+  let fail = true;
+  registerJobHandler("broken", {
+    run: async () => {
+      if (fail) throw new Error("always");
+    },
+    onDead: (payload, job, err) => dead.push([payload, job.attempts, err.message]),
+  });
+
+  const { jobId } = enqueueJob("broken", { id: 7 }, { maxAttempts: 2, baseDelayMs: 1 });
+  const job = await settled(jobId, "dead");
+  assert.equal(job.lastError, "always");
+  assert.ok(job.finishedAt);
+  assert.deepEqual(dead, [[{ id: 7 }, 2, "always"]]);
+  assert.deepEqual(listJobs({ type: "broken", status: "dead" }).map((j) => j.jobId), [jobId]);
+
+  assert.equal(retryJob("missing"), null);
+  fail = false;
+  assert.equal(retryJob(jobId).attempts, 0);
+  assert.equal((await settled(jobId, "complete")).attempts, 1);
+  assert.equal(retryJob(jobId), null);
+});
+
+test("cancelJob aborts a running handler and is never retried", async () => {
+  registerJobHandler("slow", {
+    run: (payload, job, { signal }) =>
+      new Promise((resolve, reject) => signal.addEventListener("abort", () => reject(signal.reason))),
+  });
+
+  const { jobId } = enqueueJob("slow", {}, { baseDelayMs: 1 });
+  await settled(jobId, "running");
+  assert.ok(cancelJob(jobId).cancelledAt);
+  const job = await settled(jobId, "cancelled");
+  assert.equal(job.attempts, 1);
+  assert.equal(cancelJob(jobId), null);
+
+  const queued = enqueueJob("slow", {}, { runAt: Date.now() + 60_000 });
+  assert.equal(cancelJob(queued.jobId).status, "cancelled");
+});
+
+test("jobs wait for their handler to register", async () => {
+  const { jobId } = enqueueJob("later", {});
+  await sleep(20);
+  assert.equal(getJob(jobId).status, "queued");
+  registerJobHandler("later", { run: async () => {} });
+  await settled(jobId, "complete");
+});
+
+test("registerJobHandler / enqueueJob validate their input", () => {
+  assert.throws(() => registerJobHandler("", { run() {} }), /type is required/);
+  assert.throws(() => registerJobHandler("x", {}), /handler.run must be a function/);
+  assert.throws(() => enqueueJob(""), /type is required/);
+});
@@ -0,0 +1,83 @@
+// test/readability.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  analyzeReadability,
+  countSyllables,
+  fleschLevel,
+  rateReadability,
+  readabilityBlocks,
+  splitSentences,
+  summarizeReadability,
+} from "@/lib/seo/readability";
+
+test("countSyllables estimates English syllables", () => {
+  assert.equal(countSyllables("cat"), 1);
+  assert.equal(countSyllables("table"), 2);
+  assert.equal(countSyllables("reading"), 2);
+  assert.equal(countSyllables("readability"), 5);
+  assert.equal(countSyllables("42"), 1);
+  assert.equal(countSyllables(""), 1);
+});
+
+test("splitSentences keeps abbreviations, initials and decimals together", () => {
+  assert.deepEqual(splitSentences("Dr. Smith paid 3.5 dollars. See e.g. the U.S. market! Done?"), [
+    "Dr. Smith paid 3.5 dollars.",
+    "See e.g. the U.S. market!",
+    "Done?",
+  ]);
+  assert.deepEqual(splitSentences("No end punctuation"), ["No end punctuation"]);
+  assert.deepEqual(splitSentences("..."), []);
+});
+
+test("readabilityBlocks leaves headings and code out", () => {
+  const blocks = readabilityBlocks("<h1>Title</h1><p>One line.</p><pre>x = 1;</pre><ul><li>Item.</li></ul>");
+  assert.deepEqual(blocks, ["One line.", "Item."]);
+});
+
+test("analyzeReadability scores easy and hard text apart", () => {
+  const easy = analyzeReadability("The cat sat on the mat. It was a good day.");
+  assert.equal(easy.sentences, 2);
+  assert.equal(easy.paragraphs, 1);
+  assert.ok(easy.fleschReadingEase > 90, String(easy.fleschReadingEase));
+  assert.equal(easy.level, "very easy");
+
+  const hard = analyzeReadability(
+    "Organizational interdependencies necessitate comprehensive institutional reconsideration of administrative responsibilities."
+  );
+  assert.ok(hard.fleschReadingEase < 30, String(hard.fleschReadingEase));
+  assert.equal(hard.level, "very difficult");
+});
+
+test("analyzeReadability flags long and passive sentences and transitions", () => {
+  const long = `Some ${Array.from({ length: 31 }, () => "word").join(" ")}.`;
+  const r = analyzeReadability([`The report was written by the team. However, we liked it. ${long}`]);
+  assert.equal(r.passive.sentences, 1);
+  assert.equal(r.transitions.sentences, 1);
+  assert.equal(r.sentences, 3);
+  assert.equal(r.sentenceLength.long, 1);
+  assert.deepEqual(r.highlights.map((h) => h.issues), [["very-long"], ["passive"]]);
+});
+
+test("non-English text gets no passive / transition heuristics", () => {
+  const r = analyzeReadability("Der Bericht wurde geschrieben.", { lang: "de" });
+  assert.equal(r.passive, null);
+  assert.equal(r.transitions, null);
+});
+
+test("empty input has no scores", () => {
+  const r = analyzeReadability("");
+  assert.equal(r.sentences, 0);
+  assert.equal(r.fleschReadingEase, null);
+  assert.equal(summarizeReadability(r), null);
+});
+
+test("fleschLevel and rateReadability bands", () => {
+  assert.equal(fleschLevel(null), null);
+  assert.equal(fleschLevel(65), "standard");
+  assert.equal(rateReadability("fleschReadingEase", 65), "good");
+  assert.equal(rateReadability("fleschReadingEase", 55), "ok");
+  assert.equal(rateReadability("passivePct", 20), "poor");
+  assert.equal(rateReadability("longSentencePct", 10), "good");
+  assert.equal(rateReadability("unknown", 1), null);
+});
@@ -0,0 +1,118 @@
+// test/robots.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  parseRobotsTxt,
+  compileRobots,
+  createRobotsGate,
+  getRobots,
+  throwIfRobotsUnavailable,
+  CRAWLER_TOKEN,
+} from "@/lib/seo/robots";
+
+const ROBOTS = `
+User-agent: *
+Disallow: /
+
+# our bot has its own group
+User-agent: Googlebot
+User-agent: ${CRAWLER_TOKEN}
+Disallow: /private/
+Allow: /private/ok$
+Disallow: /*.pdf$
+Crawl-delay: 2
+
+Sitemap: https://x.com/sitemap.xml
+`;
+
+test("parses groups, shared user-agent lines and sitemaps", () => {
+  const parsed = parseRobotsTxt(ROBOTS);
+  assert.equal(parsed.groups.length, 2);
+  assert.deepEqual(parsed.groups[1].agents, ["googlebot", CRAWLER_TOKEN.toLowerCase()]);
+  assert.deepEqual(parsed.sitemaps, ["https://x.com/sitemap.xml"]);
+});
+
+test("uses the most specific group for our token", () => {
+  const robots = compileRobots(parseRobotsTxt(ROBOTS));
+  assert.equal(robots.match("/").allowed, true);
+  assert.equal(robots.crawlDelayMs, 2000);
+
+  const other = compileRobots(parseRobotsTxt(ROBOTS), { token: "OtherBot" });
+  assert.equal(other.match("/").allowed, false);
+});
+
+test("longest match wins, Allow wins ties, * and $ wildcards", () => {
+  const robots = compileRobots(parseRobotsTxt(ROBOTS));
+  assert.deepEqual(robots.match("/private/a"), { allowed: false, rule: "Disallow: /private/" });
+  assert.equal(robots.match("/private/ok").allowed, true);
+  assert.equal(robots.match("/private/ok2").allowed, false);
+  assert.equal(robots.match("/docs/a.pdf").allowed, false);
+  assert.equal(robots.match("/docs/a.pdf?x=1").allowed, true);
+
+  const tie = compileRobots(parseRobotsTxt("User-agent: *\nDisallow: /a\nAllow: /a\n"));
+  assert.equal(tie.match("/a").allowed, true);
+});
+
+test("robots.txt itself is always allowed, an empty file allows everything", () => {
+  const robots = compileRobots(parseRobotsTxt("User-agent: *\nDisallow: /\n"));
+  assert.equal(robots.match("/robots.txt").allowed, true);
+  assert.deepEqual(compileRobots(parseRobotsTxt("")).match("/anything"), { allowed: true, rule: null });
+});
+
+// ---------------------------
+// Fetching (fetch is stubbed per test)
+// ---------------------------
+
+function stubFetch(t, respond) {
+  const calls = [];
+  t.mock.method(globalThis, "fetch", async (url) => {
+    calls.push(String(url));
+    await new Promise((resolve) => setTimeout(resolve, 10));
+    return respond(String(url));
+  });
+  return calls;
+}
+
+test("concurrent checks on a cold origin share one robots.txt fetch", async (t) => {
+  const calls = stubFetch(t, () => new Response("User-agent: *\nDisallow: /private/\n"));
+  const gate = createRobotsGate();
+  const urls = Array.from({ length: 20 }, (_, i) => `https://cold.example/${i % 2 ? "private/" : ""}${i}`);
+
+  const verdicts = await Promise.all(urls.map((url) => gate.allow(url)));
+  assert.deepEqual(calls, ["https://cold.example/robots.txt"]);
+  assert.equal(verdicts.filter(Boolean).length, 10);
+
+  await Promise.all([getRobots("https://other.example/a"), getRobots("https://other.example/b")]);
+  assert.equal(calls.length, 2);
+});
+
+test("a new scan retries a cached failure once, however many URLs it checks at a time", async (t) => {
+  let status = 503;
+  const calls = stubFetch(t, () => new Response("", { status }));
+
+  const first = createRobotsGate();
+  assert.equal(await first.allow("https://flaky.example/"), false);
+  assert.equal(first.unavailable().length, 1);
+  assert.throws(() => throwIfRobotsUnavailable(first), /robots.txt unavailable \(HTTP 503\)/);
+
+  status = 200;
+  const retry = createRobotsGate();
+  const verdicts = await Promise.all(
+    ["/a", "/b", "/c"].map((path) => retry.allow(`https://flaky.example${path}`))
+  );
+  assert.deepEqual(verdicts, [true, true, true]);
+  assert.equal(calls.length, 2);
+  assert.doesNotThrow(() => throwIfRobotsUnavailable(retry));
+});
+
+test("an aborted scan stops waiting without failing the shared fetch", async (t) => {
+  const calls = stubFetch(t, () => new Response(""));
+  const ctrl = new AbortController();
+  const aborted = getRobots("https://shared.example/", { signal: ctrl.signal });
+  const other = getRobots("https://shared.example/");
+  ctrl.abort(new Error("cancelled"));
+
+  await assert.rejects(aborted, /cancelled/);
+  assert.equal((await other).disallowAll, false);
+  assert.equal(calls.length, 1);
+});
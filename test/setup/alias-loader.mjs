@@ -0,0 +1,37 @@
+// test/setup/alias-loader.mjs
+import { existsSync, statSync } from "node:fs";
+import { fileURLToPath, pathToFileURL } from "node:url";
+
+/**
+ * Module hooks so the app's sources run under plain `node --test`:
+ * - "@/…" resolves to src/ (jsconfig.json paths), like Next's bundler does
+ * - extensionless relative imports inside src/ ("./wordpress") get ".js" / "/index.js"
+ * - src/ files are ES modules (package.json has no "type": "module")
+ */
+
+const SRC = new URL("../../src/", import.meta.url);
+
+function asFile(path) {
+  for (const candidate of [path, `${path}.js`, `${path}/index.js`]) {
+    if (existsSync(candidate) && statSync(candidate).isFile()) return candidate;
+  }
+  return null;
+}
+
+export async function resolve(specifier, context, next) {
+  let path = null;
+  if (specifier.startsWith("@/")) {
+    path = fileURLToPath(new URL(specifier.slice(2), SRC));
+  } else if (/^\.\.?\//.test(specifier) && context.parentURL?.startsWith(SRC.href)) {
+    path = fileURLToPath(new URL(specifier, context.parentURL));
+  }
+
+  const file = path && asFile(path);
+  if (file) return { url: pathToFileURL(file).href, format: "module", shortCircuit: true };
+  return next(specifier, context);
+}
+
+export async function load(url, context, next) {
+  if (url.startsWith(SRC.href)) return next(url, { ...context, format: "module" });
+  return next(url, context);
+}
@@ -0,0 +1,5 @@
+// test/setup/register.mjs
+import { register } from "node:module";
+
+// Resolves the "@/" alias and extensionless imports of src/ for `npm test`
+register("./alias-loader.mjs", import.meta.url);
@@ -0,0 +1,132 @@
+// test/site-health.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { buildSiteHealthReport, inspectPage } from "@/lib/seo/site-health";
+
+const u = (path) => `https://x.com${path}`;
+
+// an inspectPage() record of a healthy HTML page
+const page = (path, extra = {}) => ({
+  url: u(path),
+  finalUrl: u(path),
+  status: 200,
+  error: null,
+  redirects: [],
+  inSitemap: false,
+  isHtml: true,
+  title: `Title ${path}`,
+  description: `Description ${path}`,
+  h1Count: 1,
+  noindex: false,
+  canonical: null,
+  bytes: 1000,
+  links: [],
+  ...extra,
+});
+
+const byType = (report) => Object.fromEntries(report.issues.map((i) => [i.type, i]));
+
+test("reports each issue type with its severity, counts and score", () => {
+  const pages = [
+    page("/", { links: [u("/about"), u("/missing"), u("/contact"), "https://other.com/404"] }),
+    page("/about", { title: "Same", description: "", h1Count: 0 }),
+    page("/contact", { title: "same " }),
+    page("/missing", { status: 404, isHtml: false }),
+    page("/old", {
+      finalUrl: u("/new"),
+      redirects: [{ url: u("/old"), status: 301 }, { url: u("/mid"), status: 301 }],
+    }),
+    page("/loop", { status: 0, error: "Redirect loop", isHtml: false, redirects: [{ url: u("/a") }, { url: u("/b") }] }),
+    page("/hidden", { noindex: true, inSitemap: true }),
+  ];
+  const report = buildSiteHealthReport(pages, {
+    isInternal: (url) => url.startsWith("https://x.com/"),
+    orphans: [u("/orphan")],
+  });
+  const issues = byType(report);
+
+  assert.deepEqual(Object.keys(issues).sort(), [
+    "broken-internal-link",
+    "duplicate-title",
+    "fetch-error",
+    "http-4xx",
+    "missing-h1",
+    "missing-meta-description",
+    "noindex-in-sitemap",
+    "orphan-page",
+    "redirect-chain",
+    "redirect-loop",
+  ]);
+  assert.deepEqual(issues["broken-internal-link"].affected, [
+    { url: u("/missing"), note: "HTTP 404 · linked from 1 page", sources: [u("/")] },
+  ]);
+  assert.deepEqual(issues["duplicate-title"].affected.map((a) => a.url), [u("/about"), u("/contact")]);
+  assert.deepEqual(issues["redirect-chain"].affected[0].chain.map((c) => c.url), [u("/old"), u("/mid")]);
+  assert.equal(issues["redirect-loop"].affected[0].note, `${u("/a")} → ${u("/b")}`);
+  assert.equal(issues["orphan-page"].severity, "notice");
+
+  // errors first
+  assert.deepEqual(
+    report.issues.map((i) => i.severity),
+    [...Array(4).fill("error"), ...Array(4).fill("warning"), ...Array(2).fill("notice")]
+  );
+  assert.deepEqual(report.counts, { error: 4, warning: 5, notice: 2 });
+  // 4 pages with errors (/, /missing, /loop, /hidden) + 3 with warnings of 7
+  assert.equal(report.pagesAudited, 7);
+  assert.equal(report.score, Math.round(100 * (1 - 5.5 / 7)));
+});
+
+test("content checks run once per document; canonicalised and noindex copies aren't duplicates", () => {
+  const report = buildSiteHealthReport([
+    page("/a", { title: "Shared" }),
+    page("/a?ref=1", { finalUrl: u("/a"), title: "Shared" }),
+    page("/print/a", { title: "Shared", canonical: u("/a") }),
+    page("/draft", { title: "Shared", noindex: true }),
+  ]);
+  assert.deepEqual(report.issues, []);
+  assert.equal(report.score, 100);
+});
+
+test("an empty crawl has no score", () => {
+  assert.deepEqual(buildSiteHealthReport([]), {
+    score: null,
+    pagesAudited: 0,
+    counts: { error: 0, warning: 0, notice: 0 },
+    issues: [],
+  });
+});
+
+test("inspectPage reads the page's SEO fields and links", () => {
+  const record = inspectPage(
+    {
+      url: u("/post"),
+      ok: true,
+      status: 200,
+      contentType: "text/html; charset=utf-8",
+      text: `<html><head><title>Post</title><meta name="description" content="About it">
+        <meta name="robots" content="noindex"></head>
+        <body><h1>Post</h1><main><p>Some text with a <a href="/other">link</a>.</p></main></body></html>`,
+    },
+    { inSitemap: true }
+  );
+  assert.equal(record.isHtml, true);
+  assert.equal(record.title, "Post");
+  assert.equal(record.description, "About it");
+  assert.equal(record.h1Count, 1);
+  assert.equal(record.noindex, true);
+  assert.equal(record.inSitemap, true);
+  assert.deepEqual(record.links, [u("/other")]);
+
+  const deep = inspectPage({
+    url: u("/deep"),
+    ok: true,
+    status: 200,
+    text: `<html><body>${"<div><b>word ".repeat(20_000)}</body></html>`,
+  });
+  assert.equal(deep.isHtml, true);
+  assert.equal(deep.wordCount, 20_000);
+
+  const failed = inspectPage({ url: u("/x"), ok: false, status: 503 });
+  assert.equal(failed.isHtml, false);
+  assert.equal(failed.status, 503);
+});
@@ -0,0 +1,71 @@
+// test/sitemap.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { parseSitemapXml, entryUpdatedAt } from "@/lib/seo/sitemap";
+
+test("parses a sitemap index", () => {
+  const xml = `<?xml version="1.0"?>
+<!-- generated -->
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+  <sitemap><loc>https://x.com/posts.xml.gz</loc><lastmod>2024-01-02</lastmod></sitemap>
+  <sitemap><loc> https://x.com/pages.xml </loc></sitemap>
+  <sitemap><lastmod>2024-01-02</lastmod></sitemap>
+</sitemapindex>`;
+  assert.deepEqual(parseSitemapXml(xml), {
+    kind: "index",
+    sitemaps: [
+      { url: "https://x.com/posts.xml.gz", lastmod: "2024-01-02T00:00:00.000Z" },
+      { url: "https://x.com/pages.xml", lastmod: null },
+    ],
+    entries: [],
+  });
+});
+
+test("parses url entries with image, news and hreflang extensions", () => {
+  const xml = `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9"
+    xmlns:image="http://www.google.com/schemas/sitemap-image/1.1"
+    xmlns:news="http://www.google.com/schemas/sitemap-news/0.9"
+    xmlns:xhtml="http://www.w3.org/1999/xhtml">
+  <url>
+    <loc>https://x.com/a?x=1&amp;y=2</loc>
+    <lastmod>2024-03-04T05:06:07+00:00</lastmod>
+    <changefreq>Weekly</changefreq>
+    <priority>0.8</priority>
+    <image:image><image:loc>https://x.com/a.png</image:loc><image:title><![CDATA[A & B]]></image:title></image:image>
+    <news:news>
+      <news:publication><news:name>X</news:name><news:language>en</news:language></news:publication>
+      <news:publication_date>2024-03-04</news:publication_date>
+      <news:title>Headline</news:title>
+    </news:news>
+    <xhtml:link rel="alternate" hreflang="de" href="https://x.com/de/a"/>
+  </url>
+  <url><loc>https://x.com/b</loc><changefreq>sometimes</changefreq><priority>high</priority></url>
+  <url><lastmod>2024-01-01</lastmod></url>
+</urlset>`;
+  const { kind, entries } = parseSitemapXml(xml);
+  assert.equal(kind, "urlset");
+  assert.equal(entries.length, 2);
+  assert.deepEqual(entries[0], {
+    url: "https://x.com/a?x=1&y=2",
+    lastmod: "2024-03-04T05:06:07.000Z",
+    changefreq: "weekly",
+    priority: 0.8,
+    images: [{ loc: "https://x.com/a.png", title: "A & B", caption: null }],
+    news: { title: "Headline", publicationDate: "2024-03-04T00:00:00.000Z", name: "X", language: "en" },
+    alternates: [{ hreflang: "de", href: "https://x.com/de/a" }],
+  });
+  assert.equal(entries[1].changefreq, null);
+  assert.equal(entries[1].priority, null);
+  assert.equal(entries[1].news, null);
+});
+
+test("unknown documents yield nothing", () => {
+  assert.deepEqual(parseSitemapXml("<html><body>404</body></html>"), { kind: null, sitemaps: [], entries: [] });
+  assert.deepEqual(parseSitemapXml(), { kind: null, sitemaps: [], entries: [] });
+});
+
+test("entryUpdatedAt falls back to the news publication date", () => {
+  assert.equal(entryUpdatedAt({ lastmod: "2024-01-01T00:00:00.000Z" }), Date.UTC(2024, 0, 1));
+  assert.equal(entryUpdatedAt({ news: { publicationDate: "2024-02-01T00:00:00.000Z" } }), Date.UTC(2024, 1, 1));
+  assert.equal(entryUpdatedAt({}), null);
+});
@@ -0,0 +1,90 @@
+// test/snapshots-diff.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { diffOpportunitiesSnapshots } from "@/lib/seo/snapshots.diff";
+import {
+  getOpportunitiesVersion,
+  listOpportunitiesVersions,
+  upsertOpportunitiesSnapshot,
+} from "@/lib/seo/snapshots.store";
+
+test("diff: added, removed, changed and unchanged URLs", () => {
+  const older = {
+    version: 1,
+    blogs: [
+      { url: "https://x.com/a", title: "A", wordCount: 100 },
+      { url: "https://x.com/gone", title: "Gone" },
+    ],
+    pages: [{ url: "https://x.com/about", title: "About", description: "d" }],
+  };
+  const newer = {
+    version: 2,
+    blogs: [
+      { url: "https://x.com/a", title: "A!", wordCount: 150 },
+      { url: "https://x.com/new", title: "New" },
+    ],
+    pages: [{ url: "https://x.com/about", title: "About", description: "d" }],
+  };
+
+  const diff = diffOpportunitiesSnapshots(older, newer);
+  assert.equal(diff.from, 1);
+  assert.equal(diff.to, 2);
+  assert.deepEqual(diff.added, [
+    { url: "https://x.com/new", kind: "blog", title: "New", description: "", wordCount: 0 },
+  ]);
+  assert.deepEqual(diff.removed.map((r) => r.url), ["https://x.com/gone"]);
+  assert.deepEqual(diff.changed, [
+    {
+      url: "https://x.com/a",
+      kind: "blog",
+      changes: {
+        title: { from: "A", to: "A!" },
+        wordCount: { from: 100, to: 150, delta: 50 },
+      },
+    },
+  ]);
+  assert.deepEqual(diff.summary, { added: 1, removed: 1, changed: 1, unchanged: 1 });
+});
+
+test("diff: a URL moving between blogs and pages is a kind change", () => {
+  const diff = diffOpportunitiesSnapshots(
+    { blogs: [{ url: "https://x.com/a" }] },
+    { pages: [{ url: "https://x.com/a" }] }
+  );
+  assert.deepEqual(diff.changed[0].changes, { kind: { from: "blog", to: "page" } });
+  assert.equal(diff.from, null);
+});
+
+test("diff: missing snapshots and duplicate URLs", () => {
+  const diff = diffOpportunitiesSnapshots(null, {
+    blogs: [{ url: "https://x.com/a" }, { url: "https://x.com/a" }, { title: "no url" }],
+  });
+  assert.deepEqual(diff.summary, { added: 1, removed: 0, changed: 0, unchanged: 0 });
+});
+
+test("versions: one per completed scan, capped, numbers keep counting", () => {
+  const snapshot = (scanId, status = "complete") => ({
+    scanId,
+    status,
+    blogs: [{ url: `https://x.com/${scanId}` }],
+  });
+
+  upsertOpportunitiesSnapshot("www.x.com", snapshot("s0", "running"));
+  assert.deepEqual(listOpportunitiesVersions("x.com"), []);
+
+  upsertOpportunitiesSnapshot("x.com", snapshot("s1"));
+  upsertOpportunitiesSnapshot("x.com", snapshot("s1"));
+  assert.equal(listOpportunitiesVersions("x.com").length, 1);
+
+  for (let i = 2; i <= 25; i += 1) upsertOpportunitiesSnapshot("x.com", snapshot(`s${i}`));
+  const versions = listOpportunitiesVersions("x.com");
+  assert.equal(versions.length, 20);
+  assert.equal(versions[0].version, 6);
+  assert.equal(versions.at(-1).version, 25);
+  assert.equal(versions.at(-1).blogCount, 1);
+
+  assert.equal(getOpportunitiesVersion("x.com").scanId, "s25");
+  assert.equal(getOpportunitiesVersion("x.com", "10").scanId, "s10");
+  assert.equal(getOpportunitiesVersion("x.com", 1), null);
+  assert.equal(getOpportunitiesVersion("x.com", null, { mode: "draft" }), null);
+});
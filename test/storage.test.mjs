@@ -0,0 +1,157 @@
+// test/storage.test.mjs
+import { after, test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "node:fs";
+import os from "node:os";
+import path from "node:path";
+import { setTimeout as sleep } from "node:timers/promises";
+import {
+  createFileBackend,
+  createMemoryBackend,
+  getStorage,
+  setStorageBackend,
+} from "@/lib/seo/storage";
+import {
+  completeScan,
+  createScan,
+  getScan,
+  listScans,
+  markScanRunning,
+  reportScanProgress,
+  subscribeToScan,
+} from "@/lib/seo/snapshots.store";
+
+const dirs = [];
+const tempDir = () => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), "drfizz-storage-"));
+  dirs.push(dir);
+  return dir;
+};
+after(() => {
+  for (const dir of dirs) fs.rmSync(dir, { recursive: true, force: true });
+});
+const readJson = (dir, name) => JSON.parse(fs.readFileSync(path.join(dir, `${name}.json`), "utf8"));
+
+test("memory backend: one Map per collection name", () => {
+  const backend = createMemoryBackend();
+  const a = backend.collection("a");
+  a.set("k", 1);
+  assert.equal(backend.collection("a"), a);
+  assert.equal(backend.collection("b").size, 0);
+  assert.doesNotThrow(() => backend.flush());
+});
+
+test("file backend: writes are coalesced into one delayed flush", async () => {
+  const dir = tempDir();
+  const backend = createFileBackend({ dir, flushDelayMs: 20 });
+  const scans = backend.collection("scans");
+  scans.set("a", { n: 1 }).set("b", { n: 2 });
+  assert.equal(fs.existsSync(path.join(dir, "scans.json")), false);
+
+  await sleep(60);
+  assert.deepEqual(readJson(dir, "scans"), { a: { n: 1 }, b: { n: 2 } });
+  assert.deepEqual(fs.readdirSync(dir), ["scans.json"]);
+});
+
+test("file backend: flush() writes immediately and a new backend reads it back", () => {
+  const dir = tempDir();
+  const backend = createFileBackend({ dir, flushDelayMs: 60_000 });
+  const psi = backend.collection("psi");
+  psi.set("x", { score: 90 });
+  psi.set("y", { score: 10 });
+  assert.equal(psi.delete("y"), true);
+  assert.equal(psi.delete("missing"), false);
+  backend.flush();
+
+  const reopened = createFileBackend({ dir }).collection("psi");
+  assert.equal(reopened.size, 1);
+  assert.deepEqual(reopened.get("x"), { score: 90 });
+  assert.deepEqual(Array.from(reopened), [["x", { score: 90 }]]);
+});
+
+test("file backend: collection names are sanitized into file names", () => {
+  const dir = tempDir();
+  const backend = createFileBackend({ dir });
+  backend.collection("../evil name").set("k", true);
+  backend.flush();
+  assert.deepEqual(fs.readdirSync(dir), ["___evil_name.json"]);
+});
+
+test("file backend: an unreadable file starts an empty collection", (t) => {
+  const dir = tempDir();
+  fs.writeFileSync(path.join(dir, "broken.json"), "{ not json");
+  t.mock.method(console, "warn", () => {});
+  const broken = createFileBackend({ dir }).collection("broken");
+  assert.equal(broken.size, 0);
+  assert.equal(console.warn.mock.callCount(), 1);
+});
+
+test("setStorageBackend validates, flushes the previous backend and backs the store", () => {
+  assert.throws(() => setStorageBackend({}), /must implement collection/);
+
+  let flushed = 0;
+  setStorageBackend({ ...createMemoryBackend(), flush: () => (flushed += 1) });
+  const dir = tempDir();
+  const file = setStorageBackend(createFileBackend({ dir, flushDelayMs: 60_000 }));
+  assert.equal(flushed, 1);
+  assert.equal(getStorage(), file);
+
+  const scan = createScan({ kind: "site-health", hostname: "www.Example.com" });
+  markScanRunning(scan.scanId);
+  file.flush();
+
+  const persisted = readJson(dir, "scans")[scan.scanId];
+  assert.equal(persisted.hostname, "example.com");
+  assert.equal(persisted.status, "running");
+  assert.equal(getScan(scan.scanId).status, "running");
+});
+
+test("scan progress stays in memory: the persisted record doesn't change", () => {
+  const dir = tempDir();
+  const file = setStorageBackend(createFileBackend({ dir, flushDelayMs: 60_000 }));
+  const scan = createScan({ kind: "site-health", hostname: "progress.example" });
+  markScanRunning(scan.scanId);
+  file.flush();
+  const before = fs.readFileSync(path.join(dir, "scans.json"), "utf8");
+
+  const events = [];
+  const unsubscribe = subscribeToScan(scan.scanId, (evt) => events.push(evt));
+  for (let done = 1; done <= 50; done += 1) {
+    reportScanProgress(scan.scanId, { stage: "crawl", done, total: 50, url: `https://progress.example/${done}` });
+  }
+  file.flush();
+  assert.equal(fs.readFileSync(path.join(dir, "scans.json"), "utf8"), before);
+  assert.equal(events.length, 50);
+  assert.equal(events.at(-1).progress.done, 50);
+  assert.equal(getScan(scan.scanId).progress.done, 50);
+  assert.equal(listScans({ hostname: "progress.example" }).items[0].progress.done, 50);
+
+  // the final status event still carries it, then it's dropped
+  completeScan(scan.scanId, {});
+  unsubscribe();
+  assert.equal(events.at(-1).scan.status, "complete");
+  assert.equal(events.at(-1).scan.progress.done, 50);
+  assert.equal(getScan(scan.scanId).progress, null);
+});
+
+test("finished scans are pruned per host, unfinished ones are kept", () => {
+  setStorageBackend(createMemoryBackend());
+  const running = createScan({ hostname: "busy.example" });
+  markScanRunning(running.scanId);
+  const other = createScan({ hostname: "other.example" });
+  completeScan(other.scanId, {});
+
+  const ids = [];
+  for (let i = 0; i < 105; i += 1) {
+    const scan = createScan({ hostname: "busy.example" });
+    completeScan(scan.scanId, {});
+    ids.push(scan.scanId);
+  }
+  createScan({ hostname: "busy.example" });
+
+  assert.equal(listScans({ hostname: "busy.example", status: "complete" }).total, 100);
+  assert.equal(getScan(ids[4]), null);
+  assert.ok(getScan(ids[5]));
+  assert.equal(getScan(running.scanId).status, "running");
+  assert.ok(getScan(other.scanId));
+});
@@ -0,0 +1,104 @@
+// test/structured-data.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { validateStructuredData } from "@/lib/seo/structured-data";
+
+const jsonLd = (...items) =>
+  items.map((data) => `<script type="application/ld+json">${JSON.stringify(data)}</script>`).join("");
+
+const problems = (list) => list.map((p) => p.property);
+
+test("a complete Product is valid", () => {
+  const html = jsonLd({
+    "@context": "https://schema.org",
+    "@type": "Product",
+    name: "Shoe",
+    image: "https://x.com/shoe.png",
+    description: "A shoe",
+    brand: { "@type": "Brand", name: "X" },
+    sku: "S1",
+    mpn: "M1",
+    offers: {
+      "@type": "Offer",
+      price: "19.99",
+      priceCurrency: "EUR",
+      availability: "https://schema.org/InStock",
+    },
+  });
+  const { summary, items } = validateStructuredData(html);
+  assert.equal(summary.checked, 1);
+  assert.equal(summary.valid, 1);
+  assert.deepEqual(items[0].errors, []);
+  assert.deepEqual(items[0].warnings, []);
+  assert.equal(items[0].name, "Shoe");
+});
+
+test("missing required properties are errors, missing recommended ones warnings", () => {
+  const html = jsonLd({
+    "@context": "https://schema.org",
+    "@type": "Product",
+    offers: { "@type": "Offer", priceCurrency: "euro" },
+  });
+  const [item] = validateStructuredData(html).items;
+  assert.equal(item.valid, false);
+  assert.deepEqual(problems(item.errors).sort(), ["name", "offers.price", "offers.priceCurrency"]);
+  assert.ok(problems(item.warnings).includes("image"));
+});
+
+test("@graph members are checked and @id references resolve", () => {
+  const html = jsonLd({
+    "@context": "https://schema.org",
+    "@graph": [
+      { "@type": "Organization", "@id": "#org", name: "X", url: "https://x.com/" },
+      {
+        "@type": "BreadcrumbList",
+        itemListElement: [
+          { "@type": "ListItem", position: 1, name: "Home", item: "https://x.com/" },
+          { "@type": "ListItem", position: 2 },
+        ],
+      },
+    ],
+  });
+  const { items } = validateStructuredData(html);
+  assert.deepEqual(items.map((i) => i.rule), ["Organization", "BreadcrumbList"]);
+  assert.deepEqual(problems(items[1].errors), ["itemListElement[1].name"]);
+});
+
+test("the most specific rule applies whatever the @type order", () => {
+  const html = jsonLd(
+    { "@context": "https://schema.org", "@type": ["Organization", "Dentist"], name: "X" },
+    { "@context": "https://schema.org", "@type": ["Dentist", "Organization"], name: "X" }
+  );
+  const { summary, items } = validateStructuredData(html);
+  assert.deepEqual(items.map((i) => i.rule), ["LocalBusiness", "LocalBusiness"]);
+  assert.equal(summary.valid, 0);
+  for (const item of items) assert.deepEqual(problems(item.errors), ["address"]);
+});
+
+test("microdata is read into the same shape", () => {
+  const html = `
+    <div itemscope itemtype="https://schema.org/FAQPage">
+      <div itemprop="mainEntity" itemscope itemtype="https://schema.org/Question">
+        <h3 itemprop="name">Why?</h3>
+        <div itemprop="acceptedAnswer" itemscope itemtype="https://schema.org/Answer">
+          <p itemprop="text">Because.</p>
+        </div>
+      </div>
+    </div>`;
+  const { items } = validateStructuredData(html);
+  assert.equal(items.length, 1);
+  assert.equal(items[0].source, "microdata");
+  assert.equal(items[0].rule, "FAQPage");
+  assert.equal(items[0].valid, true);
+});
+
+test("unparseable JSON-LD blocks and unknown types", () => {
+  const html =
+    '<script type="application/ld+json">{ "@type": "Article", </script>' +
+    jsonLd({ "@type": "Thing", name: "t" });
+  const { summary, items, invalidBlocks } = validateStructuredData(html);
+  assert.equal(invalidBlocks.length, 1);
+  assert.equal(summary.errors, 1);
+  assert.equal(items[0].rule, null);
+  assert.equal(summary.checked, 0);
+});
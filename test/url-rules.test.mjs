@@ -0,0 +1,128 @@
+// test/url-rules.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { compilePattern, normalizeUrlRules, createUrlRulesGate } from "@/lib/seo/url-rules";
+
+test("globs: * stays in one segment, ** crosses segments and matches the folder", () => {
+  const one = compilePattern("/blog/*");
+  assert.equal(one.test("/blog/post"), true);
+  assert.equal(one.test("/blog/2024/post"), false);
+
+  const deep = compilePattern("/guides/**");
+  assert.equal(deep.test("/guides"), true);
+  assert.equal(deep.test("/guides/a/b"), true);
+  assert.equal(deep.test("/guidesx"), false);
+});
+
+test("globs: alternatives, case-insensitivity and query handling", () => {
+  assert.equal(compilePattern("**/*.{png,jpg}").test("/img/A.PNG"), true);
+  assert.equal(compilePattern("/blog/*").test("/blog/post?utm_source=x"), true);
+  const search = compilePattern("/search?q=*");
+  assert.equal(search.test("/search?q=shoes"), true);
+  assert.equal(search.test("/search"), false);
+});
+
+test("re: patterns compile case-insensitively", () => {
+  const re = compilePattern("re:^/p/\\d+$");
+  assert.equal(re.test("/p/42"), true);
+  assert.equal(re.test("/P/42"), true);
+  assert.equal(re.test("/p/x"), false);
+});
+
+test("re: patterns that can backtrack catastrophically are rejected", () => {
+  for (const pattern of ["re:^(a+)+$", "re:^/(a|ab)*$", "re:(\\w+\\s?)*$", "re:(a)\\1"]) {
+    assert.throws(() => compilePattern(pattern), /Invalid URL regex/, pattern);
+  }
+  assert.throws(() => compilePattern(`re:${"a".repeat(200)}`), /too long/);
+  // repeats outside groups, alternation without a repeat and classes stay allowed
+  for (const pattern of ["re:^/(?:en|de)/[a-z-]+$", "re:^/[(a+)+]*x", "re:/page/\\d+"]) {
+    assert.doesNotThrow(() => compilePattern(pattern), pattern);
+  }
+});
+
+test("re: groups repeated a fixed number of times follow the same rule", () => {
+  for (const pattern of ["re:(.*a){12}$", "re:(a?){20}a{20}", "re:^/(?:[a-z]+/){2,5}$"]) {
+    assert.throws(() => compilePattern(pattern), /repeated groups/, pattern);
+  }
+  assert.doesNotThrow(() => compilePattern("re:^/(?:en|de)?/shop$"));
+  assert.doesNotThrow(() => compilePattern("re:^(?:/[a-z]){1,3}$"));
+});
+
+test("re: unbounded repeats over the same characters need a separator", () => {
+  for (const pattern of [
+    "re:^(.*.*.*.*.*.*.*.*)z$",
+    "re:\\d+\\d+",
+    "re:^/blog/.*-\\d+$",
+    "re:\\w+\\s?\\w+",
+    "re:^[a-z]+(?:/x)?[a-z]+$",
+    "re:^/(?:a.*|b)\\d+",
+  ]) {
+    assert.throws(() => compilePattern(pattern), /unbounded repeats/, pattern);
+  }
+  for (const pattern of [
+    "re:^/blog/[^/]+/\\d+$",
+    "re:^/[a-z]+-[a-z]+$",
+    "re:^/a.*|^/b.*",
+    "re:^/search\\?q=.+$",
+    "re:^/p/\\d{2,4}/[a-z]{1,20}$",
+  ]) {
+    assert.doesNotThrow(() => compilePattern(pattern), pattern);
+  }
+});
+
+test("patterns only see the first 2048 characters of a URL", () => {
+  const long = `/${"a/".repeat(50_000)}x`;
+  const started = Date.now();
+  assert.equal(compilePattern("**/*.{png,jpg}").test(long), false);
+  assert.equal(compilePattern("re:^/(?:a/)+x$").test(long), false);
+  assert.equal(compilePattern("re:^/a/").test(long), true);
+  assert.ok(Date.now() - started < 1000);
+});
+
+test("normalizeUrlRules validates its input", () => {
+  assert.throws(() => normalizeUrlRules({ include: "x" }), /must be an array/);
+  assert.throws(() => normalizeUrlRules({ queryParams: "nope" }), /queryParams/);
+  assert.throws(() => normalizeUrlRules({ exclude: ["re:("] }), /Invalid URL regex/);
+});
+
+test("gate: exclude beats include, include beats default excludes, depth limit", () => {
+  const gate = createUrlRulesGate({
+    include: ["/blog/**", "/amp/**"],
+    exclude: ["/blog/drafts/**"],
+    maxDepth: 3,
+  });
+  assert.equal(gate.allow("https://x.com/blog/post"), true);
+  assert.deepEqual(gate.test("https://x.com/blog/drafts/a"), {
+    allowed: false,
+    reason: "exclude",
+    rule: "/blog/drafts/**",
+  });
+  assert.equal(gate.test("https://x.com/about").reason, "include");
+  assert.equal(gate.allow("https://x.com/amp/page"), true);
+  assert.equal(gate.test("https://x.com/blog/a/b/c").reason, "depth");
+
+  const defaults = createUrlRulesGate({});
+  assert.equal(defaults.test("https://x.com/wp-content/uploads/a.png").reason, "default");
+  assert.equal(defaults.allow("https://x.com/about"), true);
+});
+
+test("gate: records skipped URLs once", () => {
+  const gate = createUrlRulesGate({ exclude: ["/tag/**"] });
+  gate.allow("https://x.com/tag/a");
+  gate.allow("https://x.com/tag/a");
+  const summary = gate.summary();
+  assert.equal(summary.skippedCount, 1);
+  assert.equal(summary.skippedBy.exclude, 1);
+});
+
+test("normalize: strips tracking params and the hash by default", () => {
+  const gate = createUrlRulesGate({});
+  assert.equal(gate.normalize("https://x.com/a?utm_source=x&id=1#top"), "https://x.com/a?id=1");
+  assert.equal(gate.normalize("not a url"), "");
+
+  const all = createUrlRulesGate({ queryParams: "strip-all", keepParams: ["lang"] });
+  assert.equal(all.normalize("https://x.com/a?lang=de&sort=asc"), "https://x.com/a?lang=de");
+
+  const keep = createUrlRulesGate({ queryParams: "keep", stripParams: ["session*"] });
+  assert.equal(keep.normalize("https://x.com/a?sessionid=1&utm_source=x"), "https://x.com/a?utm_source=x");
+});
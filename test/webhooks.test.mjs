@@ -0,0 +1,93 @@
+// test/webhooks.test.mjs
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { createHmac } from "node:crypto";
+import { createServer } from "node:http";
+import { once } from "node:events";
+import { setTimeout as sleep } from "node:timers/promises";
+import { createMemoryBackend, setStorageBackend } from "@/lib/seo/storage";
+import {
+  createWebhook,
+  dispatchScanEvent,
+  listWebhookDeliveries,
+  signWebhookPayload,
+} from "@/lib/seo/webhooks";
+
+setStorageBackend(createMemoryBackend());
+
+// what a receiver does: recompute v1 over `${t}.${rawBody}`
+function verify(secret, header, body) {
+  const { t, v1 } = Object.fromEntries(header.split(",").map((part) => part.split("=")));
+  const expected = createHmac("sha256", secret).update(`${t}.${body}`).digest("hex");
+  return v1 === expected;
+}
+
+test("signWebhookPayload: t=<timestamp>,v1=<HMAC-SHA256 of `${t}.${body}`>", () => {
+  const body = JSON.stringify({ event: "scan.completed" });
+  const header = signWebhookPayload("s3cret", body, 1700000000);
+  assert.match(header, /^t=1700000000,v1=[0-9a-f]{64}$/);
+  assert.equal(verify("s3cret", header, body), true);
+  assert.equal(verify("other", header, body), false);
+  assert.equal(verify("s3cret", header, `${body} `), false);
+  assert.notEqual(signWebhookPayload("s3cret", body, 1700000001), header);
+});
+
+test("createWebhook rejects private, loopback and metadata targets", async () => {
+  for (const url of [
+    "http://127.0.0.1/hook",
+    "http://169.254.169.254/latest",
+    "http://10.1.2.3/hook",
+    "http://[::1]/hook",
+    "http://[::ffff:192.168.0.1]/hook",
+  ]) {
+    await assert.rejects(createWebhook({ hostname: "x.com", url }), /private or reserved/, url);
+  }
+  await assert.rejects(createWebhook({ hostname: "x.com", url: "ftp://x.com/" }), /http\(s\) URL/);
+  await assert.rejects(
+    createWebhook({ hostname: "x.com", url: "https://93.184.216.34/", events: ["scan.started"] }),
+    /events must be a subset/
+  );
+});
+
+test("deliveries are signed with the webhook secret", async (t) => {
+  process.env.SEO_WEBHOOKS_ALLOW_PRIVATE = "1";
+  t.after(() => delete process.env.SEO_WEBHOOKS_ALLOW_PRIVATE);
+
+  const received = [];
+  const server = createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      received.push({ headers: req.headers, body });
+      res.end("ok");
+    });
+  });
+  server.listen(0, "127.0.0.1");
+  await once(server, "listening");
+  t.after(() => server.close());
+
+  const hook = await createWebhook({
+    hostname: "www.x.com",
+    url: `http://127.0.0.1:${server.address().port}/hook`,
+    secret: "s3cret",
+  });
+  const [deliveryId] = dispatchScanEvent("scan.completed", {
+    scanId: "scan-1",
+    hostname: "x.com",
+    status: "complete",
+  });
+  assert.deepEqual(dispatchScanEvent("scan.started", { hostname: "x.com" }), []);
+
+  for (let i = 0; i < 200 && listWebhookDeliveries({ webhookId: hook.id })[0]?.status !== "delivered"; i += 1) {
+    await sleep(10);
+  }
+  const [delivery] = listWebhookDeliveries({ webhookId: hook.id });
+  assert.equal(delivery.status, "delivered");
+  assert.equal(received.length, 1);
+
+  const { headers, body } = received[0];
+  assert.equal(headers["x-drfizz-event"], "scan.completed");
+  assert.equal(headers["x-drfizz-delivery"], deliveryId);
+  assert.equal(verify("s3cret", headers["x-drfizz-signature"], body), true);
+  assert.equal(JSON.parse(body).data.scan.scanId, "scan-1");
+});